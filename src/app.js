@@ -5,14 +5,53 @@ const path = require("path");
 const compression = require("compression");
 const helmet = require("helmet");
 const connectDB = require("./config/db");
+const { startWebhookWorker } = require("./config/webhookHelper");
+const { startOrderExpiryWorker } = require("./config/orderHelper");
+const { hashLegacySecrets } = require("./config/apiKeyHelper");
+const { openWalletLedgers } = require("./config/ledgerHelper");
+const { waitForPaiseAmounts } = require("./config/migrationHelper");
+const migrationMiddleware = require("./middlewares/migration.middleware");
+const { recoverMoneyOperations, startRecoveryWorker } = require("./config/recoveryHelper");
+const { startReconciliationWorker } = require("./config/reconciliationHelper");
 const withdrawRoutes = require("./routes/withdraw.routes");
 const transactionRoutes = require("./routes/transaction.routes");
 const adminBulkRoutes = require("./routes/BulkPayout.routes");
 
 const app = express();
 
-// Connect Database
-connectDB();
+// Connect Database, then run the one-off startup jobs (commands are not buffered)
+connectDB().then(async () => {
+  // Convert amounts stored in rupees to paise, or wait for the worker that
+  // does, before anything reads or moves money
+  await waitForPaiseAmounts();
+
+  // Replace API secrets stored in plaintext by their hashes
+  await hashLegacySecrets().catch((err) => {
+    console.error("[ApiKey] Hashing legacy secrets failed:", err.message);
+  });
+
+  // Post existing wallet balances as opening ledger entries
+  await openWalletLedgers().catch((err) => {
+    console.error("[Ledger] Opening wallet ledgers failed:", err.message);
+  });
+
+  // Repair money operations a crash left half-applied
+  await recoverMoneyOperations().catch((err) => {
+    console.error("[Recovery] Recovery run failed:", err.message);
+  });
+
+  // Retry failed merchant webhook deliveries in the background
+  startWebhookWorker();
+
+  // Expire unpaid API orders past their expire_by
+  startOrderExpiryWorker();
+
+  // Re-run the money recovery routine periodically
+  startRecoveryWorker();
+
+  // Reconcile merchant balances against their transactions every night
+  startReconciliationWorker();
+});
 
 // ✅ Production Optimizations
 if (process.env.NODE_ENV === "production") {
@@ -56,10 +95,15 @@ app.use(cors({
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Idempotency-Key"],
+  exposedHeaders: ["X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "Retry-After", "Idempotent-Replayed", "X-Api-Key-Rotated"]
 }));
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+// Keep the raw body: gateway webhook signatures are computed over the exact bytes sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString("utf8");
+};
+app.use(express.json({ limit: "50mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "50mb", verify: keepRawBody }));
 
 // ✅ Logging - minimal in production
 if (process.env.NODE_ENV === "production") {
@@ -85,6 +129,9 @@ app.use("/uploads", (req, res, next) => {
   etag: true
 }));
 
+// Hold API requests until the amounts are stored in paise
+app.use("/api", migrationMiddleware);
+
 // Routes
 app.use("/api/users", require("./routes/user.routes"));
 app.use("/api/payment", require("./routes/payment.routes"));
@@ -99,6 +146,7 @@ app.use("/api/support", require("./routes/support.routes"));
 app.use("/api/dashboard", require("./routes/dashboard.routes"));
 app.use("/api/gateway", require("./routes/gateway.routes"));
 app.use("/api/payout-requests", require("./routes/payoutRequest.routes"));
+app.use("/api/reconciliation", require("./routes/reconciliation.routes"));
 app.use("/api/settings", require("./routes/settings.routes"));
 app.use("/api/enquiry", require("./routes/enquiry.routes"));
 
@@ -0,0 +1,225 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const ApiTokenRequest = require("../models/apiTokenRequest.model");
+
+/**
+ * API key secrets and scopes
+ *
+ * Secrets are stored as SHA-256 hashes and returned to the merchant only
+ * when they are issued. Rotating a secret keeps the previous one valid for
+ * a grace period so integrations can be switched over without downtime.
+ */
+
+const API_SCOPES = [
+  "customers:read",
+  "customers:write",
+  "orders:read",
+  "orders:write",
+  "payments:read",
+  "payments:write",
+  "payment_links:read",
+  "payment_links:write",
+  "qr_codes:read",
+  "qr_codes:write",
+  "refunds:read",
+  "refunds:write",
+  "payouts:read",
+  "payouts:write",
+  "balance:read",
+  "usage:read",
+  "webhooks:read",
+  "webhooks:write",
+];
+
+const DEFAULT_GRACE_HOURS = Number(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+const MAX_GRACE_HOURS = 7 * 24;
+
+const businessError = (message, statusCode = 400, code = "BAD_REQUEST_ERROR") => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const generateSecretKey = () => crypto.randomBytes(32).toString("hex");
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(String(secret)).digest("hex");
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Validate requested scopes. Returns undefined for full access, which is
+ * stored as no scopes so such keys also get scopes added later.
+ */
+const normalizeScopes = (scopes) => {
+  if (scopes === undefined || scopes === null) return undefined;
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw businessError("scopes must be a non-empty array");
+  }
+
+  const unknown = scopes.filter((s) => !API_SCOPES.includes(s));
+  if (unknown.length) {
+    throw businessError(`Unknown scope(s): ${unknown.join(", ")}. Allowed: ${API_SCOPES.join(", ")}`);
+  }
+  return [...new Set(scopes)];
+};
+
+// Keys without scopes (full access, or created before scopes existed) have every scope
+const getTokenScopes = (token) => (token.scopes && token.scopes.length ? token.scopes : API_SCOPES);
+
+/**
+ * Check a presented secret against a stored token.
+ * Returns "current", "previous" (rotated, still in its grace period) or null.
+ */
+const matchTokenSecret = (token, secret) => {
+  const presentedHash = hashSecret(secret);
+
+  if (token.secretHash && safeEqual(token.secretHash, presentedHash)) return "current";
+  // Plaintext secret stored before hashing - hashed on first use / at startup
+  if (!token.secretHash && token.secretKey && safeEqual(token.secretKey, secret)) return "current";
+
+  if (
+    token.previousSecretHash &&
+    token.previousSecretExpiresAt &&
+    new Date(token.previousSecretExpiresAt) > new Date() &&
+    safeEqual(token.previousSecretHash, presentedHash)
+  ) {
+    return "previous";
+  }
+  return null;
+};
+
+/**
+ * Issue the first secret for a key that has none yet.
+ * Returns the plaintext secret - it is not stored and cannot be shown again.
+ */
+const issueTokenSecret = async (userId, keyId) => {
+  const secretKey = generateSecretKey();
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      apiTokens: { $elemMatch: { keyId, status: "active", secretHash: null, secretKey: null } },
+    },
+    { $set: { "apiTokens.$.secretHash": hashSecret(secretKey) } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw businessError("The secret for this key has already been issued. Rotate the key to get a new secret.");
+  }
+  return secretKey;
+};
+
+/**
+ * Replace a key's secret. The old secret keeps working for graceHours.
+ * Returns { secretKey, previousSecretExpiresAt }.
+ */
+const rotateTokenSecret = async (userId, keyId, graceHours = DEFAULT_GRACE_HOURS) => {
+  const hours = Number(graceHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_GRACE_HOURS) {
+    throw businessError(`Grace period must be between 0 and ${MAX_GRACE_HOURS} hours`);
+  }
+
+  const user = await User.findOne({ _id: userId, "apiTokens.keyId": keyId });
+  const token = user?.apiTokens.find((t) => t.keyId === keyId);
+  if (!token || token.status !== "active") {
+    throw businessError("Active API key not found", 404, "NOT_FOUND_ERROR");
+  }
+
+  const currentHash = token.secretHash || (token.secretKey ? hashSecret(token.secretKey) : null);
+  const secretKey = generateSecretKey();
+  const previousSecretExpiresAt = currentHash && hours > 0
+    ? new Date(Date.now() + hours * 60 * 60 * 1000)
+    : null;
+
+  await User.updateOne(
+    { _id: userId, "apiTokens.keyId": keyId },
+    {
+      $set: {
+        "apiTokens.$.secretHash": hashSecret(secretKey),
+        "apiTokens.$.previousSecretHash": previousSecretExpiresAt ? currentHash : null,
+        "apiTokens.$.previousSecretExpiresAt": previousSecretExpiresAt,
+        "apiTokens.$.rotatedAt": new Date(),
+      },
+      $unset: { "apiTokens.$.secretKey": "" },
+    }
+  );
+  await ApiTokenRequest.updateOne({ keyId }, { $unset: { secretKey: "" } });
+
+  return { secretKey, previousSecretExpiresAt };
+};
+
+/**
+ * Replace a plaintext secret with its hash after it authenticated a request
+ */
+const hashLegacySecret = (userId, token) =>
+  Promise.all([
+    User.updateOne(
+      { _id: userId, "apiTokens.keyId": token.keyId },
+      {
+        $set: { "apiTokens.$.secretHash": hashSecret(token.secretKey) },
+        $unset: { "apiTokens.$.secretKey": "" },
+      }
+    ),
+    ApiTokenRequest.updateOne({ keyId: token.keyId }, { $unset: { secretKey: "" } }),
+  ]);
+
+/**
+ * Hash every plaintext secret still in the database (run once at startup)
+ */
+const hashLegacySecrets = async () => {
+  const users = await User.find({ "apiTokens.secretKey": { $nin: [null, ""] } }).select("apiTokens");
+
+  let hashed = 0;
+  for (const user of users) {
+    for (const token of user.apiTokens) {
+      if (!token.secretKey) continue;
+      await hashLegacySecret(user._id, token);
+      hashed++;
+    }
+  }
+
+  // Secrets kept on approved requests are no longer needed anywhere
+  await ApiTokenRequest.updateMany({ secretKey: { $nin: [null, ""] } }, { $unset: { secretKey: "" } });
+
+  if (hashed) {
+    console.log(`[ApiKey] Hashed ${hashed} plaintext API secret(s)`);
+  }
+  return hashed;
+};
+
+/**
+ * Public view of a stored token (never includes secret material)
+ */
+const serializeApiToken = (token) => ({
+  _id: token._id,
+  name: token.name,
+  keyId: token.keyId,
+  mode: token.mode,
+  status: token.status,
+  scopes: getTokenScopes(token),
+  secretIssued: Boolean(token.secretHash || token.secretKey),
+  previousSecretExpiresAt: token.previousSecretExpiresAt || null,
+  rotatedAt: token.rotatedAt || null,
+  lastUsed: token.lastUsed || null,
+  createdAt: token.createdAt,
+});
+
+module.exports = {
+  API_SCOPES,
+  generateSecretKey,
+  hashSecret,
+  normalizeScopes,
+  getTokenScopes,
+  matchTokenSecret,
+  issueTokenSecret,
+  rotateTokenSecret,
+  hashLegacySecret,
+  hashLegacySecrets,
+  serializeApiToken,
+};
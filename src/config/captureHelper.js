@@ -0,0 +1,74 @@
+const PaymentCapture = require("../models/paymentCapture.model");
+const { runInTransaction } = require("./sessionHelper");
+
+/**
+ * Exactly-once payment capture
+ *
+ * Every flow that credits a merchant for a gateway payment runs its work
+ * through capturePayment. The payment is first claimed in PaymentCapture,
+ * whose unique (gateway, gatewayPaymentId) key turns a replayed callback,
+ * a second verify call or a webhook racing the redirect into a no-op. The
+ * claim and the work commit in one MongoDB transaction; if the work decides
+ * not to credit (returns null) or fails, the claim is dropped with it so a
+ * later callback can still capture the payment.
+ */
+
+const isDuplicateCapture = (err) => err?.code === 11000 && Boolean(err.keyPattern?.gatewayPaymentId || /gatewayPaymentId/.test(err.message));
+
+// Thrown inside the transaction to roll the claim back when work credits nothing
+const NOT_CAPTURED = Symbol("notCaptured");
+
+/**
+ * Claim a gateway payment and run work(session, capture) to credit it.
+ * capture: { gateway, gatewayPaymentId, flow, merchantId, referenceId, amount (paise) }.
+ * Returns the result of work, or null when the payment was already captured
+ * or work returned null.
+ */
+const capturePayment = async ({ gateway, gatewayPaymentId, flow, merchantId = null, referenceId = null, amount }, work) => {
+  const claim = {
+    gateway: gateway || "unknown",
+    gatewayPaymentId: String(gatewayPaymentId),
+    flow,
+    merchantId,
+    referenceId: referenceId ? String(referenceId) : null,
+    amount,
+  };
+
+  try {
+    return await runInTransaction(async (session) => {
+      const [capture] = await PaymentCapture.create([claim], { session });
+
+      let result;
+      try {
+        result = await work(session, capture);
+      } catch (err) {
+        if (!session) await PaymentCapture.deleteOne({ _id: capture._id });
+        throw err;
+      }
+
+      if (result === null || result === undefined) {
+        if (session) throw NOT_CAPTURED;
+        await PaymentCapture.deleteOne({ _id: capture._id });
+        return null;
+      }
+
+      await PaymentCapture.updateOne(
+        { _id: capture._id },
+        { $set: { status: "captured", capturedAt: new Date() } },
+        { session }
+      );
+      return result;
+    });
+  } catch (err) {
+    if (err === NOT_CAPTURED) return null;
+    if (isDuplicateCapture(err)) {
+      console.warn(`[Capture] ${claim.gateway} payment ${claim.gatewayPaymentId} already captured - skipped`);
+      return null;
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  capturePayment,
+};
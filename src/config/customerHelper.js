@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const Customer = require("../models/customer.model");
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const CONTACT_PATTERN = /^\+?[0-9]{8,15}$/;
+
+const businessError = (message, field, statusCode = 400, code = "BAD_REQUEST_ERROR") => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.field = field;
+  return error;
+};
+
+const toUnix = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+const generateCustomerId = () => "cust_" + crypto.randomBytes(10).toString("hex");
+
+/**
+ * Serialize a Customer into the public API "customer" entity
+ */
+const serializeCustomer = (customer) => ({
+  id: customer.customerId,
+  entity: "customer",
+  name: customer.name,
+  email: customer.email || null,
+  contact: customer.contact || null,
+  gstin: customer.gstin || null,
+  notes: customer.notes || {},
+  created_at: toUnix(customer.createdAt),
+});
+
+/**
+ * Validate customer fields from an API request (partial = PATCH)
+ */
+const validateCustomerInput = ({ name, email, contact }, { partial = false } = {}) => {
+  if ((!partial || name !== undefined) && (!name || typeof name !== "string")) {
+    throw businessError("name is required", "name");
+  }
+  if (email !== undefined && email !== null && !EMAIL_PATTERN.test(String(email))) {
+    throw businessError("email is invalid", "email");
+  }
+  if (contact !== undefined && contact !== null && !CONTACT_PATTERN.test(String(contact))) {
+    throw businessError("contact must be 8-15 digits, optionally starting with +", "contact");
+  }
+  if (!partial && !email && !contact) {
+    throw businessError("email or contact is required", "email");
+  }
+};
+
+/**
+ * Create a customer. With failExisting false an existing customer with the
+ * same email or contact is returned instead of an error.
+ * Returns { customer, created }.
+ */
+const createCustomer = async (merchantId, mode, { name, email, contact, gstin, notes }, { failExisting = true } = {}) => {
+  validateCustomerInput({ name, email, contact });
+
+  const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+  const matches = [];
+  if (normalizedEmail) matches.push({ email: normalizedEmail });
+  if (contact) matches.push({ contact: String(contact).trim() });
+
+  const existing = await Customer.findOne({ merchantId, mode, $or: matches });
+  if (existing) {
+    if (failExisting) {
+      throw businessError("Customer already exists for the merchant", normalizedEmail ? "email" : "contact");
+    }
+    return { customer: existing, created: false };
+  }
+
+  const customer = await Customer.create({
+    customerId: generateCustomerId(),
+    merchantId,
+    name,
+    email: normalizedEmail,
+    contact: contact ? String(contact).trim() : null,
+    gstin: gstin || null,
+    notes: notes || {},
+    mode,
+  });
+  return { customer, created: true };
+};
+
+/**
+ * Find the customer referenced by customer_id on an API request.
+ * Throws a 400 business error when it does not belong to the merchant/mode.
+ */
+const resolveCustomer = async (merchantId, mode, customerId) => {
+  if (!customerId) return null;
+
+  const customer = await Customer.findOne({
+    customerId: String(customerId),
+    merchantId,
+    mode: mode === "test" ? "test" : { $ne: "test" },
+  });
+  if (!customer) {
+    throw businessError(`Customer ${customerId} not found`, "customer_id");
+  }
+  return customer;
+};
+
+module.exports = {
+  serializeCustomer,
+  validateCustomerInput,
+  createCustomer,
+  resolveCustomer,
+};
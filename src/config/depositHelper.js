@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const DepositIntent = require("../models/depositIntent.model");
+const Transaction = require("../models/transaction.model");
+const { createGatewayOrder } = require("./gatewayHelper");
+const { creditWallet } = require("./ledgerHelper");
+const { capturePayment } = require("./captureHelper");
+
+/**
+ * Wallet deposits
+ *
+ * /create-order opens a DepositIntent for the authenticated user and the
+ * gateway order behind it. Gateway callbacks look the intent up by its
+ * gateway order id and credit the intent's user with the amount the gateway
+ * captured. Amounts are in paise.
+ */
+
+const generateIntentId = () => "DEP" + Date.now() + crypto.randomBytes(3).toString("hex").toUpperCase();
+
+/**
+ * Create the gateway order for a deposit and the intent that binds it to
+ * the user. Returns { intent, order } where order is the createGatewayOrder
+ * result the checkout needs.
+ */
+const createDepositIntent = async (user, amount) => {
+  const intentId = generateIntentId();
+  const backendUrl = process.env.BACKEND_URL || "http://localhost:5000";
+
+  const order = await createGatewayOrder(amount, {
+    receipt: intentId,
+    txnid: intentId,
+    orderId: `CF_${intentId}`,
+    productinfo: "Wallet Deposit",
+    firstname: user.fullName || "User",
+    email: user.email,
+    phone: user.phone || "",
+    flowType: "deposit",
+    customerId: String(user._id),
+    udf1: String(user._id),
+    surl: `${backendUrl}/api/payment/payu/success`,
+    furl: `${backendUrl}/api/payment/payu/failure`,
+  });
+
+  const intent = await DepositIntent.create({
+    intentId,
+    userId: user._id,
+    amount,
+    gateway: order.gateway,
+    gatewayOrderId: order.gatewayOrderId,
+  });
+
+  return { intent, order };
+};
+
+const findDepositIntent = (gateway, gatewayOrderId) =>
+  gatewayOrderId ? DepositIntent.findOne({ gateway, gatewayOrderId: String(gatewayOrderId) }) : null;
+
+/**
+ * Credit a captured deposit: mark the intent paid, credit the wallet and
+ * create the Completed transaction, once per gateway payment.
+ * amount must come from the gateway, not the client.
+ * Returns the paid intent, or null when it was already settled.
+ */
+const settleDepositIntent = (intent, { gatewayPaymentId, amount, description }) => {
+  if (amount !== intent.amount) {
+    console.warn(`[Deposit] ${intent.intentId} captured ${amount}, expected ${intent.amount} - crediting the captured amount`);
+  }
+
+  return capturePayment({
+    gateway: intent.gateway,
+    gatewayPaymentId,
+    flow: "deposit",
+    merchantId: intent.userId,
+    referenceId: intent.intentId,
+    amount,
+  }, async (session) => {
+    const paid = await DepositIntent.findOneAndUpdate(
+      { _id: intent._id, status: { $ne: "paid" } },
+      { $set: { status: "paid", gatewayPaymentId, paidAmount: amount, paidAt: new Date() } },
+      { new: true, session }
+    );
+    if (!paid) return null;
+
+    await creditWallet(paid.userId, amount, {
+      entryType: "deposit",
+      referenceId: gatewayPaymentId,
+      description,
+      session,
+    });
+
+    await Transaction.create(
+      [{
+        userId: paid.userId,
+        transactionId: gatewayPaymentId,
+        description,
+        type: "Credit",
+        amount,
+        status: "Completed",
+        category: "deposit",
+        referenceId: paid.intentId,
+      }],
+      { session }
+    );
+    return paid;
+  });
+};
+
+/**
+ * Mark an open intent failed (gateway failure callback)
+ */
+const failDepositIntent = (gateway, gatewayOrderId, reason) =>
+  DepositIntent.updateOne(
+    { gateway, gatewayOrderId: String(gatewayOrderId), status: "created" },
+    { $set: { status: "failed", failureReason: reason || "Payment failed" } }
+  );
+
+module.exports = {
+  createDepositIntent,
+  findDepositIntent,
+  settleDepositIntent,
+  failDepositIntent,
+};
@@ -0,0 +1,315 @@
+const Transaction = require("../models/transaction.model");
+const PaymentLink = require("../models/paymentLink.model");
+const Order = require("../models/order.model");
+const Payment = require("../models/payment.model");
+const QRCode = require("../models/qrCode.model");
+const PaymentCapture = require("../models/paymentCapture.model");
+const { getGatewayMeta } = require("./supportedGateways");
+const { findDepositIntent, settleDepositIntent, failDepositIntent } = require("./depositHelper");
+const { markPaymentLinkPaid } = require("./paymentLinkHelper");
+const { captureOrderPayment, failOrderPayment } = require("./orderHelper");
+const { recordQrPayment } = require("./qrHelper");
+const { creditWallet } = require("./ledgerHelper");
+const { capturePayment } = require("./captureHelper");
+const { createRefund, settleGatewayRefund, recordWalletRefund } = require("./refundHelper");
+
+/**
+ * Gateway payment events
+ *
+ * Checkout returns, callbacks and webhooks of every gateway are reduced to
+ * one event shape and credited here, so each flow is settled the same way
+ * whichever gateway took the payment:
+ *
+ *   { type, gatewayOrderId, gatewayPaymentId, amount, flow?, referenceId?,
+ *     gatewayQrId?, payer?, reason?, signature?, refunds? }
+ *
+ * type is "payment.captured", "payment.failed", "payment.refunded",
+ * "qr.closed" or null (not of interest). refunds lists the refunds of a
+ * refunded payment: { gatewayRefundId, refundId?, amount, status, reason? }.
+ * flow ("deposit", "checkout", "qr" or "payment_link") and
+ * referenceId (link, order or QR id) are set when the gateway carried them.
+ * Payment links, API orders and QRs are found by the gateway order (or QR)
+ * their checkout opened; a referenceId, which on some return paths comes
+ * from the customer, only has to agree with it. amount is in paise and must
+ * come from the gateway.
+ */
+
+const gatewayLabel = (gateway) => getGatewayMeta(gateway)?.label || gateway;
+
+// $or over the conditions that have a value (null when none has)
+const anyOf = (...conditions) => {
+  const present = conditions.filter((condition) => Object.values(condition)[0]);
+  return present.length ? { $or: present } : null;
+};
+
+// A target found by its gateway ids must be the one the event names, if it names one
+const matchesReference = (id, referenceId) => !referenceId || id === String(referenceId);
+
+const findOrderByAttempt = async (gateway, gatewayOrderId) => {
+  if (!gatewayOrderId) return null;
+  const attempt = await Payment.findOne({ gateway, gatewayOrderId: String(gatewayOrderId) });
+  return attempt ? Order.findOne({ orderId: attempt.orderId }) : null;
+};
+
+/**
+ * Find what a gateway payment pays for: { flow, intent | paymentLink |
+ * order | qrCode | transaction }, or null
+ */
+const findPaymentTarget = async ({ gateway, flow, referenceId, gatewayOrderId, gatewayQrId }) => {
+  if (flow === "payment_link") {
+    const transaction = referenceId ? await Transaction.findOne({ paymentLinkId: referenceId }) : null;
+    return transaction ? { flow, transaction } : null;
+  }
+
+  if (!flow || flow === "deposit") {
+    const intent = await findDepositIntent(gateway, gatewayOrderId);
+    if (intent) return { flow: "deposit", intent };
+  }
+
+  if ((!flow || flow === "checkout") && gatewayOrderId) {
+    const paymentLink = await PaymentLink.findOne({ razorpayOrderId: String(gatewayOrderId) });
+    if (paymentLink && matchesReference(paymentLink.linkId, referenceId)) {
+      return { flow: "checkout", paymentLink };
+    }
+
+    const order = await findOrderByAttempt(gateway, gatewayOrderId);
+    if (order && matchesReference(order.orderId, referenceId)) return { flow: "checkout", order };
+  }
+
+  if (!flow || flow === "qr") {
+    // Gateway QRs pay their own gateway order (gatewayPaymentLinkId)
+    const qrQuery = anyOf(
+      { gatewayPaymentLinkId: gatewayQrId || gatewayOrderId },
+      { razorpayOrderId: gatewayOrderId }
+    );
+    const qrCode = qrQuery ? await QRCode.findOne(qrQuery) : null;
+    if (qrCode && matchesReference(qrCode.qrId, referenceId)) return { flow: "qr", qrCode };
+  }
+
+  return null;
+};
+
+// Request-money links (Razorpay payment links sent from the dashboard)
+const settleRequestMoneyLink = (transaction, { gateway, gatewayPaymentId, amount }) =>
+  capturePayment({
+    gateway,
+    gatewayPaymentId,
+    flow: "payment_link",
+    merchantId: transaction.userId,
+    referenceId: transaction.transactionId,
+    amount,
+  }, async (session) => {
+    // Conditional so a retried webhook cannot credit twice
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $ne: "Completed" } },
+      { $set: { status: "Completed" } },
+      { new: true, session }
+    );
+    if (!updated) return null;
+
+    await creditWallet(updated.userId, amount, {
+      entryType: "payment",
+      referenceId: updated.transactionId,
+      description: updated.description || `Payment link ${transaction.paymentLinkId} paid`,
+      session,
+    });
+    return updated;
+  });
+
+/**
+ * Amount a link or fixed-amount QR must be paid in full, or 0 for any
+ * amount. Deposits and API orders check their own amounts.
+ */
+const getRequiredAmount = (target) => {
+  if (target.paymentLink) return target.paymentLink.amount;
+  if (target.qrCode && !target.qrCode.isStatic) return target.qrCode.amount || 0;
+  return 0;
+};
+
+/**
+ * Credit a captured gateway payment to the flow it pays for.
+ * Returns { flow, referenceId, recorded } (recorded is null when the
+ * payment was already credited), or null when nothing matches or the
+ * gateway amount does not pay for it.
+ */
+const settleGatewayPayment = async (gateway, event) => {
+  const { gatewayOrderId, gatewayPaymentId, amount, payer, signature } = event;
+  const target = await findPaymentTarget({ gateway, ...event });
+  if (!target) return null;
+
+  const label = gatewayLabel(gateway);
+
+  // Links, orders and QRs are credited what the gateway reports, never a stored figure
+  if (!target.intent && !target.transaction) {
+    const required = getRequiredAmount(target);
+    if (!Number.isInteger(amount) || amount <= 0 || amount < required) {
+      console.warn(`[Payment] ${label} payment ${gatewayPaymentId} of ${amount} paise does not pay for its ${target.flow} (needs ${required || "an amount"})`);
+      return null;
+    }
+  }
+
+  if (target.intent) {
+    const recorded = await settleDepositIntent(target.intent, {
+      gatewayPaymentId,
+      amount,
+      description: `Wallet Deposit via ${label}`,
+    });
+    return { flow: target.flow, referenceId: target.intent.intentId, recorded };
+  }
+
+  if (target.paymentLink) {
+    const recorded = await markPaymentLinkPaid(target.paymentLink, {
+      paymentId: gatewayPaymentId,
+      gateway,
+      amount,
+      description: `Payment from ${target.paymentLink.customerName} via ${label}`,
+    });
+    return { flow: target.flow, referenceId: target.paymentLink.linkId, recorded };
+  }
+
+  if (target.order) {
+    const recorded = await captureOrderPayment(target.order, {
+      paymentId: gatewayPaymentId,
+      gateway,
+      gatewayOrderId,
+      amount,
+      signature,
+    });
+    return { flow: target.flow, referenceId: target.order.orderId, recorded };
+  }
+
+  if (target.qrCode) {
+    const { qrCode } = target;
+    // A dynamic QR takes one payment
+    if (!qrCode.isStatic && qrCode.status === "paid") {
+      return { flow: target.flow, referenceId: qrCode.qrId, recorded: null };
+    }
+
+    const payerName = payer?.name || "Customer";
+    const recorded = await recordQrPayment(qrCode, {
+      paymentId: gatewayPaymentId,
+      amount,
+      gateway,
+      payer: payer || null,
+      description: `QR Payment from ${payerName} via ${label}`,
+    });
+    return { flow: target.flow, referenceId: qrCode.qrId, recorded };
+  }
+
+  const recorded = target.transaction.status === "Completed"
+    ? null
+    : await settleRequestMoneyLink(target.transaction, { gateway, gatewayPaymentId, amount });
+  return { flow: target.flow, referenceId: target.transaction.transactionId, recorded };
+};
+
+/**
+ * Record a failed gateway payment: the deposit intent fails and API orders
+ * get a failed attempt (and their payment.failed webhook). Payment links
+ * and QRs stay open for another try.
+ * Returns { flow, referenceId }, or null when nothing matches.
+ */
+const failGatewayPayment = async (gateway, { gatewayOrderId, gatewayPaymentId, reason, ...event }) => {
+  const target = await findPaymentTarget({ gateway, gatewayOrderId, ...event });
+  if (!target) return null;
+
+  if (target.intent) {
+    await failDepositIntent(gateway, gatewayOrderId, reason);
+    return { flow: target.flow, referenceId: target.intent.intentId };
+  }
+
+  if (target.order) {
+    await failOrderPayment(target.order, {
+      paymentId: gatewayPaymentId || null,
+      gateway,
+      gatewayOrderId,
+      reason,
+    });
+    return { flow: target.flow, referenceId: target.order.orderId };
+  }
+
+  const referenceId = target.paymentLink?.linkId || target.qrCode?.qrId || target.transaction?.transactionId;
+  return { flow: target.flow, referenceId };
+};
+
+/**
+ * Record the refunds of a gateway payment. Refunds created here are
+ * settled; refunds made on the gateway itself are booked against what the
+ * payment paid for: an API order gets a Refund, other flows a wallet debit.
+ * Returns a webhook status.
+ */
+const refundGatewayPayment = async (gateway, { gatewayPaymentId, refunds = [] }) => {
+  let capture;
+  let recorded = 0;
+
+  for (const gatewayRefund of refunds) {
+    const known = await settleGatewayRefund(gateway, gatewayRefund);
+    if (known) {
+      recorded += 1;
+      continue;
+    }
+    // Pending and failed refunds made elsewhere moved no money here
+    if (gatewayRefund.status !== "processed") continue;
+
+    capture = capture || (await PaymentCapture.findOne({ gateway, gatewayPaymentId: String(gatewayPaymentId) }));
+    if (!capture) return "not_found";
+
+    try {
+      if (capture.flow === "order") {
+        const order = await Order.findOne({ orderId: capture.referenceId, merchantId: capture.merchantId });
+        if (!order) return "not_found";
+        await createRefund(order, {
+          amount: gatewayRefund.amount,
+          paymentId: String(gatewayPaymentId),
+          notes: { source: gateway },
+          gatewayRefundId: gatewayRefund.gatewayRefundId,
+        });
+      } else if (!(await recordWalletRefund(capture, gatewayRefund))) {
+        continue;
+      }
+      recorded += 1;
+    } catch (err) {
+      // Already recorded by a concurrent delivery
+      if (err?.code === 11000) continue;
+      // The money has left the gateway: fail the webhook so it is retried
+      throw new Error(`${gatewayLabel(gateway)} refund ${gatewayRefund.gatewayRefundId} not recorded: ${err.message}`);
+    }
+  }
+
+  return recorded ? "ok" : "already_processed";
+};
+
+/**
+ * Apply a parsed gateway webhook event. Returns a short status for the
+ * webhook response.
+ */
+const applyGatewayEvent = async (gateway, event) => {
+  if (event.type === "payment.captured") {
+    const settled = await settleGatewayPayment(gateway, event);
+    if (!settled) return "not_found";
+    return settled.recorded ? "ok" : "already_processed";
+  }
+
+  if (event.type === "payment.failed") {
+    const failed = await failGatewayPayment(gateway, event);
+    return failed ? "ok" : "not_found";
+  }
+
+  if (event.type === "payment.refunded") {
+    return refundGatewayPayment(gateway, event);
+  }
+
+  if (event.type === "qr.closed") {
+    if (event.referenceId) {
+      await QRCode.updateOne({ qrId: event.referenceId, status: "active" }, { status: "expired" });
+    }
+    return "ok";
+  }
+
+  return "ignored";
+};
+
+module.exports = {
+  settleGatewayPayment,
+  failGatewayPayment,
+  applyGatewayEvent,
+};
@@ -1,215 +1,92 @@
-const Razorpay = require("razorpay");
-const crypto = require("crypto");
 const GatewaySettings = require("../models/gatewaySettings.model");
+const {
+  SUPPORTED_GATEWAY_IDS,
+  getGatewayMeta,
+  getGatewayAdapter,
+  hasRequiredExtraCredentials,
+} = require("./supportedGateways");
 
-const CASHFREE_API_VERSION = "2023-08-01";
-
-const getCashfreeBaseUrl = (isTestMode) =>
-  isTestMode ? "https://sandbox.cashfree.com/pg" : "https://api.cashfree.com/pg";
-
-const cashfreeRequest = async (path, settings, options = {}) => {
-  const baseUrl = getCashfreeBaseUrl(settings.isTestMode);
-  const response = await fetch(`${baseUrl}${path}`, {
-    method: options.method || "GET",
-    headers: {
-      "Content-Type": "application/json",
-      "x-client-id": settings.keyId,
-      "x-client-secret": settings.keySecret,
-      "x-api-version": CASHFREE_API_VERSION,
-      "x-request-id": options.requestId || `req_${Date.now()}`,
-      ...(options.headers || {}),
-    },
-    body: options.body ? JSON.stringify(options.body) : undefined,
-  });
-
-  const data = await response.json().catch(() => ({}));
-  if (!response.ok) {
-    const message =
-      data?.message || data?.error_description || `Cashfree API error (${response.status})`;
-    throw new Error(message);
-  }
-
-  return data;
-};
-
-const createCashfreeOrder = async (settings, amountInRupees, metadata = {}) => {
-  const orderId = metadata.orderId || `CF_${Date.now()}`;
-  const returnBase = process.env.FRONTEND_URL || "http://localhost:5173";
-
-  const returnParams = new URLSearchParams({
-    flow: metadata.flowType || "deposit",
-    cf_order_id: orderId,
-  });
-
-  if (metadata.linkId) returnParams.set("linkId", metadata.linkId);
-  if (metadata.qrId) returnParams.set("qrId", metadata.qrId);
-
-  const payload = {
-    order_id: orderId,
-    order_amount: Number(amountInRupees),
-    order_currency: "INR",
-    customer_details: {
-      customer_id: metadata.customerId || metadata.udf1 || "customer_001",
-      customer_name: metadata.firstname || "Customer",
-      customer_email: metadata.email || "customer@example.com",
-      customer_phone: metadata.phone || "9999999999",
-    },
-    order_meta: {
-      return_url: `${returnBase}/payment/success?${returnParams.toString()}`,
-    },
-    order_note: metadata.productinfo || "Payment",
-  };
-
-  const created = await cashfreeRequest("/orders", settings, {
-    method: "POST",
-    body: payload,
-    requestId: `create_${orderId}`,
-  });
+/**
+ * Payment gateway calls
+ *
+ * Every call is dispatched to the gateway's adapter (supportedGateways.js,
+ * ./gateways), so flows never branch on the gateway themselves. Amounts
+ * are in paise.
+ */
 
-  return {
-    orderId: created.order_id,
-    paymentSessionId: created.payment_session_id,
-  };
+// What each adapter operation is called in "not supported" errors
+const OPERATION_NAMES = {
+  createOrder: "Payments",
+  verifyReturn: "Checkout returns",
+  fetchStatus: "Payment status checks",
+  refund: "Refunds",
+  createQr: "Gateway QR codes",
+  parseWebhook: "Webhooks",
 };
 
-const fetchCashfreeOrder = async (settings, orderId) =>
-  cashfreeRequest(`/orders/${orderId}`, settings, {
-    method: "GET",
-    requestId: `fetch_${orderId}`,
-  });
-
-const createOrderForSettings = async (settings, amountInRupees, metadata = {}) => {
-  if (settings.gateway === "razorpay") {
-    const rzp = new Razorpay({
-      key_id: settings.keyId,
-      key_secret: settings.keySecret,
-    });
-
-    try {
-      const order = await rzp.orders.create({
-        amount: Number(amountInRupees) * 100,
-        currency: "INR",
-        receipt: metadata.receipt || "receipt_" + Date.now(),
-        notes: metadata.notes || {},
-      });
-
-      return {
-        gateway: "razorpay",
-        key: settings.keyId,
-        order,
-        isTestMode: settings.isTestMode,
-      };
-    } catch (err) {
-      const msg = err.message || (err.error && err.error.description) || "Razorpay order creation failed";
-      const error = new Error(msg);
-      error.statusCode = err.statusCode || 500;
-      throw error;
-    }
-  }
-
-  if (settings.gateway === "payu") {
-    const txnid = metadata.txnid || "TXN" + Date.now() + Math.random().toString(36).substring(2, 6).toUpperCase();
-    const isPayUQrFlow = metadata.flowType === "qr";
-
-    const payuParams = {
-      key: settings.keyId,
-      txnid,
-      amount: Number(amountInRupees).toFixed(2),
-      productinfo: metadata.productinfo || "Payment",
-      firstname: metadata.firstname || "Customer",
-      email: metadata.email || "customer@example.com",
-      phone: metadata.phone || "",
-      surl: metadata.surl || `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/payu/success`,
-      furl: metadata.furl || `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/payu/failure`,
-      udf1: metadata.udf1 || "",
-      udf2: metadata.udf2 || "",
-      udf3: metadata.udf3 || "",
-      udf4: metadata.udf4 || "",
-      udf5: metadata.udf5 || "",
-      ...(isPayUQrFlow
-        ? {
-          pg: metadata.pg || "DBQR",
-          bankcode: metadata.bankcode || "UPIDBQR",
-          txn_s2s_flow: String(metadata.txn_s2s_flow || 4),
-          s2s_client_ip: metadata.s2s_client_ip || "127.0.0.1",
-          s2s_device_info: metadata.s2s_device_info || "Mozilla/5.0",
-          expiry_time: String(metadata.expiry_time || process.env.PAYU_QR_EXPIRY_MINUTES || 30),
-        }
-        : {}),
-    };
-
-    const hash = generatePayUHash(payuParams, settings.keySecret);
-
-    return {
-      gateway: "payu",
-      key: settings.keyId,
-      isTestMode: settings.isTestMode,
-      payuData: {
-        ...payuParams,
-        hash,
-        payuUrl: settings.isTestMode
-          ? "https://test.payu.in/_payment"
-          : "https://secure.payu.in/_payment",
-      },
-    };
+/**
+ * The adapter for the settings' gateway; throws when the gateway has no
+ * adapter or the adapter does not implement the operation
+ */
+const getAdapterFor = (settings, operation) => {
+  const label = settings.label || getGatewayMeta(settings.gateway)?.label || settings.gateway;
+  const adapter = getGatewayAdapter(settings.gateway);
+  // Nothing reached the gateway, so these count as refusals (isGatewayRejection)
+  if (!adapter) {
+    const error = new Error(`${label} is not integrated yet. Please choose another gateway in admin settings.`);
+    error.rejected = true;
+    throw error;
   }
-
-  if (settings.gateway === "cashfree") {
-    const cashfreeOrder = await createCashfreeOrder(settings, amountInRupees, {
-      ...metadata,
-      orderId: metadata.orderId || `CF_${Date.now()}`,
-      customerId: metadata.customerId || metadata.udf1,
-    });
-
-    return {
-      gateway: "cashfree",
-      key: settings.keyId,
-      isTestMode: settings.isTestMode,
-      cashfreeData: {
-        orderId: cashfreeOrder.orderId,
-        paymentSessionId: cashfreeOrder.paymentSessionId,
-        mode: settings.isTestMode ? "sandbox" : "production",
-      },
-    };
+  if (typeof adapter[operation] !== "function") {
+    const error = new Error(`${OPERATION_NAMES[operation]} are not supported for ${label}.`);
+    error.rejected = true;
+    throw error;
   }
-
-  return null;
+  return adapter;
 };
 
-const getFallbackProcessorSettings = async (excludeGateway) => {
-  const candidates = await GatewaySettings.find({
-    gateway: { $in: ["cashfree", "razorpay", "payu"], $ne: excludeGateway },
-    isEnabled: true,
-    keyId: { $ne: "" },
-    keySecret: { $ne: "" },
-  });
-
-  if (!candidates.length) return null;
+// 4xx answers that do not mean the gateway refused the request
+const INCONCLUSIVE_STATUSES = [408, 409, 425, 429];
 
-  const order = ["cashfree", "razorpay", "payu"];
-  const sorted = candidates.sort(
-    (left, right) => order.indexOf(left.gateway) - order.indexOf(right.gateway)
-  );
+/**
+ * Whether an adapter error means the gateway refused the request, rather
+ * than a network error, timeout or gateway fault that leaves the outcome
+ * unknown. Adapters set error.rejected, or error.status to the HTTP status.
+ */
+const isGatewayRejection = (err) => {
+  if (typeof err?.rejected === "boolean") return err.rejected;
+  const status = Number(err?.status);
+  return status >= 400 && status < 500 && !INCONCLUSIVE_STATUSES.includes(status);
+};
 
+/**
+ * Razorpay settings from RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET, or null
+ */
+const getEnvRazorpaySettings = () => {
+  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) return null;
   return {
-    gateway: sorted[0].gateway,
-    label: sorted[0].label,
-    keyId: sorted[0].keyId,
-    keySecret: sorted[0].keySecret,
-    isTestMode: sorted[0].isTestMode,
+    gateway: "razorpay",
+    label: "Razorpay",
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    extra: {},
+    isTestMode: false,
+    checkoutMode: "native",
+    checkoutUrl: "",
+    docsUrl: "https://razorpay.com/docs/api/",
   };
 };
 
 /**
  * Get the currently active gateway settings from DB
- * Returns { gateway, label, keyId, keySecret, isTestMode }
+ * Returns { gateway, label, keyId, keySecret, extra, isTestMode }
  */
 const getActiveGatewaySettings = async () => {
   const active = await GatewaySettings.findOne({ isActive: true, isEnabled: true });
   if (!active) {
     throw new Error("No active payment gateway configured. Please configure one in admin settings.");
   }
-  if (!active.keyId || !active.keySecret) {
+  if (!active.keyId || !active.keySecret || !hasRequiredExtraCredentials(active.gateway, active.extraCredentials)) {
     throw new Error(`${active.label} gateway credentials are not configured.`);
   }
   return {
@@ -217,6 +94,7 @@ const getActiveGatewaySettings = async () => {
     label: active.label,
     keyId: active.keyId,
     keySecret: active.keySecret,
+    extra: active.extraCredentials || {},
     isTestMode: active.isTestMode,
     checkoutMode: active.checkoutMode || "redirect",
     checkoutUrl: active.checkoutUrl || "",
@@ -225,113 +103,174 @@ const getActiveGatewaySettings = async () => {
 };
 
 /**
- * Get a Razorpay instance using the active gateway's credentials from DB
- * Falls back to env variables if no active gateway is configured
+ * Get enabled gateway settings for a specific gateway (not necessarily the active one)
+ * Used for follow-up calls on payments a gateway already captured (refunds, status checks)
  */
-const getRazorpayInstance = async () => {
-  try {
-    const settings = await getActiveGatewaySettings();
-    if (settings.gateway !== "razorpay") {
-      // If PayU is active, return settings but no Razorpay instance
-      return { instance: null, settings };
+const getGatewaySettingsById = async (gateway) => {
+  const doc = await GatewaySettings.findOne({ gateway, isEnabled: true });
+  if (doc?.keyId && doc?.keySecret && hasRequiredExtraCredentials(gateway, doc.extraCredentials)) {
+    return {
+      gateway: doc.gateway,
+      label: doc.label,
+      keyId: doc.keyId,
+      keySecret: doc.keySecret,
+      extra: doc.extraCredentials || {},
+      isTestMode: doc.isTestMode,
+    };
+  }
+
+  const envSettings = gateway === "razorpay" ? getEnvRazorpaySettings() : null;
+  if (envSettings) return envSettings;
+
+  throw new Error(`${gateway} credentials are not configured.`);
+};
+
+/**
+ * Settings to verify a checkout return with: the gateway the checkout names
+ * when it is configured, else the active gateway (env Razorpay credentials
+ * when none is active)
+ */
+const resolveGatewaySettings = async (gatewayHint) => {
+  if (gatewayHint) {
+    try {
+      return await getGatewaySettingsById(gatewayHint);
+    } catch {
+      // Fall back to the active gateway
     }
-    const instance = new Razorpay({
-      key_id: settings.keyId,
-      key_secret: settings.keySecret,
-    });
-    return { instance, settings };
+  }
+
+  try {
+    return await getActiveGatewaySettings();
   } catch (error) {
-    // Fallback to env variables
+    const envSettings = getEnvRazorpaySettings();
+    if (!envSettings) throw error;
     console.warn("Falling back to env Razorpay credentials:", error.message);
-    const instance = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID,
-      key_secret: process.env.RAZORPAY_KEY_SECRET,
-    });
-    return {
-      instance,
-      settings: {
-        gateway: "razorpay",
-        label: "Razorpay",
-        keyId: process.env.RAZORPAY_KEY_ID,
-        keySecret: process.env.RAZORPAY_KEY_SECRET,
-        isTestMode: false,
-      },
-    };
+    return envSettings;
   }
 };
 
 /**
- * Generate PayU hash for payment initiation
+ * Gateway that captured a payment, inferred from the payment id format.
+ * Used for older orders that did not store their gateway.
  */
-const generatePayUHash = (params, salt) => {
-  // PayU hash formula: sha512(key|txnid|amount|productinfo|firstname|email|udf1|udf2|udf3|udf4|udf5||||||salt)
-  const hashString = `${params.key}|${params.txnid}|${params.amount}|${params.productinfo}|${params.firstname}|${params.email}|${params.udf1 || ""}|${params.udf2 || ""}|${params.udf3 || ""}|${params.udf4 || ""}|${params.udf5 || ""}||||||${salt}`;
-  return crypto.createHash("sha512").update(hashString).digest("hex");
+const inferGatewayFromPaymentId = (paymentId = "") => {
+  const match = SUPPORTED_GATEWAY_IDS.find((gateway) =>
+    getGatewayAdapter(gateway)?.paymentIdPattern?.test(paymentId)
+  );
+  return match || null;
 };
 
 /**
- * Verify PayU response hash
+ * Create a gateway order with the given settings
+ * Returns the adapter's checkout data, always with gateway and gatewayOrderId
+ */
+const createOrderForSettings = (settings, amount, metadata = {}) =>
+  getAdapterFor(settings, "createOrder").createOrder(settings, amount, metadata);
+
+/**
+ * Verify what a checkout returned (signature, hash or a status lookup)
+ * Returns { verified, status, gatewayOrderId, gatewayPaymentId, amount, ... };
+ * amount is null when the return does not carry one (use fetchGatewayPaymentStatus)
+ */
+const verifyGatewayReturn = (settings, payload) =>
+  getAdapterFor(settings, "verifyReturn").verifyReturn(settings, payload);
+
+/**
+ * Fetch a payment from the gateway that processed it
+ * Returns { status, amount (paise), gatewayOrderId } where status is "captured", "pending" or "failed"
+ *
+ * Cashfree payments are identified by their Cashfree order id, PayU payments by mihpayid.
+ */
+const fetchGatewayPaymentStatus = (settings, { paymentId }) =>
+  getAdapterFor(settings, "fetchStatus").fetchStatus(settings, { paymentId });
+
+/**
+ * Refund a captured payment on the gateway that captured it
+ * Returns { gatewayRefundId, status } where status is "processed", "pending" or "failed"
  */
-const verifyPayUHash = (params, salt) => {
-  // Reverse hash: sha512(salt|status||||||udf5|udf4|udf3|udf2|udf1|email|firstname|productinfo|amount|txnid|key)
-  const hashString = `${salt}|${params.status}||||||${params.udf5 || ""}|${params.udf4 || ""}|${params.udf3 || ""}|${params.udf2 || ""}|${params.udf1 || ""}|${params.email}|${params.firstname}|${params.productinfo}|${params.amount}|${params.txnid}|${params.key}`;
-  return crypto.createHash("sha512").update(hashString).digest("hex");
+const createGatewayRefund = (settings, refund) =>
+  getAdapterFor(settings, "refund").refund(settings, refund);
+
+/**
+ * Fetch the current status of a pending gateway refund
+ * Returns "processed", "pending" or "failed". Gateways without a status
+ * lookup settle refunds when they accept them, so a refund still pending
+ * there is one whose request went unanswered and stays "pending".
+ */
+const fetchGatewayRefundStatus = async (settings, refund) => {
+  const adapter = getAdapterFor(settings, "refund");
+  return adapter.fetchRefundStatus ? adapter.fetchRefundStatus(settings, refund) : "pending";
+};
+
+/**
+ * Create the QR on the gateway so scanning opens a UPI app directly
+ * Returns { gatewayQrImageUrl, gatewayPaymentUrl, gatewayPaymentLinkId } or null
+ */
+const createGatewayQr = (settings, qrCode) =>
+  getAdapterFor(settings, "createQr").createQr(settings, qrCode);
+
+/**
+ * Close a QR on its gateway so it stops accepting payments (best effort)
+ */
+const closeGatewayQr = async (qrCode) => {
+  const adapter = getGatewayAdapter(qrCode.gateway);
+  if (!adapter?.closeQr || !qrCode.gatewayPaymentLinkId) return;
+
+  try {
+    const settings = await getGatewaySettingsById(qrCode.gateway);
+    await adapter.closeQr(settings, qrCode);
+  } catch (err) {
+    console.warn(`[QR Close] ${qrCode.gateway} QR close error:`, err.message);
+  }
+};
+
+/**
+ * Verify and read a webhook the gateway sent
+ * Returns the gateway event (gatewayEventHelper); errors with statusCode 400
+ * for an invalid signature
+ */
+const parseGatewayWebhook = async (gateway, request) => {
+  const settings = await getGatewaySettingsById(gateway);
+  return getAdapterFor(settings, "parseWebhook").parseWebhook(settings, request);
 };
 
 /**
  * Create a payment using the active gateway
  * Returns gateway-specific data for frontend to handle
  * Falls back to env Razorpay credentials if no active gateway is configured
+ * The amount is in paise.
  */
-const createGatewayOrder = async (amountInRupees, metadata = {}) => {
+const createGatewayOrder = async (amount, metadata = {}) => {
   let settings;
   try {
     settings = await getActiveGatewaySettings();
   } catch (error) {
     // Fallback to env Razorpay credentials
     console.warn("No active gateway configured, falling back to env Razorpay credentials:", error.message);
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    settings = getEnvRazorpaySettings();
+    if (!settings) {
       throw new Error("No payment gateway configured. Please configure one in admin settings or set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET environment variables.");
     }
-    settings = {
-      gateway: "razorpay",
-      label: "Razorpay",
-      keyId: process.env.RAZORPAY_KEY_ID,
-      keySecret: process.env.RAZORPAY_KEY_SECRET,
-      isTestMode: false,
-      checkoutMode: "native",
-      checkoutUrl: "",
-      docsUrl: "https://razorpay.com/docs/api/",
-    };
   }
 
-  // Try with active gateway settings first
+  // Unintegrated gateways fail before any call is made
+  getAdapterFor(settings, "createOrder");
+
   try {
-    const directOrder = await createOrderForSettings(settings, amountInRupees, metadata);
-    if (directOrder) {
-      return directOrder;
-    }
+    return await createOrderForSettings(settings, amount, metadata);
   } catch (primaryErr) {
     console.warn(`[createGatewayOrder] Primary gateway (${settings.gateway}) failed:`, primaryErr.message);
 
     // If Razorpay auth failed, try .env credentials as fallback (ONLY for Razorpay)
+    const envSettings = getEnvRazorpaySettings();
     if (
       settings.gateway === "razorpay" &&
-      process.env.RAZORPAY_KEY_ID &&
-      process.env.RAZORPAY_KEY_SECRET &&
-      (process.env.RAZORPAY_KEY_ID !== settings.keyId || process.env.RAZORPAY_KEY_SECRET !== settings.keySecret)
+      envSettings &&
+      (envSettings.keyId !== settings.keyId || envSettings.keySecret !== settings.keySecret)
     ) {
       console.log("[createGatewayOrder] Retrying Razorpay with .env credentials...");
       try {
-        const envSettings = {
-          gateway: "razorpay",
-          label: "Razorpay",
-          keyId: process.env.RAZORPAY_KEY_ID,
-          keySecret: process.env.RAZORPAY_KEY_SECRET,
-          isTestMode: false,
-        };
-        const envOrder = await createOrderForSettings(envSettings, amountInRupees, metadata);
-        if (envOrder) return envOrder;
+        return await createOrderForSettings(envSettings, amount, metadata);
       } catch (envErr) {
         console.warn("[createGatewayOrder] .env Razorpay fallback also failed:", envErr.message);
       }
@@ -344,18 +283,20 @@ const createGatewayOrder = async (amountInRupees, metadata = {}) => {
       `Payment failed: ${settings.label || settings.gateway} order creation failed. Please verify your ${settings.label || settings.gateway} credentials in Admin > Payment Gateway Settings. Error: ${primaryErr.message}`
     );
   }
-
-  // This should not be reached normally — but handle edge case where createOrderForSettings returns null
-  throw new Error(
-    `${settings.label || settings.gateway} did not return a valid order. Please check gateway configuration.`
-  );
 };
 
 module.exports = {
   getActiveGatewaySettings,
-  getRazorpayInstance,
-  generatePayUHash,
-  verifyPayUHash,
+  getGatewaySettingsById,
+  resolveGatewaySettings,
+  inferGatewayFromPaymentId,
   createGatewayOrder,
-  fetchCashfreeOrder,
+  verifyGatewayReturn,
+  fetchGatewayPaymentStatus,
+  createGatewayRefund,
+  fetchGatewayRefundStatus,
+  isGatewayRejection,
+  createGatewayQr,
+  closeGatewayQr,
+  parseGatewayWebhook,
 };
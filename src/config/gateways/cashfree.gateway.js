@@ -0,0 +1,259 @@
+const crypto = require("crypto");
+const { toPaise, toRupees } = require("../moneyHelper");
+
+/**
+ * Cashfree adapter
+ *
+ * Orders open Cashfree's hosted checkout with a payment session id and
+ * return to the frontend's /payment/success page, which posts the order id
+ * back to /api/payment/cashfree/verify-return. Payments are identified by
+ * their Cashfree order id. Cashfree takes amounts in rupees.
+ */
+
+const CASHFREE_API_VERSION = "2023-08-01";
+
+const getCashfreeBaseUrl = (isTestMode) =>
+  isTestMode ? "https://sandbox.cashfree.com/pg" : "https://api.cashfree.com/pg";
+
+const cashfreeRequest = async (path, settings, options = {}) => {
+  const baseUrl = getCashfreeBaseUrl(settings.isTestMode);
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: options.method || "GET",
+    headers: {
+      "Content-Type": "application/json",
+      "x-client-id": settings.keyId,
+      "x-client-secret": settings.keySecret,
+      "x-api-version": CASHFREE_API_VERSION,
+      "x-request-id": options.requestId || `req_${Date.now()}`,
+      ...(options.headers || {}),
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message =
+      data?.message || data?.error_description || `Cashfree API error (${response.status})`;
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+const fetchCashfreeOrder = async (settings, orderId) =>
+  cashfreeRequest(`/orders/${orderId}`, settings, {
+    method: "GET",
+    requestId: `fetch_${orderId}`,
+  });
+
+const toPaymentStatus = (orderStatus) =>
+  orderStatus === "PAID" ? "captured" : ["EXPIRED", "TERMINATED"].includes(orderStatus) ? "failed" : "pending";
+
+const toRefundStatus = (refundStatus) =>
+  refundStatus === "SUCCESS" ? "processed" : refundStatus === "CANCELLED" ? "failed" : "pending";
+
+const createOrder = async (settings, amount, metadata = {}) => {
+  const orderId = metadata.orderId || `CF_${Date.now()}`;
+  const returnBase = process.env.FRONTEND_URL || "http://localhost:5173";
+
+  const returnParams = new URLSearchParams({
+    flow: metadata.flowType || "deposit",
+    cf_order_id: orderId,
+  });
+
+  if (metadata.linkId) returnParams.set("linkId", metadata.linkId);
+  if (metadata.qrId) returnParams.set("qrId", metadata.qrId);
+
+  const created = await cashfreeRequest("/orders", settings, {
+    method: "POST",
+    body: {
+      order_id: orderId,
+      order_amount: toRupees(amount),
+      order_currency: "INR",
+      customer_details: {
+        customer_id: metadata.customerId || metadata.udf1 || "customer_001",
+        customer_name: metadata.firstname || "Customer",
+        customer_email: metadata.email || "customer@example.com",
+        customer_phone: metadata.phone || "9999999999",
+      },
+      order_meta: {
+        return_url: `${returnBase}/payment/success?${returnParams.toString()}`,
+      },
+      order_note: metadata.productinfo || "Payment",
+    },
+    requestId: `create_${orderId}`,
+  });
+
+  return {
+    gateway: "cashfree",
+    key: settings.keyId,
+    isTestMode: settings.isTestMode,
+    gatewayOrderId: created.order_id,
+    cashfreeData: {
+      orderId: created.order_id,
+      paymentSessionId: created.payment_session_id,
+      mode: settings.isTestMode ? "sandbox" : "production",
+    },
+  };
+};
+
+/**
+ * Return from hosted checkout: { orderId }. The return URL is not signed,
+ * so the order is fetched from Cashfree for its status and amount.
+ */
+const verifyReturn = async (settings, { orderId }) => {
+  const order = await fetchCashfreeOrder(settings, orderId);
+  return {
+    verified: true,
+    status: toPaymentStatus(order.order_status),
+    gatewayStatus: order.order_status,
+    gatewayOrderId: order.order_id,
+    gatewayPaymentId: order.order_id,
+    amount: toPaise(order.order_amount || 0),
+  };
+};
+
+const fetchStatus = async (settings, { paymentId }) => {
+  const order = await fetchCashfreeOrder(settings, paymentId);
+  return {
+    status: toPaymentStatus(order.order_status),
+    amount: toPaise(order.order_amount || 0),
+    gatewayOrderId: order.order_id,
+  };
+};
+
+const refund = async (settings, { paymentId, amount, refundId, notes = {} }) => {
+  const created = await cashfreeRequest(`/orders/${paymentId}/refunds`, settings, {
+    method: "POST",
+    body: {
+      refund_amount: toRupees(amount),
+      refund_id: refundId,
+      refund_note: notes.reason || "Refund",
+    },
+    requestId: `refund_${refundId}`,
+  });
+  return {
+    gatewayRefundId: created.cf_refund_id?.toString() || refundId,
+    status: toRefundStatus(created.refund_status),
+  };
+};
+
+const fetchRefundStatus = async (settings, { paymentId, refundId }) => {
+  const fetched = await cashfreeRequest(`/orders/${paymentId}/refunds/${refundId}`, settings, {
+    method: "GET",
+    requestId: `fetch_refund_${refundId}`,
+  });
+  return toRefundStatus(fetched.refund_status);
+};
+
+/**
+ * UPI payment link (link_id = qrId); Cashfree returns the QR image as
+ * base64 in link_qrcode
+ */
+const createQr = async (settings, qrCode) => {
+  const { qrId, amount, expiresAt } = qrCode;
+
+  let link;
+  try {
+    link = await cashfreeRequest("/links", settings, {
+      method: "POST",
+      body: {
+        link_id: qrId,
+        link_amount: toRupees(amount),
+        link_currency: "INR",
+        link_purpose: qrCode.description || "QR Payment",
+        link_minimum_partial_amount: toRupees(amount),
+        customer_details: {
+          customer_phone: "9999999999",
+          customer_name: "Customer",
+        },
+        link_meta: {
+          upi_intent: true,
+          return_url: `${process.env.FRONTEND_URL || "http://localhost:5173"}/payment/success?qrId=${qrId}`,
+        },
+        link_expiry_time: expiresAt.toISOString(),
+        link_notify: { send_sms: false, send_email: false },
+      },
+      requestId: `link_${qrId}`,
+    });
+  } catch (err) {
+    console.warn("[QR Generate] Cashfree QR API error:", err.message);
+    return null;
+  }
+
+  if (!link.link_qrcode) {
+    console.warn("[QR Generate] Cashfree QR API error:", JSON.stringify(link).substring(0, 300));
+    return null;
+  }
+
+  console.log("[QR Generate] Cashfree QR created:", link.link_id);
+  return {
+    gatewayQrImageUrl: link.link_qrcode,
+    gatewayPaymentUrl: link.link_url || null,
+    gatewayPaymentLinkId: link.cf_link_id?.toString() || link.link_id || null,
+  };
+};
+
+/**
+ * Verify x-webhook-signature (base64 HMAC-SHA256 of timestamp + raw body,
+ * keyed with the client secret) and read payment webhooks. Payments on a
+ * QR payment link carry its link_id (our qrId) in the order tags.
+ */
+const parseWebhook = async (settings, { body, rawBody, headers }) => {
+  const timestamp = headers["x-webhook-timestamp"];
+  const expected = crypto
+    .createHmac("sha256", settings.keySecret)
+    .update(`${timestamp}${rawBody || JSON.stringify(body)}`)
+    .digest("base64");
+
+  if (!timestamp || expected !== headers["x-webhook-signature"]) {
+    const error = new Error("Invalid signature");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const order = body.data?.order || {};
+  const payment = body.data?.payment || {};
+  const linkId = order.order_tags?.link_id;
+  const target = linkId ? { flow: "qr", referenceId: linkId } : {};
+
+  switch (body.type) {
+    case "PAYMENT_SUCCESS_WEBHOOK":
+      return {
+        type: "payment.captured",
+        ...target,
+        gatewayOrderId: order.order_id,
+        gatewayPaymentId: order.order_id,
+        amount: toPaise(payment.payment_amount || order.order_amount || 0),
+        payer: {
+          name: body.data?.customer_details?.customer_name || "Customer",
+          email: body.data?.customer_details?.customer_email || "",
+          phone: body.data?.customer_details?.customer_phone || "",
+        },
+      };
+    case "PAYMENT_FAILED_WEBHOOK":
+    case "PAYMENT_USER_DROPPED_WEBHOOK":
+      return {
+        type: "payment.failed",
+        ...target,
+        gatewayOrderId: order.order_id,
+        gatewayPaymentId: order.order_id,
+        reason: payment.payment_message || "Payment failed at Cashfree",
+      };
+    default:
+      return { type: null };
+  }
+};
+
+module.exports = {
+  paymentIdPattern: /^CF_/,
+  createOrder,
+  verifyReturn,
+  fetchStatus,
+  refund,
+  fetchRefundStatus,
+  createQr,
+  parseWebhook,
+};
@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const { toPaise, toRupeeString } = require("../moneyHelper");
+
+/**
+ * CCAvenue adapter
+ *
+ * Checkout is a form post of encRequest (the order fields, AES-128-CBC
+ * encrypted with the working key) and the access code. CCAvenue posts
+ * encResp, encrypted the same way, to /api/payment/ccavenue/callback;
+ * merchant_param2 carries the link, order or QR id and merchant_param3 the
+ * flow, like PayU's udf2/udf3. Payments are identified by our order id.
+ * CCAvenue takes amounts in rupees.
+ *
+ * keyId is the merchant id, keySecret the working key and extra.accessCode
+ * the access code.
+ */
+
+// CCAvenue's kits use a fixed IV of bytes 0..15 and md5(working key) as the key
+const IV = Buffer.from([...Array(16).keys()]);
+
+const SUCCESS_STATUSES = ["Success", "Successful", "Shipped"];
+const FAILED_STATUSES = ["Failure", "Aborted", "Invalid", "Timeout", "Unsuccessful", "Cancelled"];
+
+const getCheckoutUrl = (isTestMode) =>
+  isTestMode
+    ? "https://test.ccavenue.com/transaction/transaction.do?command=initiateTransaction"
+    : "https://secure.ccavenue.com/transaction/transaction.do?command=initiateTransaction";
+
+const getApiUrl = (isTestMode) =>
+  isTestMode
+    ? "https://apitest.ccavenue.com/apis/servlet/DoWebTrans"
+    : "https://api.ccavenue.com/apis/servlet/DoWebTrans";
+
+const getCredentials = (settings) => {
+  const accessCode = settings.extra?.accessCode;
+  if (!accessCode) {
+    throw new Error("CCAvenue access code is not configured.");
+  }
+  return { workingKey: settings.keySecret, accessCode };
+};
+
+const getKey = (workingKey) => crypto.createHash("md5").update(workingKey).digest();
+
+const encrypt = (plainText, workingKey) => {
+  const cipher = crypto.createCipheriv("aes-128-cbc", getKey(workingKey), IV);
+  return cipher.update(plainText, "utf8", "hex") + cipher.final("hex");
+};
+
+const decrypt = (encText, workingKey) => {
+  const decipher = crypto.createDecipheriv("aes-128-cbc", getKey(workingKey), IV);
+  return decipher.update(encText, "hex", "utf8") + decipher.final("utf8");
+};
+
+const generateOrderId = () =>
+  "CCA" + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString("hex").toUpperCase();
+
+const toPaymentStatus = (orderStatus) =>
+  SUCCESS_STATUSES.includes(orderStatus) ? "captured" : FAILED_STATUSES.includes(orderStatus) ? "failed" : "pending";
+
+const getCallbackUrl = () =>
+  `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/ccavenue/callback`;
+
+/**
+ * Call the server-to-server API (orderStatusTracker, refundOrder). Requests
+ * and responses are JSON encrypted with the working key.
+ */
+const apiRequest = async (settings, command, payload) => {
+  const { workingKey, accessCode } = getCredentials(settings);
+
+  const response = await fetch(getApiUrl(settings.isTestMode), {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      enc_request: encrypt(JSON.stringify(payload), workingKey),
+      access_code: accessCode,
+      command,
+      request_type: "JSON",
+      response_type: "JSON",
+      version: "1.2",
+    }).toString(),
+  });
+
+  const result = new URLSearchParams(await response.text());
+  // On errors enc_response holds the plain error text
+  if (!response.ok || result.get("status") !== "0") {
+    const error = new Error(`CCAvenue ${command} failed: ${result.get("enc_response") || response.status}`);
+    error.status = response.status;
+    // status 1 is CCAvenue refusing the request
+    if (response.ok) error.rejected = true;
+    throw error;
+  }
+  return JSON.parse(decrypt(result.get("enc_response").trim(), workingKey));
+};
+
+const fetchOrder = async (settings, orderId) => {
+  const order = await apiRequest(settings, "orderStatusTracker", { order_no: orderId });
+  if (order.error_desc || order.status === 1) {
+    const error = new Error(order.error_desc || `CCAvenue order ${orderId} not found`);
+    error.rejected = true;
+    throw error;
+  }
+  return order;
+};
+
+const createOrder = async (settings, amount, metadata = {}) => {
+  const { workingKey, accessCode } = getCredentials(settings);
+  const orderId = generateOrderId();
+
+  const fields = new URLSearchParams({
+    merchant_id: settings.keyId,
+    order_id: orderId,
+    currency: "INR",
+    amount: toRupeeString(amount),
+    redirect_url: getCallbackUrl(),
+    cancel_url: getCallbackUrl(),
+    language: "EN",
+    billing_name: metadata.firstname || "Customer",
+    billing_email: metadata.email || "customer@example.com",
+    billing_tel: metadata.phone || "",
+    merchant_param1: metadata.udf1 || metadata.customerId || "",
+    merchant_param2: metadata.linkId || metadata.qrId || metadata.udf2 || "",
+    merchant_param3: metadata.flowType || metadata.udf3 || "deposit",
+  });
+
+  return {
+    gateway: "ccavenue",
+    key: settings.keyId,
+    isTestMode: settings.isTestMode,
+    gatewayOrderId: orderId,
+    ccavenueData: {
+      ccavenueUrl: getCheckoutUrl(settings.isTestMode),
+      encRequest: encrypt(fields.toString(), workingKey),
+      access_code: accessCode,
+    },
+  };
+};
+
+/**
+ * encResp posted back by CCAvenue. Only the working key decrypts it to a
+ * well-formed response, but CBC without a MAC can still be bit-flipped, so
+ * the status and amount are taken from the order status API instead.
+ */
+const verifyReturn = async (settings, { encResp }) => {
+  const { workingKey } = getCredentials(settings);
+
+  let response;
+  try {
+    response = new URLSearchParams(decrypt(String(encResp || ""), workingKey));
+  } catch {
+    return { verified: false };
+  }
+
+  const orderId = response.get("order_id");
+  if (!orderId || !response.get("order_status") || (response.get("currency") && response.get("currency") !== "INR")) {
+    return { verified: false };
+  }
+
+  const order = await fetchOrder(settings, orderId);
+
+  return {
+    verified: true,
+    status: toPaymentStatus(order.order_status),
+    gatewayStatus: order.order_status,
+    gatewayOrderId: order.order_no || orderId,
+    gatewayPaymentId: order.order_no || orderId,
+    trackingId: order.reference_no || response.get("tracking_id"),
+    amount: toPaise(order.order_amt || 0),
+    flow: response.get("merchant_param3") || "deposit",
+    referenceId: response.get("merchant_param2") || null,
+    payer: {
+      name: response.get("billing_name") || "Customer",
+      email: response.get("billing_email") || "",
+      phone: response.get("billing_tel") || "",
+    },
+    reason: response.get("failure_message") || response.get("status_message") || "Payment failed at CCAvenue",
+  };
+};
+
+const fetchStatus = async (settings, { paymentId }) => {
+  const order = await fetchOrder(settings, paymentId);
+  return {
+    status: toPaymentStatus(order.order_status),
+    amount: toPaise(order.order_amt || 0),
+    gatewayOrderId: order.order_no || paymentId,
+  };
+};
+
+// Refunds are made against CCAvenue's reference (tracking) number
+const refund = async (settings, { paymentId, amount, refundId }) => {
+  const order = await fetchOrder(settings, paymentId);
+
+  const result = await apiRequest(settings, "refundOrder", {
+    reference_no: order.reference_no,
+    refund_amount: toRupeeString(amount),
+    refund_ref_no: refundId,
+  });
+
+  const refundResult = result.Refund_Order_Result || result;
+  if (Number(refundResult.refund_status) !== 0) {
+    const error = new Error(refundResult.reason || "CCAvenue refund failed");
+    error.rejected = true;
+    throw error;
+  }
+  return {
+    gatewayRefundId: refundId,
+    status: "processed",
+  };
+};
+
+/**
+ * CCAvenue posts the same encResp to the notification URL
+ * (/api/payment/webhook/ccavenue)
+ */
+const parseWebhook = async (settings, { body }) => {
+  const result = await verifyReturn(settings, body || {});
+  if (!result.verified) {
+    const error = new Error("Invalid encResp");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (result.status === "pending") return { type: null };
+  return {
+    ...result,
+    type: result.status === "captured" ? "payment.captured" : "payment.failed",
+  };
+};
+
+module.exports = {
+  paymentIdPattern: /^CCA[0-9A-Z]+$/,
+  createOrder,
+  verifyReturn,
+  fetchStatus,
+  refund,
+  parseWebhook,
+};
@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const { toPaise, toRupeeString } = require("../moneyHelper");
+
+/**
+ * PayU adapter
+ *
+ * Orders are hosted-checkout form posts signed with the merchant salt.
+ * PayU posts the result to /api/payment/payu/success or /failure; udf2
+ * carries the link, order or QR id and udf3 the flow (deposit, checkout,
+ * qr). PayU takes amounts in rupees.
+ */
+
+const getPaymentUrl = (isTestMode) =>
+  isTestMode ? "https://test.payu.in/_payment" : "https://secure.payu.in/_payment";
+
+const getInfoBaseUrl = (isTestMode) =>
+  isTestMode ? "https://test.payu.in" : "https://info.payu.in";
+
+const getCallbackUrls = () => {
+  const backendUrl = process.env.BACKEND_URL || "http://localhost:5000";
+  return {
+    surl: `${backendUrl}/api/payment/payu/success`,
+    furl: `${backendUrl}/api/payment/payu/failure`,
+  };
+};
+
+/**
+ * Generate PayU hash for payment initiation
+ */
+const generatePayUHash = (params, salt) => {
+  // PayU hash formula: sha512(key|txnid|amount|productinfo|firstname|email|udf1|udf2|udf3|udf4|udf5||||||salt)
+  const hashString = `${params.key}|${params.txnid}|${params.amount}|${params.productinfo}|${params.firstname}|${params.email}|${params.udf1 || ""}|${params.udf2 || ""}|${params.udf3 || ""}|${params.udf4 || ""}|${params.udf5 || ""}||||||${salt}`;
+  return crypto.createHash("sha512").update(hashString).digest("hex");
+};
+
+/**
+ * Verify PayU response hash
+ */
+const verifyPayUHash = (params, salt) => {
+  // Reverse hash: sha512(salt|status||||||udf5|udf4|udf3|udf2|udf1|email|firstname|productinfo|amount|txnid|key)
+  const hashString = `${salt}|${params.status}||||||${params.udf5 || ""}|${params.udf4 || ""}|${params.udf3 || ""}|${params.udf2 || ""}|${params.udf1 || ""}|${params.email}|${params.firstname}|${params.productinfo}|${params.amount}|${params.txnid}|${params.key}`;
+  return crypto.createHash("sha512").update(hashString).digest("hex");
+};
+
+// Merchant postservice API (status checks, refunds)
+const postService = async (settings, command, vars) => {
+  const hash = crypto
+    .createHash("sha512")
+    .update(`${settings.keyId}|${command}|${vars.var1}|${settings.keySecret}`)
+    .digest("hex");
+
+  const response = await fetch(`${getInfoBaseUrl(settings.isTestMode)}/merchant/postservice.php?form=2`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      key: settings.keyId,
+      command,
+      ...vars,
+      hash,
+    }).toString(),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+};
+
+const toPaymentStatus = (status) =>
+  status === "success" ? "captured" : status === "failure" ? "failed" : "pending";
+
+const createOrder = async (settings, amount, metadata = {}) => {
+  const txnid = metadata.txnid || "TXN" + Date.now() + Math.random().toString(36).substring(2, 6).toUpperCase();
+  const isPayUQrFlow = metadata.flowType === "qr";
+  const callbackUrls = getCallbackUrls();
+
+  const payuParams = {
+    key: settings.keyId,
+    txnid,
+    amount: toRupeeString(amount),
+    productinfo: metadata.productinfo || "Payment",
+    firstname: metadata.firstname || "Customer",
+    email: metadata.email || "customer@example.com",
+    phone: metadata.phone || "",
+    surl: metadata.surl || callbackUrls.surl,
+    furl: metadata.furl || callbackUrls.furl,
+    udf1: metadata.udf1 || "",
+    udf2: metadata.udf2 || "",
+    udf3: metadata.udf3 || "",
+    udf4: metadata.udf4 || "",
+    udf5: metadata.udf5 || "",
+    ...(isPayUQrFlow
+      ? {
+        pg: metadata.pg || "DBQR",
+        bankcode: metadata.bankcode || "UPIDBQR",
+        txn_s2s_flow: String(metadata.txn_s2s_flow || 4),
+        s2s_client_ip: metadata.s2s_client_ip || "127.0.0.1",
+        s2s_device_info: metadata.s2s_device_info || "Mozilla/5.0",
+        expiry_time: String(metadata.expiry_time || process.env.PAYU_QR_EXPIRY_MINUTES || 30),
+      }
+      : {}),
+  };
+
+  const hash = generatePayUHash(payuParams, settings.keySecret);
+
+  return {
+    gateway: "payu",
+    key: settings.keyId,
+    isTestMode: settings.isTestMode,
+    gatewayOrderId: txnid,
+    payuData: {
+      ...payuParams,
+      hash,
+      payuUrl: getPaymentUrl(settings.isTestMode),
+    },
+  };
+};
+
+/**
+ * Success/failure post from PayU. The reverse hash covers the status,
+ * amount and udf fields, so all of them can be trusted once it matches.
+ */
+const verifyReturn = async (settings, payload) => {
+  const { mihpayid, status, txnid, amount, firstname, email, hash, udf2, udf3, error_Message } = payload;
+  const expectedHash = verifyPayUHash({ ...payload, key: settings.keyId }, settings.keySecret);
+
+  return {
+    verified: Boolean(hash) && hash === expectedHash,
+    status: toPaymentStatus(status),
+    gatewayOrderId: txnid,
+    gatewayPaymentId: mihpayid || txnid,
+    amount: amount ? toPaise(amount) : null,
+    flow: udf3 || "deposit",
+    referenceId: udf2 || null,
+    payer: {
+      name: firstname || "Customer",
+      email: email || "",
+    },
+    reason: error_Message || "Payment failed at PayU",
+  };
+};
+
+const fetchStatus = async (settings, { paymentId }) => {
+  const { ok, status, data } = await postService(settings, "check_payment", { var1: paymentId });
+  const details = data.transaction_details;
+  if (!ok || Number(data.status) !== 1 || !details) {
+    throw new Error(data.msg || `PayU payment fetch failed (${status})`);
+  }
+  return {
+    status: toPaymentStatus(details.status),
+    amount: toPaise(details.amt || details.transaction_amount || 0),
+    gatewayOrderId: details.txnid || null,
+  };
+};
+
+// PayU only queues refunds (status 1); a queued PayU refund is treated as processed
+const refund = async (settings, { paymentId, amount, refundId }) => {
+  const { ok, status, data } = await postService(settings, "cancel_refund_transaction", {
+    var1: paymentId,
+    var2: refundId,
+    var3: toRupeeString(amount),
+  });
+  if (!ok || Number(data.status) !== 1) {
+    const error = new Error(data.msg || `PayU refund failed (${status})`);
+    // A 2xx answer with status 0 is PayU declining the refund
+    if (ok) error.rejected = true;
+    else error.status = status;
+    throw error;
+  }
+  return {
+    gatewayRefundId: data.request_id?.toString() || refundId,
+    status: "processed",
+  };
+};
+
+/**
+ * Dynamic UPI QR (DBQR) through the S2S payment API, which answers with
+ * the QR image and UPI intent URL. The QR pays through the PayU callbacks
+ * with udf3 "qr".
+ */
+const createQr = async (settings, qrCode) => {
+  const txnid = `TXN_QR_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`;
+
+  const payuPayload = {
+    key: settings.keyId,
+    txnid,
+    amount: toRupeeString(qrCode.amount),
+    productinfo: qrCode.description || "QR Payment",
+    firstname: "Customer",
+    email: "customer@example.com",
+    ...getCallbackUrls(),
+    pg: "DBQR",
+    bankcode: "UPIDBQR",
+    txn_s2s_flow: "4",
+    udf1: qrCode.userId.toString(),
+    udf2: qrCode.qrId,
+    udf3: "qr",
+  };
+  payuPayload.hash = generatePayUHash(payuPayload, settings.keySecret);
+
+  const payuResponse = await fetch(`${getInfoBaseUrl(settings.isTestMode)}/_payment`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(payuPayload).toString(),
+    redirect: "manual",
+  });
+
+  const contentType = payuResponse.headers.get("content-type") || "";
+  if (!contentType.includes("json")) {
+    console.warn("[QR Generate] PayU DBQR non-JSON response, status:", payuResponse.status);
+    return null;
+  }
+
+  const payuData = await payuResponse.json();
+  if (!payuData.qrCodeUrl && !payuData.intent_url && !payuData.data?.qrCodeUrl) {
+    console.warn("[QR Generate] PayU DBQR response:", JSON.stringify(payuData).substring(0, 300));
+    return null;
+  }
+
+  console.log("[QR Generate] PayU DBQR created:", txnid);
+  return {
+    gatewayQrImageUrl: payuData.qrCodeUrl || payuData.data?.qrCodeUrl || null,
+    gatewayPaymentUrl: payuData.intent_url || payuData.data?.intent_url || null,
+    gatewayPaymentLinkId: txnid,
+  };
+};
+
+/**
+ * PayU webhooks post the same fields (and reverse hash) as the callbacks
+ */
+const parseWebhook = async (settings, { body }) => {
+  const result = await verifyReturn(settings, body);
+  if (!result.verified) {
+    const error = new Error("Invalid hash");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (result.status === "pending") return { type: null };
+  return {
+    ...result,
+    type: result.status === "captured" ? "payment.captured" : "payment.failed",
+  };
+};
+
+module.exports = {
+  paymentIdPattern: /^\d+$/,
+  createOrder,
+  verifyReturn,
+  fetchStatus,
+  refund,
+  createQr,
+  parseWebhook,
+};
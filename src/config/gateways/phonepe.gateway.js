@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+
+/**
+ * PhonePe adapter (PG checkout API)
+ *
+ * Requests are base64-encoded JSON signed with an X-VERIFY checksum:
+ * sha256(base64 payload + API path + salt key) + "###" + salt index.
+ * Checkout redirects the customer back to /api/payment/phonepe/return
+ * and calls /api/payment/webhook/phonepe server to server. Payments are
+ * identified by our merchantTransactionId. PhonePe takes amounts in paise.
+ *
+ * keyId is the merchant id, keySecret the salt key and extra.saltIndex its
+ * index (1 when not set). PHONEPE_BASE_URL points the adapter at another
+ * host, e.g. a local stub server.
+ */
+
+const getBaseUrl = (isTestMode) =>
+  process.env.PHONEPE_BASE_URL ||
+  (isTestMode ? "https://api-preprod.phonepe.com/apis/pg-sandbox" : "https://api.phonepe.com/apis/hermes");
+
+// Error codes after which PhonePe may still have accepted the request
+const INCONCLUSIVE_CODES = ["INTERNAL_SERVER_ERROR", "PAYMENT_PENDING", "TIMED_OUT"];
+
+const getSalt = (settings) => ({
+  saltKey: settings.keySecret,
+  saltIndex: settings.extra?.saltIndex || "1",
+});
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const checksum = (settings, value) => {
+  const { saltKey, saltIndex } = getSalt(settings);
+  return `${sha256(value + saltKey)}###${saltIndex}`;
+};
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64");
+
+const decode = (base64) => JSON.parse(Buffer.from(base64, "base64").toString("utf8"));
+
+// Ids PhonePe accepts: up to 35 letters, digits, _ and -
+const toPhonePeId = (value, fallback) => {
+  const id = String(value || "").replace(/[^A-Za-z0-9_-]/g, "").slice(0, 35);
+  return id || fallback;
+};
+
+const generateTransactionId = () =>
+  "PP_" + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString("hex").toUpperCase();
+
+const phonePeRequest = async (settings, path, { payload, method = "POST" } = {}) => {
+  const headers = { "Content-Type": "application/json", "X-MERCHANT-ID": settings.keyId };
+  let body;
+  if (payload) {
+    const request = encode(payload);
+    headers["X-VERIFY"] = checksum(settings, request + path);
+    body = JSON.stringify({ request });
+  } else {
+    headers["X-VERIFY"] = checksum(settings, path);
+  }
+
+  const response = await fetch(`${getBaseUrl(settings.isTestMode)}${path}`, { method, headers, body });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok && !data.code) {
+    const error = new Error(data.message || `PhonePe API error (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// Payment and refund results share one shape: { success, code, data: { state, ... } }
+const toStatus = ({ code, data = {} }) => {
+  if (data.state === "COMPLETED" || code === "PAYMENT_SUCCESS") return "captured";
+  if (data.state === "FAILED" || ["PAYMENT_ERROR", "PAYMENT_DECLINED", "TIMED_OUT", "AUTHORIZATION_FAILED"].includes(code)) {
+    return "failed";
+  }
+  return "pending";
+};
+
+const toRefundStatus = (result) => {
+  const status = toStatus(result);
+  return status === "captured" ? "processed" : status;
+};
+
+const fetchTransaction = (settings, merchantTransactionId) =>
+  phonePeRequest(settings, `/pg/v1/status/${settings.keyId}/${merchantTransactionId}`, { method: "GET" });
+
+const getBackendUrl = () => process.env.BACKEND_URL || "http://localhost:5000";
+
+const createOrder = async (settings, amount, metadata = {}) => {
+  const merchantTransactionId = generateTransactionId();
+
+  // The return route settles the flow the checkout was opened for
+  const returnParams = new URLSearchParams({ flow: metadata.flowType || metadata.udf3 || "deposit" });
+  const referenceId = metadata.linkId || metadata.qrId || metadata.udf2;
+  if (referenceId) returnParams.set("ref", referenceId);
+
+  const result = await phonePeRequest(settings, "/pg/v1/pay", {
+    payload: {
+      merchantId: settings.keyId,
+      merchantTransactionId,
+      merchantUserId: toPhonePeId(metadata.customerId || metadata.udf1, "GUEST"),
+      amount,
+      redirectUrl: `${getBackendUrl()}/api/payment/phonepe/return?${returnParams.toString()}`,
+      redirectMode: "POST",
+      callbackUrl: `${getBackendUrl()}/api/payment/webhook/phonepe`,
+      mobileNumber: metadata.phone || undefined,
+      paymentInstrument: { type: "PAY_PAGE" },
+    },
+  });
+
+  const redirectInfo = result.data?.instrumentResponse?.redirectInfo;
+  if (!result.success || !redirectInfo?.url) {
+    throw new Error(result.message || `PhonePe payment initiation failed (${result.code || "no redirect"})`);
+  }
+
+  return {
+    gateway: "phonepe",
+    key: settings.keyId,
+    isTestMode: settings.isTestMode,
+    gatewayOrderId: merchantTransactionId,
+    phonepeData: {
+      merchantTransactionId,
+      redirectUrl: redirectInfo.url,
+      method: redirectInfo.method || "GET",
+    },
+  };
+};
+
+/**
+ * Redirect back from checkout: { merchantId, transactionId, code, ... }.
+ * The redirect is not signed for every mode, so the status API decides.
+ */
+const verifyReturn = async (settings, { merchantId, transactionId, merchantTransactionId }) => {
+  const id = merchantTransactionId || transactionId;
+  if (!id || (merchantId && merchantId !== settings.keyId)) {
+    return { verified: false };
+  }
+
+  const result = await fetchTransaction(settings, id);
+  return {
+    verified: true,
+    status: toStatus(result),
+    gatewayStatus: result.code,
+    gatewayOrderId: id,
+    gatewayPaymentId: id,
+    amount: result.data?.amount ?? null,
+    reason: result.message || "Payment failed at PhonePe",
+  };
+};
+
+const fetchStatus = async (settings, { paymentId }) => {
+  const result = await fetchTransaction(settings, paymentId);
+  if (!result.data) {
+    throw new Error(result.message || `PhonePe payment fetch failed (${result.code})`);
+  }
+  return {
+    status: toStatus(result),
+    amount: Number(result.data.amount || 0),
+    gatewayOrderId: result.data.merchantTransactionId || paymentId,
+  };
+};
+
+const refund = async (settings, { paymentId, amount, refundId }) => {
+  const result = await phonePeRequest(settings, "/pg/v1/refund", {
+    payload: {
+      merchantId: settings.keyId,
+      merchantUserId: "REFUNDS",
+      originalTransactionId: paymentId,
+      merchantTransactionId: toPhonePeId(refundId, refundId),
+      amount,
+      callbackUrl: `${getBackendUrl()}/api/payment/webhook/phonepe`,
+    },
+  });
+
+  if (!result.success && !result.data) {
+    const error = new Error(result.message || `PhonePe refund failed (${result.code})`);
+    error.rejected = !INCONCLUSIVE_CODES.includes(result.code);
+    throw error;
+  }
+  return {
+    gatewayRefundId: result.data?.transactionId || refundId,
+    status: toRefundStatus(result),
+  };
+};
+
+const fetchRefundStatus = async (settings, { refundId }) =>
+  toRefundStatus(await fetchTransaction(settings, toPhonePeId(refundId, refundId)));
+
+/**
+ * UPI QR through the pay API (UPI_QR instrument). PhonePe returns the UPI
+ * string rather than an image, so it becomes the QR's payment URL.
+ */
+const createQr = async (settings, qrCode) => {
+  const merchantTransactionId = generateTransactionId();
+
+  const result = await phonePeRequest(settings, "/pg/v1/pay", {
+    payload: {
+      merchantId: settings.keyId,
+      merchantTransactionId,
+      merchantUserId: toPhonePeId(qrCode.userId, "GUEST"),
+      amount: qrCode.amount,
+      callbackUrl: `${getBackendUrl()}/api/payment/webhook/phonepe`,
+      paymentInstrument: { type: "UPI_QR" },
+    },
+  });
+
+  const qrData = result.data?.instrumentResponse?.qrData;
+  if (!result.success || !qrData) {
+    console.warn("[QR Generate] PhonePe QR error:", result.message || result.code);
+    return null;
+  }
+
+  console.log("[QR Generate] PhonePe QR created:", merchantTransactionId);
+  return {
+    gatewayQrImageUrl: null,
+    gatewayPaymentUrl: qrData,
+    gatewayPaymentLinkId: merchantTransactionId,
+  };
+};
+
+// Constant-time comparison of a received X-VERIFY with the expected one
+const verifyChecksum = (settings, value, given) => {
+  if (typeof given !== "string" || typeof value !== "string") return false;
+  const expected = Buffer.from(checksum(settings, value));
+  const received = Buffer.from(given);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * S2S callback: { response: base64 } with X-VERIFY = sha256(response + salt
+ * key) + "###" + salt index. The decoded response is the status API result.
+ */
+const parseWebhook = async (settings, { body, headers }) => {
+  if (!body?.response || !verifyChecksum(settings, body.response, headers["x-verify"])) {
+    const error = new Error("Invalid checksum");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const result = decode(body.response);
+  const merchantTransactionId = result.data?.merchantTransactionId;
+  const status = toStatus(result);
+  if (!merchantTransactionId || status === "pending") return { type: null };
+
+  return {
+    type: status === "captured" ? "payment.captured" : "payment.failed",
+    gatewayOrderId: merchantTransactionId,
+    gatewayPaymentId: merchantTransactionId,
+    amount: Number(result.data.amount || 0),
+    reason: result.message || "Payment failed at PhonePe",
+  };
+};
+
+module.exports = {
+  paymentIdPattern: /^PP_/,
+  createOrder,
+  verifyReturn,
+  fetchStatus,
+  refund,
+  fetchRefundStatus,
+  createQr,
+  parseWebhook,
+};
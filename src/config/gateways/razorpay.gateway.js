@@ -0,0 +1,295 @@
+const Razorpay = require("razorpay");
+const crypto = require("crypto");
+
+/**
+ * Razorpay adapter
+ *
+ * Orders open Razorpay's native checkout, which returns an order id,
+ * payment id and HMAC signature. Amounts are paise on both sides.
+ * Webhooks are signed with RAZORPAY_WEBHOOK_SECRET.
+ */
+
+const RAZORPAY_API = "https://api.razorpay.com/v1";
+
+const getClient = (settings) =>
+  new Razorpay({
+    key_id: settings.keyId,
+    key_secret: settings.keySecret,
+  });
+
+const razorpayErrorMessage = (err, fallback) =>
+  err.message || (err.error && err.error.description) || fallback;
+
+const toPaymentStatus = (status) =>
+  status === "captured" ? "captured" : status === "failed" ? "failed" : "pending";
+
+const toRefundStatus = (status) =>
+  status === "processed" ? "processed" : status === "failed" ? "failed" : "pending";
+
+const razorpayRequest = async (path, { keyId, keySecret }, body) => {
+  const auth = Buffer.from(`${keyId}:${keySecret}`).toString("base64");
+  const response = await fetch(`${RAZORPAY_API}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Basic ${auth}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+};
+
+const createOrder = async (settings, amount, metadata = {}) => {
+  try {
+    const order = await getClient(settings).orders.create({
+      amount,
+      currency: "INR",
+      receipt: metadata.receipt || "receipt_" + Date.now(),
+      notes: metadata.notes || {},
+    });
+
+    return {
+      gateway: "razorpay",
+      key: settings.keyId,
+      order,
+      isTestMode: settings.isTestMode,
+      gatewayOrderId: order.id,
+    };
+  } catch (err) {
+    const error = new Error(razorpayErrorMessage(err, "Razorpay order creation failed"));
+    error.statusCode = err.statusCode || 500;
+    throw error;
+  }
+};
+
+/**
+ * Checkout return: { razorpay_order_id, razorpay_payment_id, razorpay_signature }.
+ * The signature does not carry the amount; callers that credit a variable
+ * amount fetch it with fetchStatus.
+ */
+const verifyReturn = async (settings, { razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+  const expectedSign = crypto
+    .createHmac("sha256", settings.keySecret)
+    .update(razorpay_order_id + "|" + razorpay_payment_id)
+    .digest("hex");
+
+  return {
+    verified: Boolean(razorpay_signature) && expectedSign === razorpay_signature,
+    status: "captured",
+    gatewayOrderId: razorpay_order_id,
+    gatewayPaymentId: razorpay_payment_id,
+    amount: null,
+    signature: razorpay_signature,
+  };
+};
+
+const fetchStatus = async (settings, { paymentId }) => {
+  try {
+    const payment = await getClient(settings).payments.fetch(paymentId);
+    return {
+      status: toPaymentStatus(payment.status),
+      amount: Number(payment.amount),
+      gatewayOrderId: payment.order_id || null,
+    };
+  } catch (err) {
+    throw new Error(razorpayErrorMessage(err, "Razorpay payment fetch failed"));
+  }
+};
+
+const refund = async (settings, { paymentId, amount, refundId, notes = {} }) => {
+  try {
+    const created = await getClient(settings).payments.refund(paymentId, {
+      amount,
+      receipt: refundId,
+      notes,
+    });
+    return {
+      gatewayRefundId: created.id,
+      status: toRefundStatus(created.status),
+    };
+  } catch (err) {
+    const error = new Error(razorpayErrorMessage(err, "Razorpay refund failed"));
+    error.status = err.statusCode;
+    throw error;
+  }
+};
+
+const fetchRefundStatus = async (settings, { paymentId, gatewayRefundId }) => {
+  const fetched = await getClient(settings).payments.fetchRefund(paymentId, gatewayRefundId);
+  return toRefundStatus(fetched.status);
+};
+
+/**
+ * Create a single-use UPI QR (qr_codes API), falling back to a UPI payment
+ * link when the account does not have QR codes enabled. Tries the saved
+ * credentials, then the .env ones when they differ.
+ */
+const createQr = async (settings, qrCode) => {
+  const { qrId, amount, expiresAt } = qrCode;
+  const description = qrCode.description || "QR Payment";
+  const notes = { qrId, userId: qrCode.userId.toString() };
+  const closeBy = Math.floor(expiresAt.getTime() / 1000);
+
+  const credSources = [{ keyId: settings.keyId, keySecret: settings.keySecret, label: "DB" }];
+  if (
+    process.env.RAZORPAY_KEY_ID &&
+    process.env.RAZORPAY_KEY_SECRET &&
+    (process.env.RAZORPAY_KEY_ID !== settings.keyId || process.env.RAZORPAY_KEY_SECRET !== settings.keySecret)
+  ) {
+    credSources.push({ keyId: process.env.RAZORPAY_KEY_ID, keySecret: process.env.RAZORPAY_KEY_SECRET, label: "ENV" });
+  }
+
+  for (const cred of credSources) {
+    try {
+      const { ok, data } = await razorpayRequest("/payments/qr_codes", cred, {
+        type: "upi_qr",
+        name: qrCode.name,
+        usage: "single_use",
+        fixed_amount: true,
+        payment_amount: amount,
+        description,
+        close_by: closeBy,
+        notes,
+      });
+      if (ok && data.image_url) {
+        console.log(`[QR Generate] Razorpay UPI QR created (${cred.label}):`, data.id);
+        return {
+          gatewayQrImageUrl: data.image_url,
+          gatewayPaymentUrl: data.short_url || null,
+          gatewayPaymentLinkId: data.id,
+        };
+      }
+      console.warn(`[QR Generate] Razorpay QR API error (${cred.label}):`, data.error?.description || JSON.stringify(data));
+    } catch (err) {
+      console.warn(`[QR Generate] Razorpay QR API fetch error (${cred.label}):`, err.message);
+    }
+  }
+
+  // Payment links have no QR image, but their short_url opens UPI apps directly
+  console.log("[QR Generate] QR Code API failed, trying Payment Link API as fallback...");
+  for (const cred of credSources) {
+    try {
+      const { ok, data } = await razorpayRequest("/payment_links", cred, {
+        amount,
+        currency: "INR",
+        description,
+        accept_partial: false,
+        upi_link: true,
+        notify: { sms: false, email: false },
+        reminder_enable: false,
+        notes,
+        expire_by: closeBy,
+      });
+      if (ok && data.short_url) {
+        console.log(`[QR Generate] Razorpay Payment Link created (${cred.label}):`, data.id);
+        return {
+          gatewayQrImageUrl: null,
+          gatewayPaymentUrl: data.short_url,
+          gatewayPaymentLinkId: data.id,
+        };
+      }
+      console.warn(`[QR Generate] Razorpay Payment Link error (${cred.label}):`, data.error?.description || JSON.stringify(data));
+    } catch (err) {
+      console.warn(`[QR Generate] Razorpay Payment Link fetch error (${cred.label}):`, err.message);
+    }
+  }
+
+  return null;
+};
+
+// Only QR codes can be closed; payment link fallbacks simply expire
+const closeQr = async (settings, qrCode) => {
+  if (!qrCode.gatewayPaymentLinkId?.startsWith("qr_")) return;
+
+  const { ok, status } = await razorpayRequest(`/payments/qr_codes/${qrCode.gatewayPaymentLinkId}/close`, settings);
+  if (!ok) {
+    console.warn("[QR Close] Razorpay QR close failed:", status);
+  }
+};
+
+/**
+ * Verify the X-Razorpay-Signature header and read the event:
+ * payment.captured / payment.failed (orders), payment_link.paid (request
+ * money links), qr_code.credited and qr_code.closed (UPI QR codes).
+ */
+const parseWebhook = async (settings, { body, rawBody, headers }) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error("RAZORPAY_WEBHOOK_SECRET is not configured");
+  }
+
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody || JSON.stringify(body))
+    .digest("hex");
+
+  if (digest !== headers["x-razorpay-signature"]) {
+    const error = new Error("Invalid signature");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const payment = body.payload?.payment?.entity;
+  const qrEntity = body.payload?.qr_code?.entity;
+
+  switch (body.event) {
+    case "payment.captured":
+      return {
+        type: "payment.captured",
+        gatewayOrderId: payment.order_id,
+        gatewayPaymentId: payment.id,
+        amount: Number(payment.amount),
+      };
+    case "payment.failed":
+      return {
+        type: "payment.failed",
+        gatewayOrderId: payment.order_id,
+        gatewayPaymentId: payment.id,
+        reason: payment.error_description || "Payment failed at Razorpay",
+      };
+    case "payment_link.paid":
+      return {
+        type: "payment.captured",
+        flow: "payment_link",
+        referenceId: body.payload.payment_link.entity.id,
+        gatewayPaymentId: payment.id,
+        amount: Number(payment.amount),
+      };
+    case "qr_code.credited":
+      if (!qrEntity || !payment) return { type: null };
+      return {
+        type: "payment.captured",
+        flow: "qr",
+        referenceId: qrEntity.notes?.qrId,
+        gatewayQrId: qrEntity.id,
+        gatewayPaymentId: payment.id,
+        amount: Number(payment.amount),
+        payer: {
+          name: payment.notes?.name || payment.description || "UPI Scan",
+          email: payment.email || "",
+          phone: payment.contact || "",
+        },
+      };
+    case "qr_code.closed":
+      return {
+        type: "qr.closed",
+        referenceId: qrEntity?.notes?.qrId,
+        gatewayQrId: qrEntity?.id,
+      };
+    default:
+      return { type: null };
+  }
+};
+
+module.exports = {
+  paymentIdPattern: /^pay_/,
+  createOrder,
+  verifyReturn,
+  fetchStatus,
+  refund,
+  fetchRefundStatus,
+  createQr,
+  closeQr,
+  parseWebhook,
+};
@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+
+/**
+ * Stripe adapter (Checkout Sessions)
+ *
+ * Orders open a hosted Checkout Session that returns the customer to
+ * /api/payment/stripe/return. The session (gateway order id) and its
+ * PaymentIntent carry the flow and link, order or QR id in their metadata.
+ * Payments are identified by the PaymentIntent id. Amounts are paise on
+ * both sides (INR's smallest unit).
+ *
+ * keyId is the publishable key, keySecret the secret key. Webhooks to
+ * /api/payment/webhook/stripe are signed with extra.webhookSecret, the
+ * endpoint's signing secret for the same mode as the keys.
+ */
+
+const STRIPE_API = "https://api.stripe.com/v1";
+const STRIPE_API_VERSION = "2024-06-20";
+
+// Age (seconds) after which a signed webhook is treated as a replay
+const WEBHOOK_TOLERANCE = 300;
+
+// Stripe takes form-encoded bodies with nested keys: metadata[flow]=qr
+const toForm = (params, prefix = "", form = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      toForm(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+};
+
+const stripeRequest = async (settings, path, { method = "GET", params, idempotencyKey } = {}) => {
+  const headers = {
+    "Authorization": `Bearer ${settings.keySecret}`,
+    "Stripe-Version": STRIPE_API_VERSION,
+  };
+  if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+  let url = `${STRIPE_API}${path}`;
+  let body;
+  if (params && method === "GET") {
+    url += `?${toForm(params).toString()}`;
+  } else if (params) {
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+    body = toForm(params).toString();
+  }
+
+  const response = await fetch(url, { method, headers, body });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error?.message || `Stripe API error (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+const toPaymentStatus = (intentStatus) =>
+  intentStatus === "succeeded" ? "captured" : intentStatus === "canceled" ? "failed" : "pending";
+
+const toRefundStatus = (refundStatus) =>
+  refundStatus === "succeeded" ? "processed" : ["failed", "canceled"].includes(refundStatus) ? "failed" : "pending";
+
+const toPayer = (customer) =>
+  customer
+    ? { name: customer.name || "Customer", email: customer.email || "", phone: customer.phone || "" }
+    : undefined;
+
+const toRefund = (refund) => ({
+  gatewayRefundId: refund.id,
+  refundId: refund.metadata?.refundId || null,
+  amount: Number(refund.amount),
+  status: toRefundStatus(refund.status),
+  reason: refund.failure_reason || undefined,
+});
+
+// The Checkout Session a PaymentIntent was paid through, or null
+const findSession = async (settings, paymentIntentId) => {
+  const sessions = await stripeRequest(settings, "/checkout/sessions", {
+    params: { payment_intent: paymentIntentId, limit: 1 },
+  });
+  return sessions.data?.[0] || null;
+};
+
+const getReturnUrl = () =>
+  `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/stripe/return`;
+
+const createOrder = async (settings, amount, metadata = {}) => {
+  const target = {
+    flow: metadata.flowType || metadata.udf3 || "deposit",
+    referenceId: metadata.linkId || metadata.qrId || metadata.udf2,
+    userId: metadata.udf1 || metadata.customerId,
+  };
+
+  const session = await stripeRequest(settings, "/checkout/sessions", {
+    method: "POST",
+    params: {
+      mode: "payment",
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: "inr",
+          unit_amount: amount,
+          product_data: { name: metadata.productinfo || "Payment" },
+        },
+      }],
+      customer_email: metadata.email,
+      client_reference_id: target.referenceId,
+      // Stripe fills in {CHECKOUT_SESSION_ID}
+      success_url: `${getReturnUrl()}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${getReturnUrl()}?session_id={CHECKOUT_SESSION_ID}&cancelled=1`,
+      metadata: target,
+      payment_intent_data: { metadata: target },
+    },
+  });
+
+  return {
+    gateway: "stripe",
+    key: settings.keyId,
+    isTestMode: settings.isTestMode,
+    gatewayOrderId: session.id,
+    stripeData: {
+      sessionId: session.id,
+      url: session.url,
+    },
+  };
+};
+
+/**
+ * Return from hosted checkout: { sessionId }. The return URL is not signed,
+ * so the session is fetched from Stripe for its status and amount.
+ */
+const verifyReturn = async (settings, { sessionId }) => {
+  if (!/^cs_/.test(sessionId || "")) {
+    return { verified: false };
+  }
+
+  const session = await stripeRequest(settings, `/checkout/sessions/${sessionId}`);
+  const status =
+    session.payment_status === "paid" ? "captured" : session.status === "expired" ? "failed" : "pending";
+
+  return {
+    verified: true,
+    status,
+    gatewayStatus: session.payment_status,
+    gatewayOrderId: session.id,
+    gatewayPaymentId: session.payment_intent || session.id,
+    amount: session.amount_total ?? null,
+    flow: session.metadata?.flow || "deposit",
+    referenceId: session.metadata?.referenceId || null,
+    payer: toPayer(session.customer_details),
+    reason: "Checkout session expired",
+  };
+};
+
+const fetchStatus = async (settings, { paymentId }) => {
+  const intent = await stripeRequest(settings, `/payment_intents/${paymentId}`);
+  const session = await findSession(settings, intent.id);
+  return {
+    status: toPaymentStatus(intent.status),
+    amount: Number(intent.amount_received || intent.amount || 0),
+    gatewayOrderId: session?.id || intent.id,
+  };
+};
+
+const refund = async (settings, { paymentId, amount, refundId }) => {
+  const created = await stripeRequest(settings, "/refunds", {
+    method: "POST",
+    params: {
+      payment_intent: paymentId,
+      amount,
+      metadata: { refundId },
+    },
+    idempotencyKey: refundId,
+  });
+  return {
+    gatewayRefundId: created.id,
+    status: toRefundStatus(created.status),
+  };
+};
+
+const fetchRefundStatus = async (settings, { gatewayRefundId }) => {
+  const fetched = await stripeRequest(settings, `/refunds/${gatewayRefundId}`);
+  return toRefundStatus(fetched.status);
+};
+
+/**
+ * Stripe-Signature: t=<timestamp>,v1=<hex HMAC-SHA256 of "t.rawBody">
+ * (several v1 entries while the secret is rolled)
+ */
+const verifySignature = (header, payload, secret) => {
+  const parts = String(header || "").split(",").map((part) => part.split("="));
+  const timestamp = parts.find(([key]) => key === "t")?.[1];
+  const signatures = parts.filter(([key]) => key === "v1").map(([, value]) => value);
+  if (!timestamp || !signatures.length) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex")
+  );
+  return signatures.some((signature) => {
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+};
+
+/**
+ * Verify Stripe-Signature and read payment and refund events. Events of a
+ * charge carry no refund list on current API versions, so refunds are
+ * fetched for charge.refunded.
+ */
+const parseWebhook = async (settings, { body, rawBody, headers }) => {
+  const secret = settings.extra?.webhookSecret;
+  if (!secret) {
+    throw new Error("Stripe webhook signing secret is not configured");
+  }
+
+  if (!verifySignature(headers["stripe-signature"], rawBody || JSON.stringify(body), secret)) {
+    const error = new Error("Invalid signature");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const object = body.data?.object || {};
+
+  switch (body.type) {
+    case "payment_intent.succeeded": {
+      const session = await findSession(settings, object.id);
+      return {
+        type: "payment.captured",
+        flow: object.metadata?.flow,
+        referenceId: object.metadata?.referenceId,
+        gatewayOrderId: session?.id || object.id,
+        gatewayPaymentId: object.id,
+        amount: Number(object.amount_received || object.amount),
+        payer: toPayer(session?.customer_details),
+      };
+    }
+    case "charge.refunded": {
+      const refunds = await stripeRequest(settings, "/refunds", {
+        params: { charge: object.id, limit: 100 },
+      });
+      return {
+        type: "payment.refunded",
+        gatewayPaymentId: object.payment_intent,
+        refunds: refunds.data.map(toRefund),
+      };
+    }
+    case "charge.refund.updated":
+      return {
+        type: "payment.refunded",
+        gatewayPaymentId: object.payment_intent,
+        refunds: [toRefund(object)],
+      };
+    default:
+      return { type: null };
+  }
+};
+
+module.exports = {
+  paymentIdPattern: /^pi_/,
+  createOrder,
+  verifyReturn,
+  fetchStatus,
+  refund,
+  fetchRefundStatus,
+  parseWebhook,
+};
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const FundHold = require("../models/fundHold.model");
+const { debitWallet } = require("./ledgerHelper");
+
+/**
+ * Fund holds on merchant wallets
+ *
+ * A payout or withdrawal request reserves its amount straight away
+ * (User.reservedBalance), so the available balance - balance less reserved -
+ * is what later requests and refunds can spend. Approval captures the hold
+ * through the ledger; rejection or cancellation releases it.
+ *
+ * Amounts are in paise, like User.balance. Each function takes an optional
+ * session to join a runInTransaction (sessionHelper).
+ */
+
+const generateHoldId = () => "hold_" + crypto.randomBytes(10).toString("hex");
+
+/**
+ * Balance, reserved and available amounts of a user document
+ */
+const getBalanceSummary = (user) => {
+  const balance = user?.balance || 0;
+  const reserved = user?.reservedBalance || 0;
+  return { balance, reserved, available: balance - reserved };
+};
+
+/**
+ * Reserve amount for a pending request.
+ * Returns the hold, or null (nothing reserved) when the available balance is too low.
+ */
+const placeHold = async (merchantId, amountInPaise, { referenceType, referenceId, session = null }) => {
+  const amount = Number(amountInPaise);
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: merchantId,
+      $expr: { $gte: [{ $subtract: ["$balance", { $ifNull: ["$reservedBalance", 0] }] }, amount] },
+    },
+    { $inc: { reservedBalance: amount } },
+    { new: true, session }
+  );
+  if (!user) return null;
+
+  try {
+    const [hold] = await FundHold.create(
+      [{
+        holdId: generateHoldId(),
+        merchantId,
+        amount,
+        referenceType,
+        referenceId: String(referenceId),
+      }],
+      { session }
+    );
+    return hold;
+  } catch (err) {
+    // Inside a transaction the abort undoes the reservation
+    if (!session) {
+      await User.updateOne({ _id: merchantId }, { $inc: { reservedBalance: -amount } });
+    }
+    throw err;
+  }
+};
+
+/**
+ * Release the active hold of a request that was rejected or cancelled.
+ * Returns the hold, or null when the request has no active hold.
+ */
+const releaseHold = async (referenceId, reason, session = null) => {
+  const hold = await FundHold.findOneAndUpdate(
+    { referenceId: String(referenceId), status: "active" },
+    { $set: { status: "released", releasedAt: new Date(), releaseReason: reason || "Released" } },
+    { new: true, session }
+  );
+  if (!hold) return null;
+
+  await User.updateOne({ _id: hold.merchantId }, { $inc: { reservedBalance: -hold.amount } }, { session });
+  return hold;
+};
+
+/**
+ * Debit an approved request from the wallet, consuming its hold.
+ * amount + fee may exceed the hold (fees set at approval); the difference
+ * must be available. Requests filed before holds existed are debited from
+ * the available balance. Returns the ledger posting, or null when the
+ * balance does not cover it (the hold is kept).
+ */
+const captureHold = async (merchantId, referenceId, amount, { fee = 0, entryType, description, session = null } = {}) => {
+  // Claim the hold first so two approvals cannot both consume it
+  const hold = await FundHold.findOneAndUpdate(
+    { referenceId: String(referenceId), status: "active" },
+    { $set: { status: "captured", capturedAt: new Date() } },
+    { new: true, session }
+  );
+
+  const debited = await debitWallet(merchantId, amount, {
+    entryType,
+    fee,
+    fromHold: hold ? hold.amount : 0,
+    referenceId: String(referenceId),
+    description,
+    session,
+  });
+
+  if (!hold) return debited;
+
+  if (!debited) {
+    await FundHold.updateOne({ _id: hold._id }, { $set: { status: "active" }, $unset: { capturedAt: "" } }, { session });
+    return null;
+  }
+
+  await FundHold.updateOne({ _id: hold._id }, { $set: { journalId: debited.journalId } }, { session });
+  return debited;
+};
+
+module.exports = {
+  getBalanceSummary,
+  placeHold,
+  releaseHold,
+  captureHold,
+};
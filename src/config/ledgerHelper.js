@@ -0,0 +1,259 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const LedgerEntry = require("../models/ledgerEntry.model");
+const { isPaise } = require("./moneyHelper");
+
+/**
+ * Merchant wallet ledger
+ *
+ * Every change to User.balance is posted here as a balanced journal: the
+ * merchant_wallet line carries the running balance and a system account
+ * takes the other side. User.balance is a cached projection of the wallet
+ * lines - it is only ever moved by $inc in the same call that writes the
+ * journal, and getLedgerBalance recomputes it from the entries.
+ *
+ * Amounts are integer paise, like User.balance. Test-mode money stays on the
+ * sandbox ledger (sandboxHelper). Posting functions take an optional
+ * session to join a runInTransaction (sessionHelper).
+ */
+
+const WALLET_ACCOUNT = "merchant_wallet";
+
+const generateJournalId = () => "jrnl_" + crypto.randomBytes(10).toString("hex");
+
+const opposite = (direction) => (direction === "credit" ? "debit" : "credit");
+
+/**
+ * Build the lines of a journal. Each leg is { direction, amount, account, entryType }
+ * seen from the wallet; the counter line goes to leg.account on the other side.
+ * balanceAfter is the wallet balance once all legs are applied.
+ */
+const buildJournal = (merchantId, legs, { journalId, balanceAfter, referenceId, description, reversalOf = null }) => {
+  const lines = [];
+  let runningBalance = balanceAfter;
+
+  // Walk back from the final balance so each wallet line shows the balance after it
+  const walletBalances = legs
+    .slice()
+    .reverse()
+    .map((leg) => {
+      const after = runningBalance;
+      runningBalance += leg.direction === "credit" ? -leg.amount : leg.amount;
+      return after;
+    })
+    .reverse();
+
+  legs.forEach((leg, i) => {
+    const common = { journalId, merchantId, amount: leg.amount, entryType: leg.entryType, referenceId, description, reversalOf };
+    lines.push(
+      { ...common, account: WALLET_ACCOUNT, direction: leg.direction, balanceAfter: walletBalances[i] },
+      { ...common, account: leg.account, direction: opposite(leg.direction) }
+    );
+  });
+
+  return lines.map((line, i) => ({ ...line, entryId: `${journalId}_${i + 1}` }));
+};
+
+/**
+ * Post the balance a merchant held before the ledger existed as its opening
+ * journal. Runs once per merchant: claiming ledgerOpenedAt and reading the
+ * balance happen in one update, so later postings are never counted twice.
+ */
+const openWalletLedger = async (merchantId, session = null) => {
+  const user = await User.findOneAndUpdate(
+    { _id: merchantId, ledgerOpenedAt: null },
+    { $set: { ledgerOpenedAt: new Date() } },
+    { new: true, session }
+  ).select("balance");
+
+  if (!user || !user.balance) return null;
+
+  const journalId = `jrnl_open_${user._id}`;
+  const lines = buildJournal(
+    user._id,
+    [{
+      direction: user.balance > 0 ? "credit" : "debit",
+      amount: Math.abs(user.balance),
+      account: "opening_balance",
+      entryType: "opening",
+    }],
+    { journalId, balanceAfter: user.balance, description: "Opening balance" }
+  );
+
+  await LedgerEntry.insertMany(lines, { session });
+  return journalId;
+};
+
+/**
+ * Open the ledger of every merchant that has none yet (run once at startup)
+ */
+const openWalletLedgers = async () => {
+  const users = await User.find({ ledgerOpenedAt: null }).select("_id");
+
+  let opened = 0;
+  for (const user of users) {
+    if (await openWalletLedger(user._id)) opened++;
+  }
+
+  if (opened) {
+    console.log(`[Ledger] Posted opening balances for ${opened} merchant(s)`);
+  }
+  return opened;
+};
+
+/**
+ * Apply legs to the wallet and write the journal.
+ * Debits are conditional on the available balance (balance less reserved
+ * holds) covering them; returns null otherwise. fromHold is the part of a
+ * fund hold the debit consumes - it is released in the same update.
+ */
+const postJournal = async (merchantId, legs, { referenceId, description, reversalOf = null, fromHold = 0, session = null }) => {
+  await openWalletLedger(merchantId, session);
+
+  const change = legs.reduce((sum, leg) => sum + (leg.direction === "credit" ? leg.amount : -leg.amount), 0);
+  const filter = { _id: merchantId };
+  if (change < 0) {
+    filter.$expr = {
+      $gte: [
+        { $add: [{ $subtract: ["$balance", { $ifNull: ["$reservedBalance", 0] }] }, fromHold] },
+        -change,
+      ],
+    };
+  }
+
+  const update = { $inc: { balance: change } };
+  if (fromHold) {
+    update.$inc.reservedBalance = -fromHold;
+  }
+
+  const user = await User.findOneAndUpdate(filter, update, { new: true, session });
+  if (!user) return null;
+
+  const journalId = generateJournalId();
+  const entries = await LedgerEntry.insertMany(
+    buildJournal(user._id, legs, { journalId, balanceAfter: user.balance, referenceId, description, reversalOf }),
+    { session }
+  );
+
+  return { journalId, balance: user.balance, entries };
+};
+
+const toAmount = (amount) => {
+  const value = Number(amount);
+  if (!isPaise(value) || value < 0) {
+    throw new Error(`Invalid ledger amount: ${amount}`);
+  }
+  return value;
+};
+
+/**
+ * Credit a merchant wallet (payments, deposits, settled QR / link payments).
+ * Returns { journalId, balance, entries }.
+ */
+const creditWallet = (merchantId, amount, { entryType = "payment", account = "gateway_clearing", referenceId, description, session = null }) =>
+  postJournal(
+    merchantId,
+    [{ direction: "credit", amount: toAmount(amount), account, entryType }],
+    { referenceId, description, session }
+  );
+
+/**
+ * Debit a merchant wallet (payouts, withdrawals, refunds), plus an optional
+ * fee line to fee_revenue. Returns null and changes nothing when the
+ * available balance (plus fromHold, when capturing a hold) does not cover
+ * amount + fee.
+ */
+const debitWallet = (merchantId, amount, { entryType = "payout", account = "payout_clearing", fee = 0, fromHold = 0, referenceId, description, session = null }) => {
+  const legs = [{ direction: "debit", amount: toAmount(amount), account, entryType }];
+  if (Number(fee) > 0) {
+    legs.push({ direction: "debit", amount: toAmount(fee), account: "fee_revenue", entryType: "fee" });
+  }
+  return postJournal(merchantId, legs, { referenceId, description, fromHold: toAmount(fromHold), session });
+};
+
+/**
+ * Post the mirror image of a journal. Returns null when it was already
+ * reversed, or when reversing a credit would overdraw the wallet.
+ */
+const reverseJournal = async (journalId, { description, session = null } = {}) => {
+  const lines = await LedgerEntry.find({ journalId }).sort({ entryId: 1 }).session(session);
+  const alreadyReversed = await LedgerEntry.exists({ reversalOf: journalId }).session(session);
+
+  if (!lines.length) {
+    throw new Error(`Ledger journal ${journalId} not found`);
+  }
+  if (alreadyReversed) return null;
+
+  // Lines come in wallet / counter-account pairs
+  const legs = [];
+  for (let i = 0; i < lines.length; i += 2) {
+    legs.push({
+      direction: opposite(lines[i].direction),
+      amount: lines[i].amount,
+      account: lines[i + 1].account,
+      entryType: "reversal",
+    });
+  }
+
+  return postJournal(lines[0].merchantId, legs, {
+    referenceId: lines[0].referenceId,
+    description: description || `Reversal of ${journalId}`,
+    reversalOf: journalId,
+    session,
+  });
+};
+
+/**
+ * The latest journal of a type (or one of several) posted for a reference,
+ * e.g. the debit of a refund
+ */
+const findJournal = async (referenceId, entryType, session = null) => {
+  const line = await LedgerEntry.findOne({
+    referenceId,
+    entryType: Array.isArray(entryType) ? { $in: entryType } : entryType,
+    account: WALLET_ACCOUNT,
+  })
+    .sort({ createdAt: -1 })
+    .session(session);
+  return line ? line.journalId : null;
+};
+
+/**
+ * Wallet balance recomputed from the ledger (what User.balance should hold)
+ */
+const getLedgerBalance = async (merchantId) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { merchantId: new mongoose.Types.ObjectId(String(merchantId)), account: WALLET_ACCOUNT } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: { $cond: [{ $eq: ["$direction", "credit"] }, "$amount", { $multiply: ["$amount", -1] }] } },
+      },
+    },
+  ]);
+  return row ? row.balance : 0;
+};
+
+/**
+ * Wallet lines of a merchant, newest first
+ */
+const getWalletStatement = (merchantId, { limit = 50, before } = {}) => {
+  const query = { merchantId, account: WALLET_ACCOUNT };
+  if (before) query.createdAt = { $lt: new Date(before) };
+
+  return LedgerEntry.find(query)
+    .sort({ createdAt: -1, entryId: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200));
+};
+
+module.exports = {
+  openWalletLedger,
+  openWalletLedgers,
+  creditWallet,
+  debitWallet,
+  reverseJournal,
+  findJournal,
+  getLedgerBalance,
+  getWalletStatement,
+};
@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_COUNT = 10;
+const MAX_COUNT = 100;
+const NOTES_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const listError = (message, field) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "BAD_REQUEST_ERROR";
+  error.field = field;
+  return error;
+};
+
+/**
+ * Opaque cursor for an item: base64url of its createdAt and _id
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(JSON.stringify({ t: new Date(doc.createdAt).getTime(), id: doc._id.toString() }))
+    .toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isInteger(t) || !mongoose.Types.ObjectId.isValid(id)) throw new Error();
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw listError("starting_after is not a valid cursor", "starting_after");
+  }
+};
+
+const parseUnixParam = (value, field) => {
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    throw listError(`${field} must be a unix timestamp in seconds`, field);
+  }
+  return new Date(seconds * 1000);
+};
+
+/**
+ * Build the Mongo filter for a v1 list request.
+ *
+ * Supported query params:
+ * - from / to: unix timestamps (inclusive) on createdAt
+ * - status: one of options.statuses
+ * - receipt: when options.receiptField is set
+ * - notes.<key>=<value>: when options.notesField is set
+ *
+ * Throws errors with statusCode/code/field for invalid params.
+ */
+const buildListFilter = (baseFilter, query, options = {}) => {
+  const filter = { ...baseFilter };
+
+  if (query.from !== undefined || query.to !== undefined) {
+    filter.createdAt = {};
+    if (query.from !== undefined) filter.createdAt.$gte = parseUnixParam(query.from, "from");
+    if (query.to !== undefined) filter.createdAt.$lte = parseUnixParam(query.to, "to");
+  }
+
+  if (query.status !== undefined) {
+    if (typeof query.status !== "string" || (options.statuses && !options.statuses.includes(query.status))) {
+      throw listError(
+        `status must be one of: ${(options.statuses || []).join(", ")}`,
+        "status"
+      );
+    }
+    filter.status = query.status;
+  }
+
+  if (query.receipt !== undefined && options.receiptField) {
+    if (typeof query.receipt !== "string") throw listError("receipt must be a string", "receipt");
+    filter[options.receiptField] = query.receipt;
+  }
+
+  if (options.notesField) {
+    for (const [param, value] of Object.entries(query)) {
+      if (!param.startsWith("notes.")) continue;
+
+      const key = param.slice("notes.".length);
+      if (!NOTES_KEY_PATTERN.test(key) || typeof value !== "string") {
+        throw listError(`Invalid notes filter "${param}"`, param);
+      }
+      filter[`${options.notesField}.${key}`] = value;
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Run a paginated v1 list query, newest first.
+ *
+ * Pages with starting_after (cursor returned as next_cursor by the previous page);
+ * count/skip still work for older integrations.
+ * Returns the collection envelope: { entity, count, total, has_more, next_cursor, items }
+ */
+const listCollection = async (Model, baseFilter, query, serialize, options = {}) => {
+  const filter = buildListFilter(baseFilter, query, options);
+  const limit = Math.min(Math.max(parseInt(query.count) || DEFAULT_COUNT, 1), MAX_COUNT);
+
+  const pageFilter = { ...filter };
+  let offset = 0;
+  if (query.starting_after) {
+    const cursor = decodeCursor(query.starting_after);
+    pageFilter.$and = [
+      ...(pageFilter.$and || []),
+      {
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+        ],
+      },
+    ];
+  } else {
+    offset = Math.max(parseInt(query.skip) || 0, 0);
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const docs = await Model.find(pageFilter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(offset)
+    .limit(limit + 1);
+
+  const total = await Model.countDocuments(filter);
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    entity: "collection",
+    count: page.length,
+    total,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    items: page.map(serialize),
+  };
+};
+
+module.exports = {
+  buildListFilter,
+  listCollection,
+};
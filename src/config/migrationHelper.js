@@ -0,0 +1,173 @@
+const User = require("../models/user.model");
+const Transaction = require("../models/transaction.model");
+const Withdrawal = require("../models/withdrawal.model");
+const PayoutRequest = require("../models/payoutRequest.model");
+const BulkPayout = require("../models/bulkPayout.model");
+const PaymentLink = require("../models/paymentLink.model");
+const QRCode = require("../models/qrCode.model");
+const LedgerEntry = require("../models/ledgerEntry.model");
+const TestLedgerEntry = require("../models/testLedgerEntry.model");
+const FundHold = require("../models/fundHold.model");
+const DepositIntent = require("../models/depositIntent.model");
+const PaymentCapture = require("../models/paymentCapture.model");
+const BalanceDrift = require("../models/balanceDrift.model");
+const ReconciliationRun = require("../models/reconciliationRun.model");
+const ApiTokenRequest = require("../models/apiTokenRequest.model");
+const Report = require("../models/report.model");
+const Settings = require("../models/settings.model");
+const Migration = require("../models/migration.model");
+
+/**
+ * One-off data migrations (run once at startup)
+ *
+ * amounts_to_paise converts every amount stored in rupees to integer paise.
+ * Orders, payments and refunds were always in paise and are left alone.
+ * Each document is marked as it is converted, so a run interrupted by a
+ * crash resumes where it stopped instead of multiplying twice; the markers
+ * are removed once every collection is done. Until then the API answers
+ * 503 (migration.middleware), so no amount is written in the old unit or
+ * converted twice.
+ */
+
+const PAISE_MIGRATION = "amounts_to_paise";
+const MIGRATED_FLAG = "_paiseMigrated";
+const LOCK_MS = 10 * 60 * 1000;
+const POLL_MS = Number(process.env.MIGRATION_POLL_MS) || 5000;
+
+const PAISE_COLLECTIONS = [
+  { model: User, fields: ["balance", "reservedBalance", "testBalance"] },
+  { model: Transaction, fields: ["amount", "fee", "netAmount"] },
+  { model: Withdrawal, fields: ["amount", "commission", "total"] },
+  { model: PayoutRequest, fields: ["amount", "fee", "netAmount"] },
+  { model: BulkPayout, fields: ["totalAmount"], arrays: { payoutData: ["amount"] } },
+  { model: PaymentLink, fields: ["amount"] },
+  { model: QRCode, fields: ["amount", "amountReceived"] },
+  { model: LedgerEntry, fields: ["amount", "balanceAfter"] },
+  { model: TestLedgerEntry, fields: ["amount", "balanceAfter"] },
+  { model: FundHold, fields: ["amount"] },
+  { model: DepositIntent, fields: ["amount", "paidAmount"] },
+  { model: PaymentCapture, fields: ["amount"] },
+  {
+    model: BalanceDrift,
+    fields: [
+      "balance",
+      "expectedBalance",
+      "drift",
+      "breakdown.credits",
+      "breakdown.debits",
+      "breakdown.fees",
+      "breakdown.ledgerBalance",
+      "breakdown.reservedBalance",
+      "adjustment.amount",
+    ],
+  },
+  { model: ReconciliationRun, fields: ["totalDrift"] },
+  { model: ApiTokenRequest, fields: ["fee"] },
+  { model: Report, fields: ["summary.totalCredit", "summary.totalDebit", "summary.netAmount"] },
+  { model: Settings, fields: ["minWithdrawal", "maxWithdrawal"] },
+];
+
+// Rupees to paise for numbers; anything else (null, missing) is kept as is
+const toPaiseExpr = (value) => ({
+  $cond: [{ $isNumber: value }, { $round: [{ $multiply: [value, 100] }, 0] }, value],
+});
+
+const buildPaiseUpdate = ({ fields, arrays = {} }) => {
+  const set = { [MIGRATED_FLAG]: true };
+  for (const field of fields) {
+    set[field] = toPaiseExpr(`$${field}`);
+  }
+  for (const [path, itemFields] of Object.entries(arrays)) {
+    const item = { $mergeObjects: ["$$item", Object.fromEntries(itemFields.map((f) => [f, toPaiseExpr(`$$item.${f}`)]))] };
+    set[path] = {
+      $cond: [{ $isArray: `$${path}` }, { $map: { input: `$${path}`, as: "item", in: item } }, `$${path}`],
+    };
+  }
+  return [{ $set: set }];
+};
+
+/**
+ * Claim the migration for this worker. Returns the record, or null when it
+ * is completed or another worker holds a live lock.
+ */
+const claimMigration = async (name) => {
+  const now = new Date();
+  try {
+    return await Migration.create({ name, lockedUntil: new Date(now.getTime() + LOCK_MS) });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  return Migration.findOneAndUpdate(
+    { name, status: "running", lockedUntil: { $lt: now } },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+};
+
+/**
+ * Convert every rupee amount to integer paise (run once at startup, before
+ * the wallet ledgers are opened). Goes through the driver collections so
+ * the immutable ledger entries can be rewritten in place.
+ */
+const migrateAmountsToPaise = async () => {
+  const migration = await claimMigration(PAISE_MIGRATION);
+  if (!migration) return null;
+
+  for (const spec of PAISE_COLLECTIONS) {
+    const { collection } = spec.model;
+    const { modifiedCount } = await collection.updateMany(
+      { [MIGRATED_FLAG]: { $ne: true } },
+      buildPaiseUpdate(spec)
+    );
+    migration.results.set(collection.collectionName, (migration.results.get(collection.collectionName) || 0) + modifiedCount);
+    migration.lockedUntil = new Date(Date.now() + LOCK_MS);
+    await migration.save();
+  }
+
+  migration.set({ status: "completed", completedAt: new Date() });
+  await migration.save();
+
+  for (const { model } of PAISE_COLLECTIONS) {
+    await model.collection.updateMany({ [MIGRATED_FLAG]: { $exists: true } }, { $unset: { [MIGRATED_FLAG]: "" } });
+  }
+
+  const converted = [...migration.results.values()].reduce((sum, count) => sum + count, 0);
+  console.log(`[Migration] ${PAISE_MIGRATION}: converted ${converted} document(s) to paise`);
+  return migration;
+};
+
+let paiseAmountsReady = false;
+
+/**
+ * Whether amounts_to_paise has completed (cached once it has)
+ */
+const arePaiseAmountsReady = async () => {
+  if (!paiseAmountsReady) {
+    paiseAmountsReady = Boolean(await Migration.exists({ name: PAISE_MIGRATION, status: "completed" }));
+  }
+  return paiseAmountsReady;
+};
+
+/**
+ * Resolve once amounts_to_paise has completed. Every worker calls this at
+ * startup: the one that claims the migration runs it, the others poll until
+ * it is done (and take it over if its lock lapses).
+ */
+const waitForPaiseAmounts = async () => {
+  for (;;) {
+    try {
+      await migrateAmountsToPaise();
+      if (await arePaiseAmountsReady()) return;
+    } catch (err) {
+      console.error("[Migration] Converting amounts to paise failed:", err.message);
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+  }
+};
+
+module.exports = {
+  migrateAmountsToPaise,
+  arePaiseAmountsReady,
+  waitForPaiseAmounts,
+};
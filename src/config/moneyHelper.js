@@ -0,0 +1,89 @@
+/**
+ * Money amounts
+ *
+ * Every monetary field is stored as an integer number of paise. Rupees only
+ * appear at the edges: amounts typed into the dashboard, gateway APIs that
+ * take decimal strings, and the JSON the dashboard reads (paiseFields
+ * converts documents back to rupees when they are sent with res.json). The
+ * public v1 API speaks paise throughout.
+ */
+
+const isPaise = (value) => Number.isSafeInteger(value);
+
+/**
+ * Rupees (number or numeric string, e.g. a dashboard form field) to integer paise
+ */
+const toPaise = (rupees) => {
+  const value = Number(rupees);
+  if (!Number.isFinite(value)) return NaN;
+  // toFixed first so 1.005 * 100 = 100.49999... still rounds to 101
+  return Math.round(Number((value * 100).toFixed(4)));
+};
+
+/**
+ * Integer paise to rupees (for display and rupee-denominated gateway fields)
+ */
+const toRupees = (paise) => (Number(paise) || 0) / 100;
+
+/**
+ * "1234.50" - the decimal string PayU, Cashfree and UPI URIs expect
+ */
+const toRupeeString = (paise) => toRupees(paise).toFixed(2);
+
+/**
+ * "₹1234.50" for messages and notes
+ */
+const formatRupees = (paise) => `₹${toRupeeString(paise)}`;
+
+/**
+ * percent% of an amount, rounded to the nearest paisa (commissions, fees)
+ */
+const percentOf = (paise, percent) => Math.round((Number(paise) * Number(percent)) / 100);
+
+const getPath = (obj, path) => path.split(".").reduce((value, key) => (value == null ? value : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => (value == null ? value : value[key]), obj);
+  if (parent != null && parent[last] != null) parent[last] = value;
+};
+
+/**
+ * Schema plugin for paise fields: validates that they hold integers and
+ * converts them to rupees in toJSON, so dashboard responses built with
+ * res.json(doc) keep their rupee amounts. Reading the document in code
+ * always gives paise.
+ */
+const paiseFields = (schema, { fields }) => {
+  for (const path of fields) {
+    schema.path(path).validate({
+      validator: (value) => value == null || isPaise(value),
+      message: `${path} must be an integer amount in paise`,
+    });
+  }
+
+  const toJSON = schema.get("toJSON") || {};
+  const transform = toJSON.transform;
+  schema.set("toJSON", {
+    ...toJSON,
+    transform(doc, ret, options) {
+      const result = typeof transform === "function" ? transform(doc, ret, options) || ret : ret;
+      for (const path of fields) {
+        const value = getPath(result, path);
+        if (typeof value === "number") setPath(result, path, toRupees(value));
+      }
+      return result;
+    },
+  });
+};
+
+module.exports = {
+  isPaise,
+  toPaise,
+  toRupees,
+  toRupeeString,
+  formatRupees,
+  percentOf,
+  paiseFields,
+};
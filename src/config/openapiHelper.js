@@ -0,0 +1,256 @@
+const openapiDocument = require("./openapiSpec");
+
+/**
+ * OpenAPI helpers for the v1 merchant API
+ *
+ * The document in openapiSpec.js is the source of truth for request and
+ * response shapes: validate.middleware checks every v1 request (and, outside
+ * production, every response) against it, and assertRoutesDocumented makes
+ * the server refuse to start when a v1 route and the document disagree.
+ *
+ * validateSchema implements the subset of JSON Schema the document uses:
+ * $ref, type (string or list, incl. "null"), enum, minimum, maximum,
+ * minLength, maxLength, pattern, format (uri, email), required, properties,
+ * additionalProperties, items and minItems.
+ */
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const resolveRef = (schema) => {
+  if (!schema || !schema.$ref) return schema;
+  const name = schema.$ref.replace("#/components/schemas/", "");
+  const resolved = openapiDocument.components.schemas[name];
+  if (!resolved) throw new Error(`Unknown schema ${schema.$ref}`);
+  return resolveRef(resolved);
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === "number" ? typeof value === "number" && Number.isFinite(value) : typeOf(value) === type;
+
+// Query and path values arrive as strings; read them as the declared type
+const coerceParam = (value, types) => {
+  if (typeof value !== "string") return value;
+  if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+};
+
+const describeType = (types) =>
+  types
+    .filter((type) => type !== "null")
+    .map((type) => `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`)
+    .join(" or ");
+
+const isValidFormat = (value, format) => {
+  if (format === "email") return EMAIL_PATTERN.test(value);
+  if (format === "uri") {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  return true;
+};
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Validate a value against a schema.
+ * Returns null, or { field, message } for the first mismatch.
+ */
+const validateSchema = (rawSchema, value, { path = "", coerce = false } = {}) => {
+  const schema = resolveRef(rawSchema);
+  const name = path || "The request body";
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (coerce) value = coerceParam(value, types);
+    if (!types.some((type) => matchesType(value, type))) {
+      return { field: path || undefined, message: `${name} must be ${describeType(types)}` };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.filter((option) => option !== null).join(", ");
+    return { field: path || undefined, message: `${name} must be one of: ${allowed}` };
+  }
+
+  if (value === null) return null;
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return { field: path, message: `${name} must be at least ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return { field: path, message: `${name} must be at most ${schema.maximum}` };
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return {
+        field: path,
+        message: schema.minLength === 1 ? `${name} cannot be empty` : `${name} must be at least ${schema.minLength} characters`,
+      };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { field: path, message: `${name} must be at most ${schema.maxLength} characters` };
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return { field: path, message: schema["x-pattern-description"] ? `${name} ${schema["x-pattern-description"]}` : `${name} is invalid` };
+    }
+    if (schema.format && !isValidFormat(value, schema.format)) {
+      return { field: path, message: `${name} must be a valid ${schema.format === "uri" ? "URL" : schema.format}` };
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return { field: path, message: `${name} must have at least ${schema.minItems} item(s)` };
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validateSchema(schema.items, value[i], { path: `${path}[${i}]` });
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        return { field: childPath(path, key), message: `${childPath(path, key)} is required` };
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const error = validateSchema(propertySchema, value[key], { path: childPath(path, key) });
+      if (error) return error;
+    }
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      for (const key of Object.keys(value)) {
+        if (schema.properties && key in schema.properties) continue;
+        if (schema.additionalProperties === false) {
+          return { field: childPath(path, key), message: `${childPath(path, key)} is not allowed` };
+        }
+        const error = validateSchema(schema.additionalProperties, value[key], { path: childPath(path, key) });
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+};
+
+// operationId -> { method, path, operation }
+const operations = new Map();
+for (const [path, item] of Object.entries(openapiDocument.paths)) {
+  for (const [method, operation] of Object.entries(item)) {
+    operations.set(operation.operationId, { method, path, operation });
+  }
+}
+
+/**
+ * Look up an operation of the document; throws for unknown ids so a typo
+ * in a route fails at startup
+ */
+const getOperation = (operationId) => {
+  const entry = operations.get(operationId);
+  if (!entry) throw new Error(`OpenAPI operation ${operationId} is not in the document`);
+  return entry;
+};
+
+/**
+ * Validate a request's path and query parameters and JSON body against an
+ * operation. Returns null or { field, message }.
+ */
+const validateRequestAgainst = (operationId, { params = {}, query = {}, body }) => {
+  const { operation } = getOperation(operationId);
+
+  for (const parameter of operation.parameters || []) {
+    const source = parameter.in === "path" ? params : query;
+    const value = source[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) return { field: parameter.name, message: `${parameter.name} is required` };
+      continue;
+    }
+    const error = validateSchema(parameter.schema, value, { path: parameter.name, coerce: true });
+    if (error) return error;
+  }
+
+  if (operation.requestBody) {
+    const schema = operation.requestBody.content["application/json"].schema;
+    const error = validateSchema(schema, body === undefined ? {} : body);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+/**
+ * Validate a response body against the operation's response for its status
+ * ("200", then "4XX"/"5XX", then "default"). Returns null or { field, message }.
+ */
+const validateResponseAgainst = (operationId, statusCode, body) => {
+  const { operation } = getOperation(operationId);
+  const status = String(statusCode);
+  const response =
+    operation.responses[status] || operation.responses[`${status[0]}XX`] || operation.responses.default;
+
+  if (!response) return { field: undefined, message: `status ${status} is not documented` };
+
+  const schema = response.content?.["application/json"]?.schema;
+  return schema ? validateSchema(schema, body, { path: "response" }) : null;
+};
+
+// Express "/orders/:orderId" -> OpenAPI "/orders/{orderId}"
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, "{$1}");
+
+/**
+ * Throw unless the router's routes and the document's paths match exactly
+ * (same paths, same methods). Called once the v1 router is built.
+ */
+const assertRoutesDocumented = (router) => {
+  const routed = new Set();
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routed.add(`${method.toUpperCase()} ${toOpenApiPath(layer.route.path)}`);
+    }
+  }
+
+  const documented = new Set([...operations.values()].map(({ method, path }) => `${method.toUpperCase()} ${path}`));
+
+  const undocumented = [...routed].filter((route) => !documented.has(route));
+  const missing = [...documented].filter((route) => !routed.has(route));
+
+  if (undocumented.length || missing.length) {
+    throw new Error(
+      "The v1 routes and the OpenAPI document disagree. " +
+      `Not documented: ${undocumented.join(", ") || "none"}. ` +
+      `Documented but not routed: ${missing.join(", ") || "none"}.`
+    );
+  }
+};
+
+module.exports = {
+  openapiDocument,
+  validateSchema,
+  getOperation,
+  validateRequestAgainst,
+  validateResponseAgainst,
+  assertRoutesDocumented,
+};
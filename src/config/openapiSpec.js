@@ -0,0 +1,1062 @@
+const Order = require("../models/order.model");
+const Payment = require("../models/payment.model");
+const Refund = require("../models/refund.model");
+const PayoutRequest = require("../models/payoutRequest.model");
+const PaymentLink = require("../models/paymentLink.model");
+const QRCode = require("../models/qrCode.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const { WEBHOOK_EVENTS } = require("./webhookHelper");
+
+/**
+ * OpenAPI 3.1 document for the public v1 merchant API (/api/v1)
+ *
+ * Served at GET /api/v1/openapi.json. The same document validates requests
+ * and responses (openapiHelper / validate.middleware), so a field added to a
+ * route without being added here is rejected, and a route without an
+ * operation here stops the server from starting.
+ *
+ * All amounts are integers in paise. Status enums come from the models.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+const json = (schema) => ({ content: { "application/json": { schema } } });
+
+const amount = { type: "integer", minimum: 100, description: "Amount in paise (minimum 100 = ₹1.00)" };
+const paise = { type: "integer", description: "Amount in paise" };
+const unixTime = { type: "integer", description: "Unix timestamp in seconds" };
+const currency = { type: "string", enum: ["INR"], default: "INR" };
+const notes = {
+  type: "object",
+  description: "Key-value pairs stored with the entity",
+  additionalProperties: { type: ["string", "number", "boolean", "null"] },
+};
+const entity = (name) => ({ type: "string", enum: [name] });
+
+// Common query and path parameters
+const pathId = (name, description) => ({ name, in: "path", required: true, description, schema: { type: "string" } });
+const query = (name, description, schema) => ({ name, in: "query", description, schema });
+
+const paginationParams = [
+  query("count", "Number of records (default 10, max 100)", { type: "integer", minimum: 1 }),
+  query("starting_after", "next_cursor of the previous page", { type: "string" }),
+  query("skip", "Offset, when not using starting_after", { type: "integer", minimum: 0 }),
+];
+
+const listParams = ({ statuses, receipt, customer } = {}) => [
+  query("from", "Created at or after (unix timestamp)", { type: "integer", minimum: 0 }),
+  query("to", "Created at or before (unix timestamp)", { type: "integer", minimum: 0 }),
+  ...(statuses ? [query("status", "Filter by status", { type: "string", enum: statuses })] : []),
+  ...(receipt ? [query("receipt", receipt, { type: "string" })] : []),
+  ...(customer ? [query("customer_id", "Only records for this customer", { type: "string" })] : []),
+  ...paginationParams,
+];
+
+const customerFields = {
+  name: { type: "string" },
+  email: nullable({ type: "string" }),
+  contact: nullable({ type: "string" }),
+  gstin: nullable({ type: "string" }),
+  notes,
+};
+
+const errorResponse = { description: "Error", ...json(ref("Error")) };
+
+/**
+ * One operation. Every operation answers 200 with `response` or an Error body.
+ */
+const operation = ({ operationId, tag, summary, description, scope, parameters, body, response }) => ({
+  operationId,
+  tags: [tag],
+  summary,
+  description: [description, scope && `Requires the ${scope} scope.`].filter(Boolean).join("\n\n") || undefined,
+  ...(parameters && parameters.length ? { parameters } : {}),
+  ...(body ? { requestBody: { required: true, ...json(body) } } : {}),
+  responses: {
+    200: { description: "OK", ...json(response) },
+    "4XX": errorResponse,
+    "5XX": errorResponse,
+  },
+});
+
+const collectionOf = (name) => ({
+  type: "object",
+  required: ["entity", "count", "items"],
+  properties: {
+    entity: entity("collection"),
+    count: { type: "integer" },
+    total: { type: "integer" },
+    has_more: { type: "boolean" },
+    next_cursor: { type: ["string", "null"], description: "Pass as starting_after for the next page" },
+    items: { type: "array", items: ref(name) },
+  },
+});
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: {
+        type: "object",
+        required: ["code", "description", "source"],
+        properties: {
+          code: { type: "string", examples: ["BAD_REQUEST_ERROR", "NOT_FOUND_ERROR", "INSUFFICIENT_BALANCE"] },
+          description: { type: "string" },
+          source: { type: "string", enum: ["api", "business", "gateway", "internal"] },
+          field: { type: "string", description: "Request field the error is about" },
+          metadata: { type: "object" },
+        },
+      },
+    },
+  },
+
+  // ---- Request bodies ----
+  CreateOrderRequest: {
+    type: "object",
+    required: ["amount"],
+    properties: {
+      amount,
+      currency,
+      receipt: nullable({ type: "string" }),
+      notes,
+      callback_url: nullable({ type: "string", format: "uri" }),
+      webhook_url: nullable({ type: "string", format: "uri" }),
+      expire_by: nullable({ ...unixTime, description: "Unpaid orders expire after this time (must be in the future)" }),
+      partial_payment: { type: "boolean", default: false },
+      customer_id: nullable({ type: "string" }),
+    },
+  },
+  VerifyPaymentRequest: {
+    type: "object",
+    required: ["order_id", "payment_id", "signature"],
+    properties: {
+      order_id: { type: "string", minLength: 1 },
+      payment_id: { type: "string", minLength: 1 },
+      signature: { type: "string", minLength: 1, description: 'HMAC-SHA256 of "order_id|payment_id" with the key secret' },
+    },
+  },
+  CreateRefundRequest: {
+    type: "object",
+    properties: {
+      amount: nullable({ ...paise, minimum: 1, description: "Amount in paise (default: the remaining refundable amount)" }),
+      notes,
+    },
+  },
+  CustomerRequest: {
+    type: "object",
+    properties: customerFields,
+  },
+  CreateCustomerRequest: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      ...customerFields,
+      fail_existing: {
+        type: ["boolean", "string"],
+        enum: [true, false, "1", "0"],
+        default: true,
+        description: "false returns the existing customer with the same email or contact",
+      },
+    },
+  },
+  CreatePaymentLinkRequest: {
+    type: "object",
+    required: ["amount"],
+    properties: {
+      amount,
+      description: nullable({ type: "string" }),
+      customer: {
+        type: "object",
+        description: "Defaults to the details of customer_id; name and email are required either way",
+        properties: {
+          name: { type: "string" },
+          email: { type: "string", format: "email" },
+          contact: nullable({ type: "string" }),
+        },
+      },
+      customer_id: nullable({ type: "string" }),
+      reference_id: { type: ["string", "integer", "null"], description: "Unique per merchant" },
+      expire_by: nullable({ ...unixTime, description: "The link is valid until the end of that day (must be in the future)" }),
+      notify: {
+        type: "object",
+        properties: { email: { type: "boolean", default: true } },
+      },
+      notes,
+    },
+  },
+  CreateQrCodeRequest: {
+    type: "object",
+    properties: {
+      usage: { type: "string", enum: ["single_use", "multiple_use"], default: "single_use" },
+      payment_amount: { ...amount, description: "Amount in paise; required for single_use" },
+      name: nullable({ type: "string" }),
+      description: nullable({ type: "string" }),
+      close_by: nullable({ ...unixTime, description: "single_use only; at least a minute ahead (default: 15 minutes)" }),
+      notes,
+    },
+  },
+  CreatePayoutRequest: {
+    type: "object",
+    required: ["amount", "method"],
+    properties: {
+      amount,
+      currency,
+      method: { type: "string", enum: ["bank", "upi"] },
+      bank_account: {
+        type: "object",
+        description: "Required for method bank",
+        required: ["account_number", "ifsc_code", "account_holder_name"],
+        properties: {
+          account_number: { type: "string", minLength: 1 },
+          ifsc_code: { type: "string", minLength: 1 },
+          account_holder_name: { type: "string", minLength: 1 },
+          bank_name: nullable({ type: "string" }),
+        },
+      },
+      upi: {
+        type: "object",
+        description: "Required for method upi",
+        required: ["upi_id"],
+        properties: { upi_id: { type: "string", minLength: 1 } },
+      },
+      notes,
+    },
+  },
+  WebhookEvents: {
+    type: "array",
+    minItems: 1,
+    items: { type: "string", enum: ["*", ...WEBHOOK_EVENTS] },
+  },
+  CreateWebhookRequest: {
+    type: "object",
+    required: ["url"],
+    properties: {
+      url: { type: "string", format: "uri", pattern: "^https?://", "x-pattern-description": "must be an http(s) URL" },
+      events: { ...ref("WebhookEvents"), default: ["*"] },
+      description: nullable({ type: "string" }),
+    },
+  },
+  UpdateWebhookRequest: {
+    type: "object",
+    properties: {
+      url: { type: "string", format: "uri", pattern: "^https?://", "x-pattern-description": "must be an http(s) URL" },
+      events: ref("WebhookEvents"),
+      description: nullable({ type: "string" }),
+      active: { type: "boolean", description: "false disables the endpoint" },
+    },
+  },
+
+  // ---- Entities ----
+  Order: {
+    type: "object",
+    required: ["id", "entity", "amount", "currency", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("order"),
+      amount: paise,
+      amount_paid: paise,
+      amount_due: paise,
+      currency: { type: "string" },
+      receipt: nullable({ type: "string" }),
+      customer_id: nullable({ type: "string" }),
+      status: { type: "string", enum: Order.schema.path("status").enumValues },
+      attempts: { type: "integer" },
+      partial_payment: { type: "boolean" },
+      notes: { type: "object" },
+      expire_by: nullable(unixTime),
+      created_at: nullable(unixTime),
+      offer_id: { type: "null" },
+      payment_url: { type: "string", description: "Hosted checkout page (create response only)" },
+    },
+  },
+  PaymentAttempt: {
+    type: "object",
+    required: ["id", "entity", "amount", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("payment"),
+      attempt_id: nullable({ type: "string" }),
+      amount: paise,
+      currency: nullable({ type: "string" }),
+      status: { type: "string", enum: Payment.schema.path("status").enumValues },
+      order_id: nullable({ type: "string" }),
+      customer_id: nullable({ type: "string" }),
+      gateway: nullable({ type: "string" }),
+      method: nullable({ type: "string" }),
+      error_description: nullable({ type: "string" }),
+      amount_refunded: paise,
+      refund_status: { type: ["string", "null"], enum: ["partial", "full", null] },
+      created_at: nullable(unixTime),
+      captured_at: nullable(unixTime),
+    },
+  },
+  VerifyPaymentResult: {
+    type: "object",
+    required: ["status"],
+    properties: {
+      status: { type: "string", enum: ["verified"] },
+      message: { type: "string" },
+    },
+  },
+  Refund: {
+    type: "object",
+    required: ["id", "entity", "amount", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("refund"),
+      amount: paise,
+      currency: { type: "string" },
+      payment_id: { type: "string" },
+      order_id: { type: "string" },
+      notes: { type: "object" },
+      status: { type: "string", enum: Refund.schema.path("status").enumValues },
+      failure_reason: nullable({ type: "string" }),
+      created_at: nullable(unixTime),
+      processed_at: nullable(unixTime),
+    },
+  },
+  Customer: {
+    type: "object",
+    required: ["id", "entity", "name"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("customer"),
+      name: { type: "string" },
+      email: nullable({ type: "string" }),
+      contact: nullable({ type: "string" }),
+      gstin: nullable({ type: "string" }),
+      notes: { type: "object" },
+      created_at: nullable(unixTime),
+    },
+  },
+  DeletedEntity: {
+    type: "object",
+    required: ["id", "entity", "deleted"],
+    properties: {
+      id: { type: "string" },
+      entity: { type: "string" },
+      deleted: { type: "boolean", enum: [true] },
+    },
+  },
+  PaymentLink: {
+    type: "object",
+    required: ["id", "entity", "amount", "status", "short_url"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("payment_link"),
+      amount: paise,
+      currency: { type: "string" },
+      description: nullable({ type: "string" }),
+      reference_id: nullable({ type: "string" }),
+      customer_id: nullable({ type: "string" }),
+      customer: {
+        type: "object",
+        properties: {
+          name: nullable({ type: "string" }),
+          email: nullable({ type: "string" }),
+          contact: nullable({ type: "string" }),
+        },
+      },
+      status: { type: "string", enum: PaymentLink.schema.path("status").enumValues },
+      short_url: { type: "string" },
+      notes: { type: "object" },
+      expire_by: nullable(unixTime),
+      notify_count: { type: "integer" },
+      payment: {
+        type: ["object", "null"],
+        properties: {
+          payment_id: nullable({ type: "string" }),
+          gateway: nullable({ type: "string" }),
+          amount: paise,
+          paid_at: nullable(unixTime),
+        },
+      },
+      cancelled_at: nullable(unixTime),
+      created_at: nullable(unixTime),
+    },
+  },
+  NotifyResult: {
+    type: "object",
+    required: ["success"],
+    properties: {
+      success: { type: "boolean" },
+      notify_count: { type: "integer" },
+    },
+  },
+  QrCode: {
+    type: "object",
+    required: ["id", "entity", "usage", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("qr_code"),
+      name: nullable({ type: "string" }),
+      description: nullable({ type: "string" }),
+      usage: { type: "string", enum: ["single_use", "multiple_use"] },
+      fixed_amount: { type: "boolean" },
+      payment_amount: nullable(paise),
+      status: { type: "string", enum: QRCode.schema.path("status").enumValues },
+      image_url: nullable({ type: "string" }),
+      short_url: { type: "string" },
+      checkout_url: { type: "string" },
+      gateway: nullable({ type: "string" }),
+      payments_count_received: { type: "integer" },
+      payments_amount_received: paise,
+      notes: { type: "object" },
+      close_by: nullable(unixTime),
+      closed_at: nullable(unixTime),
+      close_reason: nullable({ type: "string" }),
+      created_at: nullable(unixTime),
+    },
+  },
+  QrPayment: {
+    type: "object",
+    required: ["id", "entity", "amount"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("payment"),
+      amount: paise,
+      currency: { type: "string" },
+      status: { type: "string" },
+      method: { type: "string" },
+      gateway: nullable({ type: "string" }),
+      qr_code_id: { type: "string" },
+      customer_name: nullable({ type: "string" }),
+      created_at: nullable(unixTime),
+    },
+  },
+  Payout: {
+    type: "object",
+    required: ["id", "entity", "amount", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("payout"),
+      amount: paise,
+      currency: { type: "string" },
+      method: { type: "string", enum: ["bank", "upi"] },
+      status: { type: "string", enum: PayoutRequest.schema.path("status").enumValues },
+      bank_account: {
+        type: ["object", "null"],
+        properties: {
+          account_number: nullable({ type: "string", description: "Masked to the last 4 digits" }),
+          ifsc_code: nullable({ type: "string" }),
+          account_holder_name: nullable({ type: "string" }),
+          bank_name: nullable({ type: "string" }),
+        },
+      },
+      upi: {
+        type: ["object", "null"],
+        properties: { upi_id: nullable({ type: "string" }) },
+      },
+      notes: { type: "object" },
+      failure_reason: nullable({ type: "string" }),
+      transaction_id: nullable({ type: "string" }),
+      created_at: unixTime,
+      approved_at: nullable(unixTime),
+      completed_at: nullable(unixTime),
+      message: { type: "string" },
+    },
+  },
+  CancelledPayout: {
+    type: "object",
+    required: ["id", "entity", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("payout"),
+      status: { type: "string", enum: ["cancelled"] },
+      message: { type: "string" },
+    },
+  },
+  Balance: {
+    type: "object",
+    required: ["entity", "balance", "reserved_balance", "available_balance", "currency"],
+    properties: {
+      entity: entity("balance"),
+      balance: paise,
+      reserved_balance: { ...paise, description: "Held by payouts awaiting approval" },
+      available_balance: paise,
+      currency: { type: "string" },
+      mode: { type: "string", enum: ["live", "test"] },
+      balance_formatted: { type: "string" },
+      available_balance_formatted: { type: "string" },
+    },
+  },
+  Usage: {
+    type: "object",
+    required: ["entity", "from", "to", "items"],
+    properties: {
+      entity: entity("usage"),
+      from: { type: "string" },
+      to: { type: "string" },
+      rate_limit: {
+        type: "object",
+        properties: {
+          window_seconds: { type: "integer" },
+          per_key: { type: "integer" },
+          per_account: { type: "integer" },
+        },
+      },
+      total_requests: { type: "integer" },
+      count: { type: "integer" },
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            key_id: { type: "string" },
+            date: { type: "string" },
+            endpoint: { type: "string" },
+            requests: { type: "integer" },
+            errors: { type: "integer" },
+            rate_limited: { type: "integer" },
+          },
+        },
+      },
+    },
+  },
+  ConnectionTest: {
+    type: "object",
+    required: ["success"],
+    properties: {
+      success: { type: "boolean" },
+      message: { type: "string" },
+      user: {
+        type: "object",
+        properties: {
+          email: { type: "string" },
+          mode: { type: "string", enum: ["live", "test"] },
+          keyId: { type: "string" },
+          scopes: { type: "array", items: { type: "string" } },
+        },
+      },
+      timestamp: { type: "string" },
+    },
+  },
+  Webhook: {
+    type: "object",
+    required: ["id", "entity", "url", "events", "active"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("webhook"),
+      url: { type: "string" },
+      description: { type: "string" },
+      events: { type: "array", items: { type: "string" } },
+      active: { type: "boolean" },
+      secret: { type: "string", description: "Signing secret (create response only)" },
+      created_at: unixTime,
+      updated_at: unixTime,
+    },
+  },
+  WebhookDelivery: {
+    type: "object",
+    required: ["id", "entity", "event", "status"],
+    properties: {
+      id: { type: "string" },
+      entity: entity("webhook_delivery"),
+      webhook_id: nullable({ type: "string" }),
+      event_id: { type: "string" },
+      event: { type: "string" },
+      url: { type: "string" },
+      order_id: nullable({ type: "string" }),
+      status: { type: "string", enum: WebhookDelivery.schema.path("status").enumValues },
+      attempt_count: { type: "integer" },
+      attempts: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            status_code: nullable({ type: "integer" }),
+            latency_ms: nullable({ type: "integer" }),
+            response_body: { type: "string" },
+            error: nullable({ type: "string" }),
+            attempted_at: unixTime,
+          },
+        },
+      },
+      next_attempt_at: nullable(unixTime),
+      delivered_at: nullable(unixTime),
+      created_at: unixTime,
+    },
+  },
+  OrderCollection: collectionOf("Order"),
+  PaymentAttemptCollection: collectionOf("PaymentAttempt"),
+  RefundCollection: collectionOf("Refund"),
+  CustomerCollection: collectionOf("Customer"),
+  PaymentLinkCollection: collectionOf("PaymentLink"),
+  QrCodeCollection: collectionOf("QrCode"),
+  QrPaymentCollection: collectionOf("QrPayment"),
+  PayoutCollection: collectionOf("Payout"),
+  WebhookCollection: collectionOf("Webhook"),
+  WebhookDeliveryCollection: collectionOf("WebhookDelivery"),
+};
+
+const orderId = pathId("orderId", "Order id (order_...)");
+const paymentId = pathId("paymentId", "Payment id");
+const customerId = pathId("customerId", "Customer id (cust_...)");
+const linkId = pathId("linkId", "Payment link id");
+const qrId = pathId("qrId", "QR code id");
+const payoutId = pathId("payoutId", "Payout id (pout_...)");
+const webhookId = pathId("webhookId", "Webhook id (wh_...)");
+
+const paymentStatuses = Payment.schema.path("status").enumValues;
+
+const paths = {
+  "/openapi.json": {
+    get: {
+      operationId: "getOpenApiDocument",
+      tags: ["Meta"],
+      summary: "This document",
+      security: [],
+      responses: { 200: { description: "OpenAPI document", ...json({ type: "object" }) } },
+    },
+  },
+  "/orders": {
+    post: operation({
+      operationId: "createOrder",
+      tag: "Orders",
+      summary: "Create an order",
+      description:
+        "When webhook_url is set, order events are POSTed to it with X-Satyam-Timestamp and " +
+        "X-Satyam-Signature headers (HMAC-SHA256 of \"<timestamp>.<raw body>\" with the merchant's " +
+        "webhook secret). Reject deliveries whose timestamp is more than a few minutes old.",
+      scope: "orders:write",
+      body: ref("CreateOrderRequest"),
+      response: ref("Order"),
+    }),
+    get: operation({
+      operationId: "listOrders",
+      tag: "Orders",
+      summary: "List orders, newest first",
+      description: "notes.<key>=<value> filters on a notes field.",
+      scope: "orders:read",
+      parameters: listParams({ statuses: Order.schema.path("status").enumValues, receipt: "Exact receipt match", customer: true }),
+      response: ref("OrderCollection"),
+    }),
+  },
+  "/orders/{orderId}": {
+    get: operation({
+      operationId: "fetchOrder",
+      tag: "Orders",
+      summary: "Fetch an order",
+      scope: "orders:read",
+      parameters: [orderId],
+      response: ref("Order"),
+    }),
+  },
+  "/orders/{orderId}/payments": {
+    get: operation({
+      operationId: "listOrderPayments",
+      tag: "Orders",
+      summary: "List payment attempts on an order",
+      scope: "payments:read",
+      parameters: [orderId, ...listParams({ statuses: paymentStatuses })],
+      response: ref("PaymentAttemptCollection"),
+    }),
+  },
+  "/payments/verify": {
+    post: operation({
+      operationId: "verifyPayment",
+      tag: "Payments",
+      summary: "Verify a payment signature",
+      description: "Checks the signature, that the payment belongs to the order and that the gateway captured it.",
+      scope: "payments:write",
+      body: ref("VerifyPaymentRequest"),
+      response: ref("VerifyPaymentResult"),
+    }),
+  },
+  "/payments": {
+    get: operation({
+      operationId: "listPayments",
+      tag: "Payments",
+      summary: "List payment attempts, newest first",
+      scope: "payments:read",
+      parameters: listParams({ statuses: paymentStatuses }),
+      response: ref("PaymentAttemptCollection"),
+    }),
+  },
+  "/payments/{paymentId}": {
+    get: operation({
+      operationId: "fetchPayment",
+      tag: "Payments",
+      summary: "Fetch a payment",
+      scope: "payments:read",
+      parameters: [paymentId],
+      response: ref("PaymentAttempt"),
+    }),
+  },
+  "/payments/{paymentId}/refunds": {
+    post: operation({
+      operationId: "createRefund",
+      tag: "Refunds",
+      summary: "Refund a captured payment, fully or partially",
+      scope: "refunds:write",
+      parameters: [paymentId],
+      body: ref("CreateRefundRequest"),
+      response: ref("Refund"),
+    }),
+    get: operation({
+      operationId: "listPaymentRefunds",
+      tag: "Refunds",
+      summary: "List refunds of a payment",
+      scope: "refunds:read",
+      parameters: [paymentId, ...listParams({ statuses: Refund.schema.path("status").enumValues })],
+      response: ref("RefundCollection"),
+    }),
+  },
+  "/refunds/{refundId}": {
+    get: operation({
+      operationId: "fetchRefund",
+      tag: "Refunds",
+      summary: "Fetch a refund",
+      description: "Pending refunds are refreshed from the gateway first.",
+      scope: "refunds:read",
+      parameters: [pathId("refundId", "Refund id")],
+      response: ref("Refund"),
+    }),
+  },
+  "/refunds": {
+    get: operation({
+      operationId: "listRefunds",
+      tag: "Refunds",
+      summary: "List refunds, newest first",
+      scope: "refunds:read",
+      parameters: listParams({ statuses: Refund.schema.path("status").enumValues }),
+      response: ref("RefundCollection"),
+    }),
+  },
+  "/customers": {
+    post: operation({
+      operationId: "createCustomer",
+      tag: "Customers",
+      summary: "Create a customer",
+      description: "email and/or contact is required; contact is 8-15 digits, optionally starting with +.",
+      scope: "customers:write",
+      body: ref("CreateCustomerRequest"),
+      response: ref("Customer"),
+    }),
+    get: operation({
+      operationId: "listCustomers",
+      tag: "Customers",
+      summary: "List customers, newest first",
+      scope: "customers:read",
+      parameters: listParams(),
+      response: ref("CustomerCollection"),
+    }),
+  },
+  "/customers/{customerId}": {
+    get: operation({
+      operationId: "fetchCustomer",
+      tag: "Customers",
+      summary: "Fetch a customer",
+      scope: "customers:read",
+      parameters: [customerId],
+      response: ref("Customer"),
+    }),
+    patch: operation({
+      operationId: "updateCustomer",
+      tag: "Customers",
+      summary: "Update a customer",
+      description: "Existing orders and payment links keep the details they were created with.",
+      scope: "customers:write",
+      parameters: [customerId],
+      body: ref("CustomerRequest"),
+      response: ref("Customer"),
+    }),
+    delete: operation({
+      operationId: "deleteCustomer",
+      tag: "Customers",
+      summary: "Delete a customer",
+      scope: "customers:write",
+      parameters: [customerId],
+      response: ref("DeletedEntity"),
+    }),
+  },
+  "/customers/{customerId}/payments": {
+    get: operation({
+      operationId: "listCustomerPayments",
+      tag: "Customers",
+      summary: "List payments on orders created for a customer",
+      scope: "payments:read",
+      parameters: [customerId, ...listParams({ statuses: paymentStatuses })],
+      response: ref("PaymentAttemptCollection"),
+    }),
+  },
+  "/payment_links": {
+    post: operation({
+      operationId: "createPaymentLink",
+      tag: "Payment Links",
+      summary: "Create a payment link",
+      description: "Live keys only. short_url is the hosted checkout page.",
+      scope: "payment_links:write",
+      body: ref("CreatePaymentLinkRequest"),
+      response: ref("PaymentLink"),
+    }),
+    get: operation({
+      operationId: "listPaymentLinks",
+      tag: "Payment Links",
+      summary: "List payment links, newest first",
+      scope: "payment_links:read",
+      parameters: listParams({
+        statuses: PaymentLink.schema.path("status").enumValues,
+        receipt: "Exact reference_id match",
+        customer: true,
+      }),
+      response: ref("PaymentLinkCollection"),
+    }),
+  },
+  "/payment_links/{linkId}": {
+    get: operation({
+      operationId: "fetchPaymentLink",
+      tag: "Payment Links",
+      summary: "Fetch a payment link",
+      scope: "payment_links:read",
+      parameters: [linkId],
+      response: ref("PaymentLink"),
+    }),
+  },
+  "/payment_links/{linkId}/cancel": {
+    post: operation({
+      operationId: "cancelPaymentLink",
+      tag: "Payment Links",
+      summary: "Cancel a pending payment link",
+      scope: "payment_links:write",
+      parameters: [linkId],
+      response: ref("PaymentLink"),
+    }),
+  },
+  "/payment_links/{linkId}/notify": {
+    post: operation({
+      operationId: "notifyPaymentLink",
+      tag: "Payment Links",
+      summary: "Email a pending payment link to the customer again",
+      scope: "payment_links:write",
+      parameters: [linkId],
+      response: ref("NotifyResult"),
+    }),
+  },
+  "/qr_codes": {
+    post: operation({
+      operationId: "createQrCode",
+      tag: "QR Codes",
+      summary: "Create a UPI QR code",
+      description: "Live keys only. single_use QR codes take a fixed payment_amount; multiple_use accept any amount.",
+      scope: "qr_codes:write",
+      body: ref("CreateQrCodeRequest"),
+      response: ref("QrCode"),
+    }),
+    get: operation({
+      operationId: "listQrCodes",
+      tag: "QR Codes",
+      summary: "List QR codes, newest first",
+      scope: "qr_codes:read",
+      parameters: listParams({ statuses: QRCode.schema.path("status").enumValues }),
+      response: ref("QrCodeCollection"),
+    }),
+  },
+  "/qr_codes/{qrId}": {
+    get: operation({
+      operationId: "fetchQrCode",
+      tag: "QR Codes",
+      summary: "Fetch a QR code",
+      scope: "qr_codes:read",
+      parameters: [qrId],
+      response: ref("QrCode"),
+    }),
+  },
+  "/qr_codes/{qrId}/payments": {
+    get: operation({
+      operationId: "listQrCodePayments",
+      tag: "QR Codes",
+      summary: "List payments received on a QR code",
+      scope: "qr_codes:read",
+      parameters: [qrId, ...listParams()],
+      response: ref("QrPaymentCollection"),
+    }),
+  },
+  "/qr_codes/{qrId}/close": {
+    post: operation({
+      operationId: "closeQrCode",
+      tag: "QR Codes",
+      summary: "Close an active QR code",
+      scope: "qr_codes:write",
+      parameters: [qrId],
+      response: ref("QrCode"),
+    }),
+  },
+  "/test": {
+    get: operation({
+      operationId: "testConnection",
+      tag: "Meta",
+      summary: "Check that the API key works",
+      response: ref("ConnectionTest"),
+    }),
+  },
+  "/payouts": {
+    post: operation({
+      operationId: "createPayout",
+      tag: "Payouts",
+      summary: "Request a payout",
+      description:
+        "Live payouts need admin approval; the amount is held on the balance until then. " +
+        "Test payouts complete instantly against the test balance.",
+      scope: "payouts:write",
+      body: ref("CreatePayoutRequest"),
+      response: ref("Payout"),
+    }),
+    get: operation({
+      operationId: "listPayouts",
+      tag: "Payouts",
+      summary: "List payouts, newest first",
+      scope: "payouts:read",
+      parameters: listParams({ statuses: PayoutRequest.schema.path("status").enumValues }),
+      response: ref("PayoutCollection"),
+    }),
+  },
+  "/payouts/{payoutId}": {
+    get: operation({
+      operationId: "fetchPayout",
+      tag: "Payouts",
+      summary: "Fetch a payout",
+      scope: "payouts:read",
+      parameters: [payoutId],
+      response: ref("Payout"),
+    }),
+  },
+  "/payouts/{payoutId}/cancel": {
+    post: operation({
+      operationId: "cancelPayout",
+      tag: "Payouts",
+      summary: "Cancel a payout awaiting approval",
+      scope: "payouts:write",
+      parameters: [payoutId],
+      response: ref("CancelledPayout"),
+    }),
+  },
+  "/balance": {
+    get: operation({
+      operationId: "fetchBalance",
+      tag: "Account",
+      summary: "Fetch the account balance",
+      description: "Test keys see the sandbox balance.",
+      scope: "balance:read",
+      response: ref("Balance"),
+    }),
+  },
+  "/usage": {
+    get: operation({
+      operationId: "fetchUsage",
+      tag: "Account",
+      summary: "Request counters per API key, endpoint and UTC day",
+      scope: "usage:read",
+      parameters: [
+        query("from", "First UTC day, YYYY-MM-DD (default: 6 days ago)", {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          "x-pattern-description": "must be a date in YYYY-MM-DD format",
+        }),
+        query("to", "Last UTC day, YYYY-MM-DD (default: today)", {
+          type: "string",
+          pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+          "x-pattern-description": "must be a date in YYYY-MM-DD format",
+        }),
+        query("key_id", "Only this key (default: all keys of the account)", { type: "string" }),
+      ],
+      response: ref("Usage"),
+    }),
+  },
+  "/webhooks": {
+    post: operation({
+      operationId: "createWebhook",
+      tag: "Webhooks",
+      summary: "Register a webhook endpoint",
+      description: "The signing secret is returned only in this response.",
+      scope: "webhooks:write",
+      body: ref("CreateWebhookRequest"),
+      response: ref("Webhook"),
+    }),
+    get: operation({
+      operationId: "listWebhooks",
+      tag: "Webhooks",
+      summary: "List webhook endpoints",
+      scope: "webhooks:read",
+      response: ref("WebhookCollection"),
+    }),
+  },
+  "/webhooks/{webhookId}": {
+    get: operation({
+      operationId: "fetchWebhook",
+      tag: "Webhooks",
+      summary: "Fetch a webhook endpoint",
+      scope: "webhooks:read",
+      parameters: [webhookId],
+      response: ref("Webhook"),
+    }),
+    patch: operation({
+      operationId: "updateWebhook",
+      tag: "Webhooks",
+      summary: "Update a webhook endpoint",
+      scope: "webhooks:write",
+      parameters: [webhookId],
+      body: ref("UpdateWebhookRequest"),
+      response: ref("Webhook"),
+    }),
+    delete: operation({
+      operationId: "deleteWebhook",
+      tag: "Webhooks",
+      summary: "Delete a webhook endpoint",
+      description: "Delivery logs are kept; pending retries to this endpoint stop.",
+      scope: "webhooks:write",
+      parameters: [webhookId],
+      response: ref("DeletedEntity"),
+    }),
+  },
+  "/webhooks/{webhookId}/deliveries": {
+    get: operation({
+      operationId: "listWebhookDeliveries",
+      tag: "Webhooks",
+      summary: "List deliveries to a webhook endpoint, with their attempts",
+      scope: "webhooks:read",
+      parameters: [
+        webhookId,
+        query("status", "Filter by status", { type: "string", enum: WebhookDelivery.schema.path("status").enumValues }),
+        query("event", "Filter by event", { type: "string" }),
+        query("count", "Number of records (default 10, max 100)", { type: "integer", minimum: 1 }),
+        query("skip", "Offset", { type: "integer", minimum: 0 }),
+      ],
+      response: ref("WebhookDeliveryCollection"),
+    }),
+  },
+  "/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver": {
+    post: operation({
+      operationId: "redeliverWebhook",
+      tag: "Webhooks",
+      summary: "Send a delivery's event again now",
+      scope: "webhooks:write",
+      parameters: [webhookId, pathId("deliveryId", "Delivery id")],
+      response: ref("WebhookDelivery"),
+    }),
+  },
+};
+
+module.exports = {
+  openapi: "3.1.0",
+  info: {
+    title: "SatyamPay Merchant API",
+    version: "1.0.0",
+    description:
+      "Authenticate with HTTP Basic auth (key id as username, key secret as password). " +
+      "Mutating requests accept an Idempotency-Key header. Amounts are integers in paise. " +
+      "Errors have the shape { error: { code, description, source, field } }.",
+  },
+  servers: [{ url: "/api/v1" }],
+  security: [{ basicAuth: [] }],
+  tags: ["Orders", "Payments", "Refunds", "Customers", "Payment Links", "QR Codes", "Payouts", "Account", "Webhooks", "Meta"]
+    .map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      basicAuth: { type: "http", scheme: "basic" },
+    },
+    schemas,
+  },
+};
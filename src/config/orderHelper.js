@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const Order = require("../models/order.model");
+const Payment = require("../models/payment.model");
+const Transaction = require("../models/transaction.model");
+const { creditWallet } = require("./ledgerHelper");
+const { capturePayment } = require("./captureHelper");
+const { createRefund } = require("./refundHelper");
+const { dispatchOrderEvents } = require("./webhookHelper");
+const { isTestMode, creditTestLedger } = require("./sandboxHelper");
+const { toPaise, formatRupees } = require("./moneyHelper");
+
+// Orders that can still take a payment
+const PAYABLE_STATUSES = ["created", "attempted"];
+// A capture reported for an order that expired meanwhile is still recorded - the money was taken
+const CAPTURABLE_STATUSES = ["created", "attempted", "expired"];
+const TRANSACTION_METHODS = ["razorpay", "payu", "cashfree", "phonepe", "ccavenue", "stripe"];
+const EXPIRY_SWEEP_INTERVAL_MS = 60000;
+
+const businessError = (message, statusCode = 400, code = "BAD_REQUEST_ERROR") => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const toUnix = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+const generateAttemptId = () => "attempt_" + crypto.randomBytes(10).toString("hex");
+
+/**
+ * Amount (paise) still to be paid on an order
+ */
+const getAmountDue = (order) => order.amount - (order.amountPaid || 0);
+
+/**
+ * Serialize a Payment attempt into the public API "payment" entity
+ */
+const serializePaymentAttempt = (payment) => ({
+  id: payment.paymentId || payment.attemptId,
+  entity: "payment",
+  attempt_id: payment.attemptId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  order_id: payment.orderId,
+  customer_id: payment.customerId || null,
+  gateway: payment.gateway,
+  method: payment.method || null,
+  error_description: payment.failureReason || null,
+  amount_refunded: payment.amountRefunded || 0,
+  refund_status: !payment.amountRefunded ? null : payment.amountRefunded >= payment.amount ? "full" : "partial",
+  created_at: toUnix(payment.createdAt),
+  captured_at: toUnix(payment.capturedAt),
+});
+
+/**
+ * Expire an unpaid order whose expire_by has passed.
+ * Returns true when the order is (now) expired.
+ */
+const expireOrderIfDue = async (order) => {
+  if (order.status === "expired") return true;
+  if (!order.expireBy || new Date(order.expireBy) > new Date()) return false;
+  if (!PAYABLE_STATUSES.includes(order.status) || (order.amountPaid || 0) > 0) return false;
+
+  order.status = "expired";
+  order.expiredAt = new Date();
+  await order.save();
+  return true;
+};
+
+/**
+ * Amount (paise) to charge in the next checkout attempt.
+ * Partial-payment orders may pay any amount up to amountDue (requested in rupees,
+ * like the rest of checkout); other orders always pay the full amount due.
+ */
+const resolveAttemptAmount = (order, requestedAmountInRupees) => {
+  const due = getAmountDue(order);
+
+  if (!order.partialPayment || requestedAmountInRupees === undefined || requestedAmountInRupees === null) {
+    return due;
+  }
+
+  const requested = toPaise(requestedAmountInRupees);
+  if (!Number.isFinite(requested) || requested < 100) {
+    throw businessError("The minimum payment is ₹1.00");
+  }
+  if (requested > due) {
+    throw businessError(`The amount cannot exceed the amount due of ${formatRupees(due)}`);
+  }
+  return requested;
+};
+
+/**
+ * Record a checkout attempt once the gateway order has been created
+ */
+const startPaymentAttempt = (order, { amount, gateway, gatewayOrderId = null }) =>
+  Payment.create({
+    attemptId: generateAttemptId(),
+    orderId: order.orderId,
+    merchantId: order.merchantId,
+    customerId: order.customerId || null,
+    amount,
+    currency: order.currency,
+    status: "created",
+    gateway,
+    gatewayOrderId,
+    mode: order.mode,
+  });
+
+/**
+ * Find the open attempt a gateway callback refers to
+ */
+const findOpenAttempt = (order, { gateway, gatewayOrderId }) =>
+  Payment.findOne(
+    gatewayOrderId
+      ? { orderId: order.orderId, gatewayOrderId, status: "created" }
+      : { orderId: order.orderId, gateway, status: "created" }
+  ).sort({ createdAt: -1 });
+
+/**
+ * Record a captured payment on an API order.
+ *
+ * - claims the gateway payment (captureHelper) so it is recorded exactly once
+ * - adds the amount to amountPaid; the order becomes "paid" once amountDue is zero
+ * - marks the matching attempt captured (or records one if checkout did not)
+ * - credits the merchant wallet (test ledger for test-mode orders) and sends
+ *   payment.captured / order.paid webhooks
+ *
+ * A capture the order cannot take - more than the amount due, less than it
+ * on an order without partial payments, or one arriving after the order was
+ * paid or closed - has still been taken by the gateway. It is recorded and
+ * credited as an unapplied capture, leaving the order untouched, and then
+ * refunded to the customer.
+ *
+ * amount (paise) defaults to the attempt amount, then to the full amount due.
+ * Returns { order, payment, applied }, or null when the payment was already
+ * recorded.
+ */
+const captureOrderPayment = async (order, { paymentId, gateway, gatewayOrderId = null, amount, method = null, signature = null }) => {
+  const alreadyCaptured = await Payment.findOne({ orderId: order.orderId, paymentId, status: "captured" });
+  if (alreadyCaptured) return null;
+
+  const attempt = await findOpenAttempt(order, { gateway, gatewayOrderId });
+  const captureAmount = amount || attempt?.amount || getAmountDue(order);
+
+  const update = {
+    $inc: { amountPaid: captureAmount },
+    $set: { paymentId, paymentStatus: "captured", gateway },
+  };
+  if (signature) {
+    update.$set.signature = signature;
+    update.$set.signatureVerified = true;
+  }
+
+  // Order, attempt, wallet credit and Transaction commit together, once per gateway payment
+  const captured = await capturePayment({
+    gateway,
+    gatewayPaymentId: paymentId,
+    flow: "order",
+    merchantId: order.merchantId,
+    referenceId: order.orderId,
+    amount: captureAmount,
+  }, async (session) => {
+    // Atomic so concurrent callbacks cannot push amountPaid past the order
+    // amount; orders without partial payments take only the full amount due
+    const paidAfter = { $add: [{ $ifNull: ["$amountPaid", 0] }, captureAmount] };
+    const applied = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: { $in: CAPTURABLE_STATUSES },
+        $expr: {
+          $cond: [
+            { $eq: ["$partialPayment", true] },
+            { $lte: [paidAfter, "$amount"] },
+            { $eq: [paidAfter, "$amount"] },
+          ],
+        },
+      },
+      update,
+      { new: true, session }
+    );
+
+    const updated = applied || (await Order.findById(order._id).session(session));
+    if (!updated) return null;
+
+    const fullyPaid = Boolean(applied) && updated.amountPaid >= updated.amount;
+    if (applied) {
+      if (fullyPaid) {
+        updated.status = "paid";
+        updated.paidAt = new Date();
+      } else if (updated.status === "created") {
+        updated.status = "attempted";
+      }
+      await updated.save({ session });
+    }
+
+    const capturedAt = new Date();
+    let payment;
+    if (attempt) {
+      attempt.status = "captured";
+      attempt.paymentId = paymentId;
+      attempt.amount = captureAmount;
+      attempt.method = method || attempt.method;
+      attempt.unapplied = !applied;
+      attempt.capturedAt = capturedAt;
+      payment = await attempt.save({ session });
+    } else {
+      [payment] = await Payment.create(
+        [{
+          attemptId: generateAttemptId(),
+          orderId: updated.orderId,
+          merchantId: updated.merchantId,
+          customerId: updated.customerId || null,
+          amount: captureAmount,
+          currency: updated.currency,
+          status: "captured",
+          gateway,
+          gatewayOrderId,
+          paymentId,
+          method,
+          unapplied: !applied,
+          capturedAt,
+          mode: updated.mode,
+        }],
+        { session }
+      );
+    }
+
+    if (!isTestMode(updated)) {
+      await creditWallet(updated.merchantId, captureAmount, {
+        entryType: "payment",
+        referenceId: paymentId,
+        description: `API order payment ${updated.orderId} via ${gateway}`,
+        session,
+      });
+
+      await Transaction.create(
+        [{
+          userId: updated.merchantId,
+          transactionId: paymentId,
+          description: `API order payment ${updated.orderId} via ${gateway}`,
+          type: "Credit",
+          amount: captureAmount,
+          status: "Completed",
+          method: TRANSACTION_METHODS.includes(gateway) ? gateway : "other",
+          category: "payment",
+          referenceId: updated.orderId,
+        }],
+        { session }
+      );
+    }
+
+    return { updated, payment, fullyPaid, applied: Boolean(applied) };
+  });
+
+  if (!captured) return null;
+
+  const { updated, payment, fullyPaid, applied } = captured;
+  if (isTestMode(updated)) {
+    await creditTestLedger(updated.merchantId, captureAmount, {
+      category: "payment",
+      referenceId: updated.orderId,
+      description: `Test payment ${paymentId} for order ${updated.orderId}`,
+    });
+  }
+
+  await dispatchOrderEvents(
+    updated,
+    fullyPaid ? ["payment.captured", "order.paid"] : ["payment.captured"],
+    { payment: serializePaymentAttempt(payment) }
+  );
+
+  if (!applied) {
+    console.warn(`[Order] Capture ${paymentId} of ${captureAmount} paise does not fit order ${updated.orderId}; refunding it`);
+    try {
+      await createRefund(updated, {
+        paymentId,
+        notes: { reason: "Payment not applied to the order" },
+      });
+    } catch (err) {
+      // The capture stays refundable through the refunds API
+      console.error(`[Order] Refund of unapplied capture ${paymentId} failed:`, err.message);
+    }
+  }
+
+  return { order: updated, payment, applied };
+};
+
+/**
+ * Record a failed payment attempt on an API order and send payment.failed
+ */
+const failOrderPayment = async (order, { paymentId = null, gateway, gatewayOrderId = null, reason }) => {
+  const failureReason = reason || "Payment failed";
+  const failedAt = new Date();
+
+  let payment = await findOpenAttempt(order, { gateway, gatewayOrderId });
+  if (payment) {
+    payment.status = "failed";
+    payment.paymentId = paymentId || payment.paymentId;
+    payment.failureReason = failureReason;
+    payment.failedAt = failedAt;
+    await payment.save();
+  } else {
+    payment = await Payment.create({
+      attemptId: generateAttemptId(),
+      orderId: order.orderId,
+      merchantId: order.merchantId,
+      customerId: order.customerId || null,
+      amount: getAmountDue(order) || order.amount,
+      currency: order.currency,
+      status: "failed",
+      gateway,
+      gatewayOrderId,
+      paymentId,
+      failureReason,
+      failedAt,
+      mode: order.mode,
+    });
+  }
+
+  if (order.status !== "paid") {
+    order.paymentStatus = "failed";
+    await order.save();
+  }
+
+  await dispatchOrderEvents(order, ["payment.failed"], {
+    payment: serializePaymentAttempt(payment),
+  });
+
+  return payment;
+};
+
+/**
+ * Expire unpaid orders whose expire_by has passed
+ */
+const expireStaleOrders = async () => {
+  const now = new Date();
+  const result = await Order.updateMany(
+    {
+      status: { $in: PAYABLE_STATUSES },
+      expireBy: { $ne: null, $lte: now },
+      amountPaid: { $lte: 0 },
+    },
+    { status: "expired", expiredAt: now }
+  );
+
+  if (result.modifiedCount) {
+    console.log(`[Order] Expired ${result.modifiedCount} stale order(s)`);
+  }
+  return result.modifiedCount;
+};
+
+let expiryTimer = null;
+
+/**
+ * Start the background order expiry sweeper (idempotent)
+ */
+const startOrderExpiryWorker = () => {
+  if (expiryTimer) return;
+  expiryTimer = setInterval(() => {
+    expireStaleOrders().catch((err) => {
+      console.error("[Order] Expiry sweeper error:", err.message);
+    });
+  }, EXPIRY_SWEEP_INTERVAL_MS);
+  expiryTimer.unref();
+};
+
+module.exports = {
+  getAmountDue,
+  serializePaymentAttempt,
+  expireOrderIfDue,
+  resolveAttemptAmount,
+  startPaymentAttempt,
+  captureOrderPayment,
+  failOrderPayment,
+  expireStaleOrders,
+  startOrderExpiryWorker,
+};
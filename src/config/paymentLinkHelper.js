@@ -0,0 +1,470 @@
+const crypto = require("crypto");
+const PaymentLink = require("../models/paymentLink.model");
+const Transaction = require("../models/transaction.model");
+const transporter = require("./mailer");
+const { creditWallet } = require("./ledgerHelper");
+const { capturePayment } = require("./captureHelper");
+const { refundUnappliedCapture } = require("./refundHelper");
+const { toRupees } = require("./moneyHelper");
+
+// PaymentCapture flow of link payments ("payment_link" is the dashboard's request-money links)
+const LINK_CAPTURE_FLOW = "payment_link_checkout";
+
+const toUnix = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+const generateLinkId = () =>
+  "PAY" + Date.now() + crypto.randomBytes(3).toString("hex").toUpperCase();
+
+/**
+ * Hosted checkout page for a payment link
+ */
+const getCheckoutUrl = (linkId) =>
+  `${process.env.FRONTEND_URL || "http://localhost:5173"}/pay/${linkId}`;
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Customer and merchant supplied text is escaped before it goes into the email
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+/**
+ * HTML body of the payment request email
+ */
+const buildPaymentLinkEmail = (fields) => {
+  const { amount, dueDate } = fields;
+  const name = escapeHtml(fields.name);
+  const description = escapeHtml(fields.description);
+  const checkoutUrl = escapeHtml(fields.checkoutUrl);
+  const sender = { fullName: escapeHtml(fields.sender.fullName), email: escapeHtml(fields.sender.email) };
+
+  const dueDateText = dueDate
+    ? `<tr>
+        <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+          <span style="color: #64748b; font-size: 14px;">Due Date</span>
+        </td>
+        <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">
+          <span style="color: #1e293b; font-weight: 600; font-size: 14px;">${new Date(dueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}</span>
+        </td>
+      </tr>`
+    : '';
+
+  const emailHTML = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f1f5f9; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f1f5f9; padding: 40px 20px;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);">
+            
+            <!-- Header -->
+            <tr>
+              <td style="background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); padding: 40px 40px 30px;">
+                <table width="100%" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td>
+                      <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">SatyamPay</h1>
+                      <p style="margin: 8px 0 0; color: rgba(255,255,255,0.8); font-size: 14px;">Secure Payment Request</p>
+                    </td>
+                    <td align="right">
+                      <div style="width: 50px; height: 50px; background: rgba(255,255,255,0.2); border-radius: 12px; display: inline-block; text-align: center; line-height: 50px;">
+                        <span style="color: #fff; font-size: 24px;">₹</span>
+                      </div>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+
+            <!-- Main Content -->
+            <tr>
+              <td style="padding: 40px;">
+                
+                <!-- Greeting -->
+                <p style="margin: 0 0 20px; color: #1e293b; font-size: 16px; line-height: 1.6;">
+                  Hello <strong>${name}</strong>,
+                </p>
+                
+                <p style="margin: 0 0 30px; color: #475569; font-size: 15px; line-height: 1.7;">
+                  You have received a payment request from <strong style="color: #4f46e5;">${sender.fullName}</strong>. Please review the details below and complete the payment at your convenience.
+                </p>
+
+                <!-- Amount Card -->
+                <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%); border-radius: 12px; margin-bottom: 30px;">
+                  <tr>
+                    <td style="padding: 30px; text-align: center;">
+                      <p style="margin: 0 0 8px; color: #64748b; font-size: 13px; text-transform: uppercase; letter-spacing: 1px;">Amount Requested</p>
+                      <p style="margin: 0; color: #1e293b; font-size: 42px; font-weight: 800;">
+                        <span style="color: #4f46e5;">₹</span>${Number(amount).toLocaleString('en-IN')}
+                      </p>
+                    </td>
+                  </tr>
+                </table>
+
+                <!-- Details Table -->
+                <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 30px;">
+                  <tr>
+                    <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+                      <span style="color: #64748b; font-size: 14px;">Requested By</span>
+                    </td>
+                    <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">
+                      <span style="color: #1e293b; font-weight: 600; font-size: 14px;">${sender.fullName}</span>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+                      <span style="color: #64748b; font-size: 14px;">Email</span>
+                    </td>
+                    <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">
+                      <span style="color: #1e293b; font-weight: 600; font-size: 14px;">${sender.email}</span>
+                    </td>
+                  </tr>
+                  ${dueDateText}
+                  ${description ? `
+                  <tr>
+                    <td colspan="2" style="padding: 16px 0;">
+                      <span style="color: #64748b; font-size: 14px; display: block; margin-bottom: 8px;">Description</span>
+                      <p style="margin: 0; color: #1e293b; font-size: 14px; background: #f8fafc; padding: 12px; border-radius: 8px; border-left: 3px solid #4f46e5;">${description}</p>
+                    </td>
+                  </tr>
+                  ` : ''}
+                </table>
+
+                <!-- Pay Button -->
+                <table width="100%" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td align="center">
+                      <a href="${checkoutUrl}" style="display: inline-block; background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: #ffffff; text-decoration: none; padding: 18px 50px; border-radius: 12px; font-size: 16px; font-weight: 700; box-shadow: 0 4px 14px rgba(79, 70, 229, 0.4);">
+                        Pay ₹${Number(amount).toLocaleString('en-IN')} Now →
+                      </a>
+                    </td>
+                  </tr>
+                </table>
+
+                <!-- Security Note -->
+                <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 30px;">
+                  <tr>
+                    <td style="background: #f0fdf4; border-radius: 8px; padding: 16px;">
+                      <table cellpadding="0" cellspacing="0">
+                        <tr>
+                          <td style="padding-right: 12px;">
+                            <span style="color: #22c55e; font-size: 20px;">🔒</span>
+                          </td>
+                          <td>
+                            <p style="margin: 0; color: #166534; font-size: 13px; line-height: 1.5;">
+                              <strong>100% Secure Payment</strong><br>
+                              Pay safely via UPI, Cards, or Net Banking. Your data is encrypted and protected.
+                            </p>
+                          </td>
+                        </tr>
+                      </table>
+                    </td>
+                  </tr>
+                </table>
+
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="background: #f8fafc; padding: 30px 40px; border-top: 1px solid #e2e8f0;">
+                <table width="100%" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td>
+                      <p style="margin: 0 0 8px; color: #64748b; font-size: 12px;">
+                        This is an automated payment request from SatyamPay.
+                      </p>
+                      <p style="margin: 0; color: #94a3b8; font-size: 11px;">
+                        If you did not expect this request, please ignore this email or contact support.
+                      </p>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="padding-top: 20px;">
+                      <p style="margin: 0; color: #94a3b8; font-size: 11px; text-align: center;">
+                        © ${new Date().getFullYear()} SatyamPay. All rights reserved.
+                      </p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+  return emailHTML;
+};
+
+/**
+ * Email the payment link to the customer.
+ * Returns true when the email was sent.
+ */
+const sendPaymentLinkEmail = async (paymentLink, sender) => {
+  const amount = toRupees(paymentLink.amount);
+  const emailHTML = buildPaymentLinkEmail({
+    name: paymentLink.customerName,
+    amount,
+    description: paymentLink.description,
+    dueDate: paymentLink.dueDate,
+    sender,
+    checkoutUrl: getCheckoutUrl(paymentLink.linkId),
+  });
+
+  try {
+    await transporter.sendMail({
+      from: `"SatyamPay" <${process.env.EMAIL_USER}>`,
+      to: paymentLink.customerEmail,
+      subject: `Payment Request from ${sender.fullName} - Rs.${Number(amount).toLocaleString('en-IN')}`,
+      html: emailHTML,
+    });
+  } catch (emailErr) {
+    console.error("Email sending failed:", emailErr.message);
+    return false;
+  }
+
+  paymentLink.notifyCount = (paymentLink.notifyCount || 0) + 1;
+  paymentLink.lastNotifiedAt = new Date();
+  await paymentLink.save();
+  return true;
+};
+
+/**
+ * Create a payment link and the Pending transaction shown on the dashboard.
+ * amount is in paise.
+ */
+const createPaymentLink = async (sender, {
+  customerName,
+  customerEmail,
+  customerPhone = null,
+  customerId = null,
+  amount,
+  description,
+  dueDate = null,
+  referenceId = null,
+  notes = {},
+  source = "dashboard",
+}) => {
+  const linkId = generateLinkId();
+
+  const paymentLink = await PaymentLink.create({
+    linkId,
+    userId: sender._id,
+    customerName,
+    customerEmail,
+    customerPhone,
+    customerId,
+    amount,
+    description: description || `Payment request from ${sender.fullName}`,
+    dueDate: dueDate || null,
+    referenceId,
+    notes,
+    source,
+    status: "pending",
+  });
+
+  // Create a Pending transaction so it shows on the transaction page
+  await Transaction.create({
+    userId: sender._id,
+    transactionId: linkId,
+    description: `Payment request to ${customerName}`,
+    type: "Credit",
+    amount,
+    status: "Pending",
+    category: "payment",
+    method: "other",
+    customerName,
+    referenceId: linkId,
+    notes: `Payment link sent to ${customerEmail}`,
+  });
+
+  return paymentLink;
+};
+
+/**
+ * Expire a pending link whose due date has passed (links are valid until the
+ * end of the due day). Returns true when the link is (now) expired.
+ */
+const expirePaymentLinkIfDue = async (paymentLink) => {
+  if (paymentLink.status === "expired") return true;
+  if (paymentLink.status !== "pending" || !paymentLink.dueDate) return false;
+
+  const dueEnd = new Date(paymentLink.dueDate);
+  dueEnd.setHours(23, 59, 59, 999);
+  if (dueEnd >= new Date()) return false;
+
+  paymentLink.status = "expired";
+  await paymentLink.save();
+  return true;
+};
+
+/**
+ * Cancel a pending link and fail its Pending dashboard transaction.
+ * Returns false when the link can no longer be cancelled.
+ */
+const cancelPaymentLink = async (paymentLink) => {
+  if (paymentLink.status !== "pending") return false;
+
+  paymentLink.status = "cancelled";
+  paymentLink.cancelledAt = new Date();
+  await paymentLink.save();
+
+  await Transaction.updateOne(
+    { referenceId: paymentLink.linkId, userId: paymentLink.userId, status: "Pending" },
+    { $set: { status: "Failed", notes: "Payment link cancelled" } }
+  );
+  return true;
+};
+
+/**
+ * Record a link payment: mark the link paid, credit the merchant and complete
+ * its Pending transaction (or create one), captured exactly once per gateway
+ * payment. amount (paise) is what the gateway captured; less than the link
+ * amount does not pay it. A payment on a link another payment already paid
+ * is credited as unapplied and refunded. Returns { paymentLink, applied },
+ * or null when the payment was already recorded or the amount falls short.
+ */
+const markPaymentLinkPaid = async (paymentLink, { paymentId, gateway, amount, description }) => {
+  if (!(amount >= paymentLink.amount)) {
+    console.warn(`[Payment Link] ${paymentLink.linkId} captured ${amount}, expected ${paymentLink.amount} - not marked paid`);
+    return null;
+  }
+
+  const recorded = await capturePayment({
+    gateway,
+    gatewayPaymentId: paymentId,
+    flow: LINK_CAPTURE_FLOW,
+    merchantId: paymentLink.userId,
+    referenceId: paymentLink.linkId,
+    amount,
+  }, async (session, capture) => {
+    // Conditional so a repeated gateway callback cannot credit the link twice
+    const paid = await PaymentLink.findOneAndUpdate(
+      { _id: paymentLink._id, status: { $ne: "paid" } },
+      { $set: { status: "paid", razorpayPaymentId: paymentId, gateway, paidAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!paid) {
+      // Paid by another payment: the money is here all the same, so book it to be refunded
+      const current = await PaymentLink.findById(paymentLink._id).session(session);
+      if (!current || current.razorpayPaymentId === paymentId) return null;
+
+      const unappliedDescription = `${description} (link already paid, refunded)`;
+      await creditWallet(current.userId, amount, {
+        entryType: "payment",
+        referenceId: paymentId,
+        description: unappliedDescription,
+        session,
+      });
+      await Transaction.create(
+        [{
+          userId: current.userId,
+          transactionId: paymentId,
+          description: unappliedDescription,
+          type: "Credit",
+          amount,
+          status: "Completed",
+          category: "payment",
+          referenceId: current.linkId,
+        }],
+        { session }
+      );
+      return { paymentLink: current, applied: false, capture };
+    }
+
+    await creditWallet(paid.userId, amount, {
+      entryType: "payment",
+      referenceId: paymentId,
+      description,
+      session,
+    });
+
+    const completed = await Transaction.findOneAndUpdate(
+      { referenceId: paid.linkId, userId: paid.userId },
+      { $set: { status: "Completed", transactionId: paymentId, amount, description } },
+      { new: true, session }
+    );
+    if (!completed) {
+      await Transaction.create(
+        [{
+          userId: paid.userId,
+          transactionId: paymentId,
+          description,
+          type: "Credit",
+          amount,
+          status: "Completed",
+          category: "payment",
+          referenceId: paid.linkId,
+        }],
+        { session }
+      );
+    }
+
+    return { paymentLink: paid, applied: true };
+  });
+
+  if (recorded && !recorded.applied) {
+    try {
+      await refundUnappliedCapture(recorded.capture, {
+        notes: { reason: "Payment link already paid", link_id: paymentLink.linkId },
+      });
+    } catch (err) {
+      // Left credited; a refund made on the gateway is booked by its refund webhook
+      console.error(`[Payment Link] Refunding payment ${paymentId} on paid link ${paymentLink.linkId} failed:`, err.message);
+    }
+  }
+
+  return recorded;
+};
+
+/**
+ * Serialize a PaymentLink into the public API "payment_link" entity (amounts in paise)
+ */
+const serializePaymentLink = (paymentLink) => ({
+  id: paymentLink.linkId,
+  entity: "payment_link",
+  amount: paymentLink.amount,
+  currency: "INR",
+  description: paymentLink.description,
+  reference_id: paymentLink.referenceId || null,
+  customer_id: paymentLink.customerId || null,
+  customer: {
+    name: paymentLink.customerName,
+    email: paymentLink.customerEmail,
+    contact: paymentLink.customerPhone || null,
+  },
+  status: paymentLink.status,
+  short_url: getCheckoutUrl(paymentLink.linkId),
+  notes: paymentLink.notes || {},
+  expire_by: toUnix(paymentLink.dueDate),
+  notify_count: paymentLink.notifyCount || 0,
+  payment: paymentLink.status === "paid"
+    ? {
+      payment_id: paymentLink.razorpayPaymentId || null,
+      gateway: paymentLink.gateway || null,
+      amount: paymentLink.amount,
+      paid_at: toUnix(paymentLink.paidAt),
+    }
+    : null,
+  cancelled_at: toUnix(paymentLink.cancelledAt),
+  created_at: toUnix(paymentLink.createdAt),
+});
+
+module.exports = {
+  getCheckoutUrl,
+  sendPaymentLinkEmail,
+  createPaymentLink,
+  expirePaymentLinkIfDue,
+  cancelPaymentLink,
+  LINK_CAPTURE_FLOW,
+  markPaymentLinkPaid,
+  serializePaymentLink,
+};
@@ -0,0 +1,248 @@
+const crypto = require("crypto");
+const QRCode = require("../models/qrCode.model");
+const Transaction = require("../models/transaction.model");
+const { creditWallet } = require("./ledgerHelper");
+const { capturePayment } = require("./captureHelper");
+const { getActiveGatewaySettings, createGatewayQr, closeGatewayQr } = require("./gatewayHelper");
+
+const TRANSACTION_METHODS = ["razorpay", "payu", "cashfree", "phonepe", "ccavenue", "stripe"];
+
+const toUnix = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+const generateQrId = (prefix = "QR") =>
+  prefix + Date.now() + crypto.randomBytes(3).toString("hex").toUpperCase();
+
+const buildQrPaymentUrl = async ({ qrId, amount, merchantName, description, isStatic = false, gatewayPaymentUrl = null }) => {
+  const frontendBase = process.env.FRONTEND_URL || "http://localhost:5173";
+  const hostedCheckoutUrl = `${frontendBase}/qr/${qrId}`;
+
+  // If gateway payment URL is available (e.g. Razorpay payment link),
+  // use it as the QR value so scanning opens gateway checkout directly
+  if (gatewayPaymentUrl) {
+    return {
+      qrUrl: gatewayPaymentUrl,
+      paymentUri: gatewayPaymentUrl,
+      paymentMode: "gateway-direct",
+      hostedCheckoutUrl,
+      gatewayPaymentUrl,
+    };
+  }
+
+  return {
+    qrUrl: hostedCheckoutUrl,
+    paymentUri: hostedCheckoutUrl,
+    paymentMode: "hosted",
+    hostedCheckoutUrl,
+  };
+};
+
+/**
+ * Create the QR on the active gateway so scanning opens a UPI app directly.
+ * Falls back to the hosted checkout page when the gateway cannot create one.
+ * Returns { gatewayPaymentUrl, gatewayQrImageUrl, gatewayName }.
+ */
+const attachGatewayQr = async (qrCode) => {
+  let gatewayQr = null;
+  let gatewayName = null;
+  try {
+    const settings = await getActiveGatewaySettings();
+    gatewayName = settings.gateway;
+    gatewayQr = await createGatewayQr(settings, qrCode);
+
+    // Save gateway QR data to record
+    if (gatewayQr) {
+      qrCode.gatewayQrImageUrl = gatewayQr.gatewayQrImageUrl;
+      qrCode.gatewayPaymentUrl = gatewayQr.gatewayPaymentUrl;
+      qrCode.gatewayPaymentLinkId = gatewayQr.gatewayPaymentLinkId;
+      qrCode.gateway = gatewayName;
+      await qrCode.save();
+    }
+  } catch (gwErr) {
+    console.warn("[QR Generate] Could not create gateway UPI QR, falling back to hosted checkout:", gwErr.message || gwErr.error?.description);
+  }
+  return {
+    gatewayPaymentUrl: gatewayQr?.gatewayPaymentUrl || null,
+    gatewayQrImageUrl: gatewayQr?.gatewayQrImageUrl || null,
+    gatewayName,
+  };
+};
+
+/**
+ * Create a dynamic (single payment, fixed amount) QR. amount is in paise.
+ */
+const createDynamicQr = async (user, { amount, name, description, expiresAt, expiryMinutes = 15, notes = {}, source = "dashboard" }) => {
+  const closeAt = expiresAt || new Date(Date.now() + expiryMinutes * 60 * 1000);
+
+  const qrCode = await QRCode.create({
+    qrId: generateQrId("QR"),
+    userId: user._id,
+    name: name || "Payment QR",
+    amount,
+    description: description || "",
+    expiryMinutes: Math.max(1, Math.round((closeAt.getTime() - Date.now()) / 60000)),
+    expiresAt: closeAt,
+    isStatic: false,
+    status: "active",
+    notes,
+    source,
+  });
+
+  const gatewayQr = await attachGatewayQr(qrCode);
+  return { qrCode, ...gatewayQr };
+};
+
+/**
+ * Create a static QR that accepts any amount, any number of times
+ */
+const createStaticQr = (user, { name, description, notes = {}, source = "dashboard" }) =>
+  QRCode.create({
+    qrId: generateQrId("SQR"),
+    userId: user._id,
+    name: name || "Static Payment QR",
+    description: description || "Accept any amount",
+    isStatic: true,
+    status: "active",
+    notes,
+    source,
+  });
+
+/**
+ * Expire an active dynamic QR past its expiry. Returns true when it is (now) expired.
+ */
+const expireQrIfDue = async (qrCode) => {
+  if (qrCode.status === "expired") return true;
+  if (qrCode.isStatic || qrCode.status !== "active" || !qrCode.expiresAt) return false;
+  if (new Date(qrCode.expiresAt) >= new Date()) return false;
+
+  qrCode.status = "expired";
+  await qrCode.save();
+  return true;
+};
+
+/**
+ * Close an active QR before its expiry. Returns false when it is not active.
+ */
+const closeQrCode = async (qrCode, reason = "on_demand") => {
+  if (qrCode.status !== "active") return false;
+
+  qrCode.status = "closed";
+  qrCode.closedAt = new Date();
+  qrCode.closeReason = reason;
+  await qrCode.save();
+
+  await closeGatewayQr(qrCode);
+  return true;
+};
+
+/**
+ * Record a payment received on a QR: marks dynamic QRs paid, credits the
+ * merchant and creates the Completed transaction (referenceId = qrId).
+ * amount is in paise. Captured exactly once per gateway payment; returns
+ * null when the payment was already recorded.
+ */
+const recordQrPayment = (qrCode, { paymentId, amount, gateway = null, payer = null, description }) =>
+  capturePayment({
+    gateway,
+    gatewayPaymentId: paymentId,
+    flow: "qr",
+    merchantId: qrCode.userId,
+    referenceId: qrCode.qrId,
+    amount,
+  }, async (session) => {
+    // Payments recorded before captures were claimed
+    const existing = await Transaction.exists({ userId: qrCode.userId, transactionId: paymentId }).session(session);
+    if (existing) return null;
+
+    // QR totals, wallet credit and Transaction commit together
+    const paidAt = new Date();
+    const update = {
+      $set: { razorpayPaymentId: paymentId, paidAt },
+      $inc: { paymentsCount: 1, amountReceived: amount },
+    };
+    if (!qrCode.isStatic) {
+      update.$set.status = "paid";
+    }
+    if (payer) {
+      update.$set.paidBy = payer;
+    }
+    await QRCode.updateOne({ _id: qrCode._id }, update, { session });
+
+    await creditWallet(qrCode.userId, amount, {
+      entryType: "payment",
+      referenceId: paymentId,
+      description,
+      session,
+    });
+
+    const [transaction] = await Transaction.create(
+      [{
+        userId: qrCode.userId,
+        transactionId: paymentId,
+        description,
+        type: "Credit",
+        amount,
+        status: "Completed",
+        method: TRANSACTION_METHODS.includes(gateway) ? gateway : "qr",
+        category: "payment",
+        customerName: payer?.name,
+        referenceId: qrCode.qrId,
+      }],
+      { session }
+    );
+    return transaction;
+  });
+
+/**
+ * Serialize a QRCode into the public API "qr_code" entity (amounts in paise)
+ */
+const serializeQrCode = (qrCode) => {
+  const hostedCheckoutUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/qr/${qrCode.qrId}`;
+  return {
+    id: qrCode.qrId,
+    entity: "qr_code",
+    name: qrCode.name,
+    description: qrCode.description,
+    usage: qrCode.isStatic ? "multiple_use" : "single_use",
+    fixed_amount: !qrCode.isStatic,
+    payment_amount: qrCode.isStatic ? null : qrCode.amount,
+    status: qrCode.status,
+    image_url: qrCode.gatewayQrImageUrl || null,
+    short_url: qrCode.gatewayPaymentUrl || hostedCheckoutUrl,
+    checkout_url: hostedCheckoutUrl,
+    gateway: qrCode.gateway || null,
+    payments_count_received: qrCode.paymentsCount || 0,
+    payments_amount_received: qrCode.amountReceived || 0,
+    notes: qrCode.notes || {},
+    close_by: toUnix(qrCode.expiresAt),
+    closed_at: toUnix(qrCode.closedAt),
+    close_reason: qrCode.closeReason || null,
+    created_at: toUnix(qrCode.createdAt),
+  };
+};
+
+/**
+ * Serialize a QR payment transaction into the public API "payment" entity
+ */
+const serializeQrPayment = (transaction) => ({
+  id: transaction.transactionId,
+  entity: "payment",
+  amount: transaction.amount,
+  currency: "INR",
+  status: "captured",
+  method: "upi",
+  gateway: TRANSACTION_METHODS.includes(transaction.method) ? transaction.method : null,
+  qr_code_id: transaction.referenceId,
+  customer_name: transaction.customerName || null,
+  created_at: toUnix(transaction.createdAt),
+});
+
+module.exports = {
+  buildQrPaymentUrl,
+  createDynamicQr,
+  createStaticQr,
+  expireQrIfDue,
+  closeQrCode,
+  recordQrPayment,
+  serializeQrCode,
+  serializeQrPayment,
+};
@@ -0,0 +1,274 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const Transaction = require("../models/transaction.model");
+const ReconciliationRun = require("../models/reconciliationRun.model");
+const BalanceDrift = require("../models/balanceDrift.model");
+const { creditWallet, debitWallet, getLedgerBalance } = require("./ledgerHelper");
+const { runInTransaction } = require("./sessionHelper");
+
+/**
+ * Balance reconciliation
+ *
+ * Recomputes every merchant's balance from its completed Transactions
+ * (credits less debits and their fees) and records each mismatch with
+ * User.balance as a BalanceDrift. Runs nightly and on demand from the admin
+ * endpoints; an admin can then post a correcting adjustment. Amounts are in
+ * paise, like User.balance.
+ */
+
+const COMPLETED_STATUSES = ["Completed", "Success"];
+const NIGHTLY_HOUR = Number(process.env.RECONCILIATION_HOUR) || 2;
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+
+const businessError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const generateRunId = () => "recon_" + crypto.randomBytes(8).toString("hex");
+
+/**
+ * Completed credit / debit / fee totals per merchant, keyed by merchant id
+ */
+const getTransactionTotals = async (merchantId = null) => {
+  const match = { status: { $in: COMPLETED_STATUSES } };
+  if (merchantId) match.userId = merchantId;
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$userId",
+        credits: { $sum: { $cond: [{ $eq: ["$type", "Credit"] }, { $ifNull: ["$amount", 0] }, 0] } },
+        creditCount: { $sum: { $cond: [{ $eq: ["$type", "Credit"] }, 1, 0] } },
+        debits: { $sum: { $cond: [{ $eq: ["$type", "Debit"] }, { $ifNull: ["$amount", 0] }, 0] } },
+        debitCount: { $sum: { $cond: [{ $eq: ["$type", "Debit"] }, 1, 0] } },
+        fees: { $sum: { $cond: [{ $eq: ["$type", "Debit"] }, { $ifNull: ["$fee", 0] }, 0] } },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [String(row._id), row]));
+};
+
+/**
+ * Compare a merchant's balance with its transaction history.
+ * Returns { balance, expectedBalance, drift, breakdown }.
+ */
+const computeDrift = (user, totals) => {
+  const credits = totals?.credits || 0;
+  const debits = totals?.debits || 0;
+  const fees = totals?.fees || 0;
+  const balance = user.balance || 0;
+  const expectedBalance = credits - debits - fees;
+
+  return {
+    balance,
+    expectedBalance,
+    drift: balance - expectedBalance,
+    breakdown: {
+      credits,
+      creditCount: totals?.creditCount || 0,
+      debits,
+      debitCount: totals?.debitCount || 0,
+      fees,
+      reservedBalance: user.reservedBalance || 0,
+    },
+  };
+};
+
+/**
+ * Reconcile every merchant and record the drifts.
+ * runKey makes scheduled runs once-per-day; returns the run, or null when a
+ * run with the same key already exists.
+ */
+const reconcileBalances = async ({ trigger = "manual", runKey } = {}) => {
+  const runId = generateRunId();
+
+  let run;
+  try {
+    run = await ReconciliationRun.create({ runId, runKey: runKey || runId, trigger });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  try {
+    const [users, totals] = await Promise.all([
+      User.find({ role: { $ne: "admin" } }).select("balance reservedBalance"),
+      getTransactionTotals(),
+    ]);
+
+    let mismatchCount = 0;
+    let totalDrift = 0;
+    for (const user of users) {
+      const result = computeDrift(user, totals.get(String(user._id)));
+      if (result.drift === 0) continue;
+
+      result.breakdown.ledgerBalance = await getLedgerBalance(user._id);
+      await BalanceDrift.create({ runId, merchantId: user._id, ...result });
+      mismatchCount++;
+      totalDrift += Math.abs(result.drift);
+    }
+
+    // Findings still open from earlier runs are replaced by this run's
+    await BalanceDrift.updateMany({ runId: { $ne: runId }, status: "open" }, { $set: { status: "superseded" } });
+
+    run.set({
+      status: "completed",
+      merchantsChecked: users.length,
+      mismatchCount,
+      totalDrift,
+      finishedAt: new Date(),
+    });
+    await run.save();
+
+    console.log(`[Reconciliation] ${runId}: ${users.length} merchant(s) checked, ${mismatchCount} mismatch(es)`);
+    return run;
+  } catch (err) {
+    run.set({ status: "failed", error: err.message, finishedAt: new Date() });
+    await run.save();
+    throw err;
+  }
+};
+
+/**
+ * Post the correction of an adjusted drift: a ledger journal ("balance") or
+ * an adjustment Transaction ("transactions")
+ */
+const postAdjustment = async (claimed, { correct, user, drift, amount, description, session }) => {
+  if (correct === "balance") {
+    const options = {
+      entryType: "adjustment",
+      account: "reconciliation_adjustment",
+      referenceId: String(claimed._id),
+      description,
+      session,
+    };
+    // A positive drift means the wallet holds more than the history explains
+    const posted = drift > 0
+      ? await debitWallet(user._id, amount, options)
+      : await creditWallet(user._id, amount, options);
+    if (!posted) throw businessError("Available balance is too low to post the adjustment");
+
+    claimed.adjustment.journalId = posted.journalId;
+  } else {
+    const [transaction] = await Transaction.create(
+      [{
+        userId: user._id,
+        transactionId: "ADJ" + Date.now(),
+        description,
+        type: drift > 0 ? "Credit" : "Debit",
+        amount,
+        status: "Completed",
+        method: "wallet",
+        category: "other",
+        referenceId: String(claimed._id),
+      }],
+      { session }
+    );
+    claimed.adjustment.transactionId = transaction.transactionId;
+  }
+};
+
+/**
+ * Correct an open drift. correct = "balance" moves the wallet to the
+ * balance recomputed now from the transactions (adjustment journal);
+ * correct = "transactions" records an adjustment Transaction so the history
+ * matches the balance. Returns the updated drift.
+ */
+const adjustDrift = async (driftId, { correct = "balance", note, adjustedBy = null } = {}) => {
+  if (!["balance", "transactions"].includes(correct)) {
+    throw businessError('correct must be "balance" or "transactions"');
+  }
+
+  const drift = await BalanceDrift.findById(driftId);
+  if (!drift) throw businessError("Drift not found", 404);
+  if (drift.status !== "open") throw businessError(`Drift is already ${drift.status}`);
+
+  // The balance may have moved since the run - correct the drift as it is now
+  const [user, totals] = await Promise.all([
+    User.findById(drift.merchantId).select("balance reservedBalance"),
+    getTransactionTotals(drift.merchantId),
+  ]);
+  if (!user) throw businessError("Merchant not found", 404);
+
+  const current = computeDrift(user, totals.get(String(user._id)));
+  const amount = Math.abs(current.drift);
+  const description = note || `Balance reconciliation adjustment (${drift.runId})`;
+
+  return runInTransaction(async (session) => {
+    const claimed = await BalanceDrift.findOneAndUpdate(
+      { _id: drift._id, status: "open" },
+      {
+        $set: {
+          status: "adjusted",
+          adjustment: { correct, amount, note, adjustedBy, adjustedAt: new Date() },
+        },
+      },
+      { new: true, session }
+    );
+    if (!claimed) throw businessError("Drift was adjusted concurrently");
+    if (amount === 0) return claimed;
+
+    try {
+      await postAdjustment(claimed, { correct, user, drift: current.drift, amount, description, session });
+    } catch (err) {
+      // Inside a transaction the abort reopens the drift
+      if (!session) {
+        await BalanceDrift.updateOne({ _id: drift._id }, { $set: { status: "open" }, $unset: { adjustment: "" } });
+      }
+      throw err;
+    }
+
+    await claimed.save({ session });
+    return claimed;
+  });
+};
+
+/**
+ * Drift report of a run (latest completed run by default), largest drift first
+ */
+const getDriftReport = async ({ runId, status } = {}) => {
+  const run = runId
+    ? await ReconciliationRun.findOne({ runId })
+    : await ReconciliationRun.findOne({ status: "completed" }).sort({ createdAt: -1 });
+  if (!run) return { run: null, drifts: [] };
+
+  const query = { runId: run.runId };
+  if (status) query.status = status;
+
+  const drifts = await BalanceDrift.find(query)
+    .populate("merchantId", "fullName email companyName")
+    .sort({ drift: -1 });
+
+  return { run, drifts };
+};
+
+// Local calendar date, matching the hour check below
+const nightlyRunKey = (date = new Date()) => `nightly_${date.toLocaleDateString("en-CA")}`;
+
+let schedulerTimer = null;
+
+/**
+ * Start the nightly reconciliation (idempotent). Checks every 15 minutes
+ * and runs once per day after RECONCILIATION_HOUR (server time).
+ */
+const startReconciliationWorker = () => {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(() => {
+    if (new Date().getHours() < NIGHTLY_HOUR) return;
+    reconcileBalances({ trigger: "scheduled", runKey: nightlyRunKey() }).catch((err) => {
+      console.error("[Reconciliation] Nightly run failed:", err.message);
+    });
+  }, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  reconcileBalances,
+  adjustDrift,
+  getDriftReport,
+  startReconciliationWorker,
+};
@@ -0,0 +1,446 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const FundHold = require("../models/fundHold.model");
+const Withdrawal = require("../models/withdrawal.model");
+const PayoutRequest = require("../models/payoutRequest.model");
+const BulkPayout = require("../models/bulkPayout.model");
+const PaymentLink = require("../models/paymentLink.model");
+const PaymentCapture = require("../models/paymentCapture.model");
+const Payment = require("../models/payment.model");
+const DepositIntent = require("../models/depositIntent.model");
+const Transaction = require("../models/transaction.model");
+const Refund = require("../models/refund.model");
+const { creditWallet, debitWallet, findJournal } = require("./ledgerHelper");
+const { releaseHold, captureHold } = require("./holdHelper");
+const { runInTransaction } = require("./sessionHelper");
+const { syncRefundStatus } = require("./refundHelper");
+const { LINK_CAPTURE_FLOW } = require("./paymentLinkHelper");
+
+/**
+ * Recovery of half-applied money operations
+ *
+ * With MongoDB transactions every money operation commits as a whole. On a
+ * server without them (or after a crash mid-request) a step can be left
+ * half done: a request approved but never debited, a hold claimed but never
+ * captured, a link marked paid but never credited. This routine finds those
+ * and rolls them forward - or back, when the balance no longer covers a
+ * debit. It runs at startup and periodically; anything younger than the
+ * grace period may still be in flight and is left alone.
+ */
+
+const RECOVERY_GRACE_MS = 5 * 60 * 1000;
+const RECOVERY_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const RECOVERY_INTERVAL_MS = Number(process.env.RECOVERY_INTERVAL_MS) || 10 * 60 * 1000;
+
+const DEBIT_ENTRY_TYPES = ["payout", "withdrawal"];
+
+// Operations settled between lookback and grace ago
+const recoveryWindow = () => ({
+  $gte: new Date(Date.now() - RECOVERY_LOOKBACK_MS),
+  $lt: new Date(Date.now() - RECOVERY_GRACE_MS),
+});
+
+// Random so records created in the same millisecond cannot collide on transactionId
+const generatePayoutTransactionId = () => "PO" + crypto.randomBytes(10).toString("hex").toUpperCase();
+const generateBulkTransactionId = () => "BULK_" + crypto.randomBytes(10).toString("hex").toUpperCase();
+
+// Approvals made before the merchant's ledger was opened were debited without a journal
+const postedBeforeLedger = async (merchantId, at) => {
+  const user = await User.findById(merchantId).select("ledgerOpenedAt");
+  return !user || !user.ledgerOpenedAt || new Date(at) < user.ledgerOpenedAt;
+};
+
+/**
+ * Holds claimed by an approval that never posted its debit go back to
+ * active, so the approval can be rolled forward (or the request released).
+ */
+const repairCapturedHolds = async (summary) => {
+  const holds = await FundHold.find({ status: "captured", journalId: null, capturedAt: recoveryWindow() });
+
+  for (const hold of holds) {
+    const journalId = await findJournal(hold.referenceId, DEBIT_ENTRY_TYPES);
+    if (journalId) {
+      await FundHold.updateOne({ _id: hold._id }, { $set: { journalId } });
+    } else {
+      await FundHold.updateOne(
+        { _id: hold._id, status: "captured", journalId: null },
+        { $set: { status: "active" }, $unset: { capturedAt: "" } }
+      );
+    }
+    summary.holdsRepaired++;
+  }
+};
+
+/**
+ * Release active holds whose request is gone or was rejected / cancelled
+ */
+const releaseOrphanedHolds = async (summary) => {
+  const holds = await FundHold.find({ status: "active", createdAt: { $lt: new Date(Date.now() - RECOVERY_GRACE_MS) } });
+
+  for (const hold of holds) {
+    let request = null;
+    let closed = false;
+
+    if (hold.referenceType === "withdrawal") {
+      request = await Withdrawal.findOne({ withdrawalId: hold.referenceId }).select("status");
+      closed = request && request.status === "Rejected";
+    } else {
+      request = await PayoutRequest.findById(hold.referenceId).select("status");
+      closed = request && ["rejected", "cancelled", "failed"].includes(request.status);
+    }
+
+    if (!request || closed) {
+      await releaseHold(hold.referenceId, request ? `Request ${request.status}` : "Request not found");
+      summary.holdsReleased++;
+    }
+  }
+};
+
+/**
+ * Debit approved withdrawals that have no journal; revert them to Pending
+ * when the balance no longer covers them.
+ */
+const rollForwardWithdrawals = async (summary) => {
+  const withdrawals = await Withdrawal.find({ status: "Approved", approvedAt: recoveryWindow() });
+
+  for (const withdrawal of withdrawals) {
+    if (await findJournal(withdrawal.withdrawalId, DEBIT_ENTRY_TYPES)) {
+      await Transaction.updateOne({ transactionId: withdrawal.withdrawalId, status: "Pending" }, { status: "Completed" });
+      continue;
+    }
+    if (await postedBeforeLedger(withdrawal.userId, withdrawal.approvedAt)) continue;
+
+    const result = await runInTransaction(async (session) => {
+      const debited = await captureHold(withdrawal.userId, withdrawal.withdrawalId, withdrawal.total - (withdrawal.commission || 0), {
+        entryType: withdrawal.type === "payout" ? "payout" : "withdrawal",
+        fee: withdrawal.commission || 0,
+        description: `Withdrawal ${withdrawal.withdrawalId} to ${withdrawal.bankName || "Bank"}`,
+        session,
+      });
+
+      if (!debited) {
+        await Withdrawal.updateOne(
+          { _id: withdrawal._id, status: "Approved" },
+          { $set: { status: "Pending" }, $unset: { approvedAt: "" } },
+          { session }
+        );
+        return "reverted";
+      }
+
+      await Transaction.updateOne({ transactionId: withdrawal.withdrawalId }, { status: "Completed" }, { session });
+      return "debited";
+    });
+
+    summary[result === "debited" ? "debitsPosted" : "approvalsReverted"]++;
+  }
+
+  // Rejections that never failed their Transaction
+  const rejected = await Withdrawal.find({ status: "Rejected", rejectedAt: recoveryWindow() }).select("withdrawalId");
+  for (const withdrawal of rejected) {
+    await Transaction.updateOne({ transactionId: withdrawal.withdrawalId, status: "Pending" }, { status: "Failed" });
+  }
+};
+
+const createPayoutTransaction = (request, session = null) =>
+  Transaction.create(
+    [{
+      userId: request.vendorId,
+      transactionId: generatePayoutTransactionId(),
+      description: `Payout to ${request.method === "upi" ? request.upiId : request.accountNumber}`,
+      type: "Debit",
+      amount: request.amount,
+      status: "Completed",
+      customerName: request.accountHolderName,
+      method: request.method,
+      category: "payout",
+      referenceId: request._id.toString(),
+      notes: request.adminNote || "Payout approved",
+      fee: request.fee || 0,
+      netAmount: request.amount,
+      accountNumber: request.accountNumber,
+      ifscCode: request.ifscCode,
+      upiId: request.upiId,
+      bankName: request.bankName,
+    }],
+    { session }
+  );
+
+/**
+ * Debit approved payout requests that have no journal and record missing
+ * Transactions; revert to "requested" when the balance does not cover them.
+ */
+const rollForwardPayoutRequests = async (summary) => {
+  const requests = await PayoutRequest.find({
+    status: { $in: ["approved", "processing", "completed"] },
+    mode: { $ne: "test" },
+    approvedAt: recoveryWindow(),
+  });
+
+  for (const request of requests) {
+    const referenceId = request._id.toString();
+    const hasTransaction = await Transaction.exists({ category: "payout", referenceId });
+
+    if (await findJournal(referenceId, DEBIT_ENTRY_TYPES)) {
+      if (!hasTransaction) {
+        await createPayoutTransaction(request);
+        summary.recordsCompleted++;
+      }
+      continue;
+    }
+    if (await postedBeforeLedger(request.vendorId, request.approvedAt)) continue;
+
+    const result = await runInTransaction(async (session) => {
+      const debited = await captureHold(request.vendorId, referenceId, request.amount, {
+        entryType: "payout",
+        fee: request.fee || 0,
+        description: `Payout to ${request.method === "upi" ? request.upiId : request.accountNumber}`,
+        session,
+      });
+
+      if (!debited) {
+        await PayoutRequest.updateOne(
+          { _id: request._id, status: request.status },
+          { $set: { status: "requested" }, $unset: { approvedAt: "" } },
+          { session }
+        );
+        return "reverted";
+      }
+
+      if (!hasTransaction) await createPayoutTransaction(request, session);
+      return "debited";
+    });
+
+    summary[result === "debited" ? "debitsPosted" : "approvalsReverted"]++;
+  }
+};
+
+/**
+ * Same for approved bulk payouts (referenced by their _id)
+ */
+const rollForwardBulkPayouts = async (summary) => {
+  const payouts = await BulkPayout.find({ status: "Approved", approvedAt: recoveryWindow() });
+
+  for (const payout of payouts) {
+    const referenceId = payout._id.toString();
+    const description = `Bulk payout (${payout.totalRows} entries)`;
+    const hasTransaction = await Transaction.exists({ category: "payout", referenceId });
+    const journalId = await findJournal(referenceId, "payout");
+
+    if (journalId && hasTransaction) continue;
+    if (!journalId && await postedBeforeLedger(payout.userId, payout.approvedAt)) continue;
+
+    const result = await runInTransaction(async (session) => {
+      if (!journalId) {
+        const debited = await debitWallet(payout.userId, payout.totalAmount, { entryType: "payout", referenceId, description, session });
+        if (!debited) {
+          await BulkPayout.updateOne(
+            { _id: payout._id, status: "Approved" },
+            { $set: { status: "Pending" }, $unset: { approvedAt: "" } },
+            { session }
+          );
+          return "reverted";
+        }
+      }
+
+      if (!hasTransaction) {
+        await Transaction.create(
+          [{
+            userId: payout.userId,
+            transactionId: generateBulkTransactionId(),
+            description,
+            amount: payout.totalAmount,
+            type: "Debit",
+            status: "Completed",
+            category: "payout",
+            referenceId,
+          }],
+          { session }
+        );
+      }
+      return journalId ? "completed" : "debited";
+    });
+
+    summary[{ debited: "debitsPosted", reverted: "approvalsReverted", completed: "recordsCompleted" }[result]]++;
+  }
+};
+
+/**
+ * Credit payment links marked paid whose credit was never posted
+ */
+const rollForwardPaidLinks = async (summary) => {
+  const links = await PaymentLink.find({ status: "paid", razorpayPaymentId: { $ne: null }, paidAt: recoveryWindow() });
+
+  for (const link of links) {
+    if (await findJournal(link.razorpayPaymentId, "payment")) continue;
+    if (await postedBeforeLedger(link.userId, link.paidAt)) continue;
+
+    // The link is credited what the gateway captured (markPaymentLinkPaid)
+    const capture = await PaymentCapture.findOne({ gatewayPaymentId: link.razorpayPaymentId, flow: LINK_CAPTURE_FLOW });
+    const amount = capture?.amount || link.amount;
+
+    const description = `Payment link ${link.linkId} paid`;
+    await runInTransaction(async (session) => {
+      await creditWallet(link.userId, amount, {
+        entryType: "payment",
+        referenceId: link.razorpayPaymentId,
+        description,
+        session,
+      });
+
+      // The link's own transaction, not one booked for a later payment refunded as unapplied
+      const completed = await Transaction.findOneAndUpdate(
+        { referenceId: link.linkId, userId: link.userId, transactionId: { $in: [link.linkId, link.razorpayPaymentId] } },
+        { $set: { status: "Completed", transactionId: link.razorpayPaymentId, amount } },
+        { new: true, session }
+      );
+      if (!completed) {
+        await Transaction.create(
+          [{
+            userId: link.userId,
+            transactionId: link.razorpayPaymentId,
+            description,
+            type: "Credit",
+            amount,
+            status: "Completed",
+            category: "payment",
+            referenceId: link.linkId,
+          }],
+          { session }
+        );
+      }
+    });
+    summary.creditsPosted++;
+  }
+};
+
+/**
+ * Settle payment captures left "processing": mark them captured when the
+ * credit was recorded, otherwise drop the claim so a replayed callback can
+ * still capture the payment.
+ */
+const repairPaymentCaptures = async (summary) => {
+  const captures = await PaymentCapture.find({
+    status: "processing",
+    createdAt: { $lt: new Date(Date.now() - RECOVERY_GRACE_MS) },
+  });
+
+  for (const capture of captures) {
+    const recorded =
+      (await findJournal(capture.gatewayPaymentId, ["payment", "deposit"])) ||
+      (capture.referenceId && (await findJournal(capture.referenceId, ["payment", "deposit"]))) ||
+      (capture.flow === "order" && (await Payment.exists({ paymentId: capture.gatewayPaymentId, status: "captured" })));
+
+    if (recorded) {
+      await PaymentCapture.updateOne({ _id: capture._id }, { $set: { status: "captured", capturedAt: new Date() } });
+    } else {
+      await PaymentCapture.deleteOne({ _id: capture._id, status: "processing" });
+      // Reopen the deposit so the replayed callback can settle it
+      if (capture.flow === "deposit") {
+        await DepositIntent.updateOne(
+          { intentId: capture.referenceId, status: "paid" },
+          { $set: { status: "created" }, $unset: { gatewayPaymentId: "", paidAmount: "", paidAt: "" } }
+        );
+      }
+    }
+    summary.capturesSettled++;
+  }
+};
+
+/**
+ * Refresh refunds left pending, typically ones whose gateway request timed
+ * out. Refunds the gateway cannot report on stay pending for review.
+ */
+const syncPendingRefunds = async (summary) => {
+  const refunds = await Refund.find({ status: "pending", createdAt: recoveryWindow() });
+
+  for (const refund of refunds) {
+    const synced = await syncRefundStatus(refund);
+    if (synced.status !== "pending") {
+      summary.refundsSettled++;
+    } else {
+      console.warn(`[Recovery] Refund ${refund.refundId} is still pending at ${refund.gateway}`);
+    }
+  }
+};
+
+/**
+ * Reset User.reservedBalance to the sum of the merchant's active holds.
+ * Merchants with a hold changed inside the grace period are skipped.
+ */
+const repairReservedBalances = async (summary) => {
+  const cutoff = new Date(Date.now() - RECOVERY_GRACE_MS);
+  const [totals, busy] = await Promise.all([
+    FundHold.aggregate([{ $match: { status: "active" } }, { $group: { _id: "$merchantId", reserved: { $sum: "$amount" } } }]),
+    FundHold.distinct("merchantId", { updatedAt: { $gte: cutoff } }),
+  ]);
+
+  const expected = new Map(totals.map((row) => [String(row._id), row.reserved]));
+  const skip = new Set(busy.map(String));
+  const users = await User.find({
+    $or: [{ reservedBalance: { $gt: 0 } }, { reservedBalance: { $lt: 0 } }, { _id: { $in: totals.map((row) => row._id) } }],
+  }).select("reservedBalance");
+
+  for (const user of users) {
+    const id = String(user._id);
+    const reserved = expected.get(id) || 0;
+    if (skip.has(id) || (user.reservedBalance || 0) === reserved) continue;
+
+    // Conditional on the value read, so a hold placed meanwhile is not overwritten
+    await User.updateOne({ _id: user._id, reservedBalance: user.reservedBalance }, { $set: { reservedBalance: reserved } });
+    summary.reservesCorrected++;
+  }
+};
+
+/**
+ * Run every recovery step once. Returns counts of what was repaired.
+ */
+const recoverMoneyOperations = async () => {
+  const summary = {
+    holdsRepaired: 0,
+    holdsReleased: 0,
+    debitsPosted: 0,
+    approvalsReverted: 0,
+    creditsPosted: 0,
+    recordsCompleted: 0,
+    capturesSettled: 0,
+    refundsSettled: 0,
+    reservesCorrected: 0,
+  };
+
+  // Captured holds first, so the roll-forwards below can capture them again
+  await repairCapturedHolds(summary);
+  await releaseOrphanedHolds(summary);
+  await rollForwardWithdrawals(summary);
+  await rollForwardPayoutRequests(summary);
+  await rollForwardBulkPayouts(summary);
+  await rollForwardPaidLinks(summary);
+  await repairPaymentCaptures(summary);
+  await syncPendingRefunds(summary);
+  await repairReservedBalances(summary);
+
+  const repaired = Object.entries(summary).filter(([, count]) => count > 0);
+  if (repaired.length) {
+    console.log("[Recovery] Repaired money operations:", repaired.map(([key, count]) => `${key}=${count}`).join(", "));
+  }
+  return summary;
+};
+
+let recoveryTimer = null;
+
+/**
+ * Start the periodic recovery run (idempotent)
+ */
+const startRecoveryWorker = () => {
+  if (recoveryTimer) return;
+  recoveryTimer = setInterval(() => {
+    recoverMoneyOperations().catch((err) => {
+      console.error("[Recovery] Recovery run failed:", err.message);
+    });
+  }, RECOVERY_INTERVAL_MS);
+  recoveryTimer.unref();
+};
+
+module.exports = {
+  recoverMoneyOperations,
+  startRecoveryWorker,
+};
@@ -0,0 +1,553 @@
+const crypto = require("crypto");
+const Order = require("../models/order.model");
+const Payment = require("../models/payment.model");
+const Refund = require("../models/refund.model");
+const Transaction = require("../models/transaction.model");
+const {
+  getGatewaySettingsById,
+  inferGatewayFromPaymentId,
+  createGatewayRefund,
+  fetchGatewayRefundStatus,
+  isGatewayRejection,
+} = require("./gatewayHelper");
+const { dispatchOrderEvents } = require("./webhookHelper");
+const { debitWallet, creditWallet, reverseJournal, findJournal } = require("./ledgerHelper");
+const { runInTransaction } = require("./sessionHelper");
+const { formatRupees } = require("./moneyHelper");
+const {
+  SANDBOX_GATEWAY,
+  isTestMode,
+  debitTestLedger,
+  generateSandboxRefundId,
+} = require("./sandboxHelper");
+
+const TRANSACTION_METHODS = ["razorpay", "payu", "cashfree", "phonepe", "ccavenue", "stripe"];
+
+const businessError = (message, statusCode = 400, code = "BAD_REQUEST_ERROR") => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const toUnix = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+/**
+ * Serialize a Refund document into the public API "refund" entity
+ */
+const serializeRefund = (refund) => ({
+  id: refund.refundId,
+  entity: "refund",
+  amount: refund.amount,
+  currency: refund.currency,
+  payment_id: refund.paymentId,
+  order_id: refund.orderId,
+  notes: refund.notes || {},
+  status: refund.status,
+  failure_reason: refund.failureReason || null,
+  created_at: toUnix(refund.createdAt),
+  processed_at: toUnix(refund.processedAt),
+});
+
+/**
+ * Gateway that captured an order's payment.
+ * Older orders did not store it, so fall back to the payment id format.
+ */
+const resolveOrderGateway = (order) => order.gateway || inferGatewayFromPaymentId(order.paymentId || "");
+
+/**
+ * Amount (paise) captured on an order
+ */
+const getCapturedAmount = (order) => order.amountPaid || order.amount;
+
+/**
+ * The captured Payment a refund is made against: the one with paymentId,
+ * else the order's latest capture. Null for orders paid before payment
+ * attempts were recorded, which are refunded as a single capture.
+ */
+const findRefundableCapture = (order, paymentId) =>
+  Payment.findOne({
+    orderId: order.orderId,
+    merchantId: order.merchantId,
+    paymentId: paymentId || order.paymentId,
+    status: "captured",
+  });
+
+// Refunds of unapplied captures (orderHelper) leave the order's totals alone
+const isUnappliedRefund = (refund, session = null) =>
+  Payment.exists({ orderId: refund.orderId, paymentId: refund.paymentId, status: "captured", unapplied: true })
+    .session(session);
+
+/**
+ * Mark a refund processed: complete the order bookkeeping and notify the merchant
+ */
+const finalizeProcessedRefund = async (pendingRefund) => {
+  // Conditional on "pending" so a refund is never finalized twice, or after a reversal
+  const refund = await Refund.findOneAndUpdate(
+    { _id: pendingRefund._id, status: "pending" },
+    { $set: { status: "processed", processedAt: new Date() } },
+    { new: true }
+  );
+  if (!refund) {
+    return Refund.findById(pendingRefund._id);
+  }
+
+  const order = await Order.findOne({ orderId: refund.orderId, merchantId: refund.merchantId });
+  if (order && (await isUnappliedRefund(refund))) {
+    await dispatchOrderEvents(order, ["refund.processed"], { refund: serializeRefund(refund) });
+  } else if (order) {
+    order.refundId = refund.refundId;
+    order.refundAmount = refund.amount;
+    order.refundedAt = refund.processedAt;
+    if ((order.amountRefunded || 0) >= getCapturedAmount(order)) {
+      order.status = "refunded";
+      order.paymentStatus = "refunded";
+    }
+    await order.save();
+
+    await dispatchOrderEvents(order, ["refund.processed"], { refund: serializeRefund(refund) });
+  }
+
+  return refund;
+};
+
+/**
+ * Mark a refund failed: give the money back to the wallet and free the refundable amount
+ */
+const reverseFailedRefund = async (refund, reason) => {
+  const failureReason = reason || "Refund failed at gateway";
+  const description = `Refund reversal ${refund.refundId} (${failureReason})`;
+
+  // Refund status, wallet reversal, Transaction and order total commit together
+  const reversed = await runInTransaction(async (session) => {
+    // Conditional on "pending" so a refund is never reversed twice
+    const failed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: "pending" },
+      { $set: { status: "failed", failureReason, failedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!failed) return null;
+
+    const debitJournal = await findJournal(refund.refundId, "refund", session);
+    if (debitJournal) {
+      await reverseJournal(debitJournal, { description, session });
+    } else {
+      // Refunds debited before the ledger existed
+      await creditWallet(refund.merchantId, refund.amount, {
+        entryType: "reversal",
+        account: "refund_clearing",
+        referenceId: refund.refundId,
+        description,
+        session,
+      });
+    }
+
+    await Transaction.create(
+      [{
+        userId: refund.merchantId,
+        transactionId: `${refund.refundId}_rev`,
+        description,
+        type: "Credit",
+        amount: refund.amount,
+        status: "Completed",
+        method: TRANSACTION_METHODS.includes(refund.gateway) ? refund.gateway : "other",
+        category: "refund",
+        referenceId: refund.refundId,
+      }],
+      { session }
+    );
+
+    const order = (await isUnappliedRefund(refund, session))
+      ? await Order.findOne({ orderId: refund.orderId, merchantId: refund.merchantId }).session(session)
+      : await Order.findOneAndUpdate(
+        { orderId: refund.orderId, merchantId: refund.merchantId },
+        { $inc: { amountRefunded: -refund.amount } },
+        { new: true, session }
+      );
+    // Refunds made before captures tracked their own refunded total never reserved one
+    await Payment.updateOne(
+      { orderId: refund.orderId, paymentId: refund.paymentId, status: "captured", amountRefunded: { $gte: refund.amount } },
+      { $inc: { amountRefunded: -refund.amount } },
+      { session }
+    );
+
+    return { failed, order };
+  });
+
+  if (!reversed) {
+    return Refund.findById(refund._id);
+  }
+
+  const { failed, order } = reversed;
+  if (order) {
+    await dispatchOrderEvents(order, ["refund.failed"], { refund: serializeRefund(failed) });
+  }
+
+  return failed;
+};
+
+/**
+ * Test-mode refund: debit the test ledger and process it immediately, no gateway call
+ */
+const createSandboxRefund = async (order, { refundAmount, notes, paymentId, releaseRefundable }) => {
+  const refundId = generateSandboxRefundId();
+
+  const debited = await debitTestLedger(order.merchantId, refundAmount, {
+    category: "refund",
+    referenceId: refundId,
+    description: `Test refund ${refundId} for payment ${paymentId}`,
+  });
+
+  if (!debited) {
+    await releaseRefundable();
+    throw businessError(
+      `Insufficient test balance to refund ${formatRupees(refundAmount)}`,
+      400,
+      "INSUFFICIENT_BALANCE"
+    );
+  }
+
+  const refund = await Refund.create({
+    refundId,
+    merchantId: order.merchantId,
+    orderId: order.orderId,
+    paymentId,
+    amount: refundAmount,
+    currency: order.currency,
+    status: "pending",
+    gateway: SANDBOX_GATEWAY,
+    gatewayRefundId: refundId,
+    notes,
+    mode: "test",
+  });
+
+  return finalizeProcessedRefund(refund);
+};
+
+/**
+ * Create a (full or partial) refund for a paid API order, against one of
+ * its captures: paymentId, or the latest capture when not given.
+ *
+ * 1. Reserve the amount against the order and the capture (cumulative
+ *    refunds <= amount captured on each)
+ * 2. Debit the merchant wallet and record a "refund" Transaction
+ * 3. Ask the capturing gateway to refund; reverse 1 and 2 if it refuses.
+ *    When the outcome is unknown (timeout, network or gateway fault) the
+ *    refund stays pending for syncRefundStatus, the refund webhook or the
+ *    recovery run to settle, since the gateway may have made it.
+ *
+ * Test-mode orders use the test ledger and skip the gateway. A
+ * gatewayRefundId records a refund the gateway already made (one issued on
+ * its dashboard): step 3 is skipped and the refund id is derived from it,
+ * so a repeated webhook cannot record it twice.
+ *
+ * Throws errors with statusCode/code for business failures.
+ */
+const createRefund = async (order, { amount, notes = {}, gatewayRefundId = null, paymentId = null } = {}) => {
+  const capture = await findRefundableCapture(order, paymentId);
+  if (paymentId && !capture && paymentId !== order.paymentId) {
+    throw businessError(`Payment ${paymentId} was not captured on order ${order.orderId}`);
+  }
+  const refundPaymentId = capture?.paymentId || order.paymentId;
+  // Unapplied captures are refundable whatever the order's state
+  const unapplied = Boolean(capture?.unapplied);
+
+  if (order.status !== "paid" && !unapplied) {
+    throw businessError("Refund can only be initiated for captured payments");
+  }
+
+  const gateway = capture?.gateway || resolveOrderGateway(order);
+  if (!gateway) {
+    throw businessError("Refunds are not supported for this payment");
+  }
+
+  const capturedAmount = getCapturedAmount(order);
+  const refundable = Math.min(
+    unapplied ? Infinity : capturedAmount - (order.amountRefunded || 0),
+    capture ? capture.amount - (capture.amountRefunded || 0) : Infinity
+  );
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+    throw businessError("The amount must be a positive integer in paise");
+  }
+
+  if (refundAmount > refundable) {
+    throw businessError(
+      `The refund amount exceeds the refundable amount of ${refundable} paise`
+    );
+  }
+
+  // Without a transaction a reservation has to be undone by hand
+  const releaseRefundable = async () => {
+    if (!unapplied) {
+      await Order.updateOne({ _id: order._id }, { $inc: { amountRefunded: -refundAmount } });
+    }
+    if (capture) {
+      await Payment.updateOne({ _id: capture._id }, { $inc: { amountRefunded: -refundAmount } });
+    }
+  };
+
+  // Atomic reservations so concurrent partial refunds cannot exceed the amount captured
+  const reserveRefundable = async (session = null) => {
+    const reserved = unapplied || (await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: "paid",
+        $expr: {
+          $lte: [{ $add: [{ $ifNull: ["$amountRefunded", 0] }, refundAmount] }, capturedAmount],
+        },
+      },
+      { $inc: { amountRefunded: refundAmount } },
+      { new: true, session }
+    ));
+    if (!reserved || !capture) return Boolean(reserved);
+
+    const reservedCapture = await Payment.findOneAndUpdate(
+      {
+        _id: capture._id,
+        status: "captured",
+        $expr: {
+          $lte: [{ $add: [{ $ifNull: ["$amountRefunded", 0] }, refundAmount] }, "$amount"],
+        },
+      },
+      { $inc: { amountRefunded: refundAmount } },
+      { new: true, session }
+    );
+    if (!reservedCapture && !session && !unapplied) {
+      await Order.updateOne({ _id: order._id }, { $inc: { amountRefunded: -refundAmount } });
+    }
+    return Boolean(reservedCapture);
+  };
+
+  if (isTestMode(order)) {
+    if (!(await reserveRefundable())) {
+      throw businessError("The refund amount exceeds the refundable amount");
+    }
+    return createSandboxRefund(order, { refundAmount, notes, paymentId: refundPaymentId, releaseRefundable });
+  }
+
+  const refundId = gatewayRefundId
+    ? "rfnd_" + crypto.createHash("sha256").update(`${gateway}:${gatewayRefundId}`).digest("hex").slice(0, 20)
+    : "rfnd_" + crypto.randomBytes(10).toString("hex");
+
+  // Reservation, wallet debit, Refund and Transaction commit together
+  const refund = await runInTransaction(async (session) => {
+    if (!(await reserveRefundable(session))) {
+      throw businessError("The refund amount exceeds the refundable amount");
+    }
+
+    const debited = await debitWallet(order.merchantId, refundAmount, {
+      entryType: "refund",
+      account: "refund_clearing",
+      referenceId: refundId,
+      description: `Refund ${refundId} for payment ${refundPaymentId}`,
+      session,
+    });
+
+    if (!debited) {
+      if (!session) await releaseRefundable();
+      throw businessError(
+        `Insufficient balance to refund ${formatRupees(refundAmount)}`,
+        400,
+        "INSUFFICIENT_BALANCE"
+      );
+    }
+
+    const [created] = await Refund.create(
+      [{
+        refundId,
+        merchantId: order.merchantId,
+        orderId: order.orderId,
+        paymentId: refundPaymentId,
+        amount: refundAmount,
+        currency: order.currency,
+        status: "pending",
+        gateway,
+        gatewayRefundId,
+        notes,
+        transactionId: refundId,
+      }],
+      { session }
+    );
+
+    await Transaction.create(
+      [{
+        userId: order.merchantId,
+        transactionId: refundId,
+        description: `Refund ${refundId} for payment ${refundPaymentId}`,
+        type: "Debit",
+        amount: refundAmount,
+        status: "Completed",
+        method: TRANSACTION_METHODS.includes(gateway) ? gateway : "other",
+        category: "refund",
+        referenceId: order.orderId,
+      }],
+      { session }
+    );
+
+    return created;
+  });
+
+  if (gatewayRefundId) {
+    return finalizeProcessedRefund(refund);
+  }
+
+  let settings;
+  try {
+    settings = await getGatewaySettingsById(gateway);
+  } catch (err) {
+    // The gateway was never asked
+    console.error(`[Refund] ${refundId} not sent to ${gateway}:`, err.message);
+    return reverseFailedRefund(refund, err.message);
+  }
+
+  let gatewayResult;
+  try {
+    gatewayResult = await createGatewayRefund(settings, {
+      paymentId: refundPaymentId,
+      amount: refundAmount,
+      refundId,
+      notes,
+    });
+  } catch (err) {
+    if (!isGatewayRejection(err)) {
+      console.error(`[Refund] ${refundId} outcome unknown at ${gateway}, left pending:`, err.message);
+      return refund;
+    }
+    console.error(`[Refund] ${refundId} rejected by ${gateway}:`, err.message);
+    return reverseFailedRefund(refund, err.message);
+  }
+
+  refund.gatewayRefundId = gatewayResult.gatewayRefundId;
+  await refund.save();
+
+  if (gatewayResult.status === "processed") {
+    return finalizeProcessedRefund(refund);
+  }
+  if (gatewayResult.status === "failed") {
+    return reverseFailedRefund(refund, "Refund failed at gateway");
+  }
+  return refund;
+};
+
+/**
+ * Refresh a pending refund from its gateway
+ */
+const syncRefundStatus = async (refund) => {
+  if (refund.status !== "pending" || !refund.gateway) return refund;
+
+  try {
+    const settings = await getGatewaySettingsById(refund.gateway);
+    const status = await fetchGatewayRefundStatus(settings, {
+      paymentId: refund.paymentId,
+      gatewayRefundId: refund.gatewayRefundId,
+      refundId: refund.refundId,
+    });
+
+    if (status === "processed") return finalizeProcessedRefund(refund);
+    if (status === "failed") return reverseFailedRefund(refund, "Refund failed at gateway");
+  } catch (err) {
+    console.warn(`[Refund] Could not refresh ${refund.refundId}:`, err.message);
+  }
+
+  return refund;
+};
+
+/**
+ * Apply a refund status the gateway reported (webhook) to the refund it
+ * belongs to: { gatewayRefundId, refundId?, status, reason? }.
+ * Returns the Refund, or null when the refund was not created here.
+ */
+const settleGatewayRefund = async (gateway, { gatewayRefundId, refundId, status, reason }) => {
+  const conditions = [];
+  if (refundId) conditions.push({ refundId });
+  if (gatewayRefundId) conditions.push({ gatewayRefundId });
+  if (!conditions.length) return null;
+
+  const refund = await Refund.findOne({ gateway, $or: conditions });
+  if (!refund || refund.status !== "pending") return refund;
+
+  if (status === "processed") return finalizeProcessedRefund(refund);
+  if (status === "failed") return reverseFailedRefund(refund, reason);
+  return refund;
+};
+
+/**
+ * Debit the wallet a gateway payment was credited to when the gateway
+ * refunds it (deposits, checkout, QR and payment link payments refunded on
+ * the gateway's dashboard). capture is the payment's PaymentCapture. The
+ * Transaction is keyed by the gateway refund id, so a repeated webhook
+ * debits once. Returns the Transaction, or null when already recorded.
+ */
+const recordWalletRefund = async (capture, { gatewayRefundId, amount }) => {
+  const description = `Refund ${gatewayRefundId} for payment ${capture.gatewayPaymentId}`;
+
+  try {
+    return await runInTransaction(async (session) => {
+      const existing = await Transaction.exists({ transactionId: gatewayRefundId }).session(session);
+      if (existing) return null;
+
+      const debited = await debitWallet(capture.merchantId, amount, {
+        entryType: "refund",
+        account: "refund_clearing",
+        referenceId: gatewayRefundId,
+        description,
+        session,
+      });
+      if (!debited) {
+        // Not a business error: the gateway has refunded, so the webhook should be retried
+        throw new Error(`Insufficient balance to record refund ${gatewayRefundId} of ${formatRupees(amount)}`);
+      }
+
+      const [transaction] = await Transaction.create(
+        [{
+          userId: capture.merchantId,
+          transactionId: gatewayRefundId,
+          description,
+          type: "Debit",
+          amount,
+          status: "Completed",
+          method: TRANSACTION_METHODS.includes(capture.gateway) ? capture.gateway : "other",
+          category: "refund",
+          referenceId: capture.referenceId,
+        }],
+        { session }
+      );
+      return transaction;
+    });
+  } catch (err) {
+    // A concurrent delivery of the same refund
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+};
+
+/**
+ * Refund in full a gateway payment that was credited but pays for nothing
+ * (a second payment on a paid link). capture is its PaymentCapture. The
+ * wallet is debited through recordWalletRefund, keyed by the gateway refund
+ * id, so the gateway's refund webhook finds it recorded. Returns the debit
+ * Transaction, or null when the gateway failed the refund.
+ */
+const refundUnappliedCapture = async (capture, { notes = {} } = {}) => {
+  const settings = await getGatewaySettingsById(capture.gateway);
+  const result = await createGatewayRefund(settings, {
+    paymentId: capture.gatewayPaymentId,
+    amount: capture.amount,
+    refundId: "rfnd_" + crypto.randomBytes(10).toString("hex"),
+    notes,
+  });
+  if (result.status === "failed") return null;
+
+  return recordWalletRefund(capture, { gatewayRefundId: result.gatewayRefundId, amount: capture.amount });
+};
+
+module.exports = {
+  serializeRefund,
+  createRefund,
+  syncRefundStatus,
+  settleGatewayRefund,
+  recordWalletRefund,
+  refundUnappliedCapture,
+};
@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const TestLedgerEntry = require("../models/testLedgerEntry.model");
+const { toRupees } = require("./moneyHelper");
+
+/**
+ * Test-mode sandbox
+ *
+ * Orders created with sat_test_ keys never reach a real gateway: checkout
+ * offers simulated outcomes instead, and money moves on User.testBalance
+ * with TestLedgerEntry records rather than on the live wallet. Amounts are
+ * in paise.
+ */
+
+const SANDBOX_GATEWAY = "sandbox";
+const SIMULATED_OUTCOMES = ["success", "failure", "pending"];
+
+const isTestMode = (doc) => doc?.mode === "test";
+
+const generateSandboxOrderId = () => "sbx_order_" + crypto.randomBytes(10).toString("hex");
+
+const generateSandboxPaymentId = () => "pay_test_" + crypto.randomBytes(10).toString("hex");
+
+const generateSandboxRefundId = () => "rfnd_test_" + crypto.randomBytes(10).toString("hex");
+
+/**
+ * Credit the merchant's test balance
+ */
+const creditTestLedger = async (merchantId, amount, { category, referenceId, description }) => {
+  const user = await User.findByIdAndUpdate(
+    merchantId,
+    { $inc: { testBalance: amount } },
+    { new: true }
+  );
+
+  return TestLedgerEntry.create({
+    merchantId,
+    entryId: "tle_" + crypto.randomBytes(10).toString("hex"),
+    type: "Credit",
+    amount: amount,
+    category,
+    referenceId,
+    description,
+    balanceAfter: user?.testBalance,
+  });
+};
+
+/**
+ * Debit the merchant's test balance.
+ * Returns null (and changes nothing) when the test balance is too low.
+ */
+const debitTestLedger = async (merchantId, amount, { category, referenceId, description }) => {
+  const user = await User.findOneAndUpdate(
+    { _id: merchantId, testBalance: { $gte: amount } },
+    { $inc: { testBalance: -amount } },
+    { new: true }
+  );
+
+  if (!user) return null;
+
+  return TestLedgerEntry.create({
+    merchantId,
+    entryId: "tle_" + crypto.randomBytes(10).toString("hex"),
+    type: "Debit",
+    amount: amount,
+    category,
+    referenceId,
+    description,
+    balanceAfter: user.testBalance,
+  });
+};
+
+/**
+ * Checkout payload for a sandbox attempt (replaces the gateway order data)
+ */
+const buildSandboxCheckout = (attempt) => ({
+  gateway: SANDBOX_GATEWAY,
+  isTestMode: true,
+  sandboxData: {
+    attemptId: attempt.attemptId,
+    orderId: attempt.gatewayOrderId,
+    amount: toRupees(attempt.amount),
+    outcomes: SIMULATED_OUTCOMES,
+  },
+});
+
+module.exports = {
+  SANDBOX_GATEWAY,
+  SIMULATED_OUTCOMES,
+  isTestMode,
+  generateSandboxOrderId,
+  generateSandboxPaymentId,
+  generateSandboxRefundId,
+  creditTestLedger,
+  debitTestLedger,
+  buildSandboxCheckout,
+};
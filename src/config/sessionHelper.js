@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB transactions for money-moving operations
+ *
+ * runInTransaction runs work(session) in a transaction, so a balance change
+ * and the records that explain it (ledger journal, hold, request status,
+ * Transaction) commit together or not at all. Every write inside must pass
+ * the session. The driver may retry work on transient errors, so it should
+ * only touch the database - send responses after it returns.
+ *
+ * Transactions need a replica set. On a standalone server (local
+ * development) work runs without a session and the recovery routine
+ * (recoveryHelper) repairs anything a crash leaves half-applied.
+ */
+
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (err) =>
+  err?.code === 20 || /replica set member or mongos|Transaction numbers are only allowed/i.test(err?.message || "");
+
+const runInTransaction = async (work) => {
+  if (!transactionsSupported) return work(null);
+
+  try {
+    return await mongoose.connection.transaction((session) => work(session));
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+
+    // The first write was refused, so nothing was applied - run it again without a session
+    transactionsSupported = false;
+    console.warn("[DB] MongoDB transactions are not supported by this server; money operations run without them");
+    return work(null);
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};
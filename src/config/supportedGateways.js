@@ -1,4 +1,42 @@
-const SUPPORTED_GATEWAYS = [
+const razorpayGateway = require("./gateways/razorpay.gateway");
+const payuGateway = require("./gateways/payu.gateway");
+const cashfreeGateway = require("./gateways/cashfree.gateway");
+const phonepeGateway = require("./gateways/phonepe.gateway");
+const ccavenueGateway = require("./gateways/ccavenue.gateway");
+const stripeGateway = require("./gateways/stripe.gateway");
+
+/**
+ * Payment gateways the admin can configure
+ *
+ * A gateway is integrated when it has an adapter module in ./gateways.
+ * gatewayHelper dispatches every gateway call through the adapter, which
+ * implements (settings is { gateway, label, keyId, keySecret, extra,
+ * isTestMode }, amounts are paise):
+ *
+ *   createOrder(settings, amount, metadata)
+ *     -> { gateway, key, isTestMode, gatewayOrderId, ...checkout data }
+ *   verifyReturn(settings, payload)
+ *     -> { verified, status, gatewayOrderId, gatewayPaymentId, amount, flow?, referenceId?, payer? }
+ *   fetchStatus(settings, { paymentId }) -> { status, amount, gatewayOrderId }
+ *   refund(settings, { paymentId, amount, refundId, notes }) -> { gatewayRefundId, status }
+ *   fetchRefundStatus(settings, { paymentId, gatewayRefundId, refundId })   (optional)
+ *   createQr(settings, qrCode)
+ *     -> { gatewayQrImageUrl, gatewayPaymentUrl, gatewayPaymentLinkId } or null
+ *   closeQr(settings, qrCode)                                               (optional)
+ *   parseWebhook(settings, { body, rawBody, headers }) -> gateway event (gatewayEventHelper)
+ *   paymentIdPattern: matches the gateway's payment ids
+ *
+ * Payment statuses are "captured", "pending" or "failed"; refund statuses
+ * "processed", "pending" or "failed". Errors carry error.status (the HTTP
+ * status) or error.rejected (true when the gateway answered with a refusal),
+ * so a refused refund can be told apart from one whose outcome is unknown.
+ *
+ * Credentials beyond the key pair are listed in extraFields
+ * ({ key, label, required?, secret?, pattern? }) and reach the adapter as
+ * settings.extra[key]. They, and the secret (keySecretPattern), are checked
+ * against their pattern when saved.
+ */
+const GATEWAYS = [
   {
     id: "razorpay",
     label: "Razorpay",
@@ -8,7 +46,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "Key ID",
     keySecretLabel: "Key Secret",
     checkoutMode: "native",
-    isIntegrated: true,
+    adapter: razorpayGateway,
   },
   {
     id: "cashfree",
@@ -19,7 +57,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "App ID",
     keySecretLabel: "Secret Key",
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: cashfreeGateway,
   },
   {
     id: "paytm",
@@ -30,7 +68,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "MID / Merchant ID",
     keySecretLabel: "Merchant Key",
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: null,
   },
   {
     id: "payu",
@@ -41,7 +79,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "Merchant Key",
     keySecretLabel: "Salt",
     checkoutMode: "native",
-    isIntegrated: true,
+    adapter: payuGateway,
   },
   {
     id: "instamojo",
@@ -52,7 +90,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "API Key",
     keySecretLabel: "Auth Token",
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: null,
   },
   {
     id: "ccavenue",
@@ -62,19 +100,27 @@ const SUPPORTED_GATEWAYS = [
     setupNote: "Sandbox access is provided by support on request.",
     keyIdLabel: "Merchant ID",
     keySecretLabel: "Working Key",
+    keySecretPattern: "^[A-Za-z0-9]{32}$",
+    extraFields: [
+      { key: "accessCode", label: "Access Code", required: true, pattern: "^[A-Za-z0-9]+$" },
+    ],
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: ccavenueGateway,
   },
   {
     id: "phonepe",
     label: "PhonePe",
     description: "UPI, Cards, Wallet",
     docsUrl: "https://developer.phonepe.com/",
-    setupNote: "Sandbox access is available after onboarding approval.",
+    setupNote: "Sandbox access is available after onboarding approval. Leave the Salt Index empty when it is 1.",
     keyIdLabel: "Merchant ID",
-    keySecretLabel: "Salt Key / Secret",
+    keySecretLabel: "Salt Key",
+    keySecretPattern: "^[A-Za-z0-9-]+$",
+    extraFields: [
+      { key: "saltIndex", label: "Salt Index", pattern: "^[0-9]+$" },
+    ],
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: phonepeGateway,
   },
   {
     id: "mobikwik",
@@ -85,7 +131,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "Merchant ID",
     keySecretLabel: "Secret Key",
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: null,
   },
   {
     id: "juspay",
@@ -96,7 +142,7 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "Merchant ID",
     keySecretLabel: "API Key / Secret",
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: null,
   },
   {
     id: "easebuzz",
@@ -107,28 +153,72 @@ const SUPPORTED_GATEWAYS = [
     keyIdLabel: "Merchant Key",
     keySecretLabel: "Salt",
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: null,
   },
   {
     id: "stripe",
     label: "Stripe",
     description: "Cards, Wallets, Global Payments",
     docsUrl: "https://stripe.com/docs/api",
-    setupNote: "Use test API keys from Stripe dashboard.",
+    setupNote: "Use test API keys from Stripe dashboard. Point a webhook for payment_intent.succeeded, charge.refunded and charge.refund.updated at /api/payment/webhook/stripe and enter its signing secret.",
     keyIdLabel: "Publishable Key",
     keySecretLabel: "Secret Key",
+    extraFields: [
+      { key: "webhookSecret", label: "Webhook Signing Secret", required: true, secret: true, pattern: "^whsec_" },
+    ],
     checkoutMode: "redirect",
-    isIntegrated: true,
+    adapter: stripeGateway,
   },
 ];
 
+const SUPPORTED_GATEWAYS = GATEWAYS.map(({ adapter, ...gateway }) => ({
+  extraFields: [],
+  ...gateway,
+  isIntegrated: Boolean(adapter),
+}));
+
+const GATEWAY_ADAPTERS = Object.fromEntries(
+  GATEWAYS.filter((gateway) => gateway.adapter).map((gateway) => [gateway.id, gateway.adapter])
+);
+
 const SUPPORTED_GATEWAY_IDS = SUPPORTED_GATEWAYS.map((gateway) => gateway.id);
 
 const getGatewayMeta = (gatewayId) =>
   SUPPORTED_GATEWAYS.find((gateway) => gateway.id === gatewayId) || null;
 
+const getGatewayAdapter = (gatewayId) => GATEWAY_ADAPTERS[gatewayId] || null;
+
+/**
+ * Check a secret and extra credentials against the gateway's patterns.
+ * Empty values pass (required fields are enforced when the gateway is made
+ * ready). Returns an error message, or null when they are valid.
+ */
+const validateCredentials = (gatewayId, { keySecret, extra = {} }) => {
+  const meta = getGatewayMeta(gatewayId);
+  if (keySecret && meta?.keySecretPattern && !new RegExp(meta.keySecretPattern).test(keySecret)) {
+    return `${meta.keySecretLabel} is not in the expected format`;
+  }
+
+  for (const field of meta?.extraFields || []) {
+    const value = extra[field.key];
+    if (value && field.pattern && !new RegExp(field.pattern).test(value)) {
+      return `${field.label} is not in the expected format`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether every required extra credential of the gateway is set
+ */
+const hasRequiredExtraCredentials = (gatewayId, extra = {}) =>
+  (getGatewayMeta(gatewayId)?.extraFields || []).every((field) => !field.required || Boolean(extra[field.key]));
+
 module.exports = {
   SUPPORTED_GATEWAYS,
   SUPPORTED_GATEWAY_IDS,
   getGatewayMeta,
+  getGatewayAdapter,
+  validateCredentials,
+  hasRequiredExtraCredentials,
 };
@@ -0,0 +1,135 @@
+const ApiUsage = require("../models/apiUsage.model");
+const RateLimitCounter = require("../models/rateLimitCounter.model");
+
+const WINDOW_SECONDS = Number(process.env.API_RATE_LIMIT_WINDOW_SECONDS) || 60;
+const DEFAULT_KEY_LIMIT = Number(process.env.API_RATE_LIMIT_PER_KEY) || 120;
+const DEFAULT_MERCHANT_LIMIT = Number(process.env.API_RATE_LIMIT_PER_MERCHANT) || 300;
+
+const toUsageDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Effective limits (requests per window) for an authenticated API key
+ */
+const getRateLimits = (apiUser) => ({
+  windowSeconds: WINDOW_SECONDS,
+  key: apiUser.rateLimit || DEFAULT_KEY_LIMIT,
+  merchant: apiUser.merchantRateLimit || DEFAULT_MERCHANT_LIMIT,
+});
+
+/**
+ * Count one request in a fixed-window bucket
+ * Returns { limit, count, remaining, resetAt }
+ */
+const hitBucket = async (bucket, limit) => {
+  const windowMs = WINDOW_SECONDS * 1000;
+  const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+  const resetAt = new Date(windowStart.getTime() + windowMs);
+
+  const increment = () =>
+    RateLimitCounter.findOneAndUpdate(
+      { bucket, windowStart },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt.getTime() + windowMs) } },
+      { upsert: true, new: true }
+    );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (err) {
+    // Two requests created the window at the same time - the retry hits the existing document
+    if (err.code !== 11000) throw err;
+    counter = await increment();
+  }
+
+  return {
+    limit,
+    count: counter.count,
+    remaining: Math.max(limit - counter.count, 0),
+    resetAt,
+  };
+};
+
+/**
+ * Count a request against the key and merchant limits.
+ * Returns the bucket that is closest to (or over) its limit.
+ */
+const consumeRateLimit = async (apiUser) => {
+  const limits = getRateLimits(apiUser);
+
+  const [keyBucket, merchantBucket] = await Promise.all([
+    hitBucket(`key:${apiUser.keyId}`, limits.key),
+    hitBucket(`merchant:${apiUser.userId}`, limits.merchant),
+  ]);
+
+  const exceeded = keyBucket.count > keyBucket.limit ? keyBucket
+    : merchantBucket.count > merchantBucket.limit ? merchantBucket
+      : null;
+
+  return {
+    limited: Boolean(exceeded),
+    scope: exceeded === merchantBucket ? "merchant" : "key",
+    bucket: exceeded || (keyBucket.remaining <= merchantBucket.remaining ? keyBucket : merchantBucket),
+  };
+};
+
+/**
+ * Add one request to today's usage counter for a key and endpoint
+ */
+const recordUsage = ({ merchantId, keyId, endpoint, statusCode }) =>
+  ApiUsage.updateOne(
+    { keyId, date: toUsageDate(), endpoint },
+    {
+      $inc: {
+        count: 1,
+        errorCount: statusCode >= 400 ? 1 : 0,
+        rateLimitedCount: statusCode === 429 ? 1 : 0,
+      },
+      $setOnInsert: { merchantId },
+    },
+    { upsert: true }
+  );
+
+/**
+ * Usage rows for the given filter between two UTC days (inclusive)
+ */
+const getUsage = ({ merchantId, keyIds, from, to }) => {
+  const query = { date: { $gte: from, $lte: to } };
+  if (merchantId) query.merchantId = merchantId;
+  if (keyIds) query.keyId = { $in: keyIds };
+
+  return ApiUsage.find(query).sort({ date: -1, keyId: 1, endpoint: 1 });
+};
+
+/**
+ * Per-key totals (today and the last 30 days) for the admin token screens
+ */
+const getKeyUsageSummary = async (keyIds) => {
+  if (!keyIds.length) return {};
+
+  const today = toUsageDate();
+  const since = toUsageDate(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+
+  const rows = await ApiUsage.aggregate([
+    { $match: { keyId: { $in: keyIds }, date: { $gte: since } } },
+    {
+      $group: {
+        _id: "$keyId",
+        last30Days: { $sum: "$count" },
+        today: { $sum: { $cond: [{ $eq: ["$date", today] }, "$count", 0] } },
+        errors30Days: { $sum: "$errorCount" },
+        rateLimited30Days: { $sum: "$rateLimitedCount" },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(rows.map(({ _id, ...totals }) => [_id, totals]));
+};
+
+module.exports = {
+  toUsageDate,
+  getRateLimits,
+  consumeRateLimit,
+  recordUsage,
+  getUsage,
+  getKeyUsageSummary,
+};
@@ -0,0 +1,469 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const User = require("../models/user.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const WebhookEndpoint = require("../models/webhookEndpoint.model");
+
+const WEBHOOK_EVENTS = [
+  "order.paid",
+  "payment.captured",
+  "payment.failed",
+  "refund.processed",
+  "refund.failed",
+];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const REQUEST_TIMEOUT_MS = 10000;
+const WORKER_INTERVAL_MS = 30000;
+const RESPONSE_SNIPPET_LENGTH = 500;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// Local development only: lets webhooks reach localhost and private networks
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+const toUnix = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+/**
+ * Serialize an Order document into the public API "order" entity
+ */
+const serializeOrder = (order) => ({
+  id: order.orderId,
+  entity: "order",
+  amount: order.amount,
+  amount_paid: order.amountPaid || 0,
+  amount_due: order.amount - (order.amountPaid || 0),
+  currency: order.currency,
+  receipt: order.receipt,
+  customer_id: order.customerId || null,
+  status: order.status,
+  attempts: order.attempts || 0,
+  partial_payment: order.partialPayment || false,
+  notes: order.notes || {},
+  expire_by: toUnix(order.expireBy),
+  created_at: toUnix(order.createdAt),
+});
+
+/**
+ * Serialize the payment captured against an Order into the public "payment" entity
+ */
+const serializePayment = (order, extra = {}) => ({
+  id: order.paymentId,
+  entity: "payment",
+  amount: order.amountPaid || order.amount,
+  currency: order.currency,
+  status: order.paymentStatus || (order.status === "paid" ? "captured" : order.status),
+  order_id: order.orderId,
+  method: order.paymentMethod || null,
+  amount_refunded: order.amountRefunded || 0,
+  email: order.customerEmail || null,
+  contact: order.customerPhone || null,
+  error_description: extra.errorDescription || null,
+  created_at: toUnix(order.paidAt || order.updatedAt),
+});
+
+/**
+ * Get (or lazily create) the secret used to sign a merchant's webhooks
+ */
+const getMerchantWebhookSecret = async (merchantId) => {
+  const user = await User.findById(merchantId).select("webhookSecret");
+  if (!user) return null;
+
+  if (!user.webhookSecret) {
+    const secret = "whsec_" + crypto.randomBytes(24).toString("hex");
+    // Only set if still empty so concurrent callers agree on one secret
+    await User.updateOne(
+      { _id: merchantId, webhookSecret: { $exists: false } },
+      { $set: { webhookSecret: secret } }
+    );
+    const refreshed = await User.findById(merchantId).select("webhookSecret");
+    return refreshed.webhookSecret;
+  }
+
+  return user.webhookSecret;
+};
+
+/**
+ * Generate a signing secret for a registered endpoint
+ */
+const generateEndpointSecret = () => "whsec_" + crypto.randomBytes(24).toString("hex");
+
+/**
+ * Resolve the signing secret for a delivery.
+ * Returns null when the target endpoint was removed or disabled.
+ */
+const getDeliverySecret = async (delivery) => {
+  if (!delivery.endpointId) {
+    return getMerchantWebhookSecret(delivery.merchantId);
+  }
+
+  const endpoint = await WebhookEndpoint.findOne({
+    endpointId: delivery.endpointId,
+    merchantId: delivery.merchantId,
+  });
+  return endpoint && endpoint.isEnabled ? endpoint.secret : null;
+};
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<raw JSON body>", hex encoded. The timestamp
+ * (unix seconds, sent as X-Satyam-Timestamp) lets receivers reject replays.
+ */
+const signPayload = (body, secret, timestamp) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/**
+ * Whether an IP address is one webhooks must not reach
+ */
+const isBlockedAddress = (address) => {
+  if (ALLOW_PRIVATE_URLS) return false;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+// dns.lookup that refuses blocked addresses; given to the request so the
+// address checked is the address connected to (no DNS rebinding)
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a merchant webhook URL is http(s) and resolves only to public
+ * addresses. Returns an error message, or null when it may be used.
+ */
+const checkWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "must be a valid URL";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "must be an http(s) URL";
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) {
+    return isBlockedAddress(hostname) ? "must not point to a private or reserved address" : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return "must not point to a private or reserved address";
+    }
+  } catch {
+    return "host could not be resolved";
+  }
+  return null;
+};
+
+/**
+ * POST a webhook body. Connects only to public addresses and does not
+ * follow redirects. Resolves { status, ok, text }.
+ */
+const postWebhook = (url, { headers, body }) =>
+  new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    // Literal IPs skip the lookup, so they are checked here
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+      return reject(new Error("Webhook URL points to a private or reserved address"));
+    }
+
+    const client = parsed.protocol === "https:" ? https : http;
+    const request = client.request(parsed, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: guardedLookup,
+      timeout: REQUEST_TIMEOUT_MS,
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      response.on("data", (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_RESPONSE_BYTES) chunks.push(chunk);
+      });
+      response.on("end", () => {
+        const status = response.statusCode;
+        resolve({ status, ok: status >= 200 && status < 300, text: Buffer.concat(chunks).toString("utf8") });
+      });
+      response.on("error", reject);
+    });
+
+    request.on("timeout", () => {
+      const error = new Error("Request timed out");
+      error.name = "TimeoutError";
+      request.destroy(error);
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * Backoff after the given number of failed attempts: 30s, 60s, 120s ...
+ */
+const getRetryDelayMs = (attemptCount) =>
+  BASE_RETRY_SECONDS * 1000 * Math.pow(2, Math.max(0, attemptCount - 1));
+
+/**
+ * Perform one HTTP attempt for a delivery and record the outcome
+ */
+const attemptDelivery = async (delivery) => {
+  const secret = await getDeliverySecret(delivery);
+  if (!secret) {
+    delivery.attempts.push({ error: "Webhook endpoint is disabled or deleted", attemptedAt: new Date() });
+    delivery.status = "failed";
+    delivery.failedAt = new Date();
+    delivery.lockedUntil = null;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const timestamp = Math.floor(startedAt / 1000);
+  const attempt = { attemptedAt: new Date(startedAt) };
+
+  try {
+    const response = await postWebhook(delivery.url, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "SatyamPay-Webhooks/1.0",
+        "X-Satyam-Event": delivery.event,
+        "X-Satyam-Event-Id": delivery.eventId,
+        "X-Satyam-Delivery-Id": delivery.deliveryId,
+        "X-Satyam-Timestamp": String(timestamp),
+        "X-Satyam-Signature": signPayload(body, secret, timestamp),
+      },
+      body,
+    });
+
+    attempt.statusCode = response.status;
+    attempt.responseBody = response.text.substring(0, RESPONSE_SNIPPET_LENGTH);
+    // Redirects are not followed, so a 3xx is a failed delivery
+    attempt.error = response.ok ? null : `HTTP ${response.status}`;
+  } catch (err) {
+    attempt.statusCode = null;
+    attempt.error = err.name === "TimeoutError" ? "Request timed out" : err.message;
+  }
+
+  attempt.latencyMs = Date.now() - startedAt;
+  delivery.lockedUntil = null;
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  if (!attempt.error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attemptCount >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.failedAt = new Date();
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attemptCount));
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// A delivery is being sent while lockedUntil is in the future
+const unlocked = () => ({ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] });
+
+const lockExpiry = () => new Date(Date.now() + REQUEST_TIMEOUT_MS * 3);
+
+/**
+ * Claim a due delivery so that only one worker/process sends it.
+ * The lock lasts until attemptDelivery records the outcome (or expires).
+ */
+const claimDueDelivery = async () =>
+  WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: new Date() }, ...unlocked() },
+    { $set: { lockedUntil: lockExpiry() } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+/**
+ * Send every delivery whose retry time has come
+ */
+const processDueDeliveries = async (limit = 50) => {
+  for (let i = 0; i < limit; i++) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+  }
+};
+
+/**
+ * Build the event envelope sent to merchants
+ */
+const buildEvent = (event, merchantId, entities) => ({
+  id: "evt_" + crypto.randomBytes(10).toString("hex"),
+  entity: "event",
+  event,
+  account_id: merchantId.toString(),
+  contains: Object.keys(entities),
+  payload: Object.fromEntries(
+    Object.entries(entities).map(([name, entity]) => [name, { entity }])
+  ),
+  created_at: Math.floor(Date.now() / 1000),
+});
+
+/**
+ * Persist a delivery and make the first attempt right away (in the background)
+ */
+const queueDelivery = async ({ merchantId, endpointId, url, event, orderId, payload }) => {
+  const delivery = await WebhookDelivery.create({
+    deliveryId: "whd_" + crypto.randomBytes(10).toString("hex"),
+    eventId: payload.id,
+    merchantId,
+    endpointId: endpointId || null,
+    event,
+    url,
+    orderId: orderId || null,
+    payload,
+    status: "pending",
+    nextAttemptAt: new Date(),
+    // Held by the immediate attempt below
+    lockedUntil: lockExpiry(),
+  });
+
+  setImmediate(() => {
+    attemptDelivery(delivery).catch((err) => {
+      console.error(`[Webhook] Delivery ${delivery.deliveryId} failed:`, err.message);
+    });
+  });
+
+  return delivery;
+};
+
+/**
+ * Send a delivery again right now, whatever its status. The delivery is
+ * claimed first, so it is never sent by the retry worker at the same time.
+ * url replaces the delivery's URL when given. Returns null when the
+ * delivery is being sent already.
+ */
+const redeliver = async (delivery, { url } = {}) => {
+  const claimed = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, ...unlocked() },
+    {
+      $set: { status: "pending", lockedUntil: lockExpiry(), ...(url ? { url } : {}) },
+      $unset: { failedAt: 1 },
+      $min: { attemptCount: MAX_ATTEMPTS - 1 },
+    },
+    { new: true }
+  );
+  return claimed ? attemptDelivery(claimed) : null;
+};
+
+/**
+ * Enabled endpoints of a merchant subscribed to the given event
+ */
+const getSubscribedEndpoints = (merchantId, event) =>
+  WebhookEndpoint.find({
+    merchantId,
+    isEnabled: true,
+    events: { $in: [event, "*"] },
+  });
+
+/**
+ * Notify the merchant about events on an API order.
+ * Each event goes to the order's own webhook_url (if any) and to every
+ * registered endpoint subscribed to it.
+ * Never throws - webhook problems must not break payment flows.
+ */
+const dispatchOrderEvents = async (order, events, extra = {}) => {
+  try {
+    if (!order) return [];
+
+    const deliveries = [];
+    for (const event of events) {
+      const entities = {};
+      if (order.paymentId || event.startsWith("payment.")) {
+        entities.payment = extra.payment || serializePayment(order, extra);
+      }
+      entities.order = serializeOrder(order);
+      if (extra.refund) {
+        entities.refund = extra.refund;
+      }
+
+      const payload = buildEvent(event, order.merchantId, entities);
+      const targets = (await getSubscribedEndpoints(order.merchantId, event)).map((endpoint) => ({
+        endpointId: endpoint.endpointId,
+        url: endpoint.url,
+      }));
+      if (order.webhookUrl) {
+        targets.push({ endpointId: null, url: order.webhookUrl });
+      }
+
+      for (const target of targets) {
+        deliveries.push(
+          await queueDelivery({
+            merchantId: order.merchantId,
+            endpointId: target.endpointId,
+            url: target.url,
+            event,
+            orderId: order.orderId,
+            payload,
+          })
+        );
+      }
+    }
+    return deliveries;
+  } catch (err) {
+    console.error("[Webhook] Could not queue order events:", err.message);
+    return [];
+  }
+};
+
+let workerTimer = null;
+
+/**
+ * Start the background retry loop (idempotent)
+ */
+const startWebhookWorker = () => {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    processDueDeliveries().catch((err) => {
+      console.error("[Webhook] Retry worker error:", err.message);
+    });
+  }, WORKER_INTERVAL_MS);
+  workerTimer.unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  serializeOrder,
+  serializePayment,
+  getMerchantWebhookSecret,
+  generateEndpointSecret,
+  signPayload,
+  checkWebhookUrl,
+  dispatchOrderEvents,
+  redeliver,
+  processDueDeliveries,
+  startWebhookWorker,
+};
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const Withdrawal = require("../models/withdrawal.model");
+const Transaction = require("../models/transaction.model");
+const { placeHold, releaseHold, captureHold } = require("./holdHelper");
+const { runInTransaction } = require("./sessionHelper");
+
+/**
+ * Withdrawal / payout requests made from the dashboard
+ *
+ * Each step changes the request, its hold and its Transaction record in one
+ * MongoDB transaction, and status changes are conditional on "Pending" so a
+ * request cannot be approved and rejected (or approved twice) concurrently.
+ * Amounts are in paise.
+ */
+
+/**
+ * File a request: hold amount + commission, create the Withdrawal and its
+ * Pending Transaction. Returns the withdrawal, or null when the available
+ * balance does not cover the total.
+ */
+// Random so requests filed in the same millisecond cannot share a hold reference
+const generateWithdrawalId = () => "WD" + crypto.randomBytes(10).toString("hex").toUpperCase();
+
+const createWithdrawalRequest = (user, { type, amount, commission, accountName, accountNumber, ifsc, bankName, transaction }) => {
+  const withdrawalId = generateWithdrawalId();
+  const total = amount + commission;
+
+  return runInTransaction(async (session) => {
+    const hold = await placeHold(user._id, total, { referenceType: "withdrawal", referenceId: withdrawalId, session });
+    if (!hold) return null;
+
+    const [withdrawal] = await Withdrawal.create(
+      [{
+        userId: user._id,
+        withdrawalId,
+        amount,
+        commission,
+        total,
+        accountName,
+        accountNumber,
+        ifsc,
+        bankName: bankName || "",
+        type,
+        status: "Pending",
+      }],
+      { session }
+    );
+
+    await Transaction.create(
+      [{
+        userId: user._id,
+        transactionId: withdrawalId,
+        type: "Debit",
+        amount,
+        fee: commission,
+        netAmount: total,
+        method: "bank",
+        accountNumber,
+        ifscCode: ifsc,
+        bankName: bankName || "",
+        status: "Pending",
+        ...transaction,
+      }],
+      { session }
+    );
+
+    return withdrawal;
+  });
+};
+
+/**
+ * Approve a pending request: capture its hold and complete its Transaction.
+ * Returns { withdrawal, debited }, { processed: true } when it is no longer
+ * pending, or { insufficient: true } when the balance does not cover it.
+ */
+const approveWithdrawal = (withdrawal, { description } = {}) =>
+  runInTransaction(async (session) => {
+    const approved = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: "Pending" },
+      { $set: { status: "Approved", approvedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!approved) return { processed: true };
+
+    const debited = await captureHold(approved.userId, approved.withdrawalId, approved.total - (approved.commission || 0), {
+      entryType: approved.type === "payout" ? "payout" : "withdrawal",
+      fee: approved.commission || 0,
+      description: description || `Withdrawal ${approved.withdrawalId} to ${approved.bankName || "Bank"}`,
+      session,
+    });
+
+    if (!debited) {
+      await Withdrawal.updateOne({ _id: approved._id }, { $set: { status: "Pending" }, $unset: { approvedAt: "" } }, { session });
+      return { insufficient: true };
+    }
+
+    await Transaction.updateOne({ transactionId: approved.withdrawalId }, { status: "Completed" }, { session });
+    return { withdrawal: approved, debited };
+  });
+
+/**
+ * Reject a pending request: release its hold and fail its Transaction.
+ * Returns the withdrawal, or null when it is no longer pending.
+ */
+const rejectWithdrawal = (withdrawal, reason) =>
+  runInTransaction(async (session) => {
+    const rejected = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: "Pending" },
+      { $set: { status: "Rejected", rejectionReason: reason, rejectedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!rejected) return null;
+
+    await releaseHold(rejected.withdrawalId, reason, session);
+    await Transaction.updateOne({ transactionId: rejected.withdrawalId }, { status: "Failed" }, { session });
+    return rejected;
+  });
+
+module.exports = {
+  createWithdrawalRequest,
+  approveWithdrawal,
+  rejectWithdrawal,
+};
@@ -1,8 +1,10 @@
 const razorpay = require("../config/razorpay");
 const transporter = require("../config/mailer");
 const Transaction = require("../models/transaction.model");
-const User = require("../models/user.model");
-const crypto = require("crypto");
+const { getGatewayAdapter } = require("../config/supportedGateways");
+const { parseGatewayWebhook } = require("../config/gatewayHelper");
+const { applyGatewayEvent } = require("../config/gatewayEventHelper");
+const { toPaise, formatRupees } = require("../config/moneyHelper");
 
 
 // =============================
@@ -16,13 +18,15 @@ exports.requestMoney = async (req, res) => {
       return res.status(400).json({ message: "All fields required" });
     }
 
-    if (Number(amount) <= 0) {
+    // Dashboard amounts are entered in rupees
+    const amountInPaise = toPaise(amount);
+    if (!(amountInPaise > 0)) {
       return res.status(400).json({ message: "Invalid amount" });
     }
 
     // 1️⃣ Create Razorpay Payment Link
     const paymentLink = await razorpay.paymentLink.create({
-      amount: Number(amount) * 100,
+      amount: amountInPaise,
       currency: "INR",
       description: description || `Payment from ${name}`,
       customer: {
@@ -42,7 +46,7 @@ exports.requestMoney = async (req, res) => {
       userId,
       transactionId: paymentLink.id,
       description: description || `Payment from ${name}`,
-      amount: Number(amount),
+      amount: amountInPaise,
       type: "Credit",
       status: "Pending",
       paymentLinkId: paymentLink.id,
@@ -56,7 +60,7 @@ exports.requestMoney = async (req, res) => {
       html: `
         <h2>Payment Request</h2>
         <p>Hello ${name},</p>
-        <p>You have received a payment request of ₹${amount}</p>
+        <p>You have received a payment request of ${formatRupees(amountInPaise)}</p>
         <p>Description: ${description || "-"}</p>
         <br/>
         <a href="${paymentLink.short_url}" 
@@ -84,55 +88,32 @@ exports.requestMoney = async (req, res) => {
 
 
 // =============================
-// RAZORPAY WEBHOOK
+// GATEWAY WEBHOOK
 // =============================
-exports.razorpayWebhook = async (req, res) => {
-  try {
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-
-    const shasum = crypto.createHmac("sha256", secret);
-    shasum.update(JSON.stringify(req.body));
-    const digest = shasum.digest("hex");
-
-    if (digest !== req.headers["x-razorpay-signature"]) {
-      return res.status(400).json({ message: "Invalid signature" });
-    }
-
-    const event = req.body;
-
-    // ✅ When payment is successful
-    if (event.event === "payment_link.paid") {
-
-      const paymentLinkId = event.payload.payment_link.entity.id;
-      const amount = event.payload.payment.entity.amount / 100;
-
-      // Find transaction
-      const transaction = await Transaction.findOne({
-        paymentLinkId,
-      });
+exports.gatewayWebhook = async (req, res) => {
+  // /webhook (no gateway in the path) is Razorpay's
+  const gateway = req.params.gateway || "razorpay";
 
-      if (!transaction) {
-        return res.json({ status: "transaction not found" });
-      }
-
-      // Prevent duplicate credit
-      if (transaction.status === "Completed") {
-        return res.json({ status: "already processed" });
-      }
-
-      // 1️⃣ Update transaction status
-      transaction.status = "Completed";
-      await transaction.save();
+  if (!getGatewayAdapter(gateway)) {
+    return res.status(404).json({ message: "Unknown gateway" });
+  }
 
-      // 2️⃣ Credit user balance
-      await User.findByIdAndUpdate(transaction.userId, {
-        $inc: { balance: Number(amount) },
-      });
-    }
+  try {
+    // Adapters verify the signature over the raw body (app.js keeps it)
+    const event = await parseGatewayWebhook(gateway, {
+      body: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
 
-    return res.json({ status: "ok" });
+    const status = await applyGatewayEvent(gateway, event);
+    return res.json({ status });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      console.warn(`[Webhook] ${gateway}: ${error.message}`);
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Webhook Error:", error);
     res.status(500).json({ error: error.message });
   }
@@ -1,6 +1,7 @@
 const User = require("../models/user.model");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const { toRupees } = require("../config/moneyHelper");
 
 // ================= REGISTER =================
 exports.register = async (req, res) => {
@@ -53,7 +54,7 @@ exports.register = async (req, res) => {
         fullName: user.fullName,
         email: user.email,
         role: user.role,
-        balance: user.balance,
+        balance: toRupees(user.balance),
       },
     });
   } catch (error) {
@@ -117,7 +118,7 @@ exports.login = async (req, res) => {
       responseData.adminAccess = true;
       responseData.permissions = ["all"]; // Admin gets all permissions
     } else if (user.role === "user") {
-      responseData.balance = user.balance;
+      responseData.balance = toRupees(user.balance);
       responseData.companyName = user.companyName;
       responseData.companyType = user.companyType;
       responseData.kycStatus = user.kycStatus;
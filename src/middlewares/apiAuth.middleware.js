@@ -1,4 +1,5 @@
 const User = require("../models/user.model");
+const { matchTokenSecret, hashLegacySecret, getTokenScopes } = require("../config/apiKeyHelper");
 
 /**
  * API Authentication Middleware
@@ -12,6 +13,10 @@ const User = require("../models/user.model");
  * 
  * Or with Authorization header:
  * Authorization: Basic base64(key_id:secret_key)
+ * 
+ * Secrets are compared by hash. After a rotation the previous secret is
+ * accepted until its grace period ends (X-Api-Key-Rotated header).
+ * Routes declare the scope they need with apiAuthMiddleware.requireScope().
  */
 
 const apiAuthMiddleware = async (req, res, next) => {
@@ -58,14 +63,16 @@ const apiAuthMiddleware = async (req, res, next) => {
       });
     }
 
-    // Find user with this API key
+    // Find the key, then compare the presented secret against its stored hash
     const user = await User.findOne({
-      "apiTokens.keyId": keyId,
-      "apiTokens.secretKey": secretKey,
-      "apiTokens.status": "active"
+      apiTokens: { $elemMatch: { keyId, status: "active" } }
     });
+    const token = user?.apiTokens.find(
+      (t) => t.keyId === keyId && t.status === "active"
+    );
+    const secretMatch = token ? matchTokenSecret(token, secretKey) : null;
 
-    if (!user) {
+    if (!secretMatch) {
       return res.status(401).json({
         error: {
           code: "BAD_REQUEST_ERROR",
@@ -76,19 +83,10 @@ const apiAuthMiddleware = async (req, res, next) => {
       });
     }
 
-    // Find the specific token
-    const token = user.apiTokens.find(
-      (t) => t.keyId === keyId && t.secretKey === secretKey && t.status === "active"
-    );
-
-    if (!token) {
-      return res.status(401).json({
-        error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "API key has been revoked or is inactive.",
-          source: "api",
-          metadata: {}
-        }
+    // Key still stored with a plaintext secret - hash it now
+    if (!token.secretHash) {
+      hashLegacySecret(user._id, token).catch((err) => {
+        console.error("API Key hash Error:", err.message);
       });
     }
 
@@ -102,13 +100,28 @@ const apiAuthMiddleware = async (req, res, next) => {
       email: user.email,
       name: user.name,
       keyId: token.keyId,
-      mode: token.mode,
-      isLiveMode: isLiveKey
+      // The key prefix decides the mode: sat_test_ keys run in the sandbox
+      mode: isLiveKey ? "live" : "test",
+      isLiveMode: isLiveKey,
+      rateLimit: token.rateLimit || null,
+      merchantRateLimit: user.apiRateLimit || null,
+      scopes: getTokenScopes(token)
     };
 
-    // Update last used timestamp
-    token.lastUsed = new Date();
-    await user.save();
+    // Secrets are only stored hashed, so keep the verified one for payment signatures
+    req.apiKeySecret = secretKey;
+
+    if (secretMatch === "previous") {
+      res.set("X-Api-Key-Rotated", new Date(token.previousSecretExpiresAt).toISOString());
+    }
+
+    // Update last used timestamp without rewriting the whole user document
+    User.updateOne(
+      { _id: user._id, "apiTokens.keyId": token.keyId },
+      { $set: { "apiTokens.$.lastUsed": new Date() } }
+    ).catch((err) => {
+      console.error("API Key lastUsed Error:", err.message);
+    });
 
     next();
   } catch (error) {
@@ -124,4 +137,22 @@ const apiAuthMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a scope on the authenticated API key
+ * Usage: router.post("/orders", requireScope("orders:write"), handler)
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiUser?.scopes?.includes(scope)) return next();
+
+  return res.status(403).json({
+    error: {
+      code: "FORBIDDEN",
+      description: `This API key does not have the ${scope} scope.`,
+      source: "api",
+      metadata: { required_scope: scope }
+    }
+  });
+};
+
 module.exports = apiAuthMiddleware;
+module.exports.requireScope = requireScope;
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/idempotencyKey.model");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a "processing" record holds its key before a retry may take it over
+const PROCESSING_LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+
+const leaseExpiry = () => new Date(Date.now() + PROCESSING_LEASE_SECONDS * 1000);
+
+// JSON.stringify with sorted object keys, so {a,b} and {b,a} hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method}|${req.baseUrl}${req.path}|${stableStringify(req.body || {})}`)
+    .digest("hex");
+
+/**
+ * Idempotency Middleware (v1 API)
+ *
+ * Honours the Idempotency-Key header on mutating requests:
+ * - First request: processed normally, response stored for KEY_TTL_HOURS
+ * - Same key + same body: stored response replayed (Idempotent-Replayed: true)
+ * - Same key + different body: 409
+ * - Same key while the first request is still running: 409, until its
+ *   lease (PROCESSING_LEASE_SECONDS) runs out and a retry takes the key over
+ *
+ * Must run after apiAuthMiddleware (keys are scoped per merchant).
+ * The lease is renewed for as long as the handler runs, even if the client
+ * disconnects, and the record is settled when the handler responds: 5xx
+ * responses and responses without a JSON body release the key for a retry.
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.headers["idempotency-key"];
+
+  if (!key || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: {
+        code: "BAD_REQUEST_ERROR",
+        description: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        source: "api",
+        field: "Idempotency-Key"
+      }
+    });
+  }
+
+  try {
+    const merchantId = req.apiUser.userId;
+    const requestHash = hashRequest(req);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        merchantId,
+        key,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        requestHash,
+        status: "processing",
+        expiresAt: leaseExpiry()
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      // Key already used - replay, take over a lapsed lease or reject
+      const existing = await IdempotencyKey.findOne({ merchantId, key });
+
+      if (!existing || existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "This Idempotency-Key was already used with a different request",
+            source: "business",
+            field: "Idempotency-Key"
+          }
+        });
+      }
+
+      if (existing.status !== "completed" && existing.expiresAt <= new Date()) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: "processing", expiresAt: existing.expiresAt },
+          { $set: { expiresAt: leaseExpiry() } },
+          { new: true }
+        );
+      }
+
+      if (!record && existing.status !== "completed") {
+        return res.status(409).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: "A request with this Idempotency-Key is still being processed",
+            source: "business",
+            field: "Idempotency-Key"
+          }
+        });
+      }
+
+      if (!record) {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+
+    // Keep the key leased until the handler responds
+    const renewal = setInterval(() => {
+      IdempotencyKey.updateOne(
+        { _id: record._id, status: "processing" },
+        { $set: { expiresAt: leaseExpiry() } }
+      ).catch((err) => {
+        console.error("Idempotency Lease Error:", err);
+      });
+    }, (PROCESSING_LEASE_SECONDS * 1000) / 3);
+    renewal.unref();
+
+    // Capture the response body, then settle the record when the handler ends
+    // the response - whether or not the client is still there to receive it
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+      clearInterval(renewal);
+
+      const store = res.statusCode < 500 && responseBody !== undefined;
+      const update = store
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: "completed",
+            responseStatus: res.statusCode,
+            responseBody,
+            expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+          }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id, status: "processing" });
+
+      update.catch((err) => {
+        console.error("Idempotency Store Error:", err);
+      });
+    };
+    const originalEnd = res.end.bind(res);
+    res.end = (...args) => {
+      settle();
+      return originalEnd(...args);
+    };
+
+    next();
+  } catch (error) {
+    console.error("Idempotency Error:", error);
+    return res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Internal server error while checking Idempotency-Key.",
+        source: "internal"
+      }
+    });
+  }
+};
+
+module.exports = idempotencyMiddleware;
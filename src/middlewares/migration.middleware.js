@@ -0,0 +1,26 @@
+const { arePaiseAmountsReady } = require("../config/migrationHelper");
+
+/**
+ * Migration Gate Middleware
+ *
+ * Answers 503 until the startup data migrations have completed, so no
+ * request reads or writes an amount while the stored amounts are being
+ * converted to paise.
+ */
+const migrationMiddleware = async (req, res, next) => {
+  let ready = false;
+  try {
+    ready = await arePaiseAmountsReady();
+  } catch (err) {
+    console.error("Migration Gate Error:", err.message);
+  }
+
+  if (!ready) {
+    res.set("Retry-After", "10");
+    return res.status(503).json({ message: "Server is starting up. Please retry shortly." });
+  }
+
+  next();
+};
+
+module.exports = migrationMiddleware;
@@ -0,0 +1,51 @@
+const { consumeRateLimit, getRateLimits } = require("../config/usageHelper");
+
+/**
+ * Rate Limit Middleware (v1 API)
+ *
+ * Fixed-window limits per API key and per merchant (all keys combined).
+ * Defaults come from API_RATE_LIMIT_PER_KEY / API_RATE_LIMIT_PER_MERCHANT
+ * per API_RATE_LIMIT_WINDOW_SECONDS; admins can override both.
+ *
+ * Every response carries X-RateLimit-Limit / -Remaining / -Reset for the
+ * tighter of the two limits. Over the limit: 429 with Retry-After.
+ *
+ * Must run after apiAuthMiddleware. If the counter store is unavailable
+ * requests are let through rather than failing payments.
+ */
+const rateLimitMiddleware = async (req, res, next) => {
+  let result;
+  try {
+    result = await consumeRateLimit(req.apiUser);
+  } catch (error) {
+    console.error("Rate Limit Error:", error);
+    return next();
+  }
+
+  const { bucket } = result;
+  const resetSeconds = Math.ceil(bucket.resetAt.getTime() / 1000);
+
+  res.set({
+    "X-RateLimit-Limit": String(bucket.limit),
+    "X-RateLimit-Remaining": String(bucket.remaining),
+    "X-RateLimit-Reset": String(resetSeconds),
+  });
+
+  if (result.limited) {
+    res.set("Retry-After", String(Math.max(resetSeconds - Math.floor(Date.now() / 1000), 1)));
+    return res.status(429).json({
+      error: {
+        code: "RATE_LIMIT_EXCEEDED",
+        description: result.scope === "merchant"
+          ? `Too many requests for this account. Limit is ${bucket.limit} per ${getRateLimits(req.apiUser).windowSeconds} seconds across all keys.`
+          : `Too many requests for this API key. Limit is ${bucket.limit} per ${getRateLimits(req.apiUser).windowSeconds} seconds.`,
+        source: "api",
+        metadata: {}
+      }
+    });
+  }
+
+  next();
+};
+
+module.exports = rateLimitMiddleware;
@@ -0,0 +1,35 @@
+const { recordUsage } = require("../config/usageHelper");
+
+/**
+ * Usage Metering Middleware (v1 API)
+ *
+ * Counts every authenticated request per API key, endpoint and UTC day
+ * once the response is sent. Endpoints are recorded by route pattern
+ * (e.g. "GET /api/v1/orders/:orderId") so ids do not create new rows.
+ *
+ * Must run after apiAuthMiddleware and before rateLimitMiddleware so
+ * rejected (429) requests are counted too.
+ */
+const usageMiddleware = (req, res, next) => {
+  // Express clears baseUrl once the request leaves the router unmatched
+  const { baseUrl } = req;
+
+  res.on("finish", () => {
+    const endpoint = req.route
+      ? `${req.method} ${baseUrl}${req.route.path}`
+      : `${req.method} ${baseUrl}/*`;
+
+    recordUsage({
+      merchantId: req.apiUser.userId,
+      keyId: req.apiUser.keyId,
+      endpoint,
+      statusCode: res.statusCode
+    }).catch((err) => {
+      console.error("Usage Metering Error:", err.message);
+    });
+  });
+
+  next();
+};
+
+module.exports = usageMiddleware;
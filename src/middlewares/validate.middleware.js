@@ -0,0 +1,59 @@
+const {
+  getOperation,
+  validateRequestAgainst,
+  validateResponseAgainst,
+} = require("../config/openapiHelper");
+
+// Responses are checked against the document outside production only
+const VALIDATE_RESPONSES = process.env.NODE_ENV !== "production";
+
+/**
+ * OpenAPI Validation Middleware (v1 API)
+ *
+ * validateRequest("createOrder") checks the request's path and query
+ * parameters and JSON body against that operation of the OpenAPI document
+ * and answers 400 BAD_REQUEST_ERROR (with the offending field) on the first
+ * mismatch, so every route rejects bad input the same way.
+ *
+ * Outside production the JSON the route sends is checked against the
+ * documented response too; mismatches are logged, not sent to the client.
+ */
+const validateRequest = (operationId) => {
+  // Fail at startup for an operation the document does not have
+  getOperation(operationId);
+
+  return (req, res, next) => {
+    const error = validateRequestAgainst(operationId, {
+      params: req.params,
+      query: req.query,
+      body: req.body
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: error.message,
+          source: "business",
+          field: error.field
+        }
+      });
+    }
+
+    if (VALIDATE_RESPONSES) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        // Compare what the client receives (ObjectIds and Dates as strings)
+        const mismatch = validateResponseAgainst(operationId, res.statusCode, JSON.parse(JSON.stringify(body ?? null)));
+        if (mismatch) {
+          console.warn(`[OpenAPI] ${operationId} ${res.statusCode} response does not match the document: ${mismatch.message}`);
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+};
+
+module.exports = { validateRequest };
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const apiTokenRequestSchema = new mongoose.Schema(
   {
@@ -25,12 +26,18 @@ const apiTokenRequestSchema = new mongoose.Schema(
     keyId: {
       type: String,
     },
+    // Legacy plaintext secret - no longer stored, cleared at startup
     secretKey: {
       type: String,
     },
+    // Scopes requested for the key (copied to the key on approval)
+    scopes: {
+      type: [String],
+      default: undefined,
+    },
     fee: {
       type: Number,
-      default: 500, // Default fee for API token
+      default: 50000, // Default fee for API token (₹500, in paise)
     },
     feeDeducted: {
       type: Boolean,
@@ -53,4 +60,6 @@ const apiTokenRequestSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+apiTokenRequestSchema.plugin(paiseFields, { fields: ["fee"] });
+
 module.exports = mongoose.model("ApiTokenRequest", apiTokenRequestSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * API Usage Model
+ *
+ * Daily request counters per API key and endpoint (v1 API).
+ * One document per key + UTC day + endpoint, incremented on every request.
+ */
+const apiUsageSchema = new mongoose.Schema(
+  {
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    keyId: {
+      type: String,
+      required: true,
+    },
+    // UTC day, YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+    },
+    // Method and route pattern, e.g. "GET /api/v1/orders/:orderId"
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Responses with status >= 400 (includes 429s)
+    errorCount: {
+      type: Number,
+      default: 0,
+    },
+    rateLimitedCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+apiUsageSchema.index({ keyId: 1, date: 1, endpoint: 1 }, { unique: true });
+apiUsageSchema.index({ merchantId: 1, date: -1 });
+
+module.exports = mongoose.model("ApiUsage", apiUsageSchema);
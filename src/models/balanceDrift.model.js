@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Balance Drift Model
+ *
+ * A merchant whose User.balance did not match the balance recomputed from
+ * its completed Transactions in a reconciliation run, with the breakdown
+ * behind the expected figure. Amounts are in paise, like User.balance;
+ * drift = balance - expectedBalance.
+ */
+const balanceDriftSchema = new mongoose.Schema(
+  {
+    runId: {
+      type: String,
+      required: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    balance: {
+      type: Number,
+      required: true,
+    },
+    expectedBalance: {
+      type: Number,
+      required: true,
+    },
+    drift: {
+      type: Number,
+      required: true,
+    },
+    breakdown: {
+      credits: Number,
+      creditCount: Number,
+      debits: Number,
+      debitCount: Number,
+      fees: Number,
+      // Wallet balance recomputed from the ledger, for comparison
+      ledgerBalance: Number,
+      reservedBalance: Number,
+    },
+    // open until adjusted; replaced by the next run's finding while still open
+    status: {
+      type: String,
+      enum: ["open", "adjusted", "superseded"],
+      default: "open",
+    },
+    adjustment: {
+      // "balance": the wallet was moved to the expected balance (ledger journal)
+      // "transactions": an adjustment Transaction was recorded to match the balance
+      correct: {
+        type: String,
+        enum: ["balance", "transactions"],
+      },
+      amount: Number,
+      journalId: String,
+      transactionId: String,
+      note: String,
+      adjustedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      adjustedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+balanceDriftSchema.index({ runId: 1, drift: -1 });
+balanceDriftSchema.index({ merchantId: 1, createdAt: -1 });
+balanceDriftSchema.index({ status: 1 });
+
+balanceDriftSchema.plugin(paiseFields, { fields: ["balance", "expectedBalance", "drift", "breakdown.credits", "breakdown.debits", "breakdown.fees", "breakdown.ledgerBalance", "breakdown.reservedBalance", "adjustment.amount"] });
+
+module.exports = mongoose.model("BalanceDrift", balanceDriftSchema);
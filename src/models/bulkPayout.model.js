@@ -1,10 +1,12 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const payoutRowSchema = new mongoose.Schema({
   accountHolderName: String,
   accountNumber: String,
   ifsc: String,
   bankName: String,
+  // In paise
   amount: Number,
   status: {
     type: String,
@@ -13,6 +15,8 @@ const payoutRowSchema = new mongoose.Schema({
   },
 });
 
+payoutRowSchema.plugin(paiseFields, { fields: ["amount"] });
+
 const bulkPayoutSchema = new mongoose.Schema(
   {
     userId: {
@@ -21,6 +25,7 @@ const bulkPayoutSchema = new mongoose.Schema(
       required: true,
     },
     fileName: String,
+    // In paise
     totalAmount: Number,
     totalRows: Number,
     status: {
@@ -29,8 +34,11 @@ const bulkPayoutSchema = new mongoose.Schema(
       default: "Pending",
     },
     payoutData: [payoutRowSchema],
+    approvedAt: Date,
   },
   { timestamps: true }
 );
 
+bulkPayoutSchema.plugin(paiseFields, { fields: ["totalAmount"] });
+
 module.exports = mongoose.model("BulkPayout", bulkPayoutSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * Customer Model
+ *
+ * A merchant's customer. Orders and payment links can reference one with
+ * customer_id; their name, email and contact then prefill checkout.
+ */
+const customerSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      default: null,
+      trim: true,
+      lowercase: true,
+    },
+    contact: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    gstin: {
+      type: String,
+      default: null,
+    },
+    notes: {
+      type: Object,
+      default: {},
+    },
+    mode: {
+      type: String,
+      enum: ["test", "live"],
+      default: "live",
+    },
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ merchantId: 1, createdAt: -1 });
+customerSchema.index({ merchantId: 1, email: 1 });
+customerSchema.index({ merchantId: 1, contact: 1 });
+
+module.exports = mongoose.model("Customer", customerSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Deposit Intent Model
+ *
+ * Created by /create-order for the authenticated user, before the gateway
+ * checkout opens. It binds the gateway order to the user and the expected
+ * amount, so verification credits the intent's user with what the gateway
+ * reports as captured - never a userId or amount sent by the client.
+ * Amounts are in paise, like User.balance.
+ */
+const depositIntentSchema = new mongoose.Schema(
+  {
+    intentId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Amount the user asked to deposit
+    amount: {
+      type: Number,
+      required: true,
+      min: 100,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    // Razorpay order id, PayU txnid, Cashfree order id, PhonePe merchantTransactionId,
+    // CCAvenue order id or Stripe Checkout Session id
+    gatewayOrderId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["created", "paid", "failed"],
+      default: "created",
+    },
+    // Filled from the gateway once the deposit is captured
+    gatewayPaymentId: String,
+    paidAmount: Number,
+    paidAt: Date,
+    failureReason: String,
+  },
+  { timestamps: true }
+);
+
+depositIntentSchema.index({ gateway: 1, gatewayOrderId: 1 }, { unique: true });
+depositIntentSchema.index({ userId: 1, createdAt: -1 });
+
+depositIntentSchema.plugin(paiseFields, { fields: ["amount", "paidAmount"] });
+
+module.exports = mongoose.model("DepositIntent", depositIntentSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Fund Hold Model
+ *
+ * Money set aside on a merchant wallet when a payout or withdrawal is
+ * requested, so several pending requests cannot spend the same balance.
+ * The sum of active holds is cached on User.reservedBalance; approval
+ * captures the hold (the ledger debit), rejection or cancellation releases
+ * it. Amounts are in paise, like User.balance.
+ */
+const fundHoldSchema = new mongoose.Schema(
+  {
+    holdId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    referenceType: {
+      type: String,
+      enum: ["withdrawal", "payout_request"],
+      required: true,
+    },
+    // Withdrawal.withdrawalId or PayoutRequest _id
+    referenceId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "captured", "released"],
+      default: "active",
+    },
+    // Ledger journal that debited the wallet on capture
+    journalId: {
+      type: String,
+      default: null,
+    },
+    releaseReason: String,
+    capturedAt: Date,
+    releasedAt: Date,
+  },
+  { timestamps: true }
+);
+
+fundHoldSchema.index({ merchantId: 1, status: 1 });
+
+fundHoldSchema.plugin(paiseFields, { fields: ["amount"] });
+
+module.exports = mongoose.model("FundHold", fundHoldSchema);
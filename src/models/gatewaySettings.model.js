@@ -33,6 +33,15 @@ const gatewaySettingsSchema = new mongoose.Schema(
       type: String,
       default: "Key Secret",
     },
+    // Credentials beyond the key pair (supportedGateways extraFields), by field key
+    extraCredentials: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    extraFields: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
     docsUrl: {
       type: String,
       default: "",
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * Idempotency Key Model
+ *
+ * Stores the first response for a merchant's Idempotency-Key so that
+ * retried v1 API requests are answered without repeating side effects.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of method, path and request body
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Lease end while processing, retention end once completed
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One record per key per merchant
+idempotencyKeySchema.index({ merchantId: 1, key: 1 }, { unique: true });
+// Auto-remove expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Ledger Entry Model
+ *
+ * One line of a double-entry journal. Every change to a merchant's live
+ * wallet is posted as a journal whose lines balance (total debits equal
+ * total credits): the merchant's wallet account on one side and a system
+ * account (gateway clearing, payout clearing, fee revenue, ...) on the
+ * other. Lines are immutable - mistakes are corrected with a reversal
+ * journal. Amounts are in paise, like User.balance.
+ */
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    entryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Lines posted together share a journalId
+    journalId: {
+      type: String,
+      required: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: [
+        "merchant_wallet",
+        "gateway_clearing",
+        "payout_clearing",
+        "refund_clearing",
+        "fee_revenue",
+        "opening_balance",
+        "reconciliation_adjustment",
+      ],
+      required: true,
+    },
+    // The wallet is owed to the merchant, so credits raise it and debits lower it
+    direction: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    entryType: {
+      type: String,
+      enum: ["opening", "deposit", "payment", "refund", "payout", "withdrawal", "fee", "reversal", "adjustment"],
+      required: true,
+    },
+    // Wallet balance after this line (merchant_wallet lines only)
+    balanceAfter: {
+      type: Number,
+      default: null,
+    },
+    // Transaction / order / refund / payout id the journal belongs to
+    referenceId: String,
+    description: String,
+    // Journal this one reverses
+    reversalOf: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+ledgerEntrySchema.index({ merchantId: 1, account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ referenceId: 1, entryType: 1 });
+ledgerEntrySchema.index({ reversalOf: 1 });
+
+// Journal lines are append-only
+const rejectChange = function () {
+  throw new Error("Ledger entries are immutable - post a reversal instead");
+};
+
+ledgerEntrySchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+ledgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectChange
+);
+ledgerEntrySchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], rejectChange);
+
+ledgerEntrySchema.plugin(paiseFields, { fields: ["amount", "balanceAfter"] });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
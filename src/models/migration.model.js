@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+/**
+ * Migration Model
+ *
+ * One record per one-off data migration (migrationHelper). The unique name
+ * lets a single server worker claim a migration; status "completed" keeps
+ * it from ever running again.
+ */
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed"],
+      default: "running",
+    },
+    // Renewed while running; a worker may take over once it lapses (crashed run)
+    lockedUntil: Date,
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: Date,
+    // Documents converted per collection
+    results: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Migration", migrationSchema);
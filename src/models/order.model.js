@@ -50,6 +50,16 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Allow several captures until amountDue reaches zero
+    partialPayment: {
+      type: Boolean,
+      default: false
+    },
+    // Unpaid orders are expired by the sweeper after this time
+    expireBy: {
+      type: Date,
+      default: null
+    },
     // Payment details (after successful payment)
     paymentId: {
       type: String,
@@ -65,7 +75,16 @@ const orderSchema = new mongoose.Schema(
       enum: ["pending", "authorized", "captured", "failed", "refunded", null],
       default: null
     },
-    // Customer details
+    // Gateway that captured the payment (used for refunds)
+    gateway: {
+      type: String,
+      default: null
+    },
+    // Customer details (copied from the Customer when customerId is set)
+    customerId: {
+      type: String,
+      default: null
+    },
     customerEmail: String,
     customerPhone: String,
     customerName: String,
@@ -81,10 +100,15 @@ const orderSchema = new mongoose.Schema(
     // Timestamps
     paidAt: Date,
     expiredAt: Date,
-    // Refund details
+    // Refund details (latest refund; all refunds live in the Refund model)
     refundId: String,
     refundAmount: Number,
     refundedAt: Date,
+    // Total of pending + processed refunds, in paise
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
     // Signature for verification
     signature: String,
     signatureVerified: {
@@ -113,5 +137,6 @@ orderSchema.virtual("amountDue").get(function () {
 orderSchema.index({ merchantId: 1, createdAt: -1 });
 orderSchema.index({ orderId: 1, merchantId: 1 });
 orderSchema.index({ status: 1, merchantId: 1 });
+orderSchema.index({ status: 1, expireBy: 1 });
 
 module.exports = mongoose.model("Order", orderSchema);
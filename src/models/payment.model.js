@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+/**
+ * Payment Model
+ *
+ * One document per payment attempt on an API order.
+ * An attempt is created when checkout opens a gateway order and is
+ * updated when the gateway reports capture or failure.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    attemptId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    orderId: {
+      type: String,
+      required: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Customer of the order, if it was created with a customer_id
+    customerId: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1, // In paise
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: ["created", "captured", "failed"],
+      default: "created",
+    },
+    gateway: {
+      type: String,
+      default: null,
+    },
+    // Gateway-side order reference (Razorpay order id, PayU txnid, Cashfree order id)
+    gatewayOrderId: {
+      type: String,
+      default: null,
+    },
+    // Gateway payment id, known once the gateway reports back
+    paymentId: {
+      type: String,
+      default: null,
+    },
+    method: {
+      type: String,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    // Captured but not counted in the order's amountPaid: more than was due,
+    // or after the order was paid or closed. Refunded on capture.
+    unapplied: {
+      type: Boolean,
+      default: false,
+    },
+    // Total of pending + processed refunds of this capture, in paise
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    mode: {
+      type: String,
+      enum: ["test", "live"],
+      default: "live",
+    },
+    capturedAt: Date,
+    failedAt: Date,
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ merchantId: 1, createdAt: -1 });
+paymentSchema.index({ orderId: 1, createdAt: -1 });
+paymentSchema.index({ merchantId: 1, customerId: 1, createdAt: -1 });
+paymentSchema.index({ gatewayOrderId: 1 });
+paymentSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Payment Capture Model
+ *
+ * One record per gateway payment credited to a merchant. The unique key on
+ * (gateway, gatewayPaymentId) is what makes crediting exactly-once: every
+ * capture flow (wallet deposit, checkout, QR, API order, payment link)
+ * claims the payment here before it touches the wallet, so a replayed
+ * callback or webhook finds the claim and credits nothing. Amounts are in
+ * paise, like User.balance.
+ */
+const paymentCaptureSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      required: true,
+    },
+    // Payment id the gateway reported (Razorpay pay_..., PayU mihpayid, Cashfree order id, ...)
+    gatewayPaymentId: {
+      type: String,
+      required: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    flow: {
+      type: String,
+      // payment_link_checkout: API/dashboard payment links; payment_link: request-money links
+      enum: ["deposit", "payment_link_checkout", "qr", "order", "payment_link"],
+      required: true,
+    },
+    // Our record the payment was for: linkId, qrId, orderId or transactionId
+    referenceId: String,
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    // "processing" until the credit is recorded; only seen without MongoDB transactions
+    status: {
+      type: String,
+      enum: ["processing", "captured"],
+      default: "processing",
+    },
+    capturedAt: Date,
+  },
+  { timestamps: true }
+);
+
+paymentCaptureSchema.index({ gateway: 1, gatewayPaymentId: 1 }, { unique: true });
+paymentCaptureSchema.index({ status: 1, createdAt: 1 });
+
+paymentCaptureSchema.plugin(paiseFields, { fields: ["amount"] });
+
+module.exports = mongoose.model("PaymentCapture", paymentCaptureSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const paymentLinkSchema = new mongoose.Schema(
   {
@@ -20,6 +21,16 @@ const paymentLinkSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    customerPhone: {
+      type: String,
+      default: null,
+    },
+    // API Customer the link was created for
+    customerId: {
+      type: String,
+      default: null,
+    },
+    // In paise
     amount: {
       type: Number,
       required: true,
@@ -31,6 +42,21 @@ const paymentLinkSchema = new mongoose.Schema(
     dueDate: {
       type: Date,
     },
+    // Merchant's own reference (API reference_id)
+    referenceId: {
+      type: String,
+      default: null,
+    },
+    notes: {
+      type: Object,
+      default: {},
+    },
+    // Where the link was created: dashboard or api
+    source: {
+      type: String,
+      enum: ["dashboard", "api"],
+      default: "dashboard",
+    },
     status: {
       type: String,
       enum: ["pending", "paid", "expired", "cancelled"],
@@ -42,11 +68,30 @@ const paymentLinkSchema = new mongoose.Schema(
     razorpayPaymentId: {
       type: String,
     },
+    // Gateway that took the payment
+    gateway: {
+      type: String,
+      default: null,
+    },
     paidAt: {
       type: Date,
     },
+    cancelledAt: {
+      type: Date,
+    },
+    notifyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastNotifiedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+paymentLinkSchema.index({ userId: 1, createdAt: -1 });
+
+paymentLinkSchema.plugin(paiseFields, { fields: ["amount"] });
+
 module.exports = mongoose.model("PaymentLink", paymentLinkSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const payoutRequestSchema = new mongoose.Schema(
   {
@@ -12,10 +13,11 @@ const payoutRequestSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Amounts in paise
     amount: {
       type: Number,
       required: true,
-      min: 1,
+      min: 100,
     },
     method: {
       type: String,
@@ -87,12 +89,21 @@ const payoutRequestSchema = new mongoose.Schema(
     apiKeyId: {
       type: String,
     },
+    // Test-mode payouts are simulated against the test ledger
+    mode: {
+      type: String,
+      enum: ["test", "live"],
+      default: "live",
+    },
   },
   { timestamps: true }
 );
 
 // Index for faster queries
 payoutRequestSchema.index({ vendorId: 1, status: 1 });
+payoutRequestSchema.index({ vendorId: 1, createdAt: -1 });
 payoutRequestSchema.index({ status: 1, createdAt: -1 });
 
+payoutRequestSchema.plugin(paiseFields, { fields: ["amount", "fee", "netAmount"] });
+
 module.exports = mongoose.model("PayoutRequest", payoutRequestSchema);
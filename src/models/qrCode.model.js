@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const qrCodeSchema = new mongoose.Schema(
   {
@@ -20,6 +21,7 @@ const qrCodeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // In paise
     amount: {
       type: Number,
       required: function () { return !this.isStatic; },
@@ -38,7 +40,7 @@ const qrCodeSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "paid", "expired"],
+      enum: ["active", "paid", "expired", "closed"],
       default: "active",
     },
     razorpayOrderId: {
@@ -55,6 +57,32 @@ const qrCodeSchema = new mongoose.Schema(
       email: String,
       phone: String,
     },
+    // Payments received (static QRs can receive many); amountReceived in paise
+    paymentsCount: {
+      type: Number,
+      default: 0,
+    },
+    amountReceived: {
+      type: Number,
+      default: 0,
+    },
+    // Closed before expiry (status "closed")
+    closedAt: {
+      type: Date,
+    },
+    closeReason: {
+      type: String,
+    },
+    notes: {
+      type: Object,
+      default: {},
+    },
+    // Where the QR was created: dashboard or api
+    source: {
+      type: String,
+      enum: ["dashboard", "api"],
+      default: "dashboard",
+    },
     // URL for gateway-generated QR image (PayU DBQR, Razorpay QR, etc.)
     gatewayQrImageUrl: {
       type: String,
@@ -82,5 +110,8 @@ const qrCodeSchema = new mongoose.Schema(
 
 // Index for auto-expiry queries
 qrCodeSchema.index({ expiresAt: 1, status: 1 });
+qrCodeSchema.index({ userId: 1, createdAt: -1 });
+
+qrCodeSchema.plugin(paiseFields, { fields: ["amount", "amountReceived"] });
 
 module.exports = mongoose.model("QRCode", qrCodeSchema);
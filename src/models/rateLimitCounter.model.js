@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+/**
+ * Rate Limit Counter Model
+ *
+ * Fixed-window request counters shared by all app instances.
+ * bucket is "key:<keyId>" or "merchant:<userId>".
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  bucket: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ bucket: 1, windowStart: 1 }, { unique: true });
+// Auto-remove finished windows
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Reconciliation Run Model
+ *
+ * One pass of the balance reconciliation (reconciliationHelper). runKey is
+ * unique so the nightly run happens once per day even when several server
+ * workers schedule it.
+ */
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    runId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // "nightly_YYYY-MM-DD" for scheduled runs, the runId for on-demand ones
+    runKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    merchantsChecked: {
+      type: Number,
+      default: 0,
+    },
+    mismatchCount: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of absolute drifts, in paise
+    totalDrift: {
+      type: Number,
+      default: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    error: String,
+  },
+  { timestamps: true }
+);
+
+reconciliationRunSchema.index({ createdAt: -1 });
+
+reconciliationRunSchema.plugin(paiseFields, { fields: ["totalDrift"] });
+
+module.exports = mongoose.model("ReconciliationRun", reconciliationRunSchema);
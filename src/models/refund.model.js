@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+/**
+ * Refund Model
+ *
+ * Refunds against payments captured on API orders.
+ * A payment can have several partial refunds up to its captured amount.
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    refundId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orderId: {
+      type: String,
+      required: true,
+    },
+    paymentId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1, // In paise
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processed", "failed"],
+      default: "pending",
+    },
+    gateway: {
+      type: String,
+      default: null,
+    },
+    gatewayRefundId: {
+      type: String,
+      default: null,
+    },
+    notes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    // Wallet debit Transaction for this refund
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    mode: {
+      type: String,
+      enum: ["test", "live"],
+      default: "live",
+    },
+    processedAt: Date,
+    failedAt: Date,
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ merchantId: 1, createdAt: -1 });
+refundSchema.index({ paymentId: 1, merchantId: 1 });
+refundSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Refund", refundSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const reportSchema = new mongoose.Schema(
   {
@@ -48,4 +49,6 @@ const reportSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+reportSchema.plugin(paiseFields, { fields: ["summary.totalCredit", "summary.totalDebit", "summary.netAmount"] });
+
 module.exports = mongoose.model("Report", reportSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const settingsSchema = new mongoose.Schema(
   {
@@ -67,13 +68,14 @@ const settingsSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // Withdrawal limits, in paise
     minWithdrawal: {
       type: Number,
-      default: 50,
+      default: 5000,
     },
     maxWithdrawal: {
       type: Number,
-      default: 500000,
+      default: 50000000,
     },
 
     // Social Links (optional)
@@ -96,4 +98,6 @@ settingsSchema.statics.getSettings = async function () {
   return settings;
 };
 
+settingsSchema.plugin(paiseFields, { fields: ["minWithdrawal", "maxWithdrawal"] });
+
 module.exports = mongoose.model("Settings", settingsSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
+
+/**
+ * Test Ledger Entry Model
+ *
+ * Money movements made with test-mode (sat_test_) API keys.
+ * Kept apart from Transaction so sandbox activity never shows up in
+ * live statements, reports or balances. Amounts are in paise, like
+ * User.testBalance.
+ */
+const testLedgerEntrySchema = new mongoose.Schema(
+  {
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    entryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["Credit", "Debit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ["payment", "refund", "payout"],
+      required: true,
+    },
+    // Order / refund / payout id the entry belongs to
+    referenceId: String,
+    description: String,
+    balanceAfter: Number,
+  },
+  { timestamps: true }
+);
+
+testLedgerEntrySchema.index({ merchantId: 1, createdAt: -1 });
+
+testLedgerEntrySchema.plugin(paiseFields, { fields: ["amount", "balanceAfter"] });
+
+module.exports = mongoose.model("TestLedgerEntry", testLedgerEntrySchema);
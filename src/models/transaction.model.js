@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -17,6 +18,7 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       enum: ["Credit", "Debit"],
     },
+    // Amounts in paise
     amount: Number,
     status: {
       type: String,
@@ -27,7 +29,7 @@ const transactionSchema = new mongoose.Schema(
     customerName: String,
     method: {
       type: String,
-      enum: ["bank", "upi", "qr", "wallet", "razorpay", "payu", "other"],
+      enum: ["bank", "upi", "qr", "wallet", "razorpay", "payu", "cashfree", "phonepe", "ccavenue", "stripe", "other"],
     },
     category: {
       type: String,
@@ -55,4 +57,6 @@ transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ category: 1 });
 
+transactionSchema.plugin(paiseFields, { fields: ["amount", "fee", "netAmount"] });
+
 module.exports = mongoose.model("Transaction", transactionSchema);
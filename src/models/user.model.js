@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields, toRupees } = require("../config/moneyHelper");
 
 const userSchema = new mongoose.Schema(
   {
@@ -98,12 +99,30 @@ const userSchema = new mongoose.Schema(
       type: String,
     },
 
-    // Wallet Balance
+    // Wallet Balance in paise - cached total of the merchant's ledger (see ledgerHelper)
     balance: {
       type: Number,
       default: 0,
     },
 
+    // Part of balance held for pending payouts / withdrawals (see holdHelper)
+    reservedBalance: {
+      type: Number,
+      default: 0,
+    },
+
+    // When the balance held before the ledger existed was posted as its opening entry
+    ledgerOpenedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Sandbox balance for test-mode API keys (never mixed with balance)
+    testBalance: {
+      type: Number,
+      default: 0,
+    },
+
     // Role (Admin / User)
     role: {
       type: String,
@@ -120,12 +139,35 @@ const userSchema = new mongoose.Schema(
     apiTokens: [{
       name: { type: String, required: true },
       keyId: { type: String, required: true },
-      secretKey: { type: String, required: true },
+      // SHA-256 of the secret; the secret itself is only shown when issued
+      secretHash: { type: String, default: null },
+      // Plaintext secret from before hashing - replaced by secretHash at startup / first use
+      secretKey: { type: String },
+      // Secret replaced by the last rotation, accepted until previousSecretExpiresAt
+      previousSecretHash: { type: String, default: null },
+      previousSecretExpiresAt: { type: Date, default: null },
+      rotatedAt: { type: Date, default: null },
+      // Allowed API scopes (empty = full access, for keys created before scopes)
+      scopes: { type: [String], default: undefined },
       mode: { type: String, enum: ["test", "live"], default: "test" },
       status: { type: String, enum: ["active", "revoked"], default: "active" },
+      // Requests per rate-limit window for this key (null = API_RATE_LIMIT_PER_KEY)
+      rateLimit: { type: Number, default: null },
+      lastUsed: { type: Date, default: null },
       createdAt: { type: Date, default: Date.now }
     }],
 
+    // Requests per rate-limit window across all keys (null = API_RATE_LIMIT_PER_MERCHANT)
+    apiRateLimit: {
+      type: Number,
+      default: null,
+    },
+
+    // Secret used to sign outbound merchant webhooks (generated on first use)
+    webhookSecret: {
+      type: String,
+    },
+
     // Password Reset
     resetPasswordToken: {
       type: String,
@@ -138,11 +180,16 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Remove password when sending user data
+// Remove password when sending user data; balances go out in rupees (see paiseFields)
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  for (const field of ["balance", "reservedBalance", "testBalance"]) {
+    if (typeof user[field] === "number") user[field] = toRupees(user[field]);
+  }
   return user;
 };
 
+userSchema.plugin(paiseFields, { fields: ["balance", "reservedBalance", "testBalance"] });
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+const attemptSchema = new mongoose.Schema(
+  {
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: String,
+      default: "",
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    latencyMs: {
+      type: Number,
+      default: 0,
+    },
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Webhook Delivery Model
+ *
+ * One document per event sent to a merchant URL.
+ * Every HTTP attempt (including retries) is appended to `attempts`.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Registered endpoint this was sent to (null for an order's own webhook_url)
+    endpointId: {
+      type: String,
+      default: null,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    orderId: {
+      type: String,
+      default: null,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    attempts: [attemptSchema],
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while an attempt is in flight (worker claim or redelivery)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    deliveredAt: Date,
+    failedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Index for the retry worker and merchant delivery logs
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ merchantId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
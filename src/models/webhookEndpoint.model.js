@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * Webhook Endpoint Model
+ *
+ * Account-level webhook URLs registered by merchants through the v1 API.
+ * Each endpoint has its own signing secret and list of subscribed events.
+ */
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    endpointId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Subscribed event types ("*" subscribes to everything)
+    events: {
+      type: [String],
+      default: ["*"],
+    },
+    secret: {
+      type: String,
+      required: true,
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    disabledAt: Date,
+  },
+  { timestamps: true }
+);
+
+webhookEndpointSchema.index({ merchantId: 1, isEnabled: 1 });
+
+module.exports = mongoose.model("WebhookEndpoint", webhookEndpointSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { paiseFields } = require("../config/moneyHelper");
 
 const withdrawalSchema = new mongoose.Schema(
   {
@@ -11,6 +12,7 @@ const withdrawalSchema = new mongoose.Schema(
       type: String,
       unique: true,
     },
+    // Amounts in paise; total = amount + commission
     amount: Number,
     commission: Number,
     total: Number,
@@ -28,8 +30,13 @@ const withdrawalSchema = new mongoose.Schema(
       enum: ["Pending", "Approved", "Rejected", "Paid"],
       default: "Pending",
     },
+    rejectionReason: String,
+    approvedAt: Date,
+    rejectedAt: Date,
   },
   { timestamps: true }
 );
 
+withdrawalSchema.plugin(paiseFields, { fields: ["amount", "commission", "total"] });
+
 module.exports = mongoose.model("Withdrawal", withdrawalSchema);
@@ -1,8 +1,12 @@
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const BulkPayout = require("../models/bulkPayout.model");
 const User = require("../models/user.model");
 const Transaction = require("../models/transaction.model");
+const { debitWallet } = require("../config/ledgerHelper");
+const { runInTransaction } = require("../config/sessionHelper");
+const { toRupeeString } = require("../config/moneyHelper");
 
 // ========================================
 // ✅ GET ALL BULK PAYOUTS
@@ -40,29 +44,54 @@ router.put("/bulk-payouts/:id/approve", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // ✅ Check balance
-    if (payout.totalAmount > user.balance) {
-      return res.status(400).json({
-        message: "Insufficient user balance",
+    // ✅ Approve, deduct balance and record the transaction in one MongoDB transaction
+    const approval = await runInTransaction(async (session) => {
+      // Conditional on the status so concurrent approvals cannot both go through
+      const approved = await BulkPayout.findOneAndUpdate(
+        { _id: payout._id, status: "Pending" },
+        { $set: { status: "Approved", approvedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!approved) return { processed: true };
+
+      const debited = await debitWallet(user._id, payout.totalAmount, {
+        entryType: "payout",
+        referenceId: payout._id.toString(),
+        description: `Bulk payout (${payout.totalRows} entries)`,
+        session,
       });
-    }
 
-    // ✅ Deduct balance
-    user.balance -= payout.totalAmount;
-    await user.save();
-
-    // ✅ Create transaction record
-    await Transaction.create({
-      userId: user._id,
-      transactionId: "BULK_" + Date.now(),
-      description: `Bulk payout (${payout.totalRows} entries)`,
-      amount: payout.totalAmount,
-      type: "Debit",
-      status: "Completed",
+      if (!debited) {
+        await BulkPayout.updateOne({ _id: payout._id }, { $set: { status: "Pending" }, $unset: { approvedAt: "" } }, { session });
+        return { insufficient: true };
+      }
+
+      await Transaction.create(
+        [{
+          userId: user._id,
+          transactionId: "BULK_" + crypto.randomBytes(10).toString("hex").toUpperCase(),
+          description: `Bulk payout (${payout.totalRows} entries)`,
+          amount: payout.totalAmount,
+          type: "Debit",
+          status: "Completed",
+          category: "payout",
+          referenceId: payout._id.toString(),
+        }],
+        { session }
+      );
+
+      return { approved };
     });
 
-    payout.status = "Approved";
-    await payout.save();
+    if (approval.processed) {
+      return res.status(400).json({ message: "Already processed" });
+    }
+
+    if (approval.insufficient) {
+      return res.status(400).json({
+        message: "Insufficient user balance",
+      });
+    }
 
     res.json({
       success: true,
@@ -129,7 +158,7 @@ router.get("/bulk-payouts/:id/download", async (req, res) => {
         `"${row.accountNumber || ""}"`,
         `"${row.ifsc || ""}"`,
         `"${row.bankName || ""}"`,
-        row.amount || 0,
+        toRupeeString(row.amount),
         `"${row.status || "Pending"}"`
       ].join(","));
     });
@@ -2,9 +2,68 @@ const express = require("express");
 const router = express.Router();
 const crypto = require("crypto");
 const apiAuthMiddleware = require("../middlewares/apiAuth.middleware");
+const { requireScope } = apiAuthMiddleware;
+const idempotencyMiddleware = require("../middlewares/idempotency.middleware");
+const usageMiddleware = require("../middlewares/usage.middleware");
+const rateLimitMiddleware = require("../middlewares/rateLimit.middleware");
+const { validateRequest } = require("../middlewares/validate.middleware");
+const { openapiDocument, assertRoutesDocumented } = require("../config/openapiHelper");
 const Order = require("../models/order.model");
 const PayoutRequest = require("../models/payoutRequest.model");
 const User = require("../models/user.model");
+const Payment = require("../models/payment.model");
+const Refund = require("../models/refund.model");
+const PaymentLink = require("../models/paymentLink.model");
+const QRCode = require("../models/qrCode.model");
+const Customer = require("../models/customer.model");
+const Transaction = require("../models/transaction.model");
+const WebhookEndpoint = require("../models/webhookEndpoint.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const {
+  serializeOrder,
+  generateEndpointSecret,
+  redeliver,
+  checkWebhookUrl,
+} = require("../config/webhookHelper");
+const { serializeRefund, createRefund, syncRefundStatus } = require("../config/refundHelper");
+const { listCollection } = require("../config/listHelper");
+const {
+  serializeCustomer,
+  validateCustomerInput,
+  createCustomer,
+  resolveCustomer,
+} = require("../config/customerHelper");
+const {
+  createPaymentLink,
+  sendPaymentLinkEmail,
+  expirePaymentLinkIfDue,
+  cancelPaymentLink,
+  serializePaymentLink,
+} = require("../config/paymentLinkHelper");
+const {
+  createDynamicQr,
+  createStaticQr,
+  expireQrIfDue,
+  closeQrCode,
+  serializeQrCode,
+  serializeQrPayment,
+} = require("../config/qrHelper");
+const { debitTestLedger } = require("../config/sandboxHelper");
+const { getBalanceSummary, placeHold, releaseHold } = require("../config/holdHelper");
+const { runInTransaction } = require("../config/sessionHelper");
+const { formatRupees } = require("../config/moneyHelper");
+const { toUsageDate, getRateLimits, getUsage } = require("../config/usageHelper");
+const {
+  getAmountDue,
+  serializePaymentAttempt,
+  expireOrderIfDue,
+  captureOrderPayment,
+} = require("../config/orderHelper");
+const {
+  getGatewaySettingsById,
+  inferGatewayFromPaymentId,
+  fetchGatewayPaymentStatus,
+} = require("../config/gatewayHelper");
 
 /**
  * Public API Routes (v1)
@@ -12,12 +71,53 @@ const User = require("../models/user.model");
  * These routes are used by merchants to integrate payment gateway
  * All routes require API Key authentication (HTTP Basic Auth)
  * 
+ * Mutating requests (POST/PATCH/DELETE) accept an Idempotency-Key header:
+ * retries with the same key and body return the original response.
+ * 
+ * Requests are rate limited per API key and per merchant (X-RateLimit-*
+ * headers, 429 when exceeded) and metered per key/endpoint/day (GET /usage).
+ * 
+ * Each route requires a scope on the API key (e.g. orders:write,
+ * payouts:write, balance:read); keys without it get 403 FORBIDDEN.
+ * 
+ * Request and response shapes are defined by the OpenAPI document
+ * (config/openapiSpec.js, served at GET /api/v1/openapi.json). Each route
+ * validates its input with validateRequest(operationId); invalid requests
+ * get 400 BAD_REQUEST_ERROR with the offending field.
+ * 
  * Base URL: /api/v1
  */
 
+/**
+ * ✅ OPENAPI DOCUMENT
+ * GET /api/v1/openapi.json
+ * 
+ * Public (no API key needed)
+ */
+router.get("/openapi.json", (req, res) => {
+  res.json(openapiDocument);
+});
+
 // Apply API authentication middleware to all routes
 router.use(apiAuthMiddleware);
 
+// Count requests per key/endpoint/day (including rate-limited ones)
+router.use(usageMiddleware);
+
+// Per-key and per-merchant request limits
+router.use(rateLimitMiddleware);
+
+// Replay stored responses for repeated Idempotency-Key requests
+router.use(idempotencyMiddleware);
+
+// Filterable statuses for list endpoints
+const ORDER_STATUSES = Order.schema.path("status").enumValues;
+const PAYMENT_STATUSES = Payment.schema.path("status").enumValues;
+const REFUND_STATUSES = Refund.schema.path("status").enumValues;
+const PAYOUT_STATUSES = PayoutRequest.schema.path("status").enumValues;
+const PAYMENT_LINK_STATUSES = PaymentLink.schema.path("status").enumValues;
+const QR_CODE_STATUSES = QRCode.schema.path("status").enumValues;
+
 // Helper function to generate unique order ID
 const generateOrderId = () => {
   return "order_" + crypto.randomBytes(10).toString("hex");
@@ -28,6 +128,43 @@ const generatePaymentId = () => {
   return "pay_" + crypto.randomBytes(10).toString("hex");
 };
 
+// Webhook URLs must reach a public host (checkWebhookUrl)
+const invalidWebhookUrl = (res, field, message) =>
+  res.status(400).json({
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: `${field} ${message}`,
+      source: "business",
+      field
+    }
+  });
+
+// List filter for the API key's mode (records without a mode predate the sandbox and are live)
+const modeScope = (apiUser) =>
+  apiUser.mode === "test" ? { mode: "test" } : { mode: { $ne: "test" } };
+
+// Optional ?customer_id= filter for list endpoints
+const customerFilter = (query) =>
+  query.customer_id ? { customerId: String(query.customer_id) } : {};
+
+// Respond with a business error thrown by a helper (error.statusCode / error.code / error.field)
+const sendBusinessError = (res, err) =>
+  res.status(err.statusCode).json({
+    error: {
+      code: err.code || "BAD_REQUEST_ERROR",
+      description: err.message,
+      source: "business",
+      field: err.field
+    }
+  });
+
+// Constant-time string comparison for signatures
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
 /**
  * ✅ CREATE ORDER
  * POST /api/v1/orders
@@ -41,39 +178,52 @@ const generatePaymentId = () => {
  *   "receipt": "order_rcptid_11",
  *   "notes": { ... },
  *   "callback_url": "https://yoursite.com/callback",
- *   "webhook_url": "https://yoursite.com/webhook"
+ *   "webhook_url": "https://yoursite.com/webhook",
+ *   "expire_by": 1735689600,   // Optional unix timestamp; unpaid orders expire after it
+ *   "partial_payment": false,  // Optional; true accepts several payments until amount_due is 0
+ *   "customer_id": "cust_..."  // Optional; prefills checkout with the customer's details
  * }
+ *
+ * When webhook_url is set, order events (payment.captured, order.paid,
+ * payment.failed, refund.processed, refund.failed) are POSTed to it as JSON with an
+ * X-Satyam-Signature header: HMAC-SHA256 of "<X-Satyam-Timestamp>.<raw body>"
+ * using the merchant's webhook secret. Receivers should reject stale
+ * timestamps. Failed deliveries are retried with backoff.
  */
-router.post("/orders", async (req, res) => {
+router.post("/orders", requireScope("orders:write"), validateRequest("createOrder"), async (req, res) => {
   try {
-    const { amount, currency = "INR", receipt, notes, callback_url, webhook_url } = req.body;
-
-    // Validate required fields
-    if (!amount || amount <= 0) {
+    const {
+      amount,
+      currency = "INR",
+      receipt,
+      notes,
+      callback_url,
+      webhook_url,
+      expire_by,
+      partial_payment = false,
+      customer_id
+    } = req.body;
+
+    // Types and ranges are checked by validateRequest; only the clock is left
+    if (expire_by && expire_by * 1000 <= Date.now()) {
       return res.status(400).json({
         error: {
           code: "BAD_REQUEST_ERROR",
-          description: "The amount field is required and must be greater than 0",
+          description: "expire_by must be a unix timestamp in the future",
           source: "business",
-          field: "amount"
+          field: "expire_by"
         }
       });
     }
 
-    // Minimum amount validation (₹1.00 = 100 paise)
-    if (amount < 100) {
-      return res.status(400).json({
-        error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "The minimum amount is 100 paise (₹1.00)",
-          source: "business",
-          field: "amount"
-        }
-      });
+    const webhookUrlError = webhook_url ? await checkWebhookUrl(webhook_url) : null;
+    if (webhookUrlError) {
+      return invalidWebhookUrl(res, "webhook_url", webhookUrlError);
     }
 
+    const customer = await resolveCustomer(req.apiUser.userId, req.apiUser.mode, customer_id);
+
     const orderId = generateOrderId();
-    const createdAt = Math.floor(Date.now() / 1000);
 
     // Create transaction/order in database
     const transaction = new Order({
@@ -83,7 +233,13 @@ router.post("/orders", async (req, res) => {
       currency,
       receipt: receipt || null,
       notes: notes || {},
+      customerId: customer ? customer.customerId : null,
+      customerName: customer?.name,
+      customerEmail: customer?.email || undefined,
+      customerPhone: customer?.contact || undefined,
       status: "created",
+      partialPayment: partial_payment,
+      expireBy: expire_by ? new Date(expire_by * 1000) : null,
       callbackUrl: callback_url || null,
       webhookUrl: webhook_url || null,
       mode: req.apiUser.mode,
@@ -97,22 +253,13 @@ router.post("/orders", async (req, res) => {
     const paymentUrl = `${baseUrl}/pay/${orderId}`;
 
     res.status(200).json({
-      id: orderId,
-      entity: "order",
-      amount,
-      amount_paid: 0,
-      amount_due: amount,
-      currency,
-      receipt: receipt || null,
+      ...serializeOrder(transaction),
       offer_id: null,
-      status: "created",
-      attempts: 0,
-      notes: notes || {},
-      payment_url: paymentUrl,
-      created_at: createdAt
+      payment_url: paymentUrl
     });
 
   } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
     console.error("Create Order Error:", error);
     res.status(500).json({
       error: {
@@ -130,13 +277,14 @@ router.post("/orders", async (req, res) => {
  * 
  * Fetches details of a specific order
  */
-router.get("/orders/:orderId", async (req, res) => {
+router.get("/orders/:orderId", requireScope("orders:read"), validateRequest("fetchOrder"), async (req, res) => {
   try {
     const { orderId } = req.params;
 
     const transaction = await Order.findOne({
       orderId,
-      merchantId: req.apiUser.userId
+      merchantId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
     });
 
     if (!transaction) {
@@ -149,19 +297,9 @@ router.get("/orders/:orderId", async (req, res) => {
       });
     }
 
-    res.json({
-      id: transaction.orderId,
-      entity: "order",
-      amount: transaction.amount,
-      amount_paid: transaction.amountPaid || 0,
-      amount_due: transaction.amount - (transaction.amountPaid || 0),
-      currency: transaction.currency,
-      receipt: transaction.receipt,
-      status: transaction.status,
-      attempts: transaction.attempts || 0,
-      notes: transaction.notes || {},
-      created_at: Math.floor(new Date(transaction.createdAt).getTime() / 1000)
-    });
+    await expireOrderIfDue(transaction);
+
+    res.json(serializeOrder(transaction));
 
   } catch (error) {
     console.error("Fetch Order Error:", error);
@@ -176,49 +314,85 @@ router.get("/orders/:orderId", async (req, res) => {
 });
 
 /**
- * ✅ FETCH ALL ORDERS
- * GET /api/v1/orders
+ * ✅ FETCH PAYMENTS FOR AN ORDER
+ * GET /api/v1/orders/:orderId/payments
  * 
- * Fetches all orders for the merchant
- * Query params: count, skip
+ * Lists every payment attempt on the order (created, captured and failed)
+ * with its gateway, method and failure reason
  */
-router.get("/orders", async (req, res) => {
+router.get("/orders/:orderId/payments", requireScope("payments:read"), validateRequest("listOrderPayments"), async (req, res) => {
   try {
-    const count = parseInt(req.query.count) || 10;
-    const skip = parseInt(req.query.skip) || 0;
-
-    const transactions = await Order.find({
-      merchantId: req.apiUser.userId
-    })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(count);
+    const { orderId } = req.params;
 
-    const total = await Order.countDocuments({
-      merchantId: req.apiUser.userId
+    const order = await Order.findOne({
+      orderId,
+      merchantId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
     });
 
-    const items = transactions.map(t => ({
-      id: t.orderId,
-      entity: "order",
-      amount: t.amount,
-      amount_paid: t.amountPaid || 0,
-      amount_due: t.amount - (t.amountPaid || 0),
-      currency: t.currency,
-      receipt: t.receipt,
-      status: t.status,
-      attempts: t.attempts || 0,
-      notes: t.notes || {},
-      created_at: Math.floor(new Date(t.createdAt).getTime() / 1000)
-    }));
+    if (!order) {
+      return res.status(404).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Order ${orderId} not found`,
+          source: "business"
+        }
+      });
+    }
 
-    res.json({
-      entity: "collection",
-      count: items.length,
-      items
+    const collection = await listCollection(
+      Payment,
+      { orderId, merchantId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      serializePaymentAttempt,
+      { statuses: PAYMENT_STATUSES }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Order Payments Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch order payments",
+        source: "internal"
+      }
     });
+  }
+});
+
+/**
+ * ✅ FETCH ALL ORDERS
+ * GET /api/v1/orders
+ * 
+ * Fetches all orders for the merchant, newest first
+ * 
+ * Query Parameters:
+ * - from / to: Unix timestamps (inclusive) on created_at
+ * - status: created, attempted, paid, failed, refunded, expired
+ * - receipt: Exact receipt match
+ * - customer_id: Orders created for this customer
+ * - notes.<key>: Exact match on a notes field (e.g. notes.customer_id=42)
+ * - count: Number of records (default: 10, max: 100)
+ * - starting_after: next_cursor from the previous page
+ * - skip: Offset, when not using starting_after
+ */
+router.get("/orders", requireScope("orders:read"), validateRequest("listOrders"), async (req, res) => {
+  try {
+    const collection = await listCollection(
+      Order,
+      { merchantId: req.apiUser.userId, ...modeScope(req.apiUser), ...customerFilter(req.query) },
+      req.query,
+      serializeOrder,
+      { statuses: ORDER_STATUSES, receiptField: "receipt", notesField: "notes" }
+    );
+
+    res.json(collection);
 
   } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
     console.error("Fetch Orders Error:", error);
     res.status(500).json({
       error: {
@@ -234,7 +408,14 @@ router.get("/orders", async (req, res) => {
  * ✅ VERIFY PAYMENT SIGNATURE
  * POST /api/v1/payments/verify
  * 
- * Verifies payment signature to confirm payment authenticity
+ * Verifies a payment before the merchant fulfils the order:
+ * 1. signature must be HMAC-SHA256(order_id + "|" + payment_id) keyed with
+ *    the Secret Key of the API key making this request
+ * 2. payment_id must belong to order_id (and to this merchant)
+ * 3. the gateway must confirm the payment is captured for the order amount
+ * 
+ * An order still pending on our side is marked paid (and the merchant
+ * credited) only after step 3 succeeds.
  * 
  * Request Body:
  * {
@@ -243,55 +424,155 @@ router.get("/orders", async (req, res) => {
  *   "signature": "xxx"
  * }
  */
-router.post("/payments/verify", async (req, res) => {
+router.post("/payments/verify", requireScope("payments:write"), validateRequest("verifyPayment"), async (req, res) => {
   try {
     const { order_id, payment_id, signature } = req.body;
 
-    if (!order_id || !payment_id || !signature) {
+    // Sign with the secret of the key used on this request (only its hash is stored)
+    const expectedSignature = crypto
+      .createHmac("sha256", req.apiKeySecret)
+      .update(`${order_id}|${payment_id}`)
+      .digest("hex");
+
+    if (!safeEqual(expectedSignature, signature)) {
       return res.status(400).json({
         error: {
           code: "BAD_REQUEST_ERROR",
-          description: "order_id, payment_id, and signature are required",
-          source: "business"
+          description: "Payment signature verification failed",
+          source: "business",
+          field: "signature"
         }
       });
     }
 
-    // Get the secret key from user's API token
-    const secret = req.apiUser.mode === "live"
-      ? process.env.PAYMENT_SECRET_LIVE
-      : process.env.PAYMENT_SECRET_TEST || "test_secret_key";
-
-    // Generate expected signature
-    const body = order_id + "|" + payment_id;
-    const expectedSignature = crypto
-      .createHmac("sha256", secret)
-      .update(body)
-      .digest("hex");
+    const order = await Order.findOne({
+      orderId: order_id,
+      merchantId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
+    });
 
-    const isValid = expectedSignature === signature;
+    if (!order) {
+      return res.status(404).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Order ${order_id} not found`,
+          source: "business"
+        }
+      });
+    }
 
-    if (isValid) {
-      // Update transaction status
-      await Order.findOneAndUpdate(
-        { orderId: order_id, merchantId: req.apiUser.userId },
-        { status: "paid", paymentId: payment_id, paidAt: new Date() }
-      );
+    const recorded = await Payment.findOne({
+      orderId: order.orderId,
+      paymentId: payment_id,
+      status: "captured"
+    });
 
-      res.json({
+    if (recorded || (order.paymentId === payment_id && ["paid", "refunded"].includes(order.status))) {
+      return res.json({
         status: "verified",
         message: "Payment signature verified successfully"
       });
-    } else {
-      res.status(400).json({
+    }
+
+    if (["paid", "refunded"].includes(order.status)) {
+      return res.status(400).json({
         error: {
           code: "BAD_REQUEST_ERROR",
-          description: "Payment signature verification failed",
-          source: "business"
+          description: `Payment ${payment_id} does not belong to order ${order_id}`,
+          source: "business",
+          field: "payment_id"
+        }
+      });
+    }
+
+    // Sandbox payments are recorded by the simulator; there is no gateway to ask
+    if (order.mode === "test") {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Payment ${payment_id} has not been captured`,
+          source: "business",
+          field: "payment_id"
+        }
+      });
+    }
+
+    // Not captured on our side yet - ask the gateway before changing anything
+    const gateway = inferGatewayFromPaymentId(payment_id) || order.gateway;
+    if (!gateway) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Payment ${payment_id} was not found on any gateway`,
+          source: "business",
+          field: "payment_id"
+        }
+      });
+    }
+
+    let gatewayPayment;
+    try {
+      const settings = await getGatewaySettingsById(gateway);
+      gatewayPayment = await fetchGatewayPaymentStatus(settings, { paymentId: payment_id });
+    } catch (err) {
+      console.error(`[Verify] ${gateway} lookup failed for ${payment_id}:`, err.message);
+      return res.status(502).json({
+        error: {
+          code: "GATEWAY_ERROR",
+          description: "Could not confirm the payment with the gateway. Please retry.",
+          source: "gateway"
+        }
+      });
+    }
+
+    // The gateway payment must come from one of this order's checkout attempts.
+    // The signature is keyed with the caller's own secret, so it cannot vouch for that.
+    const belongsToOrder = Boolean(gatewayPayment.gatewayOrderId) && Boolean(await Payment.exists({
+      orderId: order.orderId,
+      gateway,
+      gatewayOrderId: String(gatewayPayment.gatewayOrderId)
+    }));
+    const capturedAmount = gatewayPayment.amount;
+    const amountMatches = order.partialPayment
+      ? capturedAmount > 0 && capturedAmount <= getAmountDue(order)
+      : capturedAmount === getAmountDue(order);
+
+    if (!belongsToOrder || !amountMatches) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Payment ${payment_id} does not match order ${order_id}`,
+          source: "business",
+          field: "payment_id"
+        }
+      });
+    }
+
+    if (gatewayPayment.status !== "captured") {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Payment ${payment_id} has not been captured (status: ${gatewayPayment.status})`,
+          source: "gateway",
+          field: "payment_id"
         }
       });
     }
 
+    // Records the capture (once), credits the merchant and sends webhooks
+    await captureOrderPayment(order, {
+      paymentId: payment_id,
+      gateway,
+      gatewayOrderId: gatewayPayment.gatewayOrderId,
+      amount: capturedAmount,
+      signature
+    });
+
+    res.json({
+      status: "verified",
+      message: "Payment signature verified successfully"
+    });
+
   } catch (error) {
     console.error("Verify Payment Error:", error);
     res.status(500).json({
@@ -304,20 +585,54 @@ router.post("/payments/verify", async (req, res) => {
   }
 });
 
+/**
+ * ✅ FETCH ALL PAYMENTS
+ * GET /api/v1/payments
+ * 
+ * Lists payment attempts across all orders, newest first
+ * Query params: from, to, status (created, captured, failed), count, starting_after, skip
+ */
+router.get("/payments", requireScope("payments:read"), validateRequest("listPayments"), async (req, res) => {
+  try {
+    const collection = await listCollection(
+      Payment,
+      { merchantId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      serializePaymentAttempt,
+      { statuses: PAYMENT_STATUSES }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Payments Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch payments",
+        source: "internal"
+      }
+    });
+  }
+});
+
 /**
  * ✅ FETCH PAYMENT BY ID
  * GET /api/v1/payments/:paymentId
  */
-router.get("/payments/:paymentId", async (req, res) => {
+router.get("/payments/:paymentId", requireScope("payments:read"), validateRequest("fetchPayment"), async (req, res) => {
   try {
     const { paymentId } = req.params;
 
-    const transaction = await Order.findOne({
-      paymentId,
-      merchantId: req.apiUser.userId
+    // Gateway payment id, or the attempt id of one not yet captured
+    const payment = await Payment.findOne({
+      $or: [{ paymentId }, { attemptId: paymentId }],
+      merchantId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
     });
 
-    if (!transaction) {
+    if (!payment) {
       return res.status(404).json({
         error: {
           code: "BAD_REQUEST_ERROR",
@@ -327,19 +642,7 @@ router.get("/payments/:paymentId", async (req, res) => {
       });
     }
 
-    res.json({
-      id: transaction.paymentId,
-      entity: "payment",
-      amount: transaction.amount,
-      currency: transaction.currency,
-      status: transaction.status === "paid" ? "captured" : transaction.status,
-      order_id: transaction.orderId,
-      method: transaction.paymentMethod || "upi",
-      description: transaction.notes?.description || null,
-      email: transaction.customerEmail || null,
-      contact: transaction.customerPhone || null,
-      created_at: Math.floor(new Date(transaction.createdAt).getTime() / 1000)
-    });
+    res.json(serializePaymentAttempt(payment));
 
   } catch (error) {
     console.error("Fetch Payment Error:", error);
@@ -356,15 +659,34 @@ router.get("/payments/:paymentId", async (req, res) => {
 /**
  * ✅ CREATE REFUND
  * POST /api/v1/payments/:paymentId/refunds
+ *
+ * Refunds a captured payment, fully or partially. Several partial refunds
+ * are allowed until the payment's captured amount is used up. The refund amount is
+ * debited from the merchant balance and refunded on the capturing gateway.
+ *
+ * Request Body:
+ * {
+ *   "amount": 10000,     // In paise, optional (defaults to the remaining refundable amount)
+ *   "notes": { ... }
+ * }
  */
-router.post("/payments/:paymentId/refunds", async (req, res) => {
+router.post("/payments/:paymentId/refunds", requireScope("refunds:write"), validateRequest("createRefund"), async (req, res) => {
   try {
     const { paymentId } = req.params;
     const { amount, notes } = req.body;
 
-    const transaction = await Order.findOne({
+    // Partial-payment orders have several captures; orders paid before
+    // attempts were recorded are found by their payment id
+    const payment = await Payment.findOne({
       paymentId,
-      merchantId: req.apiUser.userId
+      merchantId: req.apiUser.userId,
+      status: "captured",
+      ...modeScope(req.apiUser)
+    });
+    const transaction = await Order.findOne({
+      ...(payment ? { orderId: payment.orderId } : { paymentId }),
+      merchantId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
     });
 
     if (!transaction) {
@@ -377,36 +699,33 @@ router.post("/payments/:paymentId/refunds", async (req, res) => {
       });
     }
 
-    if (transaction.status !== "paid") {
-      return res.status(400).json({
+    let refund;
+    try {
+      refund = await createRefund(transaction, { amount, notes: notes || {}, paymentId });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({
         error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Refund can only be initiated for captured payments",
-          source: "business"
+          code: err.code || "BAD_REQUEST_ERROR",
+          description: err.message,
+          source: "business",
+          field: err.code === "BAD_REQUEST_ERROR" ? "amount" : undefined
         }
       });
     }
 
-    const refundAmount = amount || transaction.amount;
-    const refundId = "rfnd_" + crypto.randomBytes(10).toString("hex");
-
-    // Update transaction
-    transaction.status = "refunded";
-    transaction.refundId = refundId;
-    transaction.refundAmount = refundAmount;
-    transaction.refundedAt = new Date();
-    await transaction.save();
+    if (refund.status === "failed") {
+      return res.status(502).json({
+        error: {
+          code: "GATEWAY_ERROR",
+          description: `Refund could not be processed by the gateway: ${refund.failureReason}`,
+          source: "gateway",
+          metadata: { refund_id: refund.refundId }
+        }
+      });
+    }
 
-    res.json({
-      id: refundId,
-      entity: "refund",
-      amount: refundAmount,
-      currency: transaction.currency,
-      payment_id: paymentId,
-      notes: notes || {},
-      status: "processed",
-      created_at: Math.floor(Date.now() / 1000)
-    });
+    res.json(serializeRefund(refund));
 
   } catch (error) {
     console.error("Create Refund Error:", error);
@@ -421,38 +740,951 @@ router.post("/payments/:paymentId/refunds", async (req, res) => {
 });
 
 /**
- * ✅ TEST API CONNECTION
- * GET /api/v1/test
- * 
- * Simple endpoint to test if API keys are working
+ * ✅ FETCH REFUNDS FOR A PAYMENT
+ * GET /api/v1/payments/:paymentId/refunds
  */
-router.get("/test", (req, res) => {
-  res.json({
-    success: true,
-    message: "API connection successful!",
-    user: {
-      email: req.apiUser.email,
-      mode: req.apiUser.mode,
-      keyId: req.apiUser.keyId.substring(0, 15) + "..."
-    },
-    timestamp: new Date().toISOString()
-  });
+router.get("/payments/:paymentId/refunds", requireScope("refunds:read"), validateRequest("listPaymentRefunds"), async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const collection = await listCollection(
+      Refund,
+      { paymentId, merchantId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      serializeRefund,
+      { statuses: REFUND_STATUSES, notesField: "notes" }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Payment Refunds Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch refunds",
+        source: "internal"
+      }
+    });
+  }
 });
 
-// ============================================
-// PAYOUT API ROUTES
-// ============================================
+/**
+ * ✅ FETCH REFUND BY ID
+ * GET /api/v1/refunds/:refundId
+ *
+ * Pending refunds are refreshed from the gateway before responding
+ */
+router.get("/refunds/:refundId", requireScope("refunds:read"), validateRequest("fetchRefund"), async (req, res) => {
+  try {
+    const { refundId } = req.params;
 
-// Helper function to generate unique payout ID
-const generatePayoutId = () => {
-  return "pout_" + crypto.randomBytes(10).toString("hex");
-};
+    let refund = await Refund.findOne({
+      refundId,
+      merchantId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
+    });
+
+    if (!refund) {
+      return res.status(404).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Refund ${refundId} not found`,
+          source: "business"
+        }
+      });
+    }
+
+    refund = await syncRefundStatus(refund);
+
+    res.json(serializeRefund(refund));
+
+  } catch (error) {
+    console.error("Fetch Refund Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch refund",
+        source: "internal"
+      }
+    });
+  }
+});
 
 /**
- * ✅ CREATE PAYOUT
+ * ✅ FETCH ALL REFUNDS
+ * GET /api/v1/refunds
+ *
+ * Query params: from, to, status, notes.<key>, count, starting_after, skip
+ * (same semantics as GET /api/v1/orders)
+ */
+router.get("/refunds", requireScope("refunds:read"), validateRequest("listRefunds"), async (req, res) => {
+  try {
+    const collection = await listCollection(
+      Refund,
+      { merchantId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      serializeRefund,
+      { statuses: REFUND_STATUSES, notesField: "notes" }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Refunds Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch refunds",
+        source: "internal"
+      }
+    });
+  }
+});
+
+// ============================================
+// CUSTOMER API ROUTES
+// ============================================
+
+// Find a customer owned by the API key's merchant
+const findMerchantCustomer = (apiUser, customerId) =>
+  Customer.findOne({ customerId, merchantId: apiUser.userId, ...modeScope(apiUser) });
+
+const customerNotFound = (res, customerId) =>
+  res.status(404).json({
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: `Customer ${customerId} not found`,
+      source: "business"
+    }
+  });
+
+/**
+ * ✅ CREATE CUSTOMER
+ * POST /api/v1/customers
+ *
+ * Request Body:
+ * {
+ *   "name": "Asha Rao",
+ *   "email": "asha@example.com",   // email and/or contact is required
+ *   "contact": "+919876543210",
+ *   "gstin": "29ABCDE1234F2Z5",     // Optional
+ *   "fail_existing": true,          // false returns the existing customer with the same email/contact
+ *   "notes": { ... }
+ * }
+ */
+router.post("/customers", requireScope("customers:write"), validateRequest("createCustomer"), async (req, res) => {
+  try {
+    const { name, email, contact, gstin, notes, fail_existing = true } = req.body;
+
+    const { customer } = await createCustomer(
+      req.apiUser.userId,
+      req.apiUser.mode,
+      { name, email, contact, gstin, notes },
+      { failExisting: fail_existing !== false && fail_existing !== "0" }
+    );
+
+    res.json(serializeCustomer(customer));
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Create Customer Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to create customer",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH CUSTOMER
+ * GET /api/v1/customers/:customerId
+ */
+router.get("/customers/:customerId", requireScope("customers:read"), validateRequest("fetchCustomer"), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await findMerchantCustomer(req.apiUser, customerId);
+    if (!customer) return customerNotFound(res, customerId);
+
+    res.json(serializeCustomer(customer));
+
+  } catch (error) {
+    console.error("Fetch Customer Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch customer",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH ALL CUSTOMERS
+ * GET /api/v1/customers
+ *
+ * Query params: from, to, notes.<key>, count, starting_after, skip
+ * (same semantics as GET /api/v1/orders)
+ */
+router.get("/customers", requireScope("customers:read"), validateRequest("listCustomers"), async (req, res) => {
+  try {
+    const collection = await listCollection(
+      Customer,
+      { merchantId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      serializeCustomer,
+      { notesField: "notes" }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Customers Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch customers",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ UPDATE CUSTOMER
+ * PATCH /api/v1/customers/:customerId
+ *
+ * Request Body: any of name, email, contact, gstin, notes.
+ * Existing orders and payment links keep the details they were created with.
+ */
+router.patch("/customers/:customerId", requireScope("customers:write"), validateRequest("updateCustomer"), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { name, email, contact, gstin, notes } = req.body;
+
+    validateCustomerInput({ name, email, contact }, { partial: true });
+
+    const customer = await findMerchantCustomer(req.apiUser, customerId);
+    if (!customer) return customerNotFound(res, customerId);
+
+    if (name !== undefined) customer.name = name;
+    if (email !== undefined) customer.email = email;
+    if (contact !== undefined) customer.contact = contact;
+    if (gstin !== undefined) customer.gstin = gstin;
+    if (notes !== undefined) customer.notes = notes || {};
+
+    if (!customer.email && !customer.contact) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "A customer needs an email or a contact",
+          source: "business",
+          field: "email"
+        }
+      });
+    }
+
+    await customer.save();
+
+    res.json(serializeCustomer(customer));
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Update Customer Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to update customer",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ DELETE CUSTOMER
+ * DELETE /api/v1/customers/:customerId
+ *
+ * Orders, payments and payment links keep their customer_id and details
+ */
+router.delete("/customers/:customerId", requireScope("customers:write"), validateRequest("deleteCustomer"), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await findMerchantCustomer(req.apiUser, customerId);
+    if (!customer) return customerNotFound(res, customerId);
+
+    await customer.deleteOne();
+
+    res.json({ id: customer.customerId, entity: "customer", deleted: true });
+
+  } catch (error) {
+    console.error("Delete Customer Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to delete customer",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH PAYMENTS FOR A CUSTOMER
+ * GET /api/v1/customers/:customerId/payments
+ *
+ * Payments on orders created with this customer_id (payment links:
+ * GET /api/v1/payment_links?customer_id=...)
+ *
+ * Query params: from, to, status (created, captured, failed), count, starting_after, skip
+ */
+router.get("/customers/:customerId/payments", requireScope("payments:read"), validateRequest("listCustomerPayments"), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await findMerchantCustomer(req.apiUser, customerId);
+    if (!customer) return customerNotFound(res, customerId);
+
+    const collection = await listCollection(
+      Payment,
+      { merchantId: req.apiUser.userId, customerId: customer.customerId, ...modeScope(req.apiUser) },
+      req.query,
+      serializePaymentAttempt,
+      { statuses: PAYMENT_STATUSES }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Customer Payments Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch customer payments",
+        source: "internal"
+      }
+    });
+  }
+});
+
+// ============================================
+// PAYMENT LINK API ROUTES
+// ============================================
+
+// Find a payment link owned by the API key's merchant
+const findMerchantPaymentLink = (apiUser, linkId) =>
+  PaymentLink.findOne({ linkId, userId: apiUser.userId, ...modeScope(apiUser) });
+
+const paymentLinkNotFound = (res, linkId) =>
+  res.status(404).json({
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: `Payment link ${linkId} not found`,
+      source: "business"
+    }
+  });
+
+/**
+ * ✅ CREATE PAYMENT LINK
+ * POST /api/v1/payment_links
+ *
+ * Request Body:
+ * {
+ *   "amount": 50000,                 // Amount in paise (₹500.00)
+ *   "description": "Invoice #42",
+ *   "customer": { "name": "Asha", "email": "asha@example.com", "contact": "9999999999" },
+ *   "customer_id": "cust_...",       // Optional; customer details default to this customer's
+ *   "reference_id": "INV-42",        // Optional, unique per merchant
+ *   "expire_by": 1735689600,         // Optional unix timestamp; the link is valid until the end of that day
+ *   "notify": { "email": true },     // Email the link to the customer (default true)
+ *   "notes": { ... }
+ * }
+ *
+ * The response's short_url is the hosted checkout page (/pay/:linkId).
+ * Payment links can only be created with live keys.
+ */
+router.post("/payment_links", requireScope("payment_links:write"), validateRequest("createPaymentLink"), async (req, res) => {
+  try {
+    const {
+      amount,
+      description,
+      customer_id,
+      reference_id,
+      expire_by,
+      notify = {},
+      notes
+    } = req.body;
+
+    if (req.apiUser.mode === "test") {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "Payment links are not available in test mode. Use a live key.",
+          source: "business"
+        }
+      });
+    }
+
+    const savedCustomer = await resolveCustomer(req.apiUser.userId, req.apiUser.mode, customer_id);
+    const customer = {
+      name: req.body.customer?.name || savedCustomer?.name,
+      email: req.body.customer?.email || savedCustomer?.email,
+      contact: req.body.customer?.contact || savedCustomer?.contact
+    };
+
+    if (!customer.name || !customer.email || !/^\S+@\S+\.\S+$/.test(customer.email)) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "customer.name and a valid customer.email are required",
+          source: "business",
+          field: "customer"
+        }
+      });
+    }
+
+    if (expire_by && expire_by * 1000 <= Date.now()) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "expire_by must be a unix timestamp in the future",
+          source: "business",
+          field: "expire_by"
+        }
+      });
+    }
+
+    if (reference_id) {
+      const duplicate = await PaymentLink.exists({
+        userId: req.apiUser.userId,
+        referenceId: String(reference_id),
+        status: { $ne: "cancelled" }
+      });
+      if (duplicate) {
+        return res.status(400).json({
+          error: {
+            code: "BAD_REQUEST_ERROR",
+            description: `reference_id ${reference_id} is already used by another payment link`,
+            source: "business",
+            field: "reference_id"
+          }
+        });
+      }
+    }
+
+    const merchant = await User.findById(req.apiUser.userId);
+    if (!merchant) {
+      return res.status(404).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "Merchant not found",
+          source: "business"
+        }
+      });
+    }
+
+    const paymentLink = await createPaymentLink(merchant, {
+      customerName: customer.name,
+      customerEmail: customer.email,
+      customerPhone: customer.contact || null,
+      customerId: savedCustomer ? savedCustomer.customerId : null,
+      amount,
+      description,
+      dueDate: expire_by ? new Date(expire_by * 1000) : null,
+      referenceId: reference_id ? String(reference_id) : null,
+      notes: notes || {},
+      source: "api"
+    });
+
+    if (notify.email !== false) {
+      await sendPaymentLinkEmail(paymentLink, merchant);
+    }
+
+    res.json(serializePaymentLink(paymentLink));
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Create Payment Link Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to create payment link",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH PAYMENT LINK
+ * GET /api/v1/payment_links/:linkId
+ *
+ * Includes the payment (id, gateway, amount, paid_at) once the link is paid
+ */
+router.get("/payment_links/:linkId", requireScope("payment_links:read"), validateRequest("fetchPaymentLink"), async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const paymentLink = await findMerchantPaymentLink(req.apiUser, linkId);
+    if (!paymentLink) return paymentLinkNotFound(res, linkId);
+
+    await expirePaymentLinkIfDue(paymentLink);
+
+    res.json(serializePaymentLink(paymentLink));
+
+  } catch (error) {
+    console.error("Fetch Payment Link Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch payment link",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH ALL PAYMENT LINKS
+ * GET /api/v1/payment_links
+ *
+ * Query params: from, to, status, receipt (matches reference_id), customer_id,
+ * notes.<key>, count, starting_after, skip (same semantics as GET /api/v1/orders)
+ */
+router.get("/payment_links", requireScope("payment_links:read"), validateRequest("listPaymentLinks"), async (req, res) => {
+  try {
+    const collection = await listCollection(
+      PaymentLink,
+      { userId: req.apiUser.userId, ...modeScope(req.apiUser), ...customerFilter(req.query) },
+      req.query,
+      serializePaymentLink,
+      { statuses: PAYMENT_LINK_STATUSES, receiptField: "referenceId", notesField: "notes" }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch Payment Links Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch payment links",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ CANCEL PAYMENT LINK
+ * POST /api/v1/payment_links/:linkId/cancel
+ *
+ * Only pending links can be cancelled
+ */
+router.post("/payment_links/:linkId/cancel", requireScope("payment_links:write"), validateRequest("cancelPaymentLink"), async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const paymentLink = await findMerchantPaymentLink(req.apiUser, linkId);
+    if (!paymentLink) return paymentLinkNotFound(res, linkId);
+
+    await expirePaymentLinkIfDue(paymentLink);
+
+    if (!(await cancelPaymentLink(paymentLink))) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Payment link cannot be cancelled in status ${paymentLink.status}`,
+          source: "business"
+        }
+      });
+    }
+
+    res.json(serializePaymentLink(paymentLink));
+
+  } catch (error) {
+    console.error("Cancel Payment Link Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to cancel payment link",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ RESEND PAYMENT LINK
+ * POST /api/v1/payment_links/:linkId/notify
+ *
+ * Emails the link to the customer again (pending links only)
+ */
+router.post("/payment_links/:linkId/notify", requireScope("payment_links:write"), validateRequest("notifyPaymentLink"), async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const paymentLink = await findMerchantPaymentLink(req.apiUser, linkId);
+    if (!paymentLink) return paymentLinkNotFound(res, linkId);
+
+    if (await expirePaymentLinkIfDue(paymentLink) || paymentLink.status !== "pending") {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `Payment link cannot be sent in status ${paymentLink.status}`,
+          source: "business"
+        }
+      });
+    }
+
+    const merchant = await User.findById(req.apiUser.userId);
+    const emailSent = await sendPaymentLinkEmail(paymentLink, merchant);
+
+    if (!emailSent) {
+      return res.status(502).json({
+        error: {
+          code: "SERVER_ERROR",
+          description: "The notification email could not be sent",
+          source: "internal"
+        }
+      });
+    }
+
+    res.json({ success: true, notify_count: paymentLink.notifyCount });
+
+  } catch (error) {
+    console.error("Notify Payment Link Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to send payment link",
+        source: "internal"
+      }
+    });
+  }
+});
+
+// ============================================
+// QR CODE API ROUTES
+// ============================================
+
+// Find a QR code owned by the API key's merchant
+const findMerchantQrCode = (apiUser, qrId) =>
+  QRCode.findOne({ qrId, userId: apiUser.userId, ...modeScope(apiUser) });
+
+const qrCodeNotFound = (res, qrId) =>
+  res.status(404).json({
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: `QR code ${qrId} not found`,
+      source: "business"
+    }
+  });
+
+/**
+ * ✅ CREATE QR CODE
+ * POST /api/v1/qr_codes
+ *
+ * Request Body:
+ * {
+ *   "usage": "single_use",       // single_use (dynamic, fixed amount) or multiple_use (static, any amount)
+ *   "payment_amount": 50000,     // Amount in paise - required for single_use
+ *   "name": "Counter 3",
+ *   "description": "Bill #1042",
+ *   "close_by": 1735689600,      // Optional unix timestamp for single_use (default: 15 minutes)
+ *   "notes": { ... }
+ * }
+ *
+ * image_url is the gateway UPI QR image when the active gateway could create
+ * one; short_url is what the QR encodes. QR codes need live keys.
+ */
+router.post("/qr_codes", requireScope("qr_codes:write"), validateRequest("createQrCode"), async (req, res) => {
+  try {
+    const {
+      usage = "single_use",
+      payment_amount,
+      name,
+      description,
+      close_by,
+      notes
+    } = req.body;
+
+    if (req.apiUser.mode === "test") {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "QR codes are not available in test mode. Use a live key.",
+          source: "business"
+        }
+      });
+    }
+
+    const merchant = await User.findById(req.apiUser.userId);
+    if (!merchant) {
+      return res.status(404).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "Merchant not found",
+          source: "business"
+        }
+      });
+    }
+
+    if (usage === "multiple_use") {
+      const qrCode = await createStaticQr(merchant, { name, description, notes: notes || {}, source: "api" });
+      return res.json(serializeQrCode(qrCode));
+    }
+
+    if (payment_amount === undefined) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "payment_amount is required for single_use QR codes",
+          source: "business",
+          field: "payment_amount"
+        }
+      });
+    }
+
+    if (close_by && close_by * 1000 <= Date.now() + 60000) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "close_by must be a unix timestamp at least a minute in the future",
+          source: "business",
+          field: "close_by"
+        }
+      });
+    }
+
+    const { qrCode } = await createDynamicQr(merchant, {
+      amount: payment_amount,
+      name,
+      description,
+      expiresAt: close_by ? new Date(close_by * 1000) : null,
+      notes: notes || {},
+      source: "api"
+    });
+
+    res.json(serializeQrCode(qrCode));
+
+  } catch (error) {
+    console.error("Create QR Code Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to create QR code",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH QR CODE
+ * GET /api/v1/qr_codes/:qrId
+ *
+ * Status is active, paid (single_use), expired or closed, with the count
+ * and total of payments received
+ */
+router.get("/qr_codes/:qrId", requireScope("qr_codes:read"), validateRequest("fetchQrCode"), async (req, res) => {
+  try {
+    const { qrId } = req.params;
+
+    const qrCode = await findMerchantQrCode(req.apiUser, qrId);
+    if (!qrCode) return qrCodeNotFound(res, qrId);
+
+    await expireQrIfDue(qrCode);
+
+    res.json(serializeQrCode(qrCode));
+
+  } catch (error) {
+    console.error("Fetch QR Code Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch QR code",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH ALL QR CODES
+ * GET /api/v1/qr_codes
+ *
+ * Query params: from, to, status, notes.<key>, count, starting_after, skip
+ * (same semantics as GET /api/v1/orders)
+ */
+router.get("/qr_codes", requireScope("qr_codes:read"), validateRequest("listQrCodes"), async (req, res) => {
+  try {
+    const collection = await listCollection(
+      QRCode,
+      { userId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      serializeQrCode,
+      { statuses: QR_CODE_STATUSES, notesField: "notes" }
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch QR Codes Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch QR codes",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH PAYMENTS FOR A QR CODE
+ * GET /api/v1/qr_codes/:qrId/payments
+ *
+ * Query params: from, to, count, starting_after, skip
+ */
+router.get("/qr_codes/:qrId/payments", requireScope("qr_codes:read"), validateRequest("listQrCodePayments"), async (req, res) => {
+  try {
+    const { qrId } = req.params;
+
+    const qrCode = await findMerchantQrCode(req.apiUser, qrId);
+    if (!qrCode) return qrCodeNotFound(res, qrId);
+
+    const collection = await listCollection(
+      Transaction,
+      { userId: qrCode.userId, referenceId: qrCode.qrId, type: "Credit", category: "payment" },
+      req.query,
+      serializeQrPayment
+    );
+
+    res.json(collection);
+
+  } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
+    console.error("Fetch QR Payments Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch QR code payments",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ CLOSE QR CODE
+ * POST /api/v1/qr_codes/:qrId/close
+ *
+ * Stops an active QR from accepting payments before its close_by
+ */
+router.post("/qr_codes/:qrId/close", requireScope("qr_codes:write"), validateRequest("closeQrCode"), async (req, res) => {
+  try {
+    const { qrId } = req.params;
+
+    const qrCode = await findMerchantQrCode(req.apiUser, qrId);
+    if (!qrCode) return qrCodeNotFound(res, qrId);
+
+    await expireQrIfDue(qrCode);
+
+    if (!(await closeQrCode(qrCode))) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: `QR code cannot be closed in status ${qrCode.status}`,
+          source: "business"
+        }
+      });
+    }
+
+    res.json(serializeQrCode(qrCode));
+
+  } catch (error) {
+    console.error("Close QR Code Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to close QR code",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ TEST API CONNECTION
+ * GET /api/v1/test
+ * 
+ * Simple endpoint to test if API keys are working
+ */
+router.get("/test", validateRequest("testConnection"), (req, res) => {
+  res.json({
+    success: true,
+    message: "API connection successful!",
+    user: {
+      email: req.apiUser.email,
+      mode: req.apiUser.mode,
+      keyId: req.apiUser.keyId.substring(0, 15) + "...",
+      scopes: req.apiUser.scopes
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================
+// PAYOUT API ROUTES
+// ============================================
+
+// Helper function to generate unique payout ID
+const generatePayoutId = () => {
+  return "pout_" + crypto.randomBytes(10).toString("hex");
+};
+
+// Format a PayoutRequest as the public "payout" entity
+const formatPayout = (payout) => ({
+  id: payout.payoutId || payout._id,
+  entity: "payout",
+  amount: payout.amount,
+  currency: "INR",
+  method: payout.method,
+  status: payout.status,
+  bank_account: payout.method === "bank" ? {
+    account_number: payout.accountNumber ? payout.accountNumber.slice(-4).padStart(payout.accountNumber.length, "*") : null,
+    ifsc_code: payout.ifscCode,
+    account_holder_name: payout.accountHolderName,
+    bank_name: payout.bankName
+  } : null,
+  upi: payout.method === "upi" ? { upi_id: payout.upiId } : null,
+  notes: payout.notes || {},
+  failure_reason: payout.rejectionReason || null,
+  transaction_id: payout.transactionId || null,
+  created_at: Math.floor(new Date(payout.createdAt).getTime() / 1000),
+  approved_at: payout.approvedAt ? Math.floor(new Date(payout.approvedAt).getTime() / 1000) : null,
+  completed_at: payout.completedAt ? Math.floor(new Date(payout.completedAt).getTime() / 1000) : null
+});
+
+/**
+ * ✅ CREATE PAYOUT
  * POST /api/v1/payouts
  * 
- * Creates a new payout request (requires admin approval)
+ * Creates a new payout request (requires admin approval). The amount is
+ * held on the balance until the payout is approved, rejected or cancelled.
  * 
  * Request Body for Bank Transfer:
  * {
@@ -479,98 +1711,86 @@ const generatePayoutId = () => {
  *   "notes": { ... }
  * }
  */
-router.post("/payouts", async (req, res) => {
+router.post("/payouts", requireScope("payouts:write"), validateRequest("createPayout"), async (req, res) => {
   try {
     const { amount, currency = "INR", method, bank_account, upi, notes } = req.body;
 
-    // Validate required fields
-    if (!amount || amount <= 0) {
+    // The document validates each object; which one is needed depends on method
+    const details = method === "bank" ? "bank_account" : "upi";
+    if (!req.body[details]) {
       return res.status(400).json({
         error: {
           code: "BAD_REQUEST_ERROR",
-          description: "The amount field is required and must be greater than 0",
-          field: "amount"
+          description: `${details} is required for method ${method}`,
+          source: "business",
+          field: details
         }
       });
     }
 
-    // Minimum amount validation (₹1.00 = 100 paise)
-    if (amount < 100) {
-      return res.status(400).json({
+    // Get user and check balance
+    const user = await User.findById(req.apiUser.userId);
+    if (!user) {
+      return res.status(404).json({
         error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "The minimum amount is 100 paise (₹1.00)",
-          field: "amount"
+          code: "NOT_FOUND_ERROR",
+          description: "Merchant account not found",
+          source: "business"
         }
       });
     }
 
-    // Validate method
-    if (!method || !["bank", "upi"].includes(method)) {
-      return res.status(400).json({
-        error: {
-          code: "BAD_REQUEST_ERROR",
-          description: "Invalid method. Must be 'bank' or 'upi'",
-          field: "method"
-        }
-      });
-    }
+    // Sandbox: test payouts complete instantly against the test ledger
+    if (req.apiUser.mode === "test") {
+      const payoutId = generatePayoutId();
 
-    // Validate bank account details
-    if (method === "bank") {
-      if (!bank_account || !bank_account.account_number || !bank_account.ifsc_code || !bank_account.account_holder_name) {
-        return res.status(400).json({
-          error: {
-            code: "BAD_REQUEST_ERROR",
-            description: "Bank account details are required: account_number, ifsc_code, account_holder_name",
-            field: "bank_account"
-          }
-        });
-      }
-    }
+      const debited = await debitTestLedger(req.apiUser.userId, amount, {
+        category: "payout",
+        referenceId: payoutId,
+        description: `Test payout ${payoutId}`
+      });
 
-    // Validate UPI details
-    if (method === "upi") {
-      if (!upi || !upi.upi_id) {
+      if (!debited) {
         return res.status(400).json({
           error: {
-            code: "BAD_REQUEST_ERROR",
-            description: "UPI ID is required",
-            field: "upi"
+            code: "INSUFFICIENT_BALANCE",
+            description: `Insufficient test balance. Available: ${formatRupees(user.testBalance)}, Required: ${formatRupees(amount)}`,
+            source: "business"
           }
         });
       }
-    }
 
-    // Get user and check balance
-    const user = await User.findById(req.apiUser.userId);
-    if (!user) {
-      return res.status(404).json({
-        error: {
-          code: "NOT_FOUND_ERROR",
-          description: "Merchant account not found"
-        }
+      const testPayout = await PayoutRequest.create({
+        payoutId,
+        vendorId: req.apiUser.userId,
+        amount,
+        method,
+        accountNumber: method === "bank" ? bank_account.account_number : null,
+        ifscCode: method === "bank" ? bank_account.ifsc_code : null,
+        accountHolderName: method === "bank" ? bank_account.account_holder_name : null,
+        bankName: method === "bank" ? (bank_account.bank_name || null) : null,
+        upiId: method === "upi" ? upi.upi_id : null,
+        status: "completed",
+        completedAt: new Date(),
+        transactionId: debited.entryId,
+        notes: notes || {},
+        source: "api",
+        apiKeyId: req.apiUser.keyId,
+        mode: "test"
       });
-    }
 
-    // Convert amount from paise to rupees for balance check
-    const amountInRupees = amount / 100;
-    if (user.balance < amountInRupees) {
-      return res.status(400).json({
-        error: {
-          code: "INSUFFICIENT_BALANCE",
-          description: `Insufficient balance. Available: ₹${user.balance}, Required: ₹${amountInRupees}`
-        }
+      return res.status(200).json({
+        ...formatPayout(testPayout),
+        message: "Test payout completed (simulated)"
       });
     }
-
     const payoutId = generatePayoutId();
 
     // Create payout request
     const payoutRequest = new PayoutRequest({
       payoutId,
       vendorId: req.apiUser.userId,
-      amount: amountInRupees,
+      amount,
       method,
       accountNumber: method === "bank" ? bank_account.account_number : null,
       ifscCode: method === "bank" ? bank_account.ifsc_code : null,
@@ -583,7 +1803,28 @@ router.post("/payouts", async (req, res) => {
       apiKeyId: req.apiUser.keyId
     });
 
-    await payoutRequest.save();
+    // Hold the amount until the payout is approved, rejected or cancelled
+    const hold = await runInTransaction(async (session) => {
+      const placed = await placeHold(user._id, amount, {
+        referenceType: "payout_request",
+        referenceId: payoutRequest._id,
+        session
+      });
+      if (placed) {
+        await payoutRequest.save({ session });
+      }
+      return placed;
+    });
+
+    if (!hold) {
+      return res.status(400).json({
+        error: {
+          code: "INSUFFICIENT_BALANCE",
+          description: `Insufficient balance. Available: ${formatRupees(getBalanceSummary(user).available)}, Required: ${formatRupees(amount)}`,
+          source: "business"
+        }
+      });
+    }
 
     res.status(200).json({
       id: payoutId,
@@ -609,7 +1850,8 @@ router.post("/payouts", async (req, res) => {
     res.status(500).json({
       error: {
         code: "SERVER_ERROR",
-        description: "Failed to create payout request"
+        description: "Failed to create payout request",
+        source: "internal"
       }
     });
   }
@@ -621,52 +1863,35 @@ router.post("/payouts", async (req, res) => {
  * 
  * Fetch details of a specific payout
  */
-router.get("/payouts/:payoutId", async (req, res) => {
+router.get("/payouts/:payoutId", requireScope("payouts:read"), validateRequest("fetchPayout"), async (req, res) => {
   try {
     const { payoutId } = req.params;
 
     const payout = await PayoutRequest.findOne({
       $or: [{ payoutId }, { _id: payoutId }],
-      vendorId: req.apiUser.userId
+      vendorId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
     });
 
     if (!payout) {
       return res.status(404).json({
         error: {
           code: "NOT_FOUND_ERROR",
-          description: "Payout not found"
-        }
-      });
-    }
-
-    res.json({
-      id: payout.payoutId || payout._id,
-      entity: "payout",
-      amount: payout.amount * 100, // Convert to paise
-      currency: "INR",
-      method: payout.method,
-      status: payout.status,
-      bank_account: payout.method === "bank" ? {
-        account_number: payout.accountNumber ? payout.accountNumber.slice(-4).padStart(payout.accountNumber.length, "*") : null,
-        ifsc_code: payout.ifscCode,
-        account_holder_name: payout.accountHolderName,
-        bank_name: payout.bankName
-      } : null,
-      upi: payout.method === "upi" ? { upi_id: payout.upiId } : null,
-      notes: payout.notes || {},
-      failure_reason: payout.rejectionReason || null,
-      transaction_id: payout.transactionId || null,
-      created_at: Math.floor(new Date(payout.createdAt).getTime() / 1000),
-      approved_at: payout.approvedAt ? Math.floor(new Date(payout.approvedAt).getTime() / 1000) : null,
-      completed_at: payout.completedAt ? Math.floor(new Date(payout.completedAt).getTime() / 1000) : null
-    });
+          description: "Payout not found",
+          source: "business"
+        }
+      });
+    }
+
+    res.json(formatPayout(payout));
 
   } catch (error) {
     console.error("Get Payout Error:", error);
     res.status(500).json({
       error: {
         code: "SERVER_ERROR",
-        description: "Failed to fetch payout details"
+        description: "Failed to fetch payout details",
+        source: "internal"
       }
     });
   }
@@ -676,59 +1901,36 @@ router.get("/payouts/:payoutId", async (req, res) => {
  * ✅ LIST ALL PAYOUTS
  * GET /api/v1/payouts
  * 
- * Fetch all payouts for the merchant
+ * Fetch all payouts for the merchant, newest first
  * 
  * Query Parameters:
- * - status: Filter by status (requested, approved, rejected, processing, completed, failed)
+ * - from / to: Unix timestamps (inclusive) on created_at
+ * - status: Filter by status (requested, approved, rejected, processing, completed, failed, cancelled)
+ * - notes.<key>: Exact match on a notes field
  * - count: Number of records (default: 10, max: 100)
- * - skip: Number of records to skip (default: 0)
+ * - starting_after: next_cursor from the previous page
+ * - skip: Number of records to skip, when not using starting_after
  */
-router.get("/payouts", async (req, res) => {
+router.get("/payouts", requireScope("payouts:read"), validateRequest("listPayouts"), async (req, res) => {
   try {
-    const { status, count = 10, skip = 0 } = req.query;
-
-    const query = { vendorId: req.apiUser.userId };
-    if (status) {
-      query.status = status;
-    }
+    const collection = await listCollection(
+      PayoutRequest,
+      { vendorId: req.apiUser.userId, ...modeScope(req.apiUser) },
+      req.query,
+      formatPayout,
+      { statuses: PAYOUT_STATUSES, notesField: "notes" }
+    );
 
-    const limit = Math.min(parseInt(count) || 10, 100);
-    const offset = parseInt(skip) || 0;
-
-    const payouts = await PayoutRequest.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(offset);
-
-    const total = await PayoutRequest.countDocuments(query);
-
-    res.json({
-      entity: "collection",
-      count: payouts.length,
-      total,
-      items: payouts.map(payout => ({
-        id: payout.payoutId || payout._id,
-        entity: "payout",
-        amount: payout.amount * 100,
-        currency: "INR",
-        method: payout.method,
-        status: payout.status,
-        bank_account: payout.method === "bank" ? {
-          account_number: payout.accountNumber ? payout.accountNumber.slice(-4).padStart(payout.accountNumber.length, "*") : null,
-          ifsc_code: payout.ifscCode,
-          account_holder_name: payout.accountHolderName
-        } : null,
-        upi: payout.method === "upi" ? { upi_id: payout.upiId } : null,
-        created_at: Math.floor(new Date(payout.createdAt).getTime() / 1000)
-      }))
-    });
+    res.json(collection);
 
   } catch (error) {
+    if (error.statusCode) return sendBusinessError(res, error);
     console.error("List Payouts Error:", error);
     res.status(500).json({
       error: {
         code: "SERVER_ERROR",
-        description: "Failed to list payouts"
+        description: "Failed to list payouts",
+        source: "internal"
       }
     });
   }
@@ -740,20 +1942,22 @@ router.get("/payouts", async (req, res) => {
  * 
  * Cancel a pending payout request (only if status is 'requested')
  */
-router.post("/payouts/:payoutId/cancel", async (req, res) => {
+router.post("/payouts/:payoutId/cancel", requireScope("payouts:write"), validateRequest("cancelPayout"), async (req, res) => {
   try {
     const { payoutId } = req.params;
 
     const payout = await PayoutRequest.findOne({
       $or: [{ payoutId }, { _id: payoutId }],
-      vendorId: req.apiUser.userId
+      vendorId: req.apiUser.userId,
+      ...modeScope(req.apiUser)
     });
 
     if (!payout) {
       return res.status(404).json({
         error: {
           code: "NOT_FOUND_ERROR",
-          description: "Payout not found"
+          description: "Payout not found",
+          source: "business"
         }
       });
     }
@@ -762,13 +1966,34 @@ router.post("/payouts/:payoutId/cancel", async (req, res) => {
       return res.status(400).json({
         error: {
           code: "BAD_REQUEST_ERROR",
-          description: `Cannot cancel payout with status '${payout.status}'. Only 'requested' payouts can be cancelled.`
+          description: `Cannot cancel payout with status '${payout.status}'. Only 'requested' payouts can be cancelled.`,
+          source: "business"
         }
       });
     }
 
-    payout.status = "cancelled";
-    await payout.save();
+    // Cancel and release the hold together; conditional so it cannot race an approval
+    const cancelled = await runInTransaction(async (session) => {
+      const updated = await PayoutRequest.findOneAndUpdate(
+        { _id: payout._id, status: "requested" },
+        { $set: { status: "cancelled" } },
+        { new: true, session }
+      );
+      if (updated) {
+        await releaseHold(payout._id, "Cancelled via API", session);
+      }
+      return updated;
+    });
+
+    if (!cancelled) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "Cannot cancel payout: it was processed meanwhile",
+          source: "business"
+        }
+      });
+    }
 
     res.json({
       id: payout.payoutId || payout._id,
@@ -782,7 +2007,8 @@ router.post("/payouts/:payoutId/cancel", async (req, res) => {
     res.status(500).json({
       error: {
         code: "SERVER_ERROR",
-        description: "Failed to cancel payout"
+        description: "Failed to cancel payout",
+        source: "internal"
       }
     });
   }
@@ -792,9 +2018,10 @@ router.post("/payouts/:payoutId/cancel", async (req, res) => {
  * ✅ GET ACCOUNT BALANCE
  * GET /api/v1/balance
  * 
- * Get current account balance
+ * Get current account balance, the part reserved by pending payouts and
+ * the available remainder (the sandbox test balance for test keys)
  */
-router.get("/balance", async (req, res) => {
+router.get("/balance", requireScope("balance:read"), validateRequest("fetchBalance"), async (req, res) => {
   try {
     const user = await User.findById(req.apiUser.userId);
     
@@ -802,16 +2029,26 @@ router.get("/balance", async (req, res) => {
       return res.status(404).json({
         error: {
           code: "NOT_FOUND_ERROR",
-          description: "Account not found"
+          description: "Account not found",
+          source: "business"
         }
       });
     }
 
+    // Test keys see the sandbox ledger only (test payouts settle instantly, so nothing is reserved)
+    const { balance, reserved, available } = req.apiUser.mode === "test"
+      ? getBalanceSummary({ balance: user.testBalance })
+      : getBalanceSummary(user);
+
     res.json({
       entity: "balance",
-      balance: user.balance * 100, // In paise
+      balance, // In paise
+      reserved_balance: reserved,
+      available_balance: available,
       currency: "INR",
-      balance_formatted: `₹${user.balance.toFixed(2)}`
+      mode: req.apiUser.mode,
+      balance_formatted: formatRupees(balance),
+      available_balance_formatted: formatRupees(available)
     });
 
   } catch (error) {
@@ -819,10 +2056,434 @@ router.get("/balance", async (req, res) => {
     res.status(500).json({
       error: {
         code: "SERVER_ERROR",
-        description: "Failed to fetch balance"
+        description: "Failed to fetch balance",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ GET API USAGE
+ * GET /api/v1/usage
+ * 
+ * Request counters per API key, endpoint and UTC day, plus current limits
+ * 
+ * Query Parameters:
+ * - from / to: UTC days as YYYY-MM-DD (default: the last 7 days)
+ * - key_id: Only this key (default: all keys of the account)
+ */
+router.get("/usage", requireScope("usage:read"), validateRequest("fetchUsage"), async (req, res) => {
+  try {
+    const to = req.query.to || toUsageDate();
+    const from = req.query.from || toUsageDate(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000));
+
+    const rows = await getUsage({
+      merchantId: req.apiUser.userId,
+      keyIds: req.query.key_id ? [req.query.key_id] : null,
+      from,
+      to
+    });
+
+    const limits = getRateLimits(req.apiUser);
+
+    res.json({
+      entity: "usage",
+      from,
+      to,
+      rate_limit: {
+        window_seconds: limits.windowSeconds,
+        per_key: limits.key,
+        per_account: limits.merchant
+      },
+      total_requests: rows.reduce((sum, row) => sum + row.count, 0),
+      count: rows.length,
+      items: rows.map((row) => ({
+        key_id: row.keyId,
+        date: row.date,
+        endpoint: row.endpoint,
+        requests: row.count,
+        errors: row.errorCount,
+        rate_limited: row.rateLimitedCount
+      }))
+    });
+
+  } catch (error) {
+    console.error("Get Usage Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch API usage",
+        source: "internal"
+      }
+    });
+  }
+});
+
+// ============================================
+// WEBHOOK API ROUTES
+// ============================================
+
+// Helper function to generate unique webhook endpoint ID
+const generateWebhookId = () => {
+  return "wh_" + crypto.randomBytes(10).toString("hex");
+};
+
+const formatWebhookEndpoint = (endpoint, { includeSecret = false } = {}) => ({
+  id: endpoint.endpointId,
+  entity: "webhook",
+  url: endpoint.url,
+  description: endpoint.description || "",
+  events: endpoint.events,
+  active: endpoint.isEnabled,
+  secret: includeSecret ? endpoint.secret : undefined,
+  created_at: Math.floor(new Date(endpoint.createdAt).getTime() / 1000),
+  updated_at: Math.floor(new Date(endpoint.updatedAt).getTime() / 1000)
+});
+
+const formatWebhookDelivery = (delivery) => ({
+  id: delivery.deliveryId,
+  entity: "webhook_delivery",
+  webhook_id: delivery.endpointId,
+  event_id: delivery.eventId,
+  event: delivery.event,
+  url: delivery.url,
+  order_id: delivery.orderId,
+  status: delivery.status,
+  attempt_count: delivery.attemptCount,
+  attempts: (delivery.attempts || []).map((attempt) => ({
+    status_code: attempt.statusCode,
+    latency_ms: attempt.latencyMs,
+    response_body: attempt.responseBody || "",
+    error: attempt.error,
+    attempted_at: Math.floor(new Date(attempt.attemptedAt).getTime() / 1000)
+  })),
+  next_attempt_at: delivery.status === "pending"
+    ? Math.floor(new Date(delivery.nextAttemptAt).getTime() / 1000)
+    : null,
+  delivered_at: delivery.deliveredAt ? Math.floor(new Date(delivery.deliveredAt).getTime() / 1000) : null,
+  created_at: Math.floor(new Date(delivery.createdAt).getTime() / 1000)
+});
+
+const findWebhookEndpoint = (req) =>
+  WebhookEndpoint.findOne({
+    endpointId: req.params.webhookId,
+    merchantId: req.apiUser.userId
+  });
+
+const webhookNotFound = (res, webhookId) =>
+  res.status(404).json({
+    error: {
+      code: "NOT_FOUND_ERROR",
+      description: `Webhook ${webhookId} not found`,
+      source: "business"
+    }
+  });
+
+/**
+ * ✅ CREATE WEBHOOK ENDPOINT
+ * POST /api/v1/webhooks
+ *
+ * Request Body:
+ * {
+ *   "url": "https://yoursite.com/webhooks",
+ *   "events": ["payment.captured", "refund.processed"],   // or ["*"]
+ *   "description": "Production listener"
+ * }
+ *
+ * The signing secret is returned only in this response.
+ */
+router.post("/webhooks", requireScope("webhooks:write"), validateRequest("createWebhook"), async (req, res) => {
+  try {
+    const { url, events = ["*"], description } = req.body;
+
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return invalidWebhookUrl(res, "url", urlError);
+    }
+
+    const endpoint = await WebhookEndpoint.create({
+      endpointId: generateWebhookId(),
+      merchantId: req.apiUser.userId,
+      url,
+      description: description || "",
+      events: [...new Set(events)],
+      secret: generateEndpointSecret(),
+      isEnabled: true
+    });
+
+    res.status(200).json(formatWebhookEndpoint(endpoint, { includeSecret: true }));
+
+  } catch (error) {
+    console.error("Create Webhook Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to create webhook",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ LIST WEBHOOK ENDPOINTS
+ * GET /api/v1/webhooks
+ */
+router.get("/webhooks", requireScope("webhooks:read"), validateRequest("listWebhooks"), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({
+      merchantId: req.apiUser.userId
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      entity: "collection",
+      count: endpoints.length,
+      items: endpoints.map((endpoint) => formatWebhookEndpoint(endpoint))
+    });
+
+  } catch (error) {
+    console.error("List Webhooks Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to list webhooks",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ FETCH WEBHOOK ENDPOINT
+ * GET /api/v1/webhooks/:webhookId
+ */
+router.get("/webhooks/:webhookId", requireScope("webhooks:read"), validateRequest("fetchWebhook"), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req);
+    if (!endpoint) {
+      return webhookNotFound(res, req.params.webhookId);
+    }
+
+    res.json(formatWebhookEndpoint(endpoint));
+
+  } catch (error) {
+    console.error("Fetch Webhook Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to fetch webhook",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ UPDATE WEBHOOK ENDPOINT
+ * PATCH /api/v1/webhooks/:webhookId
+ *
+ * Any of: url, events, description, active (false disables the endpoint)
+ */
+router.patch("/webhooks/:webhookId", requireScope("webhooks:write"), validateRequest("updateWebhook"), async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const endpoint = await findWebhookEndpoint(req);
+    if (!endpoint) {
+      return webhookNotFound(res, req.params.webhookId);
+    }
+
+    if (url !== undefined) {
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) {
+        return invalidWebhookUrl(res, "url", urlError);
+      }
+      endpoint.url = url;
+    }
+
+    if (events !== undefined) {
+      endpoint.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+      endpoint.description = description || "";
+    }
+
+    if (active !== undefined) {
+      endpoint.isEnabled = active;
+      endpoint.disabledAt = endpoint.isEnabled ? undefined : new Date();
+    }
+
+    await endpoint.save();
+
+    res.json(formatWebhookEndpoint(endpoint));
+
+  } catch (error) {
+    console.error("Update Webhook Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to update webhook",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ DELETE WEBHOOK ENDPOINT
+ * DELETE /api/v1/webhooks/:webhookId
+ *
+ * Delivery logs are kept; pending retries to this endpoint stop.
+ */
+router.delete("/webhooks/:webhookId", requireScope("webhooks:write"), validateRequest("deleteWebhook"), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOneAndDelete({
+      endpointId: req.params.webhookId,
+      merchantId: req.apiUser.userId
+    });
+
+    if (!endpoint) {
+      return webhookNotFound(res, req.params.webhookId);
+    }
+
+    res.json({
+      id: endpoint.endpointId,
+      entity: "webhook",
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error("Delete Webhook Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to delete webhook",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ LIST WEBHOOK DELIVERIES
+ * GET /api/v1/webhooks/:webhookId/deliveries
+ *
+ * Every delivery with its attempts (status code, latency, response body snippet)
+ * Query params: status (pending, delivered, failed), event, count, skip
+ */
+router.get("/webhooks/:webhookId/deliveries", requireScope("webhooks:read"), validateRequest("listWebhookDeliveries"), async (req, res) => {
+  try {
+    const { status, event, count = 10, skip = 0 } = req.query;
+
+    const endpoint = await findWebhookEndpoint(req);
+    if (!endpoint) {
+      return webhookNotFound(res, req.params.webhookId);
+    }
+
+    const query = {
+      merchantId: req.apiUser.userId,
+      endpointId: endpoint.endpointId
+    };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const limit = Math.min(parseInt(count) || 10, 100);
+    const offset = parseInt(skip) || 0;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      entity: "collection",
+      count: deliveries.length,
+      total,
+      items: deliveries.map(formatWebhookDelivery)
+    });
+
+  } catch (error) {
+    console.error("List Webhook Deliveries Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to list webhook deliveries",
+        source: "internal"
+      }
+    });
+  }
+});
+
+/**
+ * ✅ REDELIVER WEBHOOK
+ * POST /api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ *
+ * Sends the original event again immediately and returns the updated delivery
+ */
+router.post("/webhooks/:webhookId/deliveries/:deliveryId/redeliver", requireScope("webhooks:write"), validateRequest("redeliverWebhook"), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req);
+    if (!endpoint) {
+      return webhookNotFound(res, req.params.webhookId);
+    }
+
+    if (!endpoint.isEnabled) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "Enable the webhook before redelivering events",
+          source: "business"
+        }
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOne({
+      deliveryId: req.params.deliveryId,
+      endpointId: endpoint.endpointId,
+      merchantId: req.apiUser.userId
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND_ERROR",
+          description: `Delivery ${req.params.deliveryId} not found`,
+          source: "business"
+        }
+      });
+    }
+
+    // Send to the endpoint's current URL
+    const updated = await redeliver(delivery, { url: endpoint.url });
+    if (!updated) {
+      return res.status(409).json({
+        error: {
+          code: "BAD_REQUEST_ERROR",
+          description: "This delivery is being sent right now; try again shortly",
+          source: "business"
+        }
+      });
+    }
+
+    res.json(formatWebhookDelivery(updated));
+
+  } catch (error) {
+    console.error("Redeliver Webhook Error:", error);
+    res.status(500).json({
+      error: {
+        code: "SERVER_ERROR",
+        description: "Failed to redeliver webhook",
+        source: "internal"
       }
     });
   }
 });
 
+// Refuse to start when a route is missing from the OpenAPI document (or the reverse)
+assertRoutesDocumented(router);
+
 module.exports = router;
@@ -3,15 +3,47 @@ const router = express.Router();
 const crypto = require("crypto");
 const ApiTokenRequest = require("../models/apiTokenRequest.model");
 const User = require("../models/user.model");
+const { getRateLimits, getUsage, getKeyUsageSummary, toUsageDate } = require("../config/usageHelper");
+const {
+  API_SCOPES,
+  normalizeScopes,
+  issueTokenSecret,
+  rotateTokenSecret,
+  serializeApiToken,
+} = require("../config/apiKeyHelper");
 
 // Generate unique key ID (always live mode)
 const generateKeyId = () => {
   return "sat_live_" + crypto.randomBytes(12).toString("hex");
 };
 
-// Generate secret key
-const generateSecretKey = () => {
-  return crypto.randomBytes(32).toString("hex");
+// Usage counters, last use and effective rate limits for approved keys
+const getKeyActivity = async (keyIds) => {
+  const summary = await getKeyUsageSummary(keyIds);
+  const owners = await User.find({ "apiTokens.keyId": { $in: keyIds } })
+    .select("apiTokens.keyId apiTokens.lastUsed apiTokens.rateLimit apiRateLimit");
+
+  const activity = {};
+  for (const owner of owners) {
+    for (const token of owner.apiTokens) {
+      if (!keyIds.includes(token.keyId)) continue;
+      const limits = getRateLimits({ rateLimit: token.rateLimit, merchantRateLimit: owner.apiRateLimit });
+      activity[token.keyId] = {
+        lastUsed: token.lastUsed || null,
+        rateLimit: { perKey: limits.key, perMerchant: limits.merchant, windowSeconds: limits.windowSeconds },
+        usage: summary[token.keyId] || { today: 0, last30Days: 0, errors30Days: 0, rateLimited30Days: 0 },
+      };
+    }
+  }
+  return activity;
+};
+
+// Approved request owned by the user, with its key
+const findApprovedToken = async (tokenId, userId) => {
+  if (!userId) return null;
+  const request = await ApiTokenRequest.findOne({ _id: tokenId, userId, status: "approved" });
+  if (!request || !request.keyId) return null;
+  return request;
 };
 
 // =============================================
@@ -21,12 +53,19 @@ const generateSecretKey = () => {
 // ✅ Create API Token Request (User)
 router.post("/request", async (req, res) => {
   try {
-    const { userId, name, mode = "live" } = req.body;
+    const { userId, name, mode = "live", scopes } = req.body;
 
     if (!userId || !name) {
       return res.status(400).json({ message: "User ID and token name are required" });
     }
 
+    let requestedScopes;
+    try {
+      requestedScopes = normalizeScopes(scopes);
+    } catch (err) {
+      return res.status(400).json({ message: err.message, allowedScopes: API_SCOPES });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -49,6 +88,7 @@ router.post("/request", async (req, res) => {
       userId,
       name,
       mode,
+      scopes: requestedScopes,
       status: "pending",
     });
 
@@ -75,10 +115,14 @@ router.get("/user/:userId", async (req, res) => {
     }
 
     // Get all requests for this user
-    const allRequests = await ApiTokenRequest.find({ userId }).sort({ createdAt: -1 });
-
-    // Separate approved tokens and pending/rejected requests
-    const approvedTokens = allRequests.filter((r) => r.status === "approved");
+    const allRequests = await ApiTokenRequest.find({ userId }).select("-secretKey").sort({ createdAt: -1 });
+
+    // Separate approved tokens and pending/rejected requests; approved ones carry
+    // the key's scopes and secret state (secrets are never returned here)
+    const keys = Object.fromEntries((user.apiTokens || []).map((t) => [t.keyId, serializeApiToken(t)]));
+    const approvedTokens = allRequests
+      .filter((r) => r.status === "approved")
+      .map((r) => ({ ...r.toJSON(), key: keys[r.keyId] || null }));
     const pendingRequests = allRequests.filter((r) => r.status === "pending");
     const rejectedRequests = allRequests.filter((r) => r.status === "rejected");
 
@@ -93,6 +137,64 @@ router.get("/user/:userId", async (req, res) => {
   }
 });
 
+// ✅ Get the Secret Key of an Approved Token (User) - shown only once
+router.post("/:tokenId/secret", async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const request = await findApprovedToken(req.params.tokenId, userId);
+    if (!request) {
+      return res.status(404).json({ message: "Approved API token not found" });
+    }
+
+    const secretKey = await issueTokenSecret(request.userId, request.keyId);
+
+    res.json({
+      message: "Store this secret key securely. It will not be shown again.",
+      keyId: request.keyId,
+      secretKey,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Error issuing secret key:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ✅ Rotate the Secret Key of an Approved Token (User)
+// Body: { userId, gracePeriodHours } - the old secret keeps working for the grace period
+router.post("/:tokenId/rotate", async (req, res) => {
+  try {
+    const { userId, gracePeriodHours } = req.body;
+
+    const request = await findApprovedToken(req.params.tokenId, userId);
+    if (!request) {
+      return res.status(404).json({ message: "Approved API token not found" });
+    }
+
+    const { secretKey, previousSecretExpiresAt } = await rotateTokenSecret(
+      request.userId,
+      request.keyId,
+      gracePeriodHours
+    );
+
+    res.json({
+      message: "Secret key rotated. Store the new secret securely. It will not be shown again.",
+      keyId: request.keyId,
+      secretKey,
+      previousSecretExpiresAt,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Error rotating secret key:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // ✅ Delete/Revoke API Token (User)
 router.delete("/:tokenId", async (req, res) => {
   try {
@@ -126,11 +228,17 @@ router.get("/admin/all", async (req, res) => {
       query.status = status;
     }
 
-    const requests = await ApiTokenRequest.find(query)
+    const requestDocs = await ApiTokenRequest.find(query)
       .populate("userId", "fullName email phone companyName balance")
       .populate("approvedBy", "fullName email")
       .sort({ createdAt: -1 });
 
+    const activity = await getKeyActivity(requestDocs.map((r) => r.keyId).filter(Boolean));
+    const requests = requestDocs.map((r) => ({
+      ...r.toJSON(),
+      activity: (r.keyId && activity[r.keyId]) || null,
+    }));
+
     // Stats
     const total = await ApiTokenRequest.countDocuments();
     const pending = await ApiTokenRequest.countDocuments({ status: "pending" });
@@ -163,14 +271,26 @@ router.get("/admin/:requestId", async (req, res) => {
       return res.status(404).json({ message: "Request not found" });
     }
 
-    res.json({ request });
+    if (!request.keyId) {
+      return res.json({ request, activity: null, usage: [] });
+    }
+
+    const activity = await getKeyActivity([request.keyId]);
+    const usage = await getUsage({
+      keyIds: [request.keyId],
+      from: toUsageDate(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)),
+      to: toUsageDate(),
+    });
+
+    res.json({ request, activity: activity[request.keyId] || null, usage });
   } catch (error) {
     console.error("Error fetching request:", error);
     res.status(500).json({ message: error.message });
   }
 });
 
-// ✅ Approve API Token Request (Admin) - No fee deduction, just generate keys
+// ✅ Approve API Token Request (Admin) - No fee deduction, just generate the key
+// The merchant gets the secret once via POST /:tokenId/secret
 router.put("/admin/approve/:requestId", async (req, res) => {
   try {
     const { requestId } = req.params;
@@ -190,14 +310,12 @@ router.put("/admin/approve/:requestId", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Generate keys (always live mode)
+    // Generate key (always live mode)
     const keyId = generateKeyId();
-    const secretKey = generateSecretKey();
 
     // Update request - No fee deduction
     request.status = "approved";
     request.keyId = keyId;
-    request.secretKey = secretKey;
     request.approvedAt = new Date();
     request.approvedBy = adminId;
     await request.save();
@@ -207,20 +325,20 @@ router.put("/admin/approve/:requestId", async (req, res) => {
     user.apiTokens.push({
       name: request.name,
       keyId: keyId,
-      secretKey: secretKey,
       mode: request.mode,
+      scopes: request.scopes && request.scopes.length ? request.scopes : undefined,
       status: "active",
       createdAt: new Date()
     });
     await user.save();
 
     res.json({
-      message: "API Token approved successfully. User can now use these credentials for payout requests.",
+      message: "API Token approved successfully. User can now generate the secret key and use these credentials for payout requests.",
       request: {
         _id: request._id,
         name: request.name,
         keyId: request.keyId,
-        secretKey: request.secretKey,
+        scopes: request.scopes,
         mode: request.mode,
         status: request.status,
         approvedAt: request.approvedAt,
@@ -232,6 +350,46 @@ router.put("/admin/approve/:requestId", async (req, res) => {
   }
 });
 
+// ✅ Set Rate Limits for a Key / its Merchant (Admin)
+// Body: { keyLimit, merchantLimit } - requests per window; null restores the default
+router.put("/admin/rate-limit/:requestId", async (req, res) => {
+  try {
+    const { keyLimit, merchantLimit } = req.body;
+
+    const isValidLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+    if (!isValidLimit(keyLimit) || !isValidLimit(merchantLimit)) {
+      return res.status(400).json({ message: "Limits must be positive integers or null" });
+    }
+
+    const request = await ApiTokenRequest.findById(req.params.requestId);
+    if (!request || !request.keyId) {
+      return res.status(404).json({ message: "Approved API token not found" });
+    }
+
+    const update = {};
+    if (keyLimit !== undefined) update["apiTokens.$.rateLimit"] = keyLimit;
+    if (merchantLimit !== undefined) update.apiRateLimit = merchantLimit;
+
+    const user = await User.findOneAndUpdate(
+      { _id: request.userId, "apiTokens.keyId": request.keyId },
+      { $set: update },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const activity = await getKeyActivity([request.keyId]);
+    res.json({
+      message: "Rate limits updated",
+      activity: activity[request.keyId] || null,
+    });
+  } catch (error) {
+    console.error("Error updating rate limits:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // ✅ Reject API Token Request (Admin)
 router.put("/admin/reject/:requestId", async (req, res) => {
   try {
@@ -6,6 +6,8 @@ const Withdrawal = require("../models/withdrawal.model");
 const Order = require("../models/order.model");
 const User = require("../models/user.model");
 const PayoutRequest = require("../models/payoutRequest.model");
+const { getBalanceSummary } = require("../config/holdHelper");
+const { toRupees } = require("../config/moneyHelper");
 
 // Get user dashboard stats
 router.get("/stats/:userId", async (req, res) => {
@@ -130,17 +132,18 @@ router.get("/stats/:userId", async (req, res) => {
       return ((recent - previous) / previous * 100).toFixed(1);
     };
 
-    const transTotal = totalTransactions[0]?.total || 0;
-    const transRecent = recentTransactions[0]?.total || 0;
-    const transPrevious = previousTransactions[0]?.total || 0;
+    // Totals are summed in paise; the dashboard shows rupees
+    const transTotal = toRupees(totalTransactions[0]?.total);
+    const transRecent = toRupees(recentTransactions[0]?.total);
+    const transPrevious = toRupees(previousTransactions[0]?.total);
 
-    const settleTotal = totalSettlements[0]?.total || 0;
-    const settleRecent = recentSettlements[0]?.total || 0;
-    const settlePrevious = previousSettlements[0]?.total || 0;
+    const settleTotal = toRupees(totalSettlements[0]?.total);
+    const settleRecent = toRupees(recentSettlements[0]?.total);
+    const settlePrevious = toRupees(previousSettlements[0]?.total);
 
-    const revTotal = totalRevenue[0]?.total || 0;
-    const revRecent = recentRevenue[0]?.total || 0;
-    const revPrevious = previousRevenue[0]?.total || 0;
+    const revTotal = toRupees(totalRevenue[0]?.total);
+    const revRecent = toRupees(recentRevenue[0]?.total);
+    const revPrevious = toRupees(previousRevenue[0]?.total);
 
     const custTotal = totalCustomers.length;
     const custRecent = recentCustomers.length;
@@ -182,9 +185,9 @@ router.get("/recent-transactions/:userId", async (req, res) => {
       transactionId: txn.transactionId || txn._id,
       description: txn.description || txn.customerName || (txn.type === "Credit" ? "Payment Received" : "Payout"),
       customerName: txn.customerName,
-      amount: txn.amount,
-      fee: txn.fee || 0,
-      netAmount: txn.netAmount || txn.amount,
+      amount: toRupees(txn.amount),
+      fee: toRupees(txn.fee),
+      netAmount: toRupees(txn.netAmount || txn.amount),
       type: txn.type,
       category: txn.category || 'other',
       method: txn.method || 'N/A',
@@ -210,7 +213,8 @@ router.get("/balance-summary/:userId", async (req, res) => {
     const { userId } = req.params;
     const userObjectId = new mongoose.Types.ObjectId(userId);
 
-    const user = await User.findById(userId).select("balance");
+    const user = await User.findById(userId).select("balance reservedBalance");
+    const { balance, reserved, available } = getBalanceSummary(user);
 
     // Pending withdrawals
     const pendingWithdrawals = await Withdrawal.aggregate([
@@ -225,9 +229,11 @@ router.get("/balance-summary/:userId", async (req, res) => {
     ]);
 
     res.json({
-      availableBalance: user?.balance || 0,
-      pendingWithdrawals: pendingWithdrawals[0]?.total || 0,
-      totalWithdrawn: totalWithdrawn[0]?.total || 0
+      balance: toRupees(balance),
+      reservedBalance: toRupees(reserved),
+      availableBalance: toRupees(available),
+      pendingWithdrawals: toRupees(pendingWithdrawals[0]?.total),
+      totalWithdrawn: toRupees(totalWithdrawn[0]?.total)
     });
 
   } catch (error) {
@@ -370,20 +376,21 @@ router.get("/admin-stats", async (req, res) => {
       return Number(((recent - previous) / previous) * 100).toFixed(1);
     };
 
-    const transTotal = totalTransactions[0]?.total || 0;
+    // Totals are summed in paise; the dashboard shows rupees
+    const transTotal = toRupees(totalTransactions[0]?.total);
     const transCount = totalTransactions[0]?.count || 0;
-    const transRecent = recentTransactions[0]?.total || 0;
-    const transPrevious = previousTransactions[0]?.total || 0;
+    const transRecent = toRupees(recentTransactions[0]?.total);
+    const transPrevious = toRupees(previousTransactions[0]?.total);
 
-    const revTotal = (totalRevenue[0]?.total || 0) / 100; // Convert from paise
+    const revTotal = toRupees(totalRevenue[0]?.total);
     const revCount = totalRevenue[0]?.count || 0;
-    const revRecent = (recentRevenue[0]?.total || 0) / 100;
-    const revPrevious = (previousRevenue[0]?.total || 0) / 100;
+    const revRecent = toRupees(recentRevenue[0]?.total);
+    const revPrevious = toRupees(previousRevenue[0]?.total);
 
-    const settleTotal = totalSettlements[0]?.total || 0;
+    const settleTotal = toRupees(totalSettlements[0]?.total);
     const settleCount = totalSettlements[0]?.count || 0;
-    const settleRecent = recentSettlements[0]?.total || 0;
-    const settlePrevious = previousSettlements[0]?.total || 0;
+    const settleRecent = toRupees(recentSettlements[0]?.total);
+    const settlePrevious = toRupees(previousSettlements[0]?.total);
 
     res.json({
       stats: {
@@ -410,31 +417,31 @@ router.get("/admin-stats", async (req, res) => {
         userChange: calcChange(newUsersThisMonth, newUsersLastMonth),
 
         // Today Stats
-        todayTransactions: todayTransactions[0]?.total || 0,
+        todayTransactions: toRupees(todayTransactions[0]?.total),
         todayTransactionCount: todayTransactions[0]?.count || 0,
-        todayRevenue: (todayRevenue[0]?.total || 0) / 100,
+        todayRevenue: toRupees(todayRevenue[0]?.total),
         todayRevenueCount: todayRevenue[0]?.count || 0,
 
         // Pending Items
-        pendingWithdrawals: pendingWithdrawals[0]?.total || 0,
+        pendingWithdrawals: toRupees(pendingWithdrawals[0]?.total),
         pendingWithdrawalCount: pendingWithdrawals[0]?.count || 0,
         pendingPayouts,
         approvedPayouts,
         completedPayouts,
-        totalPayoutAmount: totalPayoutAmount[0]?.total || 0,
+        totalPayoutAmount: toRupees(totalPayoutAmount[0]?.total),
 
         // Platform
-        platformBalance: platformBalance[0]?.total || 0,
+        platformBalance: toRupees(platformBalance[0]?.total),
       },
       weeklyData: weeklyData.map(d => ({
         date: d._id,
-        amount: d.total,
+        amount: toRupees(d.total),
         count: d.count
       })),
       recentTransactions: latestTransactions.map(t => ({
         id: t._id,
         transactionId: t.transactionId,
-        amount: t.amount,
+        amount: toRupees(t.amount),
         type: t.type,
         status: t.status,
         description: t.description,
@@ -5,14 +5,37 @@ const {
   SUPPORTED_GATEWAYS,
   SUPPORTED_GATEWAY_IDS,
   getGatewayMeta,
+  getGatewayAdapter,
+  validateCredentials,
+  hasRequiredExtraCredentials,
 } = require("../config/supportedGateways");
 
+const MASKED_SECRET = "••••••••••••••••••••••••";
+
+const hasCredentials = (gatewayDoc) =>
+  Boolean(gatewayDoc.keyId && gatewayDoc.keySecret) &&
+  hasRequiredExtraCredentials(gatewayDoc.gateway, gatewayDoc.extraCredentials);
+
 const isGatewayReadyForPayments = (gatewayDoc) => {
   if (!gatewayDoc || !gatewayDoc.isEnabled) return false;
-  if (!gatewayDoc.keyId || !gatewayDoc.keySecret) return false;
+  if (!getGatewayAdapter(gatewayDoc.gateway)) return false;
+  if (!hasCredentials(gatewayDoc)) return false;
   return true;
 };
 
+// Settings as the admin UI sees them: secrets masked
+const maskSecrets = (gatewayDoc) => {
+  const extraCredentials = { ...(gatewayDoc.extraCredentials || {}) };
+  for (const field of getGatewayMeta(gatewayDoc.gateway)?.extraFields || []) {
+    if (field.secret && extraCredentials[field.key]) extraCredentials[field.key] = MASKED_SECRET;
+  }
+  return {
+    ...gatewayDoc.toObject(),
+    keySecret: gatewayDoc.keySecret ? MASKED_SECRET : "",
+    extraCredentials,
+  };
+};
+
 // Seed and sync default gateways
 const seedDefaults = async () => {
   for (const gateway of SUPPORTED_GATEWAYS) {
@@ -35,6 +58,7 @@ const seedDefaults = async () => {
           setupNote: gateway.setupNote,
           keyIdLabel: gateway.keyIdLabel,
           keySecretLabel: gateway.keySecretLabel,
+          extraFields: gateway.extraFields,
           checkoutMode: gateway.checkoutMode,
           isIntegrated: Boolean(gateway.isIntegrated),
         },
@@ -68,10 +92,7 @@ router.get("/", async (req, res) => {
       : gateways;
 
     // Mask secrets for frontend
-    const masked = refreshedGateways.map((g) => ({
-      ...g.toObject(),
-      keySecret: g.keySecret ? "••••••••••••••••••••••••" : "",
-    }));
+    const masked = refreshedGateways.map(maskSecrets);
     const activeGateway = refreshedGateways.find((g) => g.isActive);
     res.json({
       success: true,
@@ -97,7 +118,7 @@ router.get("/", async (req, res) => {
 router.put("/:gateway", async (req, res) => {
   try {
     const { gateway } = req.params;
-    const { keyId, keySecret, isEnabled, isTestMode, checkoutUrl } = req.body;
+    const { keyId, keySecret, extraCredentials, isEnabled, isTestMode, checkoutUrl } = req.body;
 
     if (!SUPPORTED_GATEWAY_IDS.includes(gateway)) {
       return res.status(400).json({ message: "Invalid gateway" });
@@ -108,11 +129,27 @@ router.put("/:gateway", async (req, res) => {
       return res.status(404).json({ message: "Gateway not found" });
     }
 
-    if (keyId !== undefined) settings.keyId = keyId;
-    // Only update secret if a new one is provided (not masked)
-    if (keySecret && !keySecret.startsWith("••")) {
-      settings.keySecret = keySecret;
+    // Only update secrets if a new one is provided (not masked)
+    const newSecret = keySecret && !keySecret.startsWith("••") ? keySecret : null;
+    const extra = { ...(settings.extraCredentials || {}) };
+    if (extraCredentials && typeof extraCredentials === "object") {
+      for (const field of getGatewayMeta(gateway)?.extraFields || []) {
+        const value = extraCredentials[field.key];
+        if (value === undefined || String(value).startsWith("••")) continue;
+        extra[field.key] = String(value || "").trim();
+      }
+    }
+
+    // Malformed credentials are refused here rather than failing at payment time
+    const invalid = validateCredentials(gateway, { keySecret: newSecret, extra });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
     }
+
+    if (keyId !== undefined) settings.keyId = keyId;
+    if (newSecret) settings.keySecret = newSecret;
+    settings.extraCredentials = extra;
+    settings.markModified("extraCredentials");
     if (isEnabled !== undefined) settings.isEnabled = isEnabled;
     if (isTestMode !== undefined) settings.isTestMode = isTestMode;
     if (checkoutUrl !== undefined) settings.checkoutUrl = String(checkoutUrl || "").trim();
@@ -125,6 +162,7 @@ router.put("/:gateway", async (req, res) => {
       settings.setupNote = meta.setupNote;
       settings.keyIdLabel = meta.keyIdLabel;
       settings.keySecretLabel = meta.keySecretLabel;
+      settings.extraFields = meta.extraFields;
       settings.checkoutMode = meta.checkoutMode;
       settings.isIntegrated = Boolean(meta.isIntegrated);
     }
@@ -132,7 +170,7 @@ router.put("/:gateway", async (req, res) => {
     await settings.save();
 
     // Auto-activate: if this gateway is now enabled with credentials and no other gateway is active, set it as active
-    if (settings.isEnabled && settings.keyId && settings.keySecret) {
+    if (settings.isEnabled && hasCredentials(settings) && getGatewayAdapter(gateway)) {
       const anyActive = await GatewaySettings.findOne({ isActive: true });
       if (!anyActive) {
         await GatewaySettings.updateMany({}, { isActive: false });
@@ -150,10 +188,7 @@ router.put("/:gateway", async (req, res) => {
     res.json({
       success: true,
       message: "Gateway settings updated successfully",
-      gateway: {
-        ...settings.toObject(),
-        keySecret: settings.keySecret ? "••••••••••••••••••••••••" : "",
-      },
+      gateway: maskSecrets(settings),
     });
   } catch (error) {
     console.error("Update Gateway Settings Error:", error);
@@ -177,13 +212,20 @@ router.post("/set-active/:gateway", async (req, res) => {
       return res.status(404).json({ message: "Gateway not found" });
     }
 
+    // Only gateways with an adapter can take payments
+    if (!getGatewayAdapter(gateway)) {
+      return res
+        .status(400)
+        .json({ message: `${settings.label} is not integrated yet` });
+    }
+
     if (!settings.isEnabled) {
       return res
         .status(400)
         .json({ message: "Enable the gateway first before setting it active" });
     }
 
-    if (!settings.keyId || !settings.keySecret) {
+    if (!hasCredentials(settings)) {
       return res
         .status(400)
         .json({ message: "Configure gateway credentials first" });
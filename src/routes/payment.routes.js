@@ -1,66 +1,112 @@
 const express = require("express");
 const router = express.Router();
-const razorpay = require("../config/razorpay");
 const {
-  getRazorpayInstance,
-  getActiveGatewaySettings,
+  getGatewaySettingsById,
+  resolveGatewaySettings,
   createGatewayOrder,
-  verifyPayUHash,
-  fetchCashfreeOrder,
+  verifyGatewayReturn,
+  fetchGatewayPaymentStatus,
 } = require("../config/gatewayHelper");
+const { settleGatewayPayment, failGatewayPayment } = require("../config/gatewayEventHelper");
 const upload = require("../middlewares/upload.middleware");
-const crypto = require("crypto");
+const authMiddleware = require("../middlewares/auth.middleware");
 
 const User = require("../models/user.model");
 const Transaction = require("../models/transaction.model");
 const Withdrawal = require("../models/withdrawal.model");
 const PaymentLink = require("../models/paymentLink.model");
 const Order = require("../models/order.model");
-const GatewaySettings = require("../models/gatewaySettings.model");
-const QRCode = require("../models/qrCode.model");
 const Settings = require("../models/settings.model");
 const paymentController = require("../controllers/paymentController");
+const {
+  createDepositIntent,
+  findDepositIntent,
+  settleDepositIntent,
+} = require("../config/depositHelper");
+const { getBalanceSummary } = require("../config/holdHelper");
+const {
+  createWithdrawalRequest,
+  approveWithdrawal,
+  rejectWithdrawal,
+} = require("../config/withdrawalHelper");
+const {
+  getAmountDue,
+  expireOrderIfDue,
+  resolveAttemptAmount,
+  startPaymentAttempt,
+  captureOrderPayment,
+  failOrderPayment,
+} = require("../config/orderHelper");
+const {
+  SANDBOX_GATEWAY,
+  SIMULATED_OUTCOMES,
+  isTestMode,
+  generateSandboxOrderId,
+  generateSandboxPaymentId,
+  buildSandboxCheckout,
+} = require("../config/sandboxHelper");
+const Payment = require("../models/payment.model");
+const {
+  getCheckoutUrl,
+  sendPaymentLinkEmail,
+  createPaymentLink,
+  expirePaymentLinkIfDue,
+} = require("../config/paymentLinkHelper");
+const { toPaise, toRupees, formatRupees, percentOf } = require("../config/moneyHelper");
+
+/**
+ * Frontend page a gateway redirect lands on for a flow and outcome
+ * ("success", "failed" or "pending"). Amounts are in paise.
+ */
+const getReturnPage = ({ flow, referenceId, outcome, amount, reason }) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const idParam = flow === "qr" ? "qrId" : "linkId";
 
-const resolveGatewaySettingsForVerification = async (gatewayHint) => {
-  if (gatewayHint) {
-    const hinted = await GatewaySettings.findOne({ gateway: gatewayHint, isEnabled: true });
-    if (hinted?.keySecret) {
-      return hinted;
-    }
+  if (flow !== "deposit" && referenceId) {
+    const page = outcome === "success" ? "success" : "failed";
+    const extra = outcome === "pending" ? "&reason=pending" : reason ? `&reason=${reason}` : "";
+    return `${frontendUrl}/payment/${page}?${idParam}=${referenceId}${extra}`;
+  }
+
+  if (outcome === "success" && amount) {
+    return `${frontendUrl}/user/deposit-money?status=success&amount=${toRupees(amount)}`;
   }
+  return `${frontendUrl}/user/deposit-money?status=${outcome}`;
+};
 
-  const { settings } = await getRazorpayInstance();
-  return settings;
+// Messages for the flows a hosted checkout returns to the frontend from
+const RETURN_FLOW_MESSAGES = {
+  deposit: { verified: "Deposit payment verified", notFound: "Deposit not found" },
+  checkout: { verified: "Checkout payment verified", notFound: "Payment order not found" },
+  qr: { verified: "QR payment verified", notFound: "QR order not found" },
 };
 
 
 // ============================
 // CREATE ORDER (Wallet Deposit)
 // ============================
-router.post("/create-order", async (req, res) => {
+router.post("/create-order", authMiddleware, async (req, res) => {
   try {
-    const { amount, userId } = req.body;
+    const { amount } = req.body;
 
-    if (!amount || Number(amount) <= 0) {
+    // Dashboard amounts are entered in rupees
+    const amountInPaise = toPaise(amount);
+    if (!amountInPaise || amountInPaise < 100) {
       return res.status(400).json({ message: "Invalid amount" });
     }
 
-    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
-    const result = await createGatewayOrder(amount, {
-      receipt: "deposit_" + Date.now(),
-      productinfo: "Wallet Deposit",
-      firstname: "User",
-      email: "user@satyampay.com",
-      flowType: "deposit",
-      customerId: userId || "",
-      udf1: userId || "",
-      surl: `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/payu/success`,
-      furl: `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/payu/failure`,
-    });
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // The intent binds the gateway order to this user and amount
+    const { intent, order } = await createDepositIntent(user, amountInPaise);
 
     return res.json({
       success: true,
-      ...result,
+      intentId: intent.intentId,
+      ...order,
     });
 
   } catch (error) {
@@ -81,56 +127,56 @@ router.post("/create-order", async (req, res) => {
 // ============================
 router.post("/verify", async (req, res) => {
   try {
+    // Native checkout return (razorpay_order_id, razorpay_payment_id, razorpay_signature)
     const {
       razorpay_order_id,
       razorpay_payment_id,
       razorpay_signature,
-      userId,
-      amount,
-      gateway,
+      gateway = "razorpay",
     } = req.body;
 
     // Validate input
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !userId || !amount) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
       return res.status(400).json({ success: false, message: "Missing payment details" });
     }
 
-    // Generate signature using active gateway secret
-    const gwSettings = await resolveGatewaySettingsForVerification(gateway);
-    const sign = razorpay_order_id + "|" + razorpay_payment_id;
-
-    const expectedSign = crypto
-      .createHmac("sha256", gwSettings.keySecret)
-      .update(sign)
-      .digest("hex");
-
-    if (expectedSign === razorpay_signature) {
-      // ✅ Update user balance
-      await User.findByIdAndUpdate(userId, {
-        $inc: { balance: Number(amount) }
-      });
-
-      // 📝 Create transaction record
-      await Transaction.create({
-        userId,
-        transactionId: razorpay_payment_id,
-        description: "Wallet Deposit via Razorpay",
-        type: "Credit",
-        amount: Number(amount),
-        status: "Completed",
-      });
-
-      return res.json({
-        success: true,
-        message: "Payment verified & balance updated"
-      });
+    // User and amount come from the intent opened at /create-order, never from the body
+    const intent = await findDepositIntent(gateway, razorpay_order_id);
+    if (!intent) {
+      return res.status(404).json({ success: false, message: "Deposit not found" });
+    }
 
-    } else {
+    const gwSettings = await resolveGatewaySettings(intent.gateway);
+    const verified = await verifyGatewayReturn(gwSettings, req.body);
+    if (!verified.verified) {
       return res.status(400).json({
         success: false,
         message: "Invalid signature"
       });
     }
+
+    // Credit what the gateway actually captured for this order
+    const captured = verified.amount !== null
+      ? verified
+      : await fetchGatewayPaymentStatus(gwSettings, { paymentId: verified.gatewayPaymentId });
+    if (captured.gatewayOrderId !== intent.gatewayOrderId) {
+      return res.status(400).json({ success: false, message: "Payment does not belong to this deposit" });
+    }
+    if (captured.status !== "captured") {
+      return res.status(400).json({ success: false, message: "Payment is not captured yet", status: captured.status });
+    }
+
+    // ✅ Update user balance and 📝 create the transaction record together
+    await settleDepositIntent(intent, {
+      gatewayPaymentId: verified.gatewayPaymentId,
+      amount: captured.amount,
+      description: `Wallet Deposit via ${gwSettings.label || gwSettings.gateway}`,
+    });
+
+    return res.json({
+      success: true,
+      message: "Payment verified & balance updated"
+    });
   } catch (error) {
     console.error("Verify Error:", error);
     res.status(500).json({
@@ -145,146 +191,34 @@ router.post("/verify", async (req, res) => {
 // PAYU SUCCESS CALLBACK
 // ============================
 router.post("/payu/success", async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
   try {
-    const { mihpayid, status, txnid, amount, productinfo, firstname, email, hash, key, udf1, udf2, udf3, udf4, udf5 } = req.body;
-
-    let payuSettings = await GatewaySettings.findOne({
-      gateway: "payu",
-      keyId: key,
-      isEnabled: true,
-    });
+    const payuSettings = await getGatewaySettingsById("payu");
 
-    if (!payuSettings) {
-      payuSettings = await GatewaySettings.findOne({ gateway: "payu", isEnabled: true });
-    }
-
-    if (!payuSettings?.keySecret) {
-      throw new Error("PayU credentials are not configured for callback verification");
+    // The reverse hash covers status, amount and the udf fields
+    const result = await verifyGatewayReturn(payuSettings, req.body);
+    if (!result.verified || result.status !== "captured") {
+      return res.redirect(`${frontendUrl}/payment/failed?reason=hash_mismatch`);
     }
 
-    // Verify hash
-    const expectedHash = verifyPayUHash(
-      { status, txnid, amount, productinfo, firstname, email, key: payuSettings.keyId, udf1, udf2, udf3, udf4, udf5 },
-      payuSettings.keySecret
-    );
-
-    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    // Deposits are found by txnid (their intent), udf2 contains linkId/qrId for checkouts
+    const settled = await settleGatewayPayment("payu", result);
+    const { flow, referenceId } = result;
 
-    if (hash === expectedHash && status === "success") {
-      // udf1 contains userId for deposits, udf2 contains linkId/qrId for checkouts
-      const userId = udf1;
-      const linkId = udf2;
-      const flowType = udf3 || "deposit"; // deposit, checkout, qr
-
-      if (flowType === "deposit" && userId) {
-        await User.findByIdAndUpdate(userId, {
-          $inc: { balance: Number(amount) },
-        });
-
-        await Transaction.create({
-          userId,
-          transactionId: mihpayid || txnid,
-          description: "Wallet Deposit via PayU",
-          type: "Credit",
-          amount: Number(amount),
-          status: "Completed",
-        });
-
-        return res.redirect(`${frontendUrl}/user/deposit-money?status=success&amount=${amount}`);
-      } else if (flowType === "checkout" && linkId) {
-        const paymentLink = await PaymentLink.findOne({ linkId });
-        if (paymentLink) {
-          paymentLink.status = "paid";
-          paymentLink.razorpayPaymentId = mihpayid || txnid;
-          paymentLink.paidAt = new Date();
-          await paymentLink.save();
-
-          await User.findByIdAndUpdate(paymentLink.userId, {
-            $inc: { balance: Number(paymentLink.amount) },
-          });
-
-          // Update existing pending transaction or create new one
-          const existingTxn = await Transaction.findOne({ referenceId: linkId, userId: paymentLink.userId });
-          if (existingTxn) {
-            existingTxn.status = "Completed";
-            existingTxn.transactionId = mihpayid || txnid;
-            existingTxn.description = `Payment from ${paymentLink.customerName} via PayU`;
-            await existingTxn.save();
-          } else {
-            await Transaction.create({
-              userId: paymentLink.userId,
-              transactionId: mihpayid || txnid,
-              description: `Payment from ${paymentLink.customerName} via PayU`,
-              type: "Credit",
-              amount: Number(paymentLink.amount),
-              status: "Completed",
-              category: "payment",
-              referenceId: linkId,
-            });
-          }
-        } else {
-          const apiOrder = await Order.findOne({ orderId: linkId });
-          if (apiOrder) {
-            const creditedAmount = Number(apiOrder.amount) / 100;
-
-            apiOrder.status = "paid";
-            apiOrder.paymentId = mihpayid || txnid;
-            apiOrder.paymentStatus = "captured";
-            apiOrder.amountPaid = Number(apiOrder.amount);
-            apiOrder.paidAt = new Date();
-            await apiOrder.save();
-
-            await User.findByIdAndUpdate(apiOrder.merchantId, {
-              $inc: { balance: creditedAmount },
-            });
-
-            await Transaction.create({
-              userId: apiOrder.merchantId,
-              transactionId: mihpayid || txnid,
-              description: `API order payment ${apiOrder.orderId} via PayU`,
-              type: "Credit",
-              amount: creditedAmount,
-              status: "Completed",
-            });
-          }
-        }
-        return res.redirect(`${frontendUrl}/payment/success?linkId=${linkId}`);
-      } else if (flowType === "qr" && linkId) {
-        const QRCode = require("../models/qrCode.model");
-        const qrCode = await QRCode.findOne({ qrId: linkId });
-        if (qrCode) {
-          qrCode.status = "paid";
-          qrCode.razorpayPaymentId = mihpayid || txnid;
-          qrCode.paidAt = new Date();
-          qrCode.paidBy = {
-            name: firstname || "Customer",
-            email: email || "",
-          };
-          await qrCode.save();
-
-          await User.findByIdAndUpdate(qrCode.userId, {
-            $inc: { balance: Number(qrCode.amount) },
-          });
-
-          await Transaction.create({
-            userId: qrCode.userId,
-            transactionId: mihpayid || txnid,
-            description: `QR Payment from ${firstname || "Customer"} via PayU`,
-            type: "Credit",
-            amount: Number(qrCode.amount),
-            status: "Completed",
-          });
-        }
-        return res.redirect(`${frontendUrl}/payment/success?qrId=${linkId}`);
+    if (flow === "deposit") {
+      if (!settled) {
+        return res.redirect(`${frontendUrl}/payment/failed?reason=deposit_not_found`);
       }
-
-      return res.redirect(`${frontendUrl}/user/deposit-money?status=success`);
-    } else {
-      return res.redirect(`${frontendUrl}/payment/failed?reason=hash_mismatch`);
+      return res.redirect(`${frontendUrl}/user/deposit-money?status=success&amount=${req.body.amount}`);
+    } else if (flow === "checkout" && referenceId) {
+      return res.redirect(`${frontendUrl}/payment/success?linkId=${referenceId}`);
+    } else if (flow === "qr" && referenceId) {
+      return res.redirect(`${frontendUrl}/payment/success?qrId=${referenceId}`);
     }
+
+    return res.redirect(`${frontendUrl}/user/deposit-money?status=success`);
   } catch (error) {
     console.error("PayU Success Callback Error:", error);
-    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
     return res.redirect(`${frontendUrl}/payment/failed?reason=server_error`);
   }
 });
@@ -296,6 +230,18 @@ router.post("/payu/failure", async (req, res) => {
   const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
   const { udf2, udf3 } = req.body;
 
+  // Fail the deposit intent, or tell API merchants about the failed attempt
+  // (payment links and QRs stay open for another try)
+  try {
+    const payuSettings = await getGatewaySettingsById("payu");
+    const result = await verifyGatewayReturn(payuSettings, req.body);
+    if (result.verified) {
+      await failGatewayPayment("payu", result);
+    }
+  } catch (err) {
+    console.error("PayU Failure Callback Error:", err);
+  }
+
   if (udf3 === "checkout" && udf2) {
     return res.redirect(`${frontendUrl}/payment/failed?linkId=${udf2}`);
   } else if (udf3 === "qr" && udf2) {
@@ -316,170 +262,165 @@ router.post("/cashfree/verify-return", async (req, res) => {
       return res.status(400).json({ success: false, message: "flow and orderId are required" });
     }
 
-    const cashfreeSettings = await GatewaySettings.findOne({
-      gateway: "cashfree",
-      isEnabled: true,
-    });
+    const messages = RETURN_FLOW_MESSAGES[flow];
+    if (!messages) {
+      return res.status(400).json({ success: false, message: "Unsupported flow" });
+    }
 
-    if (!cashfreeSettings || !cashfreeSettings.keyId || !cashfreeSettings.keySecret) {
+    let cashfreeSettings;
+    try {
+      cashfreeSettings = await getGatewaySettingsById("cashfree");
+    } catch {
       return res.status(400).json({ success: false, message: "Cashfree credentials are not configured" });
     }
 
-    const orderDetails = await fetchCashfreeOrder(
-      {
-        keyId: cashfreeSettings.keyId,
-        keySecret: cashfreeSettings.keySecret,
-        isTestMode: cashfreeSettings.isTestMode,
-      },
-      orderId
-    );
-
-    if (orderDetails?.order_status !== "PAID") {
+    // The return URL is unsigned; status and amount come from Cashfree
+    const result = await verifyGatewayReturn(cashfreeSettings, { orderId });
+    if (result.status !== "captured") {
       return res.status(400).json({
         success: false,
         message: "Payment is not completed yet",
-        status: orderDetails?.order_status,
+        status: result.gatewayStatus,
       });
     }
 
-    const amount = Number(orderDetails.order_amount || 0);
+    const settled = await settleGatewayPayment("cashfree", {
+      ...result,
+      flow,
+      referenceId: flow === "qr" ? qrId : linkId,
+    });
+    if (!settled) {
+      return res.status(404).json({ success: false, message: messages.notFound });
+    }
+
+    return res.json({ success: true, message: messages.verified });
+  } catch (error) {
+    console.error("Cashfree Verify Return Error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-    if (flow === "deposit") {
-      const userId = orderDetails?.customer_details?.customer_id;
-      if (!userId) {
-        return res.status(400).json({ success: false, message: "Unable to resolve user for deposit" });
-      }
 
-      const exists = await Transaction.findOne({ transactionId: orderId, userId });
-      if (!exists) {
-        await User.findByIdAndUpdate(userId, { $inc: { balance: amount } });
-        await Transaction.create({
-          userId,
-          transactionId: orderId,
-          description: "Wallet Deposit via Cashfree",
-          type: "Credit",
-          amount,
-          status: "Completed",
-        });
-      }
+// ============================
+// PHONEPE RETURN (customer redirect)
+// Final status comes from the S2S callback (/webhook/phonepe) or the status API
+// ============================
+router.post("/phonepe/return", async (req, res) => {
+  const flow = RETURN_FLOW_MESSAGES[req.query.flow] ? req.query.flow : "deposit";
+  const referenceId = req.query.ref || null;
 
-      return res.json({ success: true, message: "Deposit payment verified" });
+  try {
+    const phonepeSettings = await getGatewaySettingsById("phonepe");
+
+    // The redirect itself is not trusted; the status API decides
+    const result = await verifyGatewayReturn(phonepeSettings, req.body);
+    if (!result.verified) {
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "invalid_return" }));
     }
 
-    if (flow === "checkout") {
-      const paymentLink = await PaymentLink.findOne({
-        $or: [{ linkId }, { razorpayOrderId: orderId }],
-      });
+    if (result.status === "captured") {
+      const settled = await settleGatewayPayment("phonepe", { ...result, flow, referenceId });
+      if (!settled) {
+        return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "not_found" }));
+      }
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "success", amount: result.amount }));
+    }
 
-      if (paymentLink) {
-        if (paymentLink.status !== "paid") {
-          paymentLink.status = "paid";
-          paymentLink.razorpayPaymentId = orderId;
-          paymentLink.paidAt = new Date();
-          await paymentLink.save();
+    if (result.status === "failed") {
+      await failGatewayPayment("phonepe", { ...result, flow, referenceId });
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed" }));
+    }
 
-          await User.findByIdAndUpdate(paymentLink.userId, {
-            $inc: { balance: Number(paymentLink.amount) },
-          });
+    return res.redirect(getReturnPage({ flow, referenceId, outcome: "pending" }));
+  } catch (error) {
+    console.error("PhonePe Return Error:", error);
+    return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "server_error" }));
+  }
+});
 
-          const exists = await Transaction.findOne({
-            userId: paymentLink.userId,
-            transactionId: orderId,
-          });
-          if (!exists) {
-            await Transaction.create({
-              userId: paymentLink.userId,
-              transactionId: orderId,
-              description: `Payment from ${paymentLink.customerName} via Cashfree`,
-              type: "Credit",
-              amount: Number(paymentLink.amount),
-              status: "Completed",
-            });
-          }
-        }
 
-        return res.json({ success: true, message: "Checkout payment verified" });
-      }
+// ============================
+// CCAVENUE CALLBACK (redirect_url and cancel_url)
+// encResp carries the flow (merchant_param3) and link, order or QR id (merchant_param2)
+// ============================
+router.post("/ccavenue/callback", async (req, res) => {
+  let flow = "deposit";
+  let referenceId = null;
 
-      const apiOrder = await Order.findOne({ orderId: linkId });
-      if (!apiOrder) {
-        return res.status(404).json({ success: false, message: "Payment order not found" });
-      }
+  try {
+    const ccavenueSettings = await getGatewaySettingsById("ccavenue");
 
-      if (apiOrder.status !== "paid") {
-        const creditedAmount = Number(apiOrder.amount) / 100;
-        apiOrder.status = "paid";
-        apiOrder.paymentId = orderId;
-        apiOrder.paymentStatus = "captured";
-        apiOrder.amountPaid = Number(apiOrder.amount);
-        apiOrder.paidAt = new Date();
-        await apiOrder.save();
+    // encResp only names the order; status and amount come from CCAvenue's order status API
+    const result = await verifyGatewayReturn(ccavenueSettings, req.body);
+    if (!result.verified) {
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "invalid_return" }));
+    }
 
-        await User.findByIdAndUpdate(apiOrder.merchantId, {
-          $inc: { balance: creditedAmount },
-        });
+    flow = RETURN_FLOW_MESSAGES[result.flow] ? result.flow : "deposit";
+    referenceId = result.referenceId;
 
-        const exists = await Transaction.findOne({
-          userId: apiOrder.merchantId,
-          transactionId: orderId,
-        });
-        if (!exists) {
-          await Transaction.create({
-            userId: apiOrder.merchantId,
-            transactionId: orderId,
-            description: `API order payment ${apiOrder.orderId} via Cashfree`,
-            type: "Credit",
-            amount: creditedAmount,
-            status: "Completed",
-          });
-        }
+    if (result.status === "captured") {
+      const settled = await settleGatewayPayment("ccavenue", { ...result, flow });
+      if (!settled) {
+        return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "not_found" }));
       }
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "success", amount: result.amount }));
+    }
 
-      return res.json({ success: true, message: "Checkout payment verified" });
+    if (result.status === "failed") {
+      await failGatewayPayment("ccavenue", { ...result, flow });
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed" }));
     }
 
-    if (flow === "qr") {
-      const qrCode = await QRCode.findOne({
-        $or: [{ qrId }, { razorpayOrderId: orderId }],
-      });
+    return res.redirect(getReturnPage({ flow, referenceId, outcome: "pending" }));
+  } catch (error) {
+    console.error("CCAvenue Callback Error:", error);
+    return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "server_error" }));
+  }
+});
 
-      if (!qrCode) {
-        return res.status(404).json({ success: false, message: "QR order not found" });
-      }
 
-      if (qrCode.status !== "paid") {
-        qrCode.status = "paid";
-        qrCode.razorpayPaymentId = orderId;
-        qrCode.paidAt = new Date();
-        await qrCode.save();
+// ============================
+// STRIPE RETURN (Checkout Session success_url and cancel_url)
+// payment_intent.succeeded (/webhook/stripe) settles payments the customer never returns from
+// ============================
+router.get("/stripe/return", async (req, res) => {
+  let flow = "deposit";
+  let referenceId = null;
 
-        await User.findByIdAndUpdate(qrCode.userId, {
-          $inc: { balance: Number(qrCode.amount) },
-        });
+  try {
+    const stripeSettings = await getGatewaySettingsById("stripe");
 
-        const exists = await Transaction.findOne({
-          userId: qrCode.userId,
-          transactionId: orderId,
-        });
-        if (!exists) {
-          await Transaction.create({
-            userId: qrCode.userId,
-            transactionId: orderId,
-            description: "QR Payment via Cashfree",
-            type: "Credit",
-            amount: Number(qrCode.amount),
-            status: "Completed",
-          });
-        }
+    // The return URL is unsigned; status and amount come from Stripe
+    const result = await verifyGatewayReturn(stripeSettings, { sessionId: req.query.session_id });
+    if (!result.verified) {
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "invalid_return" }));
+    }
+
+    flow = RETURN_FLOW_MESSAGES[result.flow] ? result.flow : "deposit";
+    referenceId = result.referenceId;
+
+    if (result.status === "captured") {
+      const settled = await settleGatewayPayment("stripe", { ...result, flow });
+      if (!settled) {
+        return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "not_found" }));
       }
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "success", amount: result.amount }));
+    }
 
-      return res.json({ success: true, message: "QR payment verified" });
+    if (result.status === "failed") {
+      await failGatewayPayment("stripe", { ...result, flow });
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed" }));
     }
 
-    return res.status(400).json({ success: false, message: "Unsupported flow" });
+    // A cancelled session stays open until it expires, so nothing is recorded
+    if (req.query.cancelled) {
+      return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "cancelled" }));
+    }
+    return res.redirect(getReturnPage({ flow, referenceId, outcome: "pending" }));
   } catch (error) {
-    console.error("Cashfree Verify Return Error:", error);
-    return res.status(500).json({ success: false, message: error.message });
+    console.error("Stripe Return Error:", error);
+    return res.redirect(getReturnPage({ flow, referenceId, outcome: "failed", reason: "server_error" }));
   }
 });
 
@@ -491,14 +432,11 @@ router.post("/request-money", paymentController.requestMoney);
 
 
 // ============================
-// RAZORPAY WEBHOOK
-// IMPORTANT: Must use RAW body
+// GATEWAY WEBHOOKS
+// /webhook is the Razorpay webhook URL registered before the others existed
 // ============================
-router.post(
-  "/webhook",
-  express.raw({ type: "application/json" }),
-  paymentController.razorpayWebhook
-);
+router.post("/webhook", paymentController.gatewayWebhook);
+router.post("/webhook/:gateway", paymentController.gatewayWebhook);
 
 
 // ============================
@@ -562,7 +500,7 @@ router.post("/bulk-upload", upload.single("file"), async (req, res) => {
             accountNumber: normalizedData.accountnumber || normalizedData.account || "",
             ifsc: normalizedData.ifsc || normalizedData.ifsccode || "",
             bankName: normalizedData.bankname || normalizedData.bank || "",
-            amount: parseFloat(normalizedData.amount) || 0,
+            amount: toPaise(normalizedData.amount) || 0,
           };
 
           if (row.accountHolderName && row.accountNumber && row.ifsc && row.bankName && row.amount > 0) {
@@ -609,7 +547,7 @@ router.post("/bulk-upload", upload.single("file"), async (req, res) => {
               message: "File uploaded successfully",
               bulkPayoutId: bulkPayout._id,
               totalRows: results.length,
-              totalAmount,
+              totalAmount: toRupees(totalAmount),
             });
 
             resolve();
@@ -650,220 +588,16 @@ router.post("/generate-link", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Generate unique link ID
-    const linkId = "PAY" + Date.now() + Math.random().toString(36).substring(2, 8).toUpperCase();
-
-    // Save to database
-    await PaymentLink.create({
-      linkId,
-      userId,
+    const paymentLink = await createPaymentLink(sender, {
       customerName: name,
       customerEmail: email,
-      amount: Number(amount),
-      description: description || `Payment request from ${sender.fullName}`,
-      dueDate: dueDate || null,
-      status: "pending",
-    });
-
-    // Create a Pending transaction so it shows on the transaction page
-    await Transaction.create({
-      userId,
-      transactionId: linkId,
-      description: `Payment request to ${name}`,
-      type: "Credit",
-      amount: Number(amount),
-      status: "Pending",
-      category: "payment",
-      method: "other",
-      customerName: name,
-      referenceId: linkId,
-      notes: `Payment link sent to ${email}`,
+      amount: toPaise(amount),
+      description,
+      dueDate,
     });
 
-    // Generate our checkout URL
-    const checkoutUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/pay/${linkId}`;
-
-    // Send professional email
-    const transporter = require("../config/mailer");
-
-    const dueDateText = dueDate
-      ? `<tr>
-          <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
-            <span style="color: #64748b; font-size: 14px;">Due Date</span>
-          </td>
-          <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">
-            <span style="color: #1e293b; font-weight: 600; font-size: 14px;">${new Date(dueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}</span>
-          </td>
-        </tr>`
-      : '';
-
-    const emailHTML = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="margin: 0; padding: 0; background-color: #f1f5f9; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f1f5f9; padding: 40px 20px;">
-        <tr>
-          <td align="center">
-            <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);">
-              
-              <!-- Header -->
-              <tr>
-                <td style="background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); padding: 40px 40px 30px;">
-                  <table width="100%" cellpadding="0" cellspacing="0">
-                    <tr>
-                      <td>
-                        <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">SatyamPay</h1>
-                        <p style="margin: 8px 0 0; color: rgba(255,255,255,0.8); font-size: 14px;">Secure Payment Request</p>
-                      </td>
-                      <td align="right">
-                        <div style="width: 50px; height: 50px; background: rgba(255,255,255,0.2); border-radius: 12px; display: inline-block; text-align: center; line-height: 50px;">
-                          <span style="color: #fff; font-size: 24px;">₹</span>
-                        </div>
-                      </td>
-                    </tr>
-                  </table>
-                </td>
-              </tr>
-
-              <!-- Main Content -->
-              <tr>
-                <td style="padding: 40px;">
-                  
-                  <!-- Greeting -->
-                  <p style="margin: 0 0 20px; color: #1e293b; font-size: 16px; line-height: 1.6;">
-                    Hello <strong>${name}</strong>,
-                  </p>
-                  
-                  <p style="margin: 0 0 30px; color: #475569; font-size: 15px; line-height: 1.7;">
-                    You have received a payment request from <strong style="color: #4f46e5;">${sender.fullName}</strong>. Please review the details below and complete the payment at your convenience.
-                  </p>
-
-                  <!-- Amount Card -->
-                  <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%); border-radius: 12px; margin-bottom: 30px;">
-                    <tr>
-                      <td style="padding: 30px; text-align: center;">
-                        <p style="margin: 0 0 8px; color: #64748b; font-size: 13px; text-transform: uppercase; letter-spacing: 1px;">Amount Requested</p>
-                        <p style="margin: 0; color: #1e293b; font-size: 42px; font-weight: 800;">
-                          <span style="color: #4f46e5;">₹</span>${Number(amount).toLocaleString('en-IN')}
-                        </p>
-                      </td>
-                    </tr>
-                  </table>
-
-                  <!-- Details Table -->
-                  <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 30px;">
-                    <tr>
-                      <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
-                        <span style="color: #64748b; font-size: 14px;">Requested By</span>
-                      </td>
-                      <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">
-                        <span style="color: #1e293b; font-weight: 600; font-size: 14px;">${sender.fullName}</span>
-                      </td>
-                    </tr>
-                    <tr>
-                      <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
-                        <span style="color: #64748b; font-size: 14px;">Email</span>
-                      </td>
-                      <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; text-align: right;">
-                        <span style="color: #1e293b; font-weight: 600; font-size: 14px;">${sender.email}</span>
-                      </td>
-                    </tr>
-                    ${dueDateText}
-                    ${description ? `
-                    <tr>
-                      <td colspan="2" style="padding: 16px 0;">
-                        <span style="color: #64748b; font-size: 14px; display: block; margin-bottom: 8px;">Description</span>
-                        <p style="margin: 0; color: #1e293b; font-size: 14px; background: #f8fafc; padding: 12px; border-radius: 8px; border-left: 3px solid #4f46e5;">${description}</p>
-                      </td>
-                    </tr>
-                    ` : ''}
-                  </table>
-
-                  <!-- Pay Button -->
-                  <table width="100%" cellpadding="0" cellspacing="0">
-                    <tr>
-                      <td align="center">
-                        <a href="${checkoutUrl}" style="display: inline-block; background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: #ffffff; text-decoration: none; padding: 18px 50px; border-radius: 12px; font-size: 16px; font-weight: 700; box-shadow: 0 4px 14px rgba(79, 70, 229, 0.4);">
-                          Pay ₹${Number(amount).toLocaleString('en-IN')} Now →
-                        </a>
-                      </td>
-                    </tr>
-                  </table>
-
-                  <!-- Security Note -->
-                  <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 30px;">
-                    <tr>
-                      <td style="background: #f0fdf4; border-radius: 8px; padding: 16px;">
-                        <table cellpadding="0" cellspacing="0">
-                          <tr>
-                            <td style="padding-right: 12px;">
-                              <span style="color: #22c55e; font-size: 20px;">🔒</span>
-                            </td>
-                            <td>
-                              <p style="margin: 0; color: #166534; font-size: 13px; line-height: 1.5;">
-                                <strong>100% Secure Payment</strong><br>
-                                Pay safely via UPI, Cards, or Net Banking. Your data is encrypted and protected.
-                              </p>
-                            </td>
-                          </tr>
-                        </table>
-                      </td>
-                    </tr>
-                  </table>
-
-                </td>
-              </tr>
-
-              <!-- Footer -->
-              <tr>
-                <td style="background: #f8fafc; padding: 30px 40px; border-top: 1px solid #e2e8f0;">
-                  <table width="100%" cellpadding="0" cellspacing="0">
-                    <tr>
-                      <td>
-                        <p style="margin: 0 0 8px; color: #64748b; font-size: 12px;">
-                          This is an automated payment request from SatyamPay.
-                        </p>
-                        <p style="margin: 0; color: #94a3b8; font-size: 11px;">
-                          If you did not expect this request, please ignore this email or contact support.
-                        </p>
-                      </td>
-                    </tr>
-                    <tr>
-                      <td style="padding-top: 20px;">
-                        <p style="margin: 0; color: #94a3b8; font-size: 11px; text-align: center;">
-                          © ${new Date().getFullYear()} SatyamPay. All rights reserved.
-                        </p>
-                      </td>
-                    </tr>
-                  </table>
-                </td>
-              </tr>
-
-            </table>
-          </td>
-        </tr>
-      </table>
-    </body>
-    </html>
-    `;
-
-    // Send email with timeout protection
-    let emailSent = false;
-    try {
-      await transporter.sendMail({
-        from: `"SatyamPay" <${process.env.EMAIL_USER}>`,
-        to: email,
-        subject: `Payment Request from ${sender.fullName} - Rs.${Number(amount).toLocaleString('en-IN')}`,
-        html: emailHTML,
-      });
-      emailSent = true;
-    } catch (emailErr) {
-      console.error("Email sending failed:", emailErr.message);
-    }
+    const checkoutUrl = getCheckoutUrl(paymentLink.linkId);
+    const emailSent = await sendPaymentLinkEmail(paymentLink, sender);
 
     res.json({
       success: true,
@@ -871,7 +605,7 @@ router.post("/generate-link", async (req, res) => {
         ? "Payment link generated and email sent successfully"
         : "Payment link generated but email could not be sent",
       paymentLink: checkoutUrl,
-      linkId: linkId,
+      linkId: paymentLink.linkId,
       emailSent,
     });
 
@@ -902,7 +636,11 @@ router.get("/checkout/:linkId", async (req, res) => {
         return res.status(400).json({ message: "Payment already completed", status: "paid" });
       }
 
-      if (["expired", "refunded"].includes(apiOrder.status)) {
+      if (await expireOrderIfDue(apiOrder)) {
+        return res.status(400).json({ message: "Payment link has expired", status: "expired" });
+      }
+
+      if (apiOrder.status === "refunded") {
         return res.status(400).json({ message: "Payment link is no longer valid", status: apiOrder.status });
       }
 
@@ -910,13 +648,21 @@ router.get("/checkout/:linkId", async (req, res) => {
         success: true,
         paymentLink: {
           linkId: apiOrder.orderId,
-          amount: Number(apiOrder.amount) / 100,
+          amount: toRupees(getAmountDue(apiOrder)),
+          totalAmount: toRupees(apiOrder.amount),
+          amountPaid: toRupees(apiOrder.amountPaid),
+          partialPayment: apiOrder.partialPayment || false,
+          // Test-mode orders show simulate success/failure/pending controls instead of a gateway
+          testMode: isTestMode(apiOrder),
           description: apiOrder.notes?.description || `Order payment ${apiOrder.orderId}`,
           customerName: apiOrder.customerName || "Customer",
           customerEmail: apiOrder.customerEmail || "customer@example.com",
+          // Set when the order was created with a customer_id
+          customerPhone: apiOrder.customerPhone || null,
+          customerId: apiOrder.customerId || null,
           merchant: apiOrder.merchantId?.fullName || "Merchant",
           merchantEmail: apiOrder.merchantId?.email,
-          dueDate: apiOrder.expiredAt || null,
+          dueDate: apiOrder.expireBy || null,
         },
       });
     }
@@ -930,24 +676,19 @@ router.get("/checkout/:linkId", async (req, res) => {
     }
 
     // Check if expired by due date (expire at end of day 23:59:59)
-    if (paymentLink.dueDate) {
-      const dueEnd = new Date(paymentLink.dueDate);
-      dueEnd.setHours(23, 59, 59, 999);
-      if (dueEnd < new Date()) {
-        paymentLink.status = "expired";
-        await paymentLink.save();
-        return res.status(400).json({ message: "Payment link has expired", status: "expired" });
-      }
+    if (await expirePaymentLinkIfDue(paymentLink)) {
+      return res.status(400).json({ message: "Payment link has expired", status: "expired" });
     }
 
     res.json({
       success: true,
       paymentLink: {
         linkId: paymentLink.linkId,
-        amount: paymentLink.amount,
+        amount: toRupees(paymentLink.amount),
         description: paymentLink.description,
         customerName: paymentLink.customerName,
         customerEmail: paymentLink.customerEmail,
+        customerPhone: paymentLink.customerPhone || null,
         merchant: paymentLink.userId?.fullName || "Merchant",
         merchantEmail: paymentLink.userId?.email,
         dueDate: paymentLink.dueDate,
@@ -981,6 +722,7 @@ router.post("/checkout/create-order", async (req, res) => {
         productinfo: paymentLink.description || "Payment",
         firstname: paymentLink.customerName || "Customer",
         email: paymentLink.customerEmail || "customer@example.com",
+        phone: paymentLink.customerPhone || undefined,
         flowType: "checkout",
         linkId,
         udf1: paymentLink.userId?.toString() || "",
@@ -991,28 +733,51 @@ router.post("/checkout/create-order", async (req, res) => {
         notes: { linkId, customerEmail: paymentLink.customerEmail },
       });
 
-      if (result.gateway === "razorpay" && result.order) {
-        paymentLink.razorpayOrderId = result.order.id;
-        await paymentLink.save();
-      } else if (result.gateway === "cashfree" && result.cashfreeData?.orderId) {
-        paymentLink.razorpayOrderId = result.cashfreeData.orderId;
-        await paymentLink.save();
-      }
+      // Gateway callbacks without the link id find the link by its gateway order
+      paymentLink.razorpayOrderId = result.gatewayOrderId;
+      await paymentLink.save();
     } else {
       const apiOrder = await Order.findOne({ orderId: linkId });
       if (!apiOrder) {
         return res.status(404).json({ message: "Payment link not found" });
       }
 
-      if (["paid", "expired", "refunded"].includes(apiOrder.status)) {
+      if (["paid", "refunded"].includes(apiOrder.status) || await expireOrderIfDue(apiOrder)) {
         return res.status(400).json({ message: "Payment link is no longer valid" });
       }
 
-      result = await createGatewayOrder(Number(apiOrder.amount) / 100, {
+      // Partial-payment orders let the customer choose how much to pay now
+      let attemptAmount;
+      try {
+        attemptAmount = resolveAttemptAmount(apiOrder, req.body.amount);
+      } catch (err) {
+        return res.status(err.statusCode || 400).json({ message: err.message });
+      }
+
+      // Sandbox: no real gateway for orders created with test keys
+      if (isTestMode(apiOrder)) {
+        apiOrder.status = "attempted";
+        apiOrder.attempts = (apiOrder.attempts || 0) + 1;
+        await apiOrder.save();
+
+        const attempt = await startPaymentAttempt(apiOrder, {
+          amount: attemptAmount,
+          gateway: SANDBOX_GATEWAY,
+          gatewayOrderId: generateSandboxOrderId(),
+        });
+
+        return res.json({
+          success: true,
+          ...buildSandboxCheckout(attempt),
+        });
+      }
+
+      result = await createGatewayOrder(attemptAmount, {
         receipt: apiOrder.receipt || `checkout_${linkId}`,
         productinfo: apiOrder.notes?.description || "Order Payment",
         firstname: apiOrder.customerName || "Customer",
         email: apiOrder.customerEmail || "customer@example.com",
+        phone: apiOrder.customerPhone || undefined,
         flowType: "checkout",
         linkId,
         udf1: apiOrder.merchantId?.toString() || "",
@@ -1023,17 +788,15 @@ router.post("/checkout/create-order", async (req, res) => {
         notes: { ...apiOrder.notes, linkId, customerEmail: apiOrder.customerEmail },
       });
 
-      const nextNotes = { ...(apiOrder.notes || {}) };
-      if (result.gateway === "razorpay" && result.order) {
-        nextNotes.razorpayOrderId = result.order.id;
-      } else if (result.gateway === "cashfree" && result.cashfreeData?.orderId) {
-        nextNotes.cashfreeOrderId = result.cashfreeData.orderId;
-      }
-
-      apiOrder.notes = nextNotes;
       apiOrder.status = "attempted";
       apiOrder.attempts = (apiOrder.attempts || 0) + 1;
       await apiOrder.save();
+
+      await startPaymentAttempt(apiOrder, {
+        amount: attemptAmount,
+        gateway: result.gateway,
+        gatewayOrderId: result.gatewayOrderId,
+      });
     }
 
     res.json({
@@ -1047,6 +810,76 @@ router.post("/checkout/create-order", async (req, res) => {
 });
 
 
+// ============================
+// SIMULATE SANDBOX PAYMENT (test-mode orders only)
+// ============================
+router.post("/checkout/simulate", async (req, res) => {
+  try {
+    const { linkId, attemptId, outcome } = req.body;
+
+    if (!linkId || !attemptId || !SIMULATED_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `linkId, attemptId and outcome (${SIMULATED_OUTCOMES.join(", ")}) are required`,
+      });
+    }
+
+    const apiOrder = await Order.findOne({ orderId: linkId });
+    if (!apiOrder) {
+      return res.status(404).json({ success: false, message: "Payment order not found" });
+    }
+
+    if (!isTestMode(apiOrder)) {
+      return res.status(400).json({ success: false, message: "Only test-mode orders can be simulated" });
+    }
+
+    const attempt = await Payment.findOne({
+      attemptId,
+      orderId: apiOrder.orderId,
+      gateway: SANDBOX_GATEWAY,
+      status: "created",
+    });
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: "Open sandbox attempt not found" });
+    }
+
+    if (outcome === "pending") {
+      return res.json({ success: true, status: "pending", message: "Payment left pending" });
+    }
+
+    if (outcome === "failure") {
+      await failOrderPayment(apiOrder, {
+        paymentId: generateSandboxPaymentId(),
+        gateway: SANDBOX_GATEWAY,
+        gatewayOrderId: attempt.gatewayOrderId,
+        reason: "Simulated failure (test mode)",
+      });
+      return res.json({ success: true, status: "failed", message: "Payment failed (simulated)" });
+    }
+
+    const captured = await captureOrderPayment(apiOrder, {
+      paymentId: generateSandboxPaymentId(),
+      gateway: SANDBOX_GATEWAY,
+      gatewayOrderId: attempt.gatewayOrderId,
+      method: "upi",
+    });
+
+    if (!captured || !captured.applied) {
+      return res.status(400).json({ success: false, message: "Order can no longer take this payment" });
+    }
+
+    return res.json({
+      success: true,
+      status: "captured",
+      paymentId: captured.payment.paymentId,
+      message: "Payment successful (simulated)",
+    });
+  } catch (error) {
+    console.error("Simulate Checkout Error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============================
 // VERIFY CHECKOUT PAYMENT
 // ============================
@@ -1065,86 +898,48 @@ router.post("/checkout/verify", async (req, res) => {
       return res.status(400).json({ success: false, message: "Missing payment details" });
     }
 
-    const paymentLink = await PaymentLink.findOne({ linkId });
-    const apiOrder = paymentLink ? null : await Order.findOne({ orderId: linkId });
-    if (!paymentLink && !apiOrder) {
-      return res.status(404).json({ success: false, message: "Payment link not found" });
+    const checkoutGwSettings = await resolveGatewaySettings(gateway);
+    const verified = await verifyGatewayReturn(checkoutGwSettings, req.body);
+    if (!verified.verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid signature",
+      });
     }
 
-    // Generate signature using active gateway secret
-    const sign = razorpay_order_id + "|" + razorpay_payment_id;
-    const checkoutGwSettings = await resolveGatewaySettingsForVerification(gateway);
-    const expectedSign = crypto
-      .createHmac("sha256", checkoutGwSettings.keySecret)
-      .update(sign)
-      .digest("hex");
-
-    if (expectedSign === razorpay_signature) {
-      if (paymentLink) {
-        paymentLink.status = "paid";
-        paymentLink.razorpayPaymentId = razorpay_payment_id;
-        paymentLink.paidAt = new Date();
-        await paymentLink.save();
-
-        await User.findByIdAndUpdate(paymentLink.userId, {
-          $inc: { balance: Number(paymentLink.amount) },
-        });
-
-        // Update existing pending transaction or create new one
-        const existingTxn = await Transaction.findOne({ referenceId: linkId, userId: paymentLink.userId });
-        if (existingTxn) {
-          existingTxn.status = "Completed";
-          existingTxn.transactionId = razorpay_payment_id;
-          existingTxn.description = `Payment from ${paymentLink.customerName}`;
-          await existingTxn.save();
-        } else {
-          await Transaction.create({
-            userId: paymentLink.userId,
-            transactionId: razorpay_payment_id,
-            description: `Payment from ${paymentLink.customerName}`,
-            type: "Credit",
-            amount: Number(paymentLink.amount),
-            status: "Completed",
-            category: "payment",
-            referenceId: linkId,
-          });
-        }
-      } else {
-        const creditedAmount = Number(apiOrder.amount) / 100;
-
-        apiOrder.status = "paid";
-        apiOrder.paymentId = razorpay_payment_id;
-        apiOrder.signature = razorpay_signature;
-        apiOrder.signatureVerified = true;
-        apiOrder.paymentStatus = "captured";
-        apiOrder.amountPaid = Number(apiOrder.amount);
-        apiOrder.paidAt = new Date();
-        await apiOrder.save();
-
-        await User.findByIdAndUpdate(apiOrder.merchantId, {
-          $inc: { balance: creditedAmount },
-        });
-
-        await Transaction.create({
-          userId: apiOrder.merchantId,
-          transactionId: razorpay_payment_id,
-          description: `API order payment ${apiOrder.orderId}`,
-          type: "Credit",
-          amount: creditedAmount,
-          status: "Completed",
-        });
-      }
+    // The signature does not carry the amount; take it from the gateway
+    const captured = verified.amount !== null
+      ? verified
+      : await fetchGatewayPaymentStatus(checkoutGwSettings, { paymentId: verified.gatewayPaymentId });
+    if (captured.gatewayOrderId !== verified.gatewayOrderId) {
+      return res.status(400).json({ success: false, message: "Payment does not belong to this checkout" });
+    }
+    if (captured.status !== "captured") {
+      return res.status(400).json({ success: false, message: "Payment is not captured yet", status: captured.status });
+    }
 
-      return res.json({
-        success: true,
-        message: "Payment successful",
-      });
-    } else {
-      return res.status(400).json({
+    // Mark the link paid (or capture the API order), credit the merchant
+    // and complete the pending transaction
+    const settled = await settleGatewayPayment(checkoutGwSettings.gateway, {
+      ...verified,
+      amount: captured.amount,
+      flow: "checkout",
+      referenceId: linkId,
+    });
+    if (!settled) {
+      return res.status(404).json({ success: false, message: "Payment link not found" });
+    }
+    if (settled.recorded && !settled.recorded.applied) {
+      return res.status(409).json({
         success: false,
-        message: "Invalid signature",
+        message: "This payment link was already paid. Your payment will be refunded.",
       });
     }
+
+    return res.json({
+      success: true,
+      message: "Payment successful",
+    });
   } catch (error) {
     console.error("Verify Checkout Error:", error);
     res.status(500).json({
@@ -1169,18 +964,18 @@ router.post("/withdraw", async (req, res) => {
 
     // Get payment settings from admin
     const settings = await Settings.getSettings();
-    const minWithdrawal = settings.minWithdrawal || 50;
-    const maxWithdrawal = settings.maxWithdrawal || 500000;
+    const minWithdrawal = settings.minWithdrawal || 5000;
+    const maxWithdrawal = settings.maxWithdrawal || 50000000;
     const commissionRate = settings.commissionRate || 2;
 
-    const withdrawAmount = Number(amount);
+    const withdrawAmount = toPaise(amount);
 
-    if (withdrawAmount < minWithdrawal) {
-      return res.status(400).json({ message: `Minimum payout is ₹${minWithdrawal}` });
+    if (!withdrawAmount || withdrawAmount < minWithdrawal) {
+      return res.status(400).json({ message: `Minimum payout is ${formatRupees(minWithdrawal)}` });
     }
 
     if (withdrawAmount > maxWithdrawal) {
-      return res.status(400).json({ message: `Maximum payout is ₹${maxWithdrawal.toLocaleString()}` });
+      return res.status(400).json({ message: `Maximum payout is ₹${toRupees(maxWithdrawal).toLocaleString()}` });
     }
 
     const user = await User.findById(userId);
@@ -1189,47 +984,31 @@ router.post("/withdraw", async (req, res) => {
     }
 
     // 2️⃣ Commission calculation from settings
-    const commission = (withdrawAmount * commissionRate) / 100;
+    const commission = percentOf(withdrawAmount, commissionRate);
     const total = withdrawAmount + commission;
 
-    if (total > user.balance) {
-      return res.status(400).json({
-        message: `Insufficient balance. Required ₹${total.toFixed(2)}, Available ₹${user.balance.toFixed(2)}`
-      });
-    }
-
-    // 3️⃣ Create Withdrawal Request (Balance NOT deducted yet)
-    const withdrawal = await Withdrawal.create({
-      userId,
-      withdrawalId: "WD" + Date.now(),
+    // 3️⃣ Hold the amount (deducted on approval, released on rejection) and create the
+    // Withdrawal Request with its Pending Transaction
+    const withdrawal = await createWithdrawalRequest(user, {
+      type: "payout",
       amount: withdrawAmount,
       commission,
-      total,
       accountName,
       accountNumber,
       ifsc,
-      bankName: bankName || "",
-      type: "payout",
-      status: "Pending"
+      bankName,
+      transaction: {
+        description: `Payout Request to ${bankName || "Bank"} (${accountNumber.slice(-4)})`,
+        category: "payout",
+        notes: `Platform Fee: ${commissionRate}% (${formatRupees(commission)})`
+      },
     });
 
-    // 4️⃣ Create Pending Transaction Record with full details
-    await Transaction.create({
-      userId,
-      transactionId: withdrawal.withdrawalId,
-      description: `Payout Request to ${bankName || "Bank"} (${accountNumber.slice(-4)})`,
-      amount: withdrawAmount,
-      type: "Debit",
-      fee: commission,
-      netAmount: total,
-      category: "payout",
-      method: "bank",
-      accountNumber: accountNumber,
-      ifscCode: ifsc,
-      bankName: bankName || "",
-      status: "Pending",
-      notes: `Platform Fee: ${commissionRate}% (₹${commission.toFixed(2)})`
-    });
+    if (!withdrawal) {
+      return res.status(400).json({
+        message: `Insufficient balance. Required ${formatRupees(total)}, Available ${formatRupees(getBalanceSummary(user).available)}`
+      });
+    }
 
     res.json({
       success: true,
@@ -1265,34 +1044,29 @@ router.post("/admin/approve/:id", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    if (withdrawal.total > user.balance) {
+    // Deduct balance by capturing the hold (amount + platform fee), approve and complete the transaction
+    const approval = await approveWithdrawal(withdrawal, {
+      description: `Payout ${withdrawal.withdrawalId} to ${withdrawal.bankName || "Bank"}`,
+    });
+
+    if (approval.processed) {
+      return res.status(400).json({ message: "Already processed" });
+    }
+
+    if (approval.insufficient) {
+      const { available } = getBalanceSummary(user);
       return res.status(400).json({
         message: "Insufficient user balance",
-        currentBalance: user.balance,
-        required: withdrawal.total,
-        shortfall: withdrawal.total - user.balance
+        currentBalance: toRupees(available),
+        required: toRupees(withdrawal.total),
+        shortfall: toRupees(withdrawal.total - available)
       });
     }
 
-    // Deduct balance from user wallet
-    user.balance -= withdrawal.total;
-    await user.save();
-
-    // Update withdrawal status
-    withdrawal.status = "Approved";
-    withdrawal.approvedAt = new Date();
-    await withdrawal.save();
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { transactionId: withdrawal.withdrawalId },
-      { status: "Completed" }
-    );
-
     res.json({
       success: true,
       message: "Withdrawal approved & balance deducted",
-      withdrawal
+      withdrawal: approval.withdrawal
     });
 
   } catch (error) {
@@ -1318,22 +1092,16 @@ router.post("/admin/reject/:id", async (req, res) => {
       return res.status(400).json({ message: "Already processed" });
     }
 
-    // Update withdrawal status
-    withdrawal.status = "Rejected";
-    withdrawal.rejectionReason = reason || "Rejected by admin";
-    withdrawal.rejectedAt = new Date();
-    await withdrawal.save();
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { transactionId: withdrawal.withdrawalId },
-      { status: "Failed" }
-    );
+    // Reject, release the hold and fail the transaction
+    const rejected = await rejectWithdrawal(withdrawal, reason || "Rejected by admin");
+    if (!rejected) {
+      return res.status(400).json({ message: "Already processed" });
+    }
 
     res.json({
       success: true,
       message: "Withdrawal rejected",
-      withdrawal
+      withdrawal: rejected
     });
 
   } catch (error) {
@@ -1,8 +1,13 @@
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const PayoutRequest = require("../models/payoutRequest.model");
 const User = require("../models/user.model");
+const Transaction = require("../models/transaction.model");
 const authMiddleware = require("../middlewares/auth.middleware");
+const { getBalanceSummary, placeHold, releaseHold, captureHold } = require("../config/holdHelper");
+const { runInTransaction } = require("../config/sessionHelper");
+const { toPaise, toRupees } = require("../config/moneyHelper");
 
 // ========================
 // VENDOR/USER ROUTES
@@ -12,7 +17,7 @@ const authMiddleware = require("../middlewares/auth.middleware");
 router.post("/request", authMiddleware, async (req, res) => {
   try {
     const {
-      amount,
+      amount: amountInRupees,
       method,
       accountNumber,
       ifscCode,
@@ -21,7 +26,8 @@ router.post("/request", authMiddleware, async (req, res) => {
       upiId,
     } = req.body;
 
-    // Validation
+    // Validation (the dashboard sends rupees)
+    const amount = toPaise(amountInRupees);
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: "Invalid amount" });
     }
@@ -49,14 +55,6 @@ router.post("/request", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    if (user.balance < amount) {
-      return res.status(400).json({
-        error: "Insufficient balance",
-        balance: user.balance,
-        requested: amount,
-      });
-    }
-
     // Create payout request
     const payoutRequest = new PayoutRequest({
       vendorId: req.user.id,
@@ -70,7 +68,29 @@ router.post("/request", authMiddleware, async (req, res) => {
       status: "requested",
     });
 
-    await payoutRequest.save();
+    // Hold the amount until the request is approved, rejected or cancelled
+    const hold = await runInTransaction(async (session) => {
+      const placed = await placeHold(user._id, amount, {
+        referenceType: "payout_request",
+        referenceId: payoutRequest._id,
+        session,
+      });
+      if (placed) {
+        await payoutRequest.save({ session });
+      }
+      return placed;
+    });
+
+    if (!hold) {
+      const { balance, reserved, available } = getBalanceSummary(user);
+      return res.status(400).json({
+        error: "Insufficient balance",
+        balance: toRupees(balance),
+        reservedBalance: toRupees(reserved),
+        availableBalance: toRupees(available),
+        requested: toRupees(amount),
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -148,15 +168,27 @@ router.put("/cancel/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Request not found or cannot be cancelled" });
     }
 
-    request.status = "rejected";
-    request.rejectionReason = "Cancelled by user";
-    request.rejectedAt = new Date();
-    await request.save();
+    // Cancel and release the hold together; conditional so it cannot race an approval
+    const cancelled = await runInTransaction(async (session) => {
+      const updated = await PayoutRequest.findOneAndUpdate(
+        { _id: request._id, status: "requested" },
+        { $set: { status: "rejected", rejectionReason: "Cancelled by user", rejectedAt: new Date() } },
+        { new: true, session }
+      );
+      if (updated) {
+        await releaseHold(request._id, "Cancelled by user", session);
+      }
+      return updated;
+    });
+
+    if (!cancelled) {
+      return res.status(404).json({ error: "Request not found or cannot be cancelled" });
+    }
 
     res.json({
       success: true,
       message: "Payout request cancelled",
-      request,
+      request: cancelled,
     });
   } catch (error) {
     console.error("Cancel request error:", error);
@@ -178,7 +210,8 @@ router.get("/admin/all", authMiddleware, async (req, res) => {
 
     const { status, page = 1, limit = 20 } = req.query;
 
-    const query = {};
+    // Simulated test-mode payouts never need admin action
+    const query = { mode: { $ne: "test" } };
     if (status) {
       query.status = status;
     }
@@ -205,7 +238,7 @@ router.get("/admin/all", authMiddleware, async (req, res) => {
     res.json({
       success: true,
       requests,
-      stats,
+      stats: stats.map((stat) => ({ ...stat, totalAmount: toRupees(stat.totalAmount) })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -227,7 +260,11 @@ router.put("/admin/approve/:id", authMiddleware, async (req, res) => {
       return res.status(403).json({ error: "Admin access required" });
     }
 
-    const { fee = 0, adminNote } = req.body;
+    const { adminNote } = req.body;
+    const fee = toPaise(req.body.fee || 0);
+    if (!Number.isSafeInteger(fee) || fee < 0) {
+      return res.status(400).json({ error: "Invalid fee" });
+    }
 
     const request = await PayoutRequest.findById(req.params.id);
     if (!request) {
@@ -245,58 +282,81 @@ router.put("/admin/approve/:id", authMiddleware, async (req, res) => {
     }
 
     const totalDeduction = request.amount + fee;
+    const description = `Payout to ${request.method === 'bank' ? 'Bank Account' : 'UPI'} - ${request.accountHolderName || request.upiId || 'N/A'}`;
+
+    // Approve, debit and record the payout in one MongoDB transaction
+    const approval = await runInTransaction(async (session) => {
+      // Conditional on the status so concurrent approvals cannot both go through
+      const approved = await PayoutRequest.findOneAndUpdate(
+        { _id: request._id, status: "requested" },
+        { $set: { status: "approved", fee, netAmount: request.amount, adminNote, approvedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!approved) return { processed: true };
+
+      // Deduct from vendor balance (payout + fee), consuming the request's hold
+      const debited = await captureHold(vendor._id, request._id, request.amount, {
+        entryType: "payout",
+        fee,
+        description,
+        session,
+      });
+
+      if (!debited) {
+        await PayoutRequest.updateOne(
+          { _id: request._id },
+          { $set: { status: "requested", fee: request.fee, netAmount: request.netAmount, adminNote: request.adminNote, approvedAt: request.approvedAt } },
+          { session }
+        );
+        return { insufficient: true };
+      }
 
-    // Check balance
-    if (vendor.balance < totalDeduction) {
+      // Create a transaction record for payout
+      const [txn] = await Transaction.create(
+        [{
+          userId: vendor._id,
+          transactionId: "PO" + crypto.randomBytes(10).toString("hex").toUpperCase(),
+          description,
+          type: "Debit",
+          amount: request.amount,
+          status: "Completed",
+          customerName: request.accountHolderName || vendor.name,
+          method: request.method,
+          category: "payout",
+          referenceId: request._id.toString(),
+          notes: adminNote || `Payout approved`,
+          fee: fee,
+          netAmount: request.amount,
+          accountNumber: request.accountNumber,
+          ifscCode: request.ifscCode,
+          upiId: request.upiId,
+          bankName: request.bankName,
+        }],
+        { session }
+      );
+
+      return { request: approved, debited, txn };
+    });
+
+    if (approval.processed) {
+      return res.status(400).json({ error: "Request already processed" });
+    }
+
+    if (approval.insufficient) {
       return res.status(400).json({
         error: "Insufficient vendor balance",
-        balance: vendor.balance,
-        required: totalDeduction,
+        balance: toRupees(getBalanceSummary(vendor).available),
+        required: toRupees(totalDeduction),
       });
     }
 
-    // Deduct from vendor balance
-    vendor.balance -= totalDeduction;
-    await vendor.save();
-
-    // Update request
-    request.status = "approved";
-    request.fee = fee;
-    request.netAmount = request.amount;
-    request.adminNote = adminNote;
-    request.approvedAt = new Date();
-    await request.save();
-
-    // Create a transaction record for payout
-    const Transaction = require("../models/transaction.model");
-    const txn = new Transaction({
-      userId: vendor._id,
-      transactionId: `PO${Date.now()}`,
-      description: `Payout to ${request.method === 'bank' ? 'Bank Account' : 'UPI'} - ${request.accountHolderName || request.upiId || 'N/A'}`,
-      type: "Debit",
-      amount: request.amount,
-      status: "Completed",
-      customerName: request.accountHolderName || vendor.name,
-      method: request.method,
-      category: "payout",
-      referenceId: request._id.toString(),
-      notes: adminNote || `Payout approved`,
-      fee: fee,
-      netAmount: request.amount,
-      accountNumber: request.accountNumber,
-      ifscCode: request.ifscCode,
-      upiId: request.upiId,
-      bankName: request.bankName,
-    });
-    await txn.save();
-
     res.json({
       success: true,
       message: "Payout request approved. Amount deducted from vendor balance.",
-      request,
-      vendorNewBalance: vendor.balance,
-      deducted: totalDeduction,
-      transaction: txn,
+      request: approval.request,
+      vendorNewBalance: toRupees(approval.debited.balance),
+      deducted: toRupees(totalDeduction),
+      transaction: approval.txn,
     });
   } catch (error) {
     console.error("Approve request error:", error);
@@ -327,16 +387,27 @@ router.put("/admin/reject/:id", authMiddleware, async (req, res) => {
       return res.status(400).json({ error: "Request already processed" });
     }
 
-    // Update request
-    request.status = "rejected";
-    request.rejectionReason = rejectionReason;
-    request.rejectedAt = new Date();
-    await request.save();
+    // Update request and release its hold together
+    const rejected = await runInTransaction(async (session) => {
+      const updated = await PayoutRequest.findOneAndUpdate(
+        { _id: request._id, status: "requested" },
+        { $set: { status: "rejected", rejectionReason, rejectedAt: new Date() } },
+        { new: true, session }
+      );
+      if (updated) {
+        await releaseHold(request._id, rejectionReason, session);
+      }
+      return updated;
+    });
+
+    if (!rejected) {
+      return res.status(400).json({ error: "Request already processed" });
+    }
 
     res.json({
       success: true,
       message: "Payout request rejected",
-      request,
+      request: rejected,
     });
   } catch (error) {
     console.error("Reject request error:", error);
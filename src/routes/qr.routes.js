@@ -10,7 +10,7 @@ router.post("/razorpay-create-link", async (req, res) => {
       return res.status(400).json({ message: "Invalid amount" });
     }
     const paymentLink = await razorpay.paymentLink.create({
-      amount: Number(amount) * 100, // in paise
+      amount: toPaise(amount),
       currency: "INR",
       description: description || "Dynamic UPI QR Payment",
       accept_partial: false,
@@ -34,49 +34,23 @@ router.post("/razorpay-create-link", async (req, res) => {
     res.status(500).json({ message });
   }
 });
-const crypto = require("crypto");
 const QRCode = require("../models/qrCode.model");
 const User = require("../models/user.model");
-const Transaction = require("../models/transaction.model");
-const GatewaySettings = require("../models/gatewaySettings.model");
 const razorpay = require("../config/razorpay");
-const { getRazorpayInstance, createGatewayOrder, verifyPayUHash } = require("../config/gatewayHelper");
-
-const buildQrPaymentUrl = async ({ qrId, amount, merchantName, description, isStatic = false, gatewayPaymentUrl = null }) => {
-  const frontendBase = process.env.FRONTEND_URL || "http://localhost:5173";
-  const hostedCheckoutUrl = `${frontendBase}/qr/${qrId}`;
-
-  // If gateway payment URL is available (e.g. Razorpay payment link),
-  // use it as the QR value so scanning opens gateway checkout directly
-  if (gatewayPaymentUrl) {
-    return {
-      qrUrl: gatewayPaymentUrl,
-      paymentUri: gatewayPaymentUrl,
-      paymentMode: "gateway-direct",
-      hostedCheckoutUrl,
-      gatewayPaymentUrl,
-    };
-  }
-
-  return {
-    qrUrl: hostedCheckoutUrl,
-    paymentUri: hostedCheckoutUrl,
-    paymentMode: "hosted",
-    hostedCheckoutUrl,
-  };
-};
-
-const resolveGatewaySettingsForVerification = async (gatewayHint) => {
-  if (gatewayHint) {
-    const hinted = await GatewaySettings.findOne({ gateway: gatewayHint, isEnabled: true });
-    if (hinted?.keySecret) {
-      return hinted;
-    }
-  }
-
-  const { settings } = await getRazorpayInstance();
-  return settings;
-};
+const {
+  resolveGatewaySettings,
+  createGatewayOrder,
+  verifyGatewayReturn,
+  fetchGatewayPaymentStatus,
+} = require("../config/gatewayHelper");
+const { settleGatewayPayment } = require("../config/gatewayEventHelper");
+const paymentController = require("../controllers/paymentController");
+const {
+  buildQrPaymentUrl,
+  createDynamicQr,
+  createStaticQr,
+} = require("../config/qrHelper");
+const { toPaise, toRupees } = require("../config/moneyHelper");
 
 // ============================
 // GENERATE QR CODE (Dynamic)
@@ -89,7 +63,9 @@ router.post("/generate", async (req, res) => {
       return res.status(400).json({ message: "User ID and amount are required" });
     }
 
-    if (Number(amount) <= 0) {
+    // Dashboard amounts are entered in rupees
+    const amountInPaise = toPaise(amount);
+    if (!(amountInPaise > 0)) {
       return res.status(400).json({ message: "Invalid amount" });
     }
 
@@ -98,258 +74,15 @@ router.post("/generate", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Generate unique QR ID
-    const qrId = "QR" + Date.now() + Math.random().toString(36).substring(2, 8).toUpperCase();
-
-    // Calculate expiry time
-    const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
-
-    // Create QR record
-    const qrCode = await QRCode.create({
-      qrId,
-      userId,
-      name: name || "Payment QR",
-      amount: Number(amount),
-      description: description || "",
+    const { qrCode, gatewayPaymentUrl, gatewayQrImageUrl, gatewayName } = await createDynamicQr(user, {
+      amount: amountInPaise,
+      name,
+      description,
       expiryMinutes,
-      expiresAt,
-      isStatic: false,
-      status: "active",
     });
 
-    // Try to create a native UPI QR code at generation time via active gateway
-    // This creates a REAL UPI QR - scanning directly opens UPI app for payment (no "open URL" prompt)
-    let gatewayPaymentUrl = null;
-    let gatewayPaymentLinkId = null;
-    let gatewayQrImageUrl = null;
-    let gatewayName = null;
-    try {
-      const activeGateway = await GatewaySettings.findOne({ isActive: true, isEnabled: true });
-      if (activeGateway && activeGateway.keyId && activeGateway.keySecret) {
-        gatewayName = activeGateway.gateway;
-
-        if (activeGateway.gateway === "razorpay") {
-          // Try multiple credential sources for Razorpay QR Code API
-          const credSources = [
-            { keyId: activeGateway.keyId, keySecret: activeGateway.keySecret, label: "DB" },
-          ];
-          // Also add .env credentials as fallback if they differ
-          if (
-            process.env.RAZORPAY_KEY_ID &&
-            process.env.RAZORPAY_KEY_SECRET &&
-            (process.env.RAZORPAY_KEY_ID !== activeGateway.keyId || process.env.RAZORPAY_KEY_SECRET !== activeGateway.keySecret)
-          ) {
-            credSources.push({ keyId: process.env.RAZORPAY_KEY_ID, keySecret: process.env.RAZORPAY_KEY_SECRET, label: "ENV" });
-          }
-
-          const closeBy = Math.floor(expiresAt.getTime() / 1000);
-
-          // Try QR Code API with each credential source
-          for (const cred of credSources) {
-            try {
-              const auth = Buffer.from(`${cred.keyId}:${cred.keySecret}`).toString("base64");
-              const rzpResponse = await fetch("https://api.razorpay.com/v1/payments/qr_codes", {
-                method: "POST",
-                headers: {
-                  "Content-Type": "application/json",
-                  "Authorization": `Basic ${auth}`,
-                },
-                body: JSON.stringify({
-                  type: "upi_qr",
-                  name: name || "Payment QR",
-                  usage: "single_use",
-                  fixed_amount: true,
-                  payment_amount: Number(amount) * 100,
-                  description: description || "QR Payment",
-                  close_by: closeBy,
-                  notes: { qrId, userId: userId.toString() },
-                }),
-              });
-              const rzpData = await rzpResponse.json();
-              if (rzpResponse.ok && rzpData.image_url) {
-                gatewayQrImageUrl = rzpData.image_url;
-                gatewayPaymentLinkId = rzpData.id;
-                gatewayPaymentUrl = rzpData.short_url || null;
-                console.log(`[QR Generate] Razorpay UPI QR created (${cred.label}):`, rzpData.id);
-                break; // success, stop trying
-              } else {
-                console.warn(`[QR Generate] Razorpay QR API error (${cred.label}):`, rzpData.error?.description || JSON.stringify(rzpData));
-              }
-            } catch (rzpErr) {
-              console.warn(`[QR Generate] Razorpay QR API fetch error (${cred.label}):`, rzpErr.message);
-            }
-          }
-
-          // Fallback: If QR Code API failed (feature not enabled), try Payment Link API with upi_link
-          if (!gatewayQrImageUrl) {
-            console.log("[QR Generate] QR Code API failed, trying Payment Link API as fallback...");
-            for (const cred of credSources) {
-              try {
-                const auth = Buffer.from(`${cred.keyId}:${cred.keySecret}`).toString("base64");
-                const linkResponse = await fetch("https://api.razorpay.com/v1/payment_links", {
-                  method: "POST",
-                  headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Basic ${auth}`,
-                  },
-                  body: JSON.stringify({
-                    amount: Number(amount) * 100,
-                    currency: "INR",
-                    description: description || "QR Payment",
-                    accept_partial: false,
-                    upi_link: true,
-                    notify: { sms: false, email: false },
-                    reminder_enable: false,
-                    notes: { qrId, userId: userId.toString() },
-                    expire_by: closeBy,
-                  }),
-                });
-                const linkData = await linkResponse.json();
-                if (linkResponse.ok && linkData.short_url) {
-                  gatewayPaymentUrl = linkData.short_url;
-                  gatewayPaymentLinkId = linkData.id;
-                  // Payment Link API doesn't return image_url,
-                  // but short_url is a UPI-enabled link that opens UPI apps directly
-                  console.log(`[QR Generate] Razorpay Payment Link created (${cred.label}):`, linkData.id);
-                  break;
-                } else {
-                  console.warn(`[QR Generate] Razorpay Payment Link error (${cred.label}):`, linkData.error?.description || JSON.stringify(linkData));
-                }
-              } catch (linkErr) {
-                console.warn(`[QR Generate] Razorpay Payment Link fetch error (${cred.label}):`, linkErr.message);
-              }
-            }
-          }
-
-        } else if (activeGateway.gateway === "payu") {
-          // PayU Dynamic QR (DBQR) - Uses S2S API to get QR image
-          const payuBase = activeGateway.isTestMode
-            ? "https://test.payu.in"
-            : "https://info.payu.in";
-
-          const txnid = `TXN_QR_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`;
-          const productinfo = description || "QR Payment";
-          const firstname = "Customer";
-          const email = "customer@example.com";
-          const payuKey = activeGateway.keyId;
-          const salt = activeGateway.keySecret;
-          const amountStr = Number(amount).toFixed(2);
-
-          // Generate PayU hash
-          const hashStr = `${payuKey}|${txnid}|${amountStr}|${productinfo}|${firstname}|${email}|||||||||||${salt}`;
-          const payuHash = require("crypto").createHash("sha512").update(hashStr).digest("hex");
-
-          const surl = `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/payu/success`;
-          const furl = `${process.env.BACKEND_URL || "http://localhost:5000"}/api/payment/payu/failure`;
-
-          const payuPayload = {
-            key: payuKey,
-            txnid,
-            amount: amountStr,
-            productinfo,
-            firstname,
-            email,
-            surl,
-            furl,
-            hash: payuHash,
-            pg: "DBQR",
-            bankcode: "UPIDBQR",
-            txn_s2s_flow: "4",
-            udf1: userId.toString(),
-            udf2: qrId,
-            udf3: "qr",
-          };
-
-          // PayU S2S call for DBQR
-          const formBody = Object.entries(payuPayload)
-            .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v || "")}`)
-            .join("&");
-
-          const payuResponse = await fetch(`${payuBase}/_payment`, {
-            method: "POST",
-            headers: { "Content-Type": "application/x-www-form-urlencoded" },
-            body: formBody,
-            redirect: "manual",
-          });
-
-          // PayU DBQR returns a JSON with QR image URL
-          const contentType = payuResponse.headers.get("content-type") || "";
-          if (contentType.includes("json")) {
-            const payuData = await payuResponse.json();
-            if (payuData.qrCodeUrl || payuData.intent_url || payuData.data?.qrCodeUrl) {
-              gatewayQrImageUrl = payuData.qrCodeUrl || payuData.data?.qrCodeUrl || null;
-              gatewayPaymentUrl = payuData.intent_url || payuData.data?.intent_url || null;
-              gatewayPaymentLinkId = txnid;
-              console.log("[QR Generate] PayU DBQR created:", txnid);
-            } else {
-              console.warn("[QR Generate] PayU DBQR response:", JSON.stringify(payuData).substring(0, 300));
-            }
-          } else {
-            console.warn("[QR Generate] PayU DBQR non-JSON response, status:", payuResponse.status);
-          }
-
-        } else if (activeGateway.gateway === "cashfree") {
-          // Cashfree QR Code API
-          const cfBase = activeGateway.isTestMode
-            ? "https://sandbox.cashfree.com/pg"
-            : "https://api.cashfree.com/pg";
-
-          const cfPayload = {
-            link_id: qrId,
-            link_amount: Number(amount),
-            link_currency: "INR",
-            link_purpose: description || "QR Payment",
-            link_minimum_partial_amount: Number(amount),
-            customer_details: {
-              customer_phone: "9999999999",
-              customer_name: "Customer",
-            },
-            link_meta: {
-              upi_intent: true,
-              return_url: `${process.env.FRONTEND_URL || "http://localhost:5173"}/payment/success?qrId=${qrId}`,
-            },
-            link_expiry_time: expiresAt.toISOString(),
-            link_notify: { send_sms: false, send_email: false },
-          };
-
-          const cfResponse = await fetch(`${cfBase}/links`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-client-id": activeGateway.keyId,
-              "x-client-secret": activeGateway.keySecret,
-              "x-api-version": "2023-08-01",
-            },
-            body: JSON.stringify(cfPayload),
-          });
-
-          const cfData = await cfResponse.json();
-          if (cfResponse.ok && cfData.link_qrcode) {
-            // Cashfree returns base64 QR image in link_qrcode
-            gatewayQrImageUrl = cfData.link_qrcode;
-            gatewayPaymentUrl = cfData.link_url || null;
-            gatewayPaymentLinkId = cfData.cf_link_id?.toString() || cfData.link_id || null;
-            console.log("[QR Generate] Cashfree QR created:", cfData.link_id);
-          } else {
-            console.warn("[QR Generate] Cashfree QR API error:", cfData.message || JSON.stringify(cfData).substring(0, 300));
-          }
-        }
-
-        // Save gateway QR data to record
-        if (gatewayQrImageUrl || gatewayPaymentUrl) {
-          qrCode.gatewayQrImageUrl = gatewayQrImageUrl;
-          qrCode.gatewayPaymentUrl = gatewayPaymentUrl;
-          qrCode.gatewayPaymentLinkId = gatewayPaymentLinkId;
-          qrCode.gateway = gatewayName;
-          await qrCode.save();
-        }
-      }
-    } catch (gwErr) {
-      console.warn("[QR Generate] Could not create gateway UPI QR, falling back to hosted checkout:", gwErr.message || gwErr.error?.description);
-    }
-
     const paymentData = await buildQrPaymentUrl({
-      qrId,
+      qrId: qrCode.qrId,
       amount: qrCode.amount,
       merchantName: user.fullName,
       description: qrCode.description,
@@ -362,7 +95,7 @@ router.post("/generate", async (req, res) => {
       message: "QR Code generated successfully",
       qrCode: {
         qrId: qrCode.qrId,
-        amount: qrCode.amount,
+        amount: toRupees(qrCode.amount),
         name: qrCode.name,
         expiresAt: qrCode.expiresAt,
         ...paymentData,
@@ -394,8 +127,8 @@ router.post("/generate-static", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check if user already has a static QR
-    const existingStatic = await QRCode.findOne({ userId, isStatic: true });
+    // Check if user already has a static QR (API-created ones belong to terminals)
+    const existingStatic = await QRCode.findOne({ userId, isStatic: true, source: { $ne: "api" } });
     if (existingStatic) {
       return res.status(400).json({
         message: "You already have a static QR code",
@@ -403,21 +136,11 @@ router.post("/generate-static", async (req, res) => {
       });
     }
 
-    // Generate unique QR ID
-    const qrId = "SQR" + Date.now() + Math.random().toString(36).substring(2, 8).toUpperCase();
-
     // Create static QR record (no amount, no expiry)
-    const qrCode = await QRCode.create({
-      qrId,
-      userId,
-      name: name || "Static Payment QR",
-      description: description || "Accept any amount",
-      isStatic: true,
-      status: "active",
-    });
+    const qrCode = await createStaticQr(user, { name, description });
 
     const paymentData = await buildQrPaymentUrl({
-      qrId,
+      qrId: qrCode.qrId,
       amount: null,
       merchantName: user.fullName,
       description: qrCode.description,
@@ -459,7 +182,7 @@ router.get("/user/:userId", async (req, res) => {
       .limit(50);
 
     // Get static QR
-    const staticQR = await QRCode.findOne({ userId, isStatic: true });
+    const staticQR = await QRCode.findOne({ userId, isStatic: true, source: { $ne: "api" } });
 
     const user = await User.findById(userId).select("fullName");
 
@@ -473,7 +196,7 @@ router.get("/user/:userId", async (req, res) => {
         gatewayPaymentUrl: qr.gatewayPaymentUrl || null,
       });
       return {
-        ...qr.toObject(),
+        ...qr.toJSON(),
         ...paymentData,
         isUpiQr: !!qr.gatewayQrImageUrl || paymentData.paymentMode === "gateway-direct",
         gateway: qr.gateway || null,
@@ -490,7 +213,7 @@ router.get("/user/:userId", async (req, res) => {
         isStatic: true,
       });
       staticQRWithUrl = {
-        ...staticQR.toObject(),
+        ...staticQR.toJSON(),
         ...staticPaymentData,
       };
     }
@@ -513,7 +236,9 @@ router.get("/user/:userId", async (req, res) => {
       success: true,
       qrCodes: qrCodesWithUrls,
       staticQR: staticQRWithUrl,
-      stats: stats[0] || { total: 0, active: 0, paid: 0, totalAmount: 0 },
+      stats: stats[0]
+        ? { ...stats[0], totalAmount: toRupees(stats[0].totalAmount) }
+        : { total: 0, active: 0, paid: 0, totalAmount: 0 },
     });
   } catch (error) {
     console.error("Get QR Codes Error:", error);
@@ -534,6 +259,10 @@ router.get("/checkout/:qrId", async (req, res) => {
       return res.status(404).json({ message: "QR Code not found" });
     }
 
+    if (qrCode.status === "closed") {
+      return res.status(400).json({ message: "QR Code has been closed", status: "closed" });
+    }
+
     // For static QR, no expiry check needed
     if (!qrCode.isStatic) {
       // Check if expired
@@ -564,7 +293,7 @@ router.get("/checkout/:qrId", async (req, res) => {
       success: true,
       qrCode: {
         qrId: qrCode.qrId,
-        amount: qrCode.amount || null,
+        amount: qrCode.amount ? toRupees(qrCode.amount) : null,
         name: qrCode.name,
         description: qrCode.description,
         merchant: qrCode.userId?.fullName || "Merchant",
@@ -622,6 +351,9 @@ router.post("/checkout/create-order", async (req, res) => {
       if (!dynamicAmount || Number(dynamicAmount) <= 0) {
         return res.status(400).json({ message: "Please enter a valid amount" });
       }
+      if (qrCode.status === "closed") {
+        return res.status(400).json({ message: "This QR has been closed and no longer accepts payments." });
+      }
       // Prevent duplicate payment attempts on static QR (PayU E2025 fix)
       if (qrCode.status === "paid") {
         return res.status(400).json({ message: "This static QR has already been paid. Please generate a new QR for another payment." });
@@ -629,7 +361,7 @@ router.post("/checkout/create-order", async (req, res) => {
     }
 
     // Use dynamic amount for static QR, or stored amount for dynamic QR
-    const paymentAmount = qrCode.isStatic ? Number(dynamicAmount) : qrCode.amount;
+    const paymentAmount = qrCode.isStatic ? toPaise(dynamicAmount) : qrCode.amount;
 
     // Create order using active gateway (Razorpay or PayU)
     // Use unique txnid + receipt per attempt to avoid "Duplicate Request" (E2025) errors
@@ -675,16 +407,8 @@ router.post("/checkout/create-order", async (req, res) => {
     }
     const result = await createGatewayOrder(paymentAmount, orderPayload);
 
-    // Debug log for PayU response
-    if (result.gateway === "payu") {
-      console.log("[PAYU ORDER RESPONSE]", JSON.stringify(result, null, 2));
-    }
-    // Save order ID for Razorpay
-    if (result.gateway === "razorpay" && result.order) {
-      qrCode.razorpayOrderId = result.order.id;
-    } else if (result.gateway === "cashfree" && result.cashfreeData?.orderId) {
-      qrCode.razorpayOrderId = result.cashfreeData.orderId;
-    }
+    // Gateway callbacks without the QR id find the QR by its gateway order
+    qrCode.razorpayOrderId = result.gatewayOrderId;
     if (qrCode.isStatic) {
       qrCode.amount = paymentAmount;
     }
@@ -744,23 +468,11 @@ router.post("/checkout/verify", async (req, res) => {
 
     console.log("[QR VERIFY] Found QR:", qrCode.qrId, qrCode.status, qrCode.amount);
 
-    const creditedAmount = qrCode.isStatic
-      ? Number(amount || qrCode.amount || 0)
-      : Number(qrCode.amount || amount || 0);
-
-    if (!creditedAmount || creditedAmount <= 0) {
-      return res.status(400).json({ success: false, message: "Invalid payment amount" });
-    }
+    // Verify the checkout return with the gateway that took the payment
+    const qrGwSettings = await resolveGatewaySettings(gateway);
+    const verified = await verifyGatewayReturn(qrGwSettings, req.body);
 
-    // Verify signature using active gateway secret
-    const sign = razorpay_order_id + "|" + razorpay_payment_id;
-    const qrGwSettings = await resolveGatewaySettingsForVerification(gateway);
-    const expectedSign = crypto
-      .createHmac("sha256", qrGwSettings.keySecret)
-      .update(sign)
-      .digest("hex");
-
-    if (expectedSign === razorpay_signature) {
+    if (verified.verified) {
       console.log("[QR VERIFY] Signature valid. Proceeding to update QR and create transaction.");
       if (!qrCode.isStatic && qrCode.status === "paid") {
         return res.json({
@@ -769,51 +481,38 @@ router.post("/checkout/verify", async (req, res) => {
         });
       }
 
-      const existingTransaction = await Transaction.findOne({
-        userId: qrCode.userId,
-        transactionId: razorpay_payment_id,
+      // The signature does not carry the amount; take it from the gateway
+      const captured = verified.amount !== null
+        ? verified
+        : await fetchGatewayPaymentStatus(qrGwSettings, { paymentId: verified.gatewayPaymentId });
+      if (captured.gatewayOrderId !== verified.gatewayOrderId || captured.status !== "captured") {
+        return res.status(400).json({ success: false, message: "Payment is not captured for this QR" });
+      }
+
+      // Update QR status, credit merchant balance and create transaction record
+      const settled = await settleGatewayPayment(qrGwSettings.gateway, {
+        ...verified,
+        amount: captured.amount,
+        flow: "qr",
+        referenceId: qrCode.qrId,
+        payer: {
+          name: payerName || "Customer",
+          email: payerEmail || "",
+          phone: payerPhone || "",
+        },
       });
 
-      if (existingTransaction) {
+      if (!settled) {
+        return res.status(400).json({ success: false, message: "Payment does not match this QR" });
+      }
+      if (!settled.recorded) {
         return res.json({
           success: true,
           message: "Payment already verified",
         });
       }
 
-      // Update QR status
-      if (!qrCode.isStatic) {
-        qrCode.status = "paid";
-      }
-      qrCode.razorpayPaymentId = razorpay_payment_id;
-      qrCode.paidAt = new Date();
-      qrCode.paidBy = {
-        name: payerName || "Customer",
-        email: payerEmail || "",
-        phone: payerPhone || "",
-      };
-      await qrCode.save();
-
-      console.log("[QR VERIFY] QR updated. Status:", qrCode.status, "PaymentId:", qrCode.razorpayPaymentId);
-
-      // Credit merchant balance
-      await User.findByIdAndUpdate(qrCode.userId, {
-        $inc: { balance: creditedAmount },
-      });
-
-      console.log("[QR VERIFY] User balance credited:", qrCode.userId, creditedAmount);
-
-      // Create transaction record
-      await Transaction.create({
-        userId: qrCode.userId,
-        transactionId: razorpay_payment_id,
-        description: `QR Payment from ${payerName || "Customer"}`,
-        type: "Credit",
-        amount: creditedAmount,
-        status: "Completed",
-      });
-
-      console.log("[QR VERIFY] Transaction created for:", qrCode.userId, razorpay_payment_id);
+      console.log("[QR VERIFY] Payment recorded for:", qrCode.userId, razorpay_payment_id, captured.amount);
 
       return res.json({
         success: true,
@@ -837,111 +536,9 @@ router.post("/checkout/verify", async (req, res) => {
 // ============================
 // RAZORPAY QR CODE WEBHOOK (handles direct UPI scan payments)
 // When Razorpay UPI QR is scanned & paid, Razorpay sends a webhook
+// (qr_code.credited / qr_code.closed), handled like every gateway webhook
 // ============================
-router.post("/webhook/razorpay-qr", async (req, res) => {
-  try {
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    if (webhookSecret) {
-      const shasum = crypto.createHmac("sha256", webhookSecret);
-      shasum.update(JSON.stringify(req.body));
-      const digest = shasum.digest("hex");
-      if (digest !== req.headers["x-razorpay-signature"]) {
-        console.warn("[QR Webhook] Invalid Razorpay signature");
-        return res.status(400).json({ message: "Invalid signature" });
-      }
-    }
-
-    const event = req.body;
-    console.log("[QR Webhook] Event:", event.event);
-
-    // Handle qr_code.credited event (UPI payment received on QR)
-    if (event.event === "qr_code.credited") {
-      const qrEntity = event.payload?.qr_code?.entity;
-      const paymentEntity = event.payload?.payment?.entity;
-
-      if (!qrEntity || !paymentEntity) {
-        return res.json({ status: "missing_payload" });
-      }
-
-      const rzpQrId = qrEntity.id;
-      const qrIdFromNotes = qrEntity.notes?.qrId;
-      const userIdFromNotes = qrEntity.notes?.userId;
-      const amountPaid = paymentEntity.amount / 100; // paise to rupees
-      const paymentId = paymentEntity.id;
-
-      console.log("[QR Webhook] QR credited:", { rzpQrId, qrIdFromNotes, amountPaid, paymentId });
-
-      // Find our QR code record
-      const qrCode = await QRCode.findOne({
-        $or: [
-          { gatewayPaymentLinkId: rzpQrId },
-          { qrId: qrIdFromNotes },
-        ],
-      });
-
-      if (!qrCode) {
-        console.warn("[QR Webhook] QR code not found for:", rzpQrId, qrIdFromNotes);
-        return res.json({ status: "qr_not_found" });
-      }
-
-      // Prevent duplicate crediting
-      if (!qrCode.isStatic && qrCode.status === "paid") {
-        return res.json({ status: "already_processed" });
-      }
-
-      const existingTx = await Transaction.findOne({ userId: qrCode.userId, transactionId: paymentId });
-      if (existingTx) {
-        return res.json({ status: "already_processed" });
-      }
-
-      // Update QR status
-      if (!qrCode.isStatic) {
-        qrCode.status = "paid";
-      }
-      qrCode.razorpayPaymentId = paymentId;
-      qrCode.paidAt = new Date();
-      qrCode.paidBy = {
-        name: paymentEntity.notes?.name || paymentEntity.description || "UPI Scan",
-        email: paymentEntity.email || "",
-        phone: paymentEntity.contact || "",
-      };
-      await qrCode.save();
-
-      // Credit merchant balance
-      await User.findByIdAndUpdate(qrCode.userId, {
-        $inc: { balance: amountPaid },
-      });
-
-      // Create transaction record
-      await Transaction.create({
-        userId: qrCode.userId,
-        transactionId: paymentId,
-        description: `UPI QR Payment (Direct Scan)`,
-        type: "Credit",
-        amount: amountPaid,
-        status: "Completed",
-      });
-
-      console.log("[QR Webhook] Payment credited:", qrCode.userId, amountPaid);
-      return res.json({ status: "ok" });
-    }
-
-    // Handle qr_code.closed event
-    if (event.event === "qr_code.closed") {
-      const qrEntity = event.payload?.qr_code?.entity;
-      const qrIdFromNotes = qrEntity?.notes?.qrId;
-      if (qrIdFromNotes) {
-        await QRCode.updateOne({ qrId: qrIdFromNotes, status: "active" }, { status: "expired" });
-      }
-      return res.json({ status: "ok" });
-    }
-
-    return res.json({ status: "ignored" });
-  } catch (error) {
-    console.error("[QR Webhook] Error:", error);
-    return res.status(500).json({ message: error.message });
-  }
-});
+router.post("/webhook/razorpay-qr", paymentController.gatewayWebhook);
 
 // ============================
 // ADMIN: GET ALL QR CODES (all users)
@@ -988,13 +585,15 @@ router.get("/admin/all", async (req, res) => {
     res.json({
       success: true,
       qrCodes: qrCodes.map((qr) => ({
-        ...qr.toObject(),
+        ...qr.toJSON(),
         userName: qr.userId?.fullName || "N/A",
         userEmail: qr.userId?.email || "N/A",
         gateway: qr.gateway || null,
         isUpiQr: !!qr.gatewayQrImageUrl,
       })),
-      stats: stats[0] || { total: 0, active: 0, paid: 0, expired: 0, totalAmount: 0 },
+      stats: stats[0]
+        ? { ...stats[0], totalAmount: toRupees(stats[0].totalAmount) }
+        : { total: 0, active: 0, paid: 0, expired: 0, totalAmount: 0 },
       pagination: {
         total,
         page: Number(page),
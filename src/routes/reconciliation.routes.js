@@ -0,0 +1,95 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../middlewares/auth.middleware");
+const ReconciliationRun = require("../models/reconciliationRun.model");
+const {
+  reconcileBalances,
+  adjustDrift,
+  getDriftReport,
+} = require("../config/reconciliationHelper");
+
+// ========================
+// ADMIN ROUTES
+// ========================
+
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== "admin") {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+};
+
+router.use(authMiddleware, requireAdmin);
+
+// Run the balance reconciliation now
+router.post("/admin/run", async (req, res) => {
+  try {
+    const run = await reconcileBalances({ trigger: "manual" });
+    const report = await getDriftReport({ runId: run.runId });
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error("Reconciliation run error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Recent reconciliation runs
+router.get("/admin/runs", async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const runs = await ReconciliationRun.find()
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.json({ success: true, runs });
+  } catch (error) {
+    console.error("Reconciliation runs error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Per-merchant drift report (?runId= defaults to the latest completed run, ?status=open|adjusted|superseded)
+router.get("/admin/report", async (req, res) => {
+  try {
+    const { runId, status } = req.query;
+    const report = await getDriftReport({ runId, status });
+
+    if (runId && !report.run) {
+      return res.status(404).json({ error: "Reconciliation run not found" });
+    }
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error("Reconciliation report error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Post a correcting adjustment for a drift (body: { correct: "balance" | "transactions", note })
+router.post("/admin/drifts/:id/adjust", async (req, res) => {
+  try {
+    const { correct, note } = req.body;
+
+    const drift = await adjustDrift(req.params.id, {
+      correct,
+      note,
+      adjustedBy: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Drift adjusted",
+      drift,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Reconciliation adjust error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const Report = require("../models/report.model");
 const Transaction = require("../models/transaction.model");
 const Withdrawal = require("../models/withdrawal.model");
 const mongoose = require("mongoose");
+const { toRupees, toRupeeString } = require("../config/moneyHelper");
 
 // ============================
 // GET USER'S REPORTS
@@ -124,15 +125,15 @@ router.get("/stats/:userId", async (req, res) => {
       stats: {
         currentMonth: {
           transactions: current.totalTransactions,
-          revenue: current.totalCredit,
-          expenses: current.totalDebit,
-          net: current.totalCredit - current.totalDebit,
+          revenue: toRupees(current.totalCredit),
+          expenses: toRupees(current.totalDebit),
+          net: toRupees(current.totalCredit - current.totalDebit),
         },
         allTime: {
           transactions: allTime.totalTransactions,
-          revenue: allTime.totalCredit,
-          expenses: allTime.totalDebit,
-          net: allTime.totalCredit - allTime.totalDebit,
+          revenue: toRupees(allTime.totalCredit),
+          expenses: toRupees(allTime.totalDebit),
+          net: toRupees(allTime.totalCredit - allTime.totalDebit),
         },
         reportsGenerated: reportsCount,
         growthPercent: Number(growthPercent),
@@ -203,7 +204,7 @@ router.post("/generate", async (req, res) => {
     let csvContent = "Transaction ID,Date,Description,Type,Amount,Status\n";
     transactions.forEach((t) => {
       const date = new Date(t.createdAt).toLocaleDateString("en-IN");
-      csvContent += `${t.transactionId},${date},"${t.description || ""}",${t.type},${t.amount},${t.status}\n`;
+      csvContent += `${t.transactionId},${date},"${t.description || ""}",${t.type},${toRupeeString(t.amount)},${t.status}\n`;
     });
 
     // Convert to base64
@@ -233,7 +234,7 @@ router.post("/generate", async (req, res) => {
         reportId: report.reportId,
         title: report.title,
         type: report.type,
-        summary: report.summary,
+        summary: report.toJSON().summary,
         createdAt: report.createdAt,
       },
     });
@@ -414,18 +415,18 @@ router.get("/admin/stats", async (req, res) => {
       stats: {
         currentMonth: {
           transactions: current.totalTransactions,
-          revenue: current.totalCredit,
-          expenses: current.totalDebit,
-          net: current.totalCredit - current.totalDebit,
+          revenue: toRupees(current.totalCredit),
+          expenses: toRupees(current.totalDebit),
+          net: toRupees(current.totalCredit - current.totalDebit),
         },
         allTime: {
           transactions: allTime.totalTransactions,
-          revenue: allTime.totalCredit,
-          expenses: allTime.totalDebit,
-          net: allTime.totalCredit - allTime.totalDebit,
+          revenue: toRupees(allTime.totalCredit),
+          expenses: toRupees(allTime.totalDebit),
+          net: toRupees(allTime.totalCredit - allTime.totalDebit),
         },
         settlements: {
-          total: settlements.total,
+          total: toRupees(settlements.total),
           count: settlements.count,
         },
         reportsGenerated: reportsCount,
@@ -489,7 +490,7 @@ router.post("/admin/generate", async (req, res) => {
         const date = new Date(t.createdAt).toLocaleDateString("en-IN");
         const userName = t.userId?.name || "N/A";
         const userEmail = t.userId?.email || "N/A";
-        csvContent += `${t.transactionId},${date},"${userName}","${userEmail}","${t.description || ""}",${t.type},${t.amount},${t.status}\n`;
+        csvContent += `${t.transactionId},${date},"${userName}","${userEmail}","${t.description || ""}",${t.type},${toRupeeString(t.amount)},${t.status}\n`;
         if (t.type === "Credit") summary.totalCredit += t.amount;
         else summary.totalDebit += t.amount;
       });
@@ -508,7 +509,7 @@ router.post("/admin/generate", async (req, res) => {
         const date = new Date(w.createdAt).toLocaleDateString("en-IN");
         const userName = w.userId?.name || "N/A";
         const userEmail = w.userId?.email || "N/A";
-        csvContent += `${w._id},${date},"${userName}","${userEmail}",${w.amount},${w.status},"${w.bankName || ""}","${w.accountNumber || ""}"\n`;
+        csvContent += `${w._id},${date},"${userName}","${userEmail}",${toRupeeString(w.amount)},${w.status},"${w.bankName || ""}","${w.accountNumber || ""}"\n`;
         summary.totalDebit += w.amount;
       });
       summary.totalTransactions = withdrawals.length;
@@ -523,7 +524,7 @@ router.post("/admin/generate", async (req, res) => {
       csvContent = "User ID,Name,Email,Phone,KYC Status,Balance,Created At\n";
       users.forEach((u) => {
         const date = new Date(u.createdAt).toLocaleDateString("en-IN");
-        csvContent += `${u._id},"${u.name || ""}","${u.email}","${u.phone || ""}",${u.kycStatus || "pending"},${u.balance || 0},${date}\n`;
+        csvContent += `${u._id},"${u.name || ""}","${u.email}","${u.phone || ""}",${u.kycStatus || "pending"},${toRupeeString(u.balance)},${date}\n`;
         summary.totalCredit += u.balance || 0;
       });
       summary.totalTransactions = users.length;
@@ -549,7 +550,7 @@ router.post("/admin/generate", async (req, res) => {
         reportId: report.reportId,
         title: report.title,
         type: report.type,
-        summary: report.summary,
+        summary: report.toJSON().summary,
         createdAt: report.createdAt,
       },
     });
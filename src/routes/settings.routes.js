@@ -4,6 +4,7 @@ const Settings = require("../models/settings.model");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const { toPaise, toRupees } = require("../config/moneyHelper");
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -97,10 +98,10 @@ router.put("/", upload.fields([
       settings.commissionRate = parseFloat(req.body.commissionRate);
     }
     if (req.body.minWithdrawal !== undefined) {
-      settings.minWithdrawal = parseFloat(req.body.minWithdrawal);
+      settings.minWithdrawal = toPaise(req.body.minWithdrawal);
     }
     if (req.body.maxWithdrawal !== undefined) {
-      settings.maxWithdrawal = parseFloat(req.body.maxWithdrawal);
+      settings.maxWithdrawal = toPaise(req.body.maxWithdrawal);
     }
 
     // Update social links
@@ -149,8 +150,8 @@ router.get("/payment", async (req, res) => {
     const settings = await Settings.getSettings();
     res.json({
       commissionRate: settings.commissionRate,
-      minWithdrawal: settings.minWithdrawal,
-      maxWithdrawal: settings.maxWithdrawal,
+      minWithdrawal: toRupees(settings.minWithdrawal),
+      maxWithdrawal: toRupees(settings.maxWithdrawal),
     });
   } catch (error) {
     console.error("Get payment settings error:", error);
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const Transaction = require("../models/transaction.model");
+const { getWalletStatement, getLedgerBalance } = require("../config/ledgerHelper");
+const { toRupees } = require("../config/moneyHelper");
 
 // Get transactions by user
 router.get("/:userId", async (req, res) => {
@@ -15,4 +17,19 @@ router.get("/:userId", async (req, res) => {
   }
 });
 
+// Wallet ledger statement by user (newest first, ?limit=&before=)
+router.get("/ledger/:userId", async (req, res) => {
+  try {
+    const { limit, before } = req.query;
+    const [entries, ledgerBalance] = await Promise.all([
+      getWalletStatement(req.params.userId, { limit, before }),
+      getLedgerBalance(req.params.userId),
+    ]);
+
+    res.json({ ledgerBalance: toRupees(ledgerBalance), entries });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
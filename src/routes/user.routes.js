@@ -6,6 +6,17 @@ const upload = require("../middlewares/upload.middleware");
 const authController = require("../controllers/usercontroller");
 const User = require("../models/user.model"); // ✅ IMPORTANT IMPORT
 const transporter = require("../config/mailer");
+const { getMerchantWebhookSecret } = require("../config/webhookHelper");
+const { getBalanceSummary } = require("../config/holdHelper");
+const { toRupees } = require("../config/moneyHelper");
+const {
+  API_SCOPES,
+  generateSecretKey,
+  hashSecret,
+  normalizeScopes,
+  rotateTokenSecret,
+  serializeApiToken,
+} = require("../config/apiKeyHelper");
 
 // Register Route
 router.post("/register", authController.register);
@@ -204,7 +215,12 @@ router.get("/balance/:userId", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.json({ balance: user.balance });
+    const { balance, reserved, available } = getBalanceSummary(user);
+    res.json({
+      balance: toRupees(balance),
+      reservedBalance: toRupees(reserved),
+      availableBalance: toRupees(available),
+    });
 
   } catch (error) {
     console.error(error);
@@ -448,11 +464,6 @@ const generateKeyId = () => {
   return 'sat_test_' + crypto.randomBytes(12).toString('hex');
 };
 
-const generateSecretKey = () => {
-  const crypto = require('crypto');
-  return crypto.randomBytes(24).toString('hex');
-};
-
 // ✅ Get all API tokens for a user
 router.get("/api-tokens/:userId", async (req, res) => {
   try {
@@ -460,17 +471,10 @@ router.get("/api-tokens/:userId", async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
-    // Return tokens but mask the secret keys
-    const tokens = (user.apiTokens || []).map(t => ({
-      _id: t._id,
-      name: t.name,
-      keyId: t.keyId,
-      secretKey: t.secretKey,
-      mode: t.mode,
-      status: t.status,
-      createdAt: t.createdAt
-    }));
-    res.json({ tokens });
+    // Secrets are stored hashed and never returned after creation
+    const tokens = (user.apiTokens || []).map(serializeApiToken);
+    const webhookSecret = await getMerchantWebhookSecret(user._id);
+    res.json({ tokens, webhookSecret });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -479,11 +483,18 @@ router.get("/api-tokens/:userId", async (req, res) => {
 // ✅ Create new API token
 router.post("/api-tokens/:userId", async (req, res) => {
   try {
-    const { name, mode = "test" } = req.body;
+    const { name, mode = "test", scopes } = req.body;
     if (!name) {
       return res.status(400).json({ message: "Token name is required" });
     }
 
+    let tokenScopes;
+    try {
+      tokenScopes = normalizeScopes(scopes);
+    } catch (err) {
+      return res.status(400).json({ message: err.message, allowedScopes: API_SCOPES });
+    }
+
     const user = await User.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -495,8 +506,9 @@ router.post("/api-tokens/:userId", async (req, res) => {
     const newToken = {
       name,
       keyId,
-      secretKey,
+      secretHash: hashSecret(secretKey),
       mode,
+      scopes: tokenScopes,
       status: "active",
       createdAt: new Date()
     };
@@ -510,13 +522,8 @@ router.post("/api-tokens/:userId", async (req, res) => {
     res.json({
       message: "API Keys created successfully",
       token: {
-        _id: createdToken._id,
-        name: createdToken.name,
-        keyId: createdToken.keyId,
-        secretKey: createdToken.secretKey,
-        mode: createdToken.mode,
-        status: createdToken.status,
-        createdAt: createdToken.createdAt
+        ...serializeApiToken(createdToken),
+        secretKey
       }
     });
   } catch (error) {
@@ -524,6 +531,46 @@ router.post("/api-tokens/:userId", async (req, res) => {
   }
 });
 
+// ✅ Rotate API token secret
+// Body: { gracePeriodHours } - the old secret keeps working for the grace period
+router.post("/api-tokens/:userId/:tokenId/rotate", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const token = (user.apiTokens || []).find(
+      (t) => t._id.toString() === req.params.tokenId
+    );
+    if (!token) {
+      return res.status(404).json({ message: "Token not found" });
+    }
+
+    const { secretKey, previousSecretExpiresAt } = await rotateTokenSecret(
+      user._id,
+      token.keyId,
+      req.body.gracePeriodHours
+    );
+
+    // Return the new secret (only shown once)
+    res.json({
+      message: "API secret rotated successfully",
+      token: {
+        _id: token._id,
+        keyId: token.keyId,
+        secretKey,
+        previousSecretExpiresAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // ✅ Delete/Revoke API token
 router.delete("/api-tokens/:userId/:tokenId", async (req, res) => {
   try {
@@ -546,7 +593,7 @@ router.delete("/api-tokens/:userId/:tokenId", async (req, res) => {
 // ✅ GET SINGLE USER (MUST BE LAST)
 router.get("/:id", async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select("-password");
+    const user = await User.findById(req.params.id).select("-password -apiTokens.secretKey -apiTokens.secretHash -apiTokens.previousSecretHash");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -1,9 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/user.model");
-const Transaction = require("../models/transaction.model");
 const Withdrawal = require("../models/withdrawal.model");
 const Settings = require("../models/settings.model");
+const { getBalanceSummary } = require("../config/holdHelper");
+const {
+  createWithdrawalRequest,
+  approveWithdrawal,
+  rejectWithdrawal,
+} = require("../config/withdrawalHelper");
+const { toPaise, toRupees, formatRupees, percentOf } = require("../config/moneyHelper");
 
 
 // ================= USER REQUEST WITHDRAW =================
@@ -17,67 +23,50 @@ router.post("/request", async (req, res) => {
 
     // Get payment settings from admin
     const settings = await Settings.getSettings();
-    const minWithdrawal = settings.minWithdrawal || 50;
-    const maxWithdrawal = settings.maxWithdrawal || 500000;
+    const minWithdrawal = settings.minWithdrawal || 5000;
+    const maxWithdrawal = settings.maxWithdrawal || 50000000;
     const commissionRate = settings.commissionRate || 2;
 
-    const withdrawAmount = Number(amount);
+    const withdrawAmount = toPaise(amount);
 
-    if (withdrawAmount < minWithdrawal) {
-      return res.status(400).json({ message: `Minimum withdrawal is ₹${minWithdrawal}` });
+    if (!withdrawAmount || withdrawAmount < minWithdrawal) {
+      return res.status(400).json({ message: `Minimum withdrawal is ${formatRupees(minWithdrawal)}` });
     }
 
     if (withdrawAmount > maxWithdrawal) {
-      return res.status(400).json({ message: `Maximum withdrawal is ₹${maxWithdrawal.toLocaleString()}` });
+      return res.status(400).json({ message: `Maximum withdrawal is ₹${toRupees(maxWithdrawal).toLocaleString()}` });
     }
 
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ message: "User not found" });
 
     // Calculate commission dynamically from settings
-    const commission = (withdrawAmount * commissionRate) / 100;
+    const commission = percentOf(withdrawAmount, commissionRate);
     const total = withdrawAmount + commission;
 
-    if (total > user.balance) {
-      return res.status(400).json({
-        message: `Insufficient balance. Required ₹${total.toFixed(
-          2
-        )}, Available ₹${user.balance.toFixed(2)}`,
-      });
-    }
-
-    // Create Withdrawal Request
-    const withdrawal = await Withdrawal.create({
-      userId,
-      withdrawalId: "WD" + Date.now(),
+    // Hold the amount and create the Withdrawal Request with its Pending Transaction
+    const withdrawal = await createWithdrawalRequest(user, {
+      type: "withdrawal",
       amount: withdrawAmount,
       commission,
-      total,
       accountName,
       accountNumber,
       ifsc,
-      bankName: bankName || "",
-      type: "withdrawal",
-      status: "Pending",
+      bankName,
+      transaction: {
+        description: `Withdrawal Request to ${bankName || "Bank"} (${accountNumber.slice(-4)})`,
+        category: "withdrawal",
+        notes: `Platform Fee: ${commissionRate}% (${formatRupees(commission)})`
+      },
     });
 
-    // Create Pending Transaction with full details
-    await Transaction.create({
-      userId,
-      transactionId: withdrawal.withdrawalId,
-      description: `Withdrawal Request to ${bankName || "Bank"} (${accountNumber.slice(-4)})`,
-      type: "Debit",
-      amount: withdrawAmount,
-      fee: commission,
-      netAmount: total,
-      category: "withdrawal",
-      method: "bank",
-      accountNumber: accountNumber,
-      ifscCode: ifsc,
-      bankName: bankName || "",
-      status: "Pending",
-      notes: `Platform Fee: ${commissionRate}% (₹${commission.toFixed(2)})`
-    });
+    if (!withdrawal) {
+      return res.status(400).json({
+        message: `Insufficient balance. Required ${formatRupees(total)}, Available ${formatRupees(
+          getBalanceSummary(user).available
+        )}`,
+      });
+    }
 
     res.json({
       success: true,
@@ -120,38 +109,32 @@ router.post("/admin/approve/:id", async (req, res) => {
       return res.status(400).json({ message: "Already processed" });
     }
 
-    // Get user and check balance first
+    // Get user
     const user = await User.findById(withdrawal.userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check if user has sufficient balance
-    if (user.balance < withdrawal.total) {
+    // Capture the hold placed at request time (amount + platform fee) and complete the Transaction
+    const approval = await approveWithdrawal(withdrawal);
+
+    if (approval.processed) {
+      return res.status(400).json({ message: "Already processed" });
+    }
+
+    if (approval.insufficient) {
+      const { available } = getBalanceSummary(user);
       return res.status(400).json({
         message: "Insufficient user balance",
-        currentBalance: user.balance,
-        required: withdrawal.total,
-        shortfall: withdrawal.total - user.balance
+        currentBalance: toRupees(available),
+        required: toRupees(withdrawal.total),
+        shortfall: toRupees(withdrawal.total - available)
       });
     }
 
-    // Deduct Balance only if sufficient
-    user.balance -= withdrawal.total;
-    await user.save();
-
-    withdrawal.status = "Approved";
-    await withdrawal.save();
-
-    // Update Transaction Status
-    await Transaction.findOneAndUpdate(
-      { transactionId: withdrawal.withdrawalId },
-      { status: "Completed" }
-    );
-
     res.json({
       message: "Withdrawal approved successfully",
-      newBalance: user.balance
+      newBalance: toRupees(approval.debited.balance)
     });
 
   } catch (error) {
@@ -172,14 +155,11 @@ router.post("/admin/reject/:id", async (req, res) => {
       return res.status(400).json({ message: "Already processed" });
     }
 
-    withdrawal.status = "Rejected";
-    await withdrawal.save();
-
-    // Update Transaction Status
-    await Transaction.findOneAndUpdate(
-      { transactionId: withdrawal.withdrawalId },
-      { status: "Failed" }
-    );
+    // Release the hold and fail the Transaction
+    const rejected = await rejectWithdrawal(withdrawal, "Withdrawal rejected");
+    if (!rejected) {
+      return res.status(400).json({ message: "Already processed" });
+    }
 
     res.json({ message: "Withdrawal rejected" });
 
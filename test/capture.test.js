@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const PaymentCapture = require("../src/models/paymentCapture.model");
+const { useMemoryModels, resetMemoryDb, getDocs } = require("./helpers/memoryDb");
+const { capturePayment } = require("../src/config/captureHelper");
+
+useMemoryModels(PaymentCapture);
+
+const merchantId = new mongoose.Types.ObjectId();
+
+const capture = (overrides = {}) => ({
+  gateway: "razorpay",
+  gatewayPaymentId: "pay_1",
+  flow: "deposit",
+  merchantId,
+  referenceId: "DEP1",
+  amount: 50000,
+  ...overrides,
+});
+
+describe("exactly-once capture", () => {
+  beforeEach(resetMemoryDb);
+
+  it("runs the credit once however many times the payment is reported", async () => {
+    let credits = 0;
+    const credit = async () => {
+      credits += 1;
+      return { credited: true };
+    };
+
+    const results = await Promise.all([
+      capturePayment(capture(), credit),
+      capturePayment(capture(), credit),
+      capturePayment(capture(), credit),
+    ]);
+
+    assert.equal(credits, 1);
+    assert.equal(results.filter(Boolean).length, 1);
+    const [claim] = getDocs(PaymentCapture);
+    assert.equal(claim.status, "captured");
+    assert.ok(claim.capturedAt);
+  });
+
+  it("keys the claim on the gateway as well as the payment id", async () => {
+    const first = await capturePayment(capture(), async () => true);
+    const second = await capturePayment(capture({ gateway: "payu" }), async () => true);
+
+    assert.equal(first, true);
+    assert.equal(second, true);
+    assert.equal(getDocs(PaymentCapture).length, 2);
+  });
+
+  it("drops the claim when the work credits nothing, so a later report can capture", async () => {
+    const skipped = await capturePayment(capture(), async () => null);
+    const captured = await capturePayment(capture(), async () => "credited");
+
+    assert.equal(skipped, null);
+    assert.equal(captured, "credited");
+    assert.equal(getDocs(PaymentCapture).length, 1);
+  });
+
+  it("drops the claim and rethrows when the work fails", async () => {
+    await assert.rejects(
+      capturePayment(capture(), async () => {
+        throw new Error("ledger unavailable");
+      }),
+      /ledger unavailable/
+    );
+
+    assert.equal(getDocs(PaymentCapture).length, 0);
+    assert.equal(await capturePayment(capture(), async () => "credited"), "credited");
+  });
+
+  it("passes the claim to the work", async () => {
+    const seen = await capturePayment(capture({ amount: 1234 }), async (session, claim) => claim);
+
+    assert.equal(seen.gatewayPaymentId, "pay_1");
+    assert.equal(seen.amount, 1234);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const cashfree = require("../../src/config/gateways/cashfree.gateway");
+
+const settings = { keyId: "cf_id", keySecret: "cf_secret", isTestMode: true };
+const originalFetch = global.fetch;
+
+const sign = (timestamp, rawBody) =>
+  crypto.createHmac("sha256", "cf_secret").update(`${timestamp}${rawBody}`).digest("base64");
+
+describe("cashfree adapter", () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ order_id: "CF_ORDER_1", order_status: "PAID", order_amount: 500 }),
+      };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it("takes a return's status and amount from the order API, not the redirect", async () => {
+    const result = await cashfree.verifyReturn(settings, { orderId: "CF_ORDER_1", order_status: "PAID", amount: 999999 });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, "https://sandbox.cashfree.com/pg/orders/CF_ORDER_1");
+    assert.equal(requests[0].options.headers["x-client-secret"], "cf_secret");
+    assert.equal(result.status, "captured");
+    assert.equal(result.amount, 50000);
+  });
+
+  it("reads a webhook signed over the timestamp and raw body", async () => {
+    const body = {
+      type: "PAYMENT_SUCCESS_WEBHOOK",
+      data: { order: { order_id: "CF_ORDER_1", order_amount: 500 }, payment: { payment_amount: 500 } },
+    };
+    const rawBody = JSON.stringify(body);
+
+    const event = await cashfree.parseWebhook(settings, {
+      body,
+      rawBody,
+      headers: { "x-webhook-timestamp": "1700000000", "x-webhook-signature": sign("1700000000", rawBody) },
+    });
+
+    assert.equal(event.type, "payment.captured");
+    assert.equal(event.gatewayPaymentId, "CF_ORDER_1");
+    assert.equal(event.amount, 50000);
+  });
+
+  it("rejects a webhook with a changed timestamp, body or missing timestamp", async () => {
+    const rawBody = JSON.stringify({ type: "PAYMENT_SUCCESS_WEBHOOK", data: {} });
+    const signature = sign("1700000000", rawBody);
+    const attempts = [
+      { rawBody, headers: { "x-webhook-timestamp": "1700000001", "x-webhook-signature": signature } },
+      { rawBody: rawBody.replace("{}", "{\"x\":1}"), headers: { "x-webhook-timestamp": "1700000000", "x-webhook-signature": signature } },
+      { rawBody, headers: { "x-webhook-signature": sign("undefined", rawBody) } },
+    ];
+
+    for (const attempt of attempts) {
+      await assert.rejects(cashfree.parseWebhook(settings, { body: JSON.parse(attempt.rawBody), ...attempt }), /Invalid signature/);
+    }
+  });
+});
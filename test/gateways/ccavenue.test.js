@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const ccavenue = require("../../src/config/gateways/ccavenue.gateway");
+
+const settings = { keyId: "MERCHANT1", keySecret: "working_key", extra: { accessCode: "ACCESS1" }, isTestMode: true };
+const originalFetch = global.fetch;
+
+// AES-128-CBC with md5(working key) and the fixed 0..15 IV, as CCAvenue's kits do
+const encrypt = (plainText, workingKey = "working_key") => {
+  const key = crypto.createHash("md5").update(workingKey).digest();
+  const cipher = crypto.createCipheriv("aes-128-cbc", key, Buffer.from([...Array(16).keys()]));
+  return cipher.update(plainText, "utf8", "hex") + cipher.final("hex");
+};
+
+const encResp = (fields) =>
+  encrypt(new URLSearchParams({ order_id: "CCA1", order_status: "Success", amount: "500.00", currency: "INR", ...fields }).toString());
+
+describe("ccavenue adapter", () => {
+  let requests;
+  let statusOrder;
+
+  beforeEach(() => {
+    requests = [];
+    statusOrder = { order_no: "CCA1", order_status: "Success", order_amt: "500.00", reference_no: "111222333" };
+    global.fetch = async (url, options) => {
+      requests.push({ url, form: new URLSearchParams(options.body) });
+      return {
+        ok: true,
+        status: 200,
+        text: async () => new URLSearchParams({ status: "0", enc_response: encrypt(JSON.stringify(statusOrder)) }).toString(),
+      };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it("confirms a decrypted response with the order status API", async () => {
+    const result = await ccavenue.verifyReturn(settings, { encResp: encResp({ merchant_param2: "DEP1", merchant_param3: "deposit" }) });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].form.get("command"), "orderStatusTracker");
+    assert.equal(requests[0].form.get("access_code"), "ACCESS1");
+    assert.equal(result.verified, true);
+    assert.equal(result.status, "captured");
+    assert.equal(result.amount, 50000);
+    assert.equal(result.trackingId, "111222333");
+    assert.equal(result.referenceId, "DEP1");
+  });
+
+  it("settles the status API's status and amount rather than the posted ones", async () => {
+    statusOrder = { ...statusOrder, order_status: "Aborted", order_amt: "5.00" };
+
+    const result = await ccavenue.verifyReturn(settings, { encResp: encResp({ amount: "500.00" }) });
+
+    assert.equal(result.status, "failed");
+    assert.equal(result.amount, 500);
+  });
+
+  it("rejects a response encrypted with another key or not encrypted at all", async () => {
+    for (const value of [encrypt("order_id=CCA1&order_status=Success", "other_key"), "not-hex", undefined]) {
+      assert.equal((await ccavenue.verifyReturn(settings, { encResp: value })).verified, false);
+    }
+    assert.equal(requests.length, 0);
+  });
+
+  it("rejects a response in another currency", async () => {
+    assert.equal((await ccavenue.verifyReturn(settings, { encResp: encResp({ currency: "USD" }) })).verified, false);
+  });
+
+  it("reads a notification and refuses one that does not decrypt", async () => {
+    const event = await ccavenue.parseWebhook(settings, { body: { encResp: encResp() } });
+    assert.equal(event.type, "payment.captured");
+    assert.equal(event.gatewayPaymentId, "CCA1");
+
+    await assert.rejects(ccavenue.parseWebhook(settings, { body: { encResp: "00" } }), /Invalid encResp/);
+  });
+});
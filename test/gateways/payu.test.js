@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const payu = require("../../src/config/gateways/payu.gateway");
+
+const settings = { keyId: "payu_key", keySecret: "payu_salt", isTestMode: true };
+
+// Reverse hash PayU sends with its success/failure posts
+const sign = (fields) =>
+  crypto
+    .createHash("sha512")
+    .update(
+      `payu_salt|${fields.status}||||||||${fields.udf3 || ""}|${fields.udf2 || ""}|${fields.udf1 || ""}|${fields.email}|${fields.firstname}|${fields.productinfo}|${fields.amount}|${fields.txnid}|payu_key`
+    )
+    .digest("hex");
+
+const response = (overrides = {}) => {
+  const fields = {
+    mihpayid: "403993715521937",
+    status: "success",
+    txnid: "TXN1",
+    amount: "500.00",
+    productinfo: "Deposit",
+    firstname: "Customer",
+    email: "customer@example.com",
+    udf2: "DEP1",
+    udf3: "deposit",
+    ...overrides,
+  };
+  return { ...fields, hash: sign(fields) };
+};
+
+describe("payu adapter", () => {
+  it("verifies a response whose reverse hash matches and reads the amount in paise", async () => {
+    const result = await payu.verifyReturn(settings, response());
+
+    assert.equal(result.verified, true);
+    assert.equal(result.status, "captured");
+    assert.equal(result.amount, 50000);
+    assert.equal(result.gatewayPaymentId, "403993715521937");
+    assert.equal(result.referenceId, "DEP1");
+  });
+
+  it("rejects a response whose amount, status or reference was changed", async () => {
+    for (const change of [{ amount: "50000.00" }, { status: "success", udf2: "DEP2" }]) {
+      const tampered = { ...response({ status: "failure" }), ...change };
+      assert.equal((await payu.verifyReturn(settings, tampered)).verified, false);
+    }
+  });
+
+  it("rejects a response without a hash", async () => {
+    const { hash, ...unsigned } = response();
+
+    assert.ok(hash);
+    assert.equal((await payu.verifyReturn(settings, unsigned)).verified, false);
+  });
+
+  it("reads a webhook with a valid hash and refuses a forged one", async () => {
+    const event = await payu.parseWebhook(settings, { body: response() });
+    assert.equal(event.type, "payment.captured");
+    assert.equal(event.amount, 50000);
+
+    await assert.rejects(
+      payu.parseWebhook(settings, { body: { ...response(), amount: "1.00" } }),
+      /Invalid hash/
+    );
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const phonepe = require("../../src/config/gateways/phonepe.gateway");
+
+const settings = { keyId: "MERCHANT1", keySecret: "salt_key", extra: { saltIndex: "1" }, isTestMode: true };
+const originalFetch = global.fetch;
+
+const xVerify = (value) => `${crypto.createHash("sha256").update(value + "salt_key").digest("hex")}###1`;
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64");
+
+const callback = (code, amount = 50000) =>
+  encode({ success: code === "PAYMENT_SUCCESS", code, data: { merchantTransactionId: "PP_1", amount, state: code === "PAYMENT_SUCCESS" ? "COMPLETED" : "FAILED" } });
+
+describe("phonepe adapter", () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ success: true, code: "PAYMENT_SUCCESS", data: { merchantTransactionId: "PP_1", amount: 50000, state: "COMPLETED" } }),
+      };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it("takes a redirect's outcome from the status API", async () => {
+    const result = await phonepe.verifyReturn(settings, { merchantId: "MERCHANT1", transactionId: "PP_1", code: "PAYMENT_ERROR" });
+
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].url, /\/pg\/v1\/status\/MERCHANT1\/PP_1$/);
+    assert.equal(requests[0].options.headers["X-VERIFY"], xVerify("/pg/v1/status/MERCHANT1/PP_1"));
+    assert.equal(result.verified, true);
+    assert.equal(result.status, "captured");
+    assert.equal(result.amount, 50000);
+  });
+
+  it("rejects a redirect for another merchant without calling PhonePe", async () => {
+    const result = await phonepe.verifyReturn(settings, { merchantId: "OTHER", transactionId: "PP_1" });
+
+    assert.equal(result.verified, false);
+    assert.equal(requests.length, 0);
+  });
+
+  it("reads a callback whose X-VERIFY matches", async () => {
+    const response = callback("PAYMENT_SUCCESS");
+
+    const event = await phonepe.parseWebhook(settings, { body: { response }, headers: { "x-verify": xVerify(response) } });
+
+    assert.equal(event.type, "payment.captured");
+    assert.equal(event.gatewayPaymentId, "PP_1");
+    assert.equal(event.amount, 50000);
+  });
+
+  it("rejects a callback with a changed payload, a wrong checksum or none", async () => {
+    const response = callback("PAYMENT_SUCCESS");
+    const checksum = xVerify(response);
+    const attempts = [
+      { body: { response: callback("PAYMENT_SUCCESS", 99999900) }, headers: { "x-verify": checksum } },
+      { body: { response }, headers: { "x-verify": checksum.slice(0, -1) + "2" } },
+      { body: { response }, headers: { "x-verify": checksum.slice(0, 10) } },
+      { body: { response }, headers: {} },
+      { body: {}, headers: { "x-verify": checksum } },
+    ];
+
+    for (const attempt of attempts) {
+      await assert.rejects(phonepe.parseWebhook(settings, attempt), /Invalid checksum/);
+    }
+  });
+});
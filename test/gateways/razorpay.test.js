@@ -0,0 +1,81 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const razorpay = require("../../src/config/gateways/razorpay.gateway");
+
+const settings = { keyId: "rzp_test_key", keySecret: "rzp_secret", isTestMode: true };
+const hmac = (secret, value) => crypto.createHmac("sha256", secret).update(value).digest("hex");
+
+describe("razorpay adapter", () => {
+  afterEach(() => {
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  });
+
+  it("verifies a checkout return signed with the key secret", async () => {
+    const result = await razorpay.verifyReturn(settings, {
+      razorpay_order_id: "order_1",
+      razorpay_payment_id: "pay_1",
+      razorpay_signature: hmac("rzp_secret", "order_1|pay_1"),
+    });
+
+    assert.equal(result.verified, true);
+    assert.equal(result.gatewayOrderId, "order_1");
+    assert.equal(result.gatewayPaymentId, "pay_1");
+  });
+
+  it("rejects a return signed for another order or without a signature", async () => {
+    const forged = await razorpay.verifyReturn(settings, {
+      razorpay_order_id: "order_2",
+      razorpay_payment_id: "pay_1",
+      razorpay_signature: hmac("rzp_secret", "order_1|pay_1"),
+    });
+    const unsigned = await razorpay.verifyReturn(settings, {
+      razorpay_order_id: "order_1",
+      razorpay_payment_id: "pay_1",
+    });
+
+    assert.equal(forged.verified, false);
+    assert.equal(unsigned.verified, false);
+  });
+
+  it("reads a webhook signed with the webhook secret", async () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = "whsec";
+    const body = {
+      event: "payment.captured",
+      payload: { payment: { entity: { id: "pay_1", order_id: "order_1", amount: 50000 } } },
+    };
+    const rawBody = JSON.stringify(body);
+
+    const event = await razorpay.parseWebhook(settings, {
+      body,
+      rawBody,
+      headers: { "x-razorpay-signature": hmac("whsec", rawBody) },
+    });
+
+    assert.equal(event.type, "payment.captured");
+    assert.equal(event.gatewayPaymentId, "pay_1");
+    assert.equal(event.amount, 50000);
+  });
+
+  it("rejects a webhook whose body does not match the signature", async () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = "whsec";
+    const signed = JSON.stringify({ event: "payment.captured", payload: {} });
+    const body = { event: "payment.captured", payload: { payment: { entity: { id: "pay_1", amount: 99999900 } } } };
+
+    await assert.rejects(
+      razorpay.parseWebhook(settings, {
+        body,
+        rawBody: JSON.stringify(body),
+        headers: { "x-razorpay-signature": hmac("whsec", signed) },
+      }),
+      /Invalid signature/
+    );
+  });
+
+  it("refuses webhooks when no webhook secret is configured", async () => {
+    await assert.rejects(
+      razorpay.parseWebhook(settings, { body: {}, rawBody: "{}", headers: { "x-razorpay-signature": hmac("", "{}") } }),
+      /RAZORPAY_WEBHOOK_SECRET/
+    );
+  });
+});
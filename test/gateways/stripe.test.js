@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const stripe = require("../../src/config/gateways/stripe.gateway");
+
+const settings = { keyId: "pk_test", keySecret: "sk_test", extra: { webhookSecret: "whsec_test" }, isTestMode: true };
+const originalFetch = global.fetch;
+
+const signatureHeader = (rawBody, { timestamp = Math.floor(Date.now() / 1000), secret = "whsec_test" } = {}) =>
+  `t=${timestamp},v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex")}`;
+
+const succeeded = {
+  type: "payment_intent.succeeded",
+  data: { object: { id: "pi_1", amount: 50000, amount_received: 50000, metadata: { flow: "deposit", referenceId: "DEP1" } } },
+};
+
+describe("stripe adapter", () => {
+  let requests;
+  let session;
+
+  beforeEach(() => {
+    requests = [];
+    session = { id: "cs_1", payment_status: "paid", status: "complete", payment_intent: "pi_1", amount_total: 50000, metadata: { flow: "deposit" } };
+    global.fetch = async (url, options) => {
+      requests.push({ url, options });
+      const data = url.includes("/checkout/sessions?") ? { data: [session] } : session;
+      return { ok: true, status: 200, json: async () => data };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it("takes a return's status and amount from the checkout session", async () => {
+    const result = await stripe.verifyReturn(settings, { sessionId: "cs_1" });
+
+    assert.equal(requests[0].url, "https://api.stripe.com/v1/checkout/sessions/cs_1");
+    assert.equal(requests[0].options.headers.Authorization, "Bearer sk_test");
+    assert.equal(result.verified, true);
+    assert.equal(result.status, "captured");
+    assert.equal(result.gatewayPaymentId, "pi_1");
+    assert.equal(result.amount, 50000);
+  });
+
+  it("rejects a return that does not name a checkout session", async () => {
+    for (const sessionId of [undefined, "pi_1", "../refunds"]) {
+      assert.equal((await stripe.verifyReturn(settings, { sessionId })).verified, false);
+    }
+    assert.equal(requests.length, 0);
+  });
+
+  it("reads a webhook signed with the endpoint secret", async () => {
+    const rawBody = JSON.stringify(succeeded);
+
+    const event = await stripe.parseWebhook(settings, {
+      body: succeeded,
+      rawBody,
+      headers: { "stripe-signature": signatureHeader(rawBody) },
+    });
+
+    assert.equal(event.type, "payment.captured");
+    assert.equal(event.gatewayPaymentId, "pi_1");
+    assert.equal(event.gatewayOrderId, "cs_1");
+    assert.equal(event.amount, 50000);
+  });
+
+  it("accepts any of several v1 signatures while the secret is rolled", async () => {
+    const rawBody = JSON.stringify(succeeded);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const old = signatureHeader(rawBody, { timestamp, secret: "whsec_old" }).split(",")[1];
+
+    const event = await stripe.parseWebhook(settings, {
+      body: succeeded,
+      rawBody,
+      headers: { "stripe-signature": `${old},${signatureHeader(rawBody, { timestamp })}` },
+    });
+
+    assert.equal(event.type, "payment.captured");
+  });
+
+  it("rejects a webhook with another secret, a changed body or an old timestamp", async () => {
+    const rawBody = JSON.stringify(succeeded);
+    const headers = [
+      signatureHeader(rawBody, { secret: "whsec_other" }),
+      signatureHeader(rawBody.replace("50000", "5")),
+      signatureHeader(rawBody, { timestamp: Math.floor(Date.now() / 1000) - 600 }),
+      "",
+    ];
+
+    for (const header of headers) {
+      await assert.rejects(
+        stripe.parseWebhook(settings, { body: succeeded, rawBody, headers: { "stripe-signature": header } }),
+        /Invalid signature/
+      );
+    }
+    assert.equal(requests.length, 0);
+  });
+
+  it("refuses webhooks when no signing secret is configured", async () => {
+    await assert.rejects(
+      stripe.parseWebhook({ ...settings, extra: {} }, { body: succeeded, rawBody: "{}", headers: {} }),
+      /signing secret/
+    );
+  });
+});
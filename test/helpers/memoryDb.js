@@ -0,0 +1,416 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const mongoose = require("mongoose");
+
+/**
+ * In-memory stand-in for MongoDB (tests only)
+ *
+ * Replaces the query and write methods of the given models with versions
+ * that work on arrays, so helpers can be exercised without a server. It
+ * covers what the helpers use: filters with comparison, $in, $or, $exists
+ * and $expr, $set / $unset / $inc updates, unique indexes (duplicate keys
+ * throw code 11000 like the server), schema validation on insert and
+ * timestamps. runInTransaction gets a transaction that runs one at a time
+ * and rolls every collection back when its work throws.
+ *
+ * Any model that is not registered fails fast (bufferCommands is off), so a
+ * test notices when a helper touches a collection it did not expect.
+ */
+
+mongoose.set("bufferCommands", false);
+
+const collections = new Map();
+const transactions = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId || value?._bsontype === "ObjectId";
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) && !isObjectId(value) &&
+  !(value instanceof Date) && !(value instanceof Map) && !Buffer.isBuffer(value);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Map) return new Map([...value].map(([k, v]) => [k, clone(v)]));
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+// Comparable form: ObjectIds as hex strings, dates as milliseconds
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => {
+    if (value instanceof Map) return value.get(key);
+    return value === null || value === undefined ? undefined : value[key];
+  }, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join(".")) ?? (keys.length ? undefined : doc);
+  if (parent && typeof parent === "object") delete parent[last];
+};
+
+const equals = (a, b) => {
+  if (Array.isArray(a) && !Array.isArray(b)) return a.some((item) => equals(item, b));
+  if (b === null) return a === null || a === undefined;
+  return normalize(a) === normalize(b) || JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
+const compare = (a, b) => {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+// Aggregation expressions ($expr, the expressions used in conditional updates)
+const evaluate = (expr, doc) => {
+  if (typeof expr === "string" && expr.startsWith("$")) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map((item) => evaluate(item, doc));
+  if (!isPlainObject(expr)) return expr;
+
+  const [operator] = Object.keys(expr);
+  const args = [].concat(expr[operator]);
+  const values = () => args.map((arg) => evaluate(arg, doc));
+
+  switch (operator) {
+    case "$add": return values().reduce((sum, value) => sum + (value ?? 0), 0);
+    case "$subtract": { const [a, b] = values(); return a - b; }
+    case "$multiply": return values().reduce((product, value) => product * value, 1);
+    case "$gte": { const [a, b] = values(); return compare(a, b) >= 0; }
+    case "$gt": { const [a, b] = values(); return compare(a, b) > 0; }
+    case "$lte": { const [a, b] = values(); return compare(a, b) <= 0; }
+    case "$lt": { const [a, b] = values(); return compare(a, b) < 0; }
+    case "$eq": { const [a, b] = values(); return compare(a, b) === 0; }
+    case "$ne": { const [a, b] = values(); return compare(a, b) !== 0; }
+    case "$and": return values().every(Boolean);
+    case "$or": return values().some(Boolean);
+    case "$not": return !values()[0];
+    case "$ifNull": { const [a, b] = values(); return a ?? b; }
+    case "$isNumber": return typeof values()[0] === "number";
+    case "$cond": {
+      const { if: condition, then, else: otherwise } = Array.isArray(expr.$cond)
+        ? { if: expr.$cond[0], then: expr.$cond[1], else: expr.$cond[2] }
+        : expr.$cond;
+      return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    default:
+      throw new Error(`memoryDb: unsupported expression operator ${operator}`);
+  }
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) return typeof value === "string" && condition.test(value);
+  if (!isPlainObject(condition) || !Object.keys(condition).every((key) => key.startsWith("$"))) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq": return equals(value, operand);
+      case "$ne": return !equals(value, operand);
+      case "$in": return operand.some((item) => equals(value, item));
+      case "$nin": return !operand.some((item) => equals(value, item));
+      case "$gt": return value !== undefined && value !== null && compare(value, operand) > 0;
+      case "$gte": return value !== undefined && value !== null && compare(value, operand) >= 0;
+      case "$lt": return value !== undefined && value !== null && compare(value, operand) < 0;
+      case "$lte": return value !== undefined && value !== null && compare(value, operand) <= 0;
+      case "$exists": return (value !== undefined) === Boolean(operand);
+      default:
+        throw new Error(`memoryDb: unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matches(doc, branch));
+    if (key === "$and") return condition.every((branch) => matches(doc, branch));
+    if (key === "$nor") return !condition.some((branch) => matches(doc, branch));
+    if (key === "$expr") return Boolean(evaluate(condition, doc));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  if (Array.isArray(update)) {
+    throw new Error("memoryDb: pipeline updates are not supported");
+  }
+  const operators = Object.keys(update).some((key) => key.startsWith("$")) ? update : { $set: update };
+
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === "$set") setPath(doc, path, clone(value));
+      else if (operator === "$setOnInsert") { if (inserting) setPath(doc, path, clone(value)); }
+      else if (operator === "$unset") unsetPath(doc, path);
+      else if (operator === "$inc") setPath(doc, path, (getPath(doc, path) || 0) + value);
+      else if (operator === "$push") setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+      else throw new Error(`memoryDb: unsupported update operator ${operator}`);
+    }
+  }
+  return doc;
+};
+
+const sortDocs = (docs, spec) => {
+  if (!spec) return docs;
+  const keys = Object.entries(spec);
+  return docs.slice().sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(getPath(a, path), getPath(b, path));
+      if (order) return direction < 0 || direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+};
+
+const duplicateKeyError = (model, keyPattern) => {
+  const error = new Error(`E11000 duplicate key error collection: ${model.collection.collectionName} index: ${Object.keys(keyPattern).join("_")}`);
+  error.code = 11000;
+  error.keyPattern = keyPattern;
+  return error;
+};
+
+// Throw like a unique index would when doc collides with another document
+const checkUnique = (model, docs, doc) => {
+  for (const [fields, options = {}] of model.schema.indexes()) {
+    if (!options.unique) continue;
+    const paths = Object.keys(fields);
+    const values = paths.map((path) => getPath(doc, path));
+    if (options.sparse && values.every((value) => value === undefined || value === null)) continue;
+
+    const clash = docs.some((other) =>
+      other !== doc && normalize(other._id) !== normalize(doc._id) &&
+      paths.every((path, i) => equals(getPath(other, path), values[i] === undefined ? null : values[i])));
+    if (clash) throw duplicateKeyError(model, fields);
+  }
+};
+
+/**
+ * Chainable, awaitable query result (select, session, sort, limit and lean
+ * are accepted; projections are ignored)
+ */
+class MemoryQuery {
+  constructor(run, { many = false } = {}) {
+    this.run = run;
+    this.many = many;
+    this.sortSpec = null;
+    this.limitCount = null;
+    this.isLean = false;
+  }
+
+  select() { return this; }
+  session() { return this; }
+  populate() { return this; }
+  sort(spec) { this.sortSpec = spec; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  lean() { this.isLean = true; return this; }
+
+  async exec() {
+    // Resolve on a later tick, as a round trip to the server would
+    await new Promise(setImmediate);
+    return this.run(this);
+  }
+
+  then(resolve, reject) { return this.exec().then(resolve, reject); }
+  catch(reject) { return this.exec().catch(reject); }
+}
+
+const store = (model) => {
+  if (!collections.has(model.modelName)) collections.set(model.modelName, []);
+  return collections.get(model.modelName);
+};
+
+const hydrate = (model, doc, lean = false) => (doc ? (lean ? clone(doc) : model.hydrate(clone(doc))) : null);
+
+const touch = (model, doc, inserting) => {
+  if (!model.schema.options.timestamps) return;
+  const now = new Date();
+  if (inserting && !doc.createdAt) doc.createdAt = now;
+  doc.updatedAt = now;
+};
+
+const insertOne = async (model, input) => {
+  const document = input instanceof model ? input : new model(input);
+  await document.validate();
+  const doc = clone(document.toObject({ depopulate: true }));
+  touch(model, doc, true);
+  const docs = store(model);
+  checkUnique(model, docs, doc);
+  docs.push(doc);
+  return hydrate(model, doc);
+};
+
+const findDocs = (model, filter, query) => {
+  let docs = sortDocs(store(model).filter((doc) => matches(doc, filter)), query?.sortSpec);
+  if (query?.limitCount) docs = docs.slice(0, query.limitCount);
+  return docs;
+};
+
+// Update the first (or every) match; upserts insert the filter's equality fields
+const updateDocs = async (model, filter, update, { upsert = false, many = false, sortSpec = null } = {}) => {
+  const docs = store(model);
+  const targets = sortDocs(docs.filter((doc) => matches(doc, filter)), sortSpec);
+  const selected = many ? targets : targets.slice(0, 1);
+
+  if (!selected.length && upsert) {
+    const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith("$") && !isPlainObject(value)));
+    const created = await insertOne(model, applyUpdate(seed, update, { inserting: true }));
+    return { before: [], after: [store(model).find((doc) => normalize(doc._id) === normalize(created._id))], upserted: true };
+  }
+
+  const before = selected.map(clone);
+  for (const doc of selected) {
+    const next = applyUpdate(clone(doc), update);
+    touch(model, next, false);
+    checkUnique(model, docs, next);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, next);
+  }
+  return { before, after: selected, upserted: false };
+};
+
+const patchModel = (model) => {
+  model.create = async (input, options) => {
+    if (Array.isArray(input)) {
+      const created = [];
+      for (const item of input) created.push(await insertOne(model, item));
+      return created;
+    }
+    return insertOne(model, input);
+  };
+  model.insertMany = async (input) => {
+    const created = [];
+    for (const item of [].concat(input)) created.push(await insertOne(model, item));
+    return created;
+  };
+
+  model.find = (filter = {}) =>
+    new MemoryQuery((query) => findDocs(model, filter, query).map((doc) => hydrate(model, doc, query.isLean)), { many: true });
+  model.findOne = (filter = {}) =>
+    new MemoryQuery((query) => hydrate(model, findDocs(model, filter, query)[0], query.isLean));
+  model.findById = (id) => model.findOne({ _id: id });
+  model.exists = (filter = {}) =>
+    new MemoryQuery((query) => {
+      const [doc] = findDocs(model, filter, query);
+      return doc ? { _id: doc._id } : null;
+    });
+  model.countDocuments = (filter = {}) => new MemoryQuery(() => findDocs(model, filter).length);
+  model.distinct = (path, filter = {}) =>
+    new MemoryQuery(() => {
+      const values = new Map();
+      for (const doc of findDocs(model, filter)) {
+        for (const value of [].concat(getPath(doc, path) ?? [])) values.set(JSON.stringify(normalize(value)), value);
+      }
+      return [...values.values()];
+    });
+
+  model.findOneAndUpdate = (filter, update, options = {}) =>
+    new MemoryQuery(async (query) => {
+      const { before, after } = await updateDocs(model, filter, update, { upsert: options.upsert, sortSpec: query.sortSpec || options.sort });
+      const returnAfter = options.new || options.returnDocument === "after";
+      return hydrate(model, returnAfter ? after[0] : before[0], query.isLean);
+    });
+  model.findByIdAndUpdate = (id, update, options) => model.findOneAndUpdate({ _id: id }, update, options);
+  model.updateOne = (filter, update, options = {}) =>
+    new MemoryQuery(async () => {
+      const { after, upserted } = await updateDocs(model, filter, update, { upsert: options.upsert });
+      return { acknowledged: true, matchedCount: upserted ? 0 : after.length, modifiedCount: upserted ? 0 : after.length, upsertedCount: upserted ? 1 : 0 };
+    });
+  model.updateMany = (filter, update, options = {}) =>
+    new MemoryQuery(async () => {
+      const { after } = await updateDocs(model, filter, update, { upsert: options.upsert, many: true });
+      return { acknowledged: true, matchedCount: after.length, modifiedCount: after.length };
+    });
+
+  const remove = (filter, many) => {
+    const docs = store(model);
+    const targets = docs.filter((doc) => matches(doc, filter));
+    const removed = many ? targets : targets.slice(0, 1);
+    collections.set(model.modelName, docs.filter((doc) => !removed.includes(doc)));
+    return { acknowledged: true, deletedCount: removed.length };
+  };
+  model.deleteOne = (filter = {}) => new MemoryQuery(() => remove(filter, false));
+  model.deleteMany = (filter = {}) => new MemoryQuery(() => remove(filter, true));
+
+  model.prototype.save = async function save() {
+    await this.validate();
+    const doc = clone(this.toObject({ depopulate: true }));
+    const docs = store(model);
+    const index = docs.findIndex((existing) => normalize(existing._id) === normalize(doc._id));
+    touch(model, doc, index === -1);
+    checkUnique(model, docs, doc);
+    if (index === -1) docs.push(doc);
+    else docs[index] = doc;
+    this.isNew = false;
+    return this;
+  };
+};
+
+/**
+ * Back the given models with memory. Call once per test file, before the
+ * helpers under test run a query.
+ */
+const useMemoryModels = (...models) => {
+  models.forEach(patchModel);
+
+  // One transaction at a time; a failed one restores every collection
+  mongoose.connection.transaction = (work) => {
+    if (transactions.getStore()) return work(transactions.getStore());
+
+    const run = transactionQueue.then(async () => {
+      const snapshot = new Map([...collections].map(([name, docs]) => [name, docs.map(clone)]));
+      const session = { inTransaction: () => true };
+      try {
+        return await transactions.run(session, () => work(session));
+      } catch (err) {
+        collections.clear();
+        snapshot.forEach((docs, name) => collections.set(name, docs));
+        throw err;
+      }
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  };
+};
+
+/**
+ * Empty every collection
+ */
+const resetMemoryDb = () => collections.clear();
+
+/**
+ * Stored documents of a model (plain objects, for assertions)
+ */
+const getDocs = (model) => store(model).map(clone);
+
+/**
+ * Insert documents as they are, bypassing validation (fixtures)
+ */
+const seedDocs = (model, docs) => {
+  const created = [].concat(docs).map((input) => clone(new model(input).toObject({ depopulate: true })));
+  store(model).push(...created);
+  return created.map((doc) => model.hydrate(clone(doc)));
+};
+
+module.exports = {
+  useMemoryModels,
+  resetMemoryDb,
+  getDocs,
+  seedDocs,
+};
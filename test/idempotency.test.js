@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const mongoose = require("mongoose");
+const IdempotencyKey = require("../src/models/idempotencyKey.model");
+const { useMemoryModels, resetMemoryDb, getDocs } = require("./helpers/memoryDb");
+
+// Short lease so renewal and takeover can be observed
+process.env.IDEMPOTENCY_LEASE_SECONDS = "0.3";
+const idempotencyMiddleware = require("../src/middlewares/idempotency.middleware");
+
+useMemoryModels(IdempotencyKey);
+
+const merchantId = new mongoose.Types.ObjectId();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("idempotency middleware", () => {
+  let server;
+  let baseUrl;
+  let runs;
+  let slowDelay;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiUser = { userId: merchantId };
+      next();
+    });
+    app.use(idempotencyMiddleware);
+
+    app.post("/orders", (req, res) => {
+      runs += 1;
+      res.status(201).json({ id: `order_${runs}`, amount: req.body.amount });
+    });
+    app.post("/slow", async (req, res) => {
+      runs += 1;
+      await sleep(slowDelay);
+      res.status(201).json({ id: `slow_${runs}` });
+    });
+    app.post("/broken", (req, res) => {
+      runs += 1;
+      res.status(502).json({ error: "upstream" });
+    });
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    resetMemoryDb();
+    runs = 0;
+    slowDelay = 200;
+  });
+
+  const post = async (path, body, key = "key_1") => {
+    const response = await fetch(baseUrl + path, {
+      method: "POST",
+      headers: { "content-type": "application/json", "idempotency-key": key },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, replayed: response.headers.get("idempotent-replayed"), body: await response.json() };
+  };
+
+  it("replays the stored response for a retried request without running it again", async () => {
+    const first = await post("/orders", { amount: 500 });
+    const second = await post("/orders", { amount: 500 });
+
+    assert.equal(runs, 1);
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+    assert.equal(second.replayed, "true");
+    assert.deepEqual(second.body, first.body);
+  });
+
+  it("treats bodies with the same fields in another order as the same request", async () => {
+    await post("/orders", { amount: 500, currency: "INR" });
+    const second = await post("/orders", { currency: "INR", amount: 500 });
+
+    assert.equal(runs, 1);
+    assert.equal(second.replayed, "true");
+  });
+
+  it("rejects a key reused with a different body", async () => {
+    await post("/orders", { amount: 500 });
+    const second = await post("/orders", { amount: 900 });
+
+    assert.equal(runs, 1);
+    assert.equal(second.status, 409);
+    assert.match(second.body.error.description, /different request/);
+  });
+
+  it("answers 409 to a retry while the first request is still running, then replays", async () => {
+    const first = post("/slow", {});
+    await sleep(50);
+    const concurrent = await post("/slow", {});
+    const original = await first;
+    const replay = await post("/slow", {});
+
+    assert.equal(concurrent.status, 409);
+    assert.match(concurrent.body.error.description, /still being processed/);
+    assert.equal(runs, 1);
+    assert.deepEqual(replay.body, original.body);
+  });
+
+  it("renews the lease while a request outlives it", async () => {
+    slowDelay = 900;
+    const first = post("/slow", {});
+    await sleep(600);
+    const retry = await post("/slow", {});
+    await first;
+
+    assert.equal(retry.status, 409);
+    assert.equal(runs, 1);
+  });
+
+  it("lets a retry take over a key whose lease lapsed", async () => {
+    await post("/orders", { amount: 100 });
+    // As left by a worker that crashed mid-request
+    await IdempotencyKey.updateOne(
+      { key: "key_1" },
+      { $set: { status: "processing", expiresAt: new Date(Date.now() - 1000) }, $unset: { responseBody: "" } }
+    );
+
+    const takeover = await post("/orders", { amount: 100 });
+    await sleep(20);
+
+    assert.equal(takeover.status, 201);
+    assert.equal(takeover.replayed, null);
+    assert.equal(runs, 2);
+    assert.equal(getDocs(IdempotencyKey)[0].status, "completed");
+  });
+
+  it("releases the key after a server error so the request can be retried", async () => {
+    await post("/broken", {});
+    await sleep(20);
+    await post("/broken", {});
+
+    assert.equal(runs, 2);
+    assert.equal(getDocs(IdempotencyKey).length, 0);
+  });
+
+  it("stores the outcome of a request whose client disconnected", async () => {
+    const { port } = server.address();
+    const request = http.request({
+      port,
+      path: "/slow",
+      method: "POST",
+      headers: { "content-type": "application/json", "idempotency-key": "key_1" },
+    });
+    request.on("error", () => {});
+    request.end("{}");
+    await sleep(50);
+    request.destroy();
+
+    await sleep(slowDelay + 100);
+    const retry = await post("/slow", {});
+
+    assert.equal(runs, 1);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.replayed, "true");
+  });
+});
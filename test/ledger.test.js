@@ -0,0 +1,140 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const LedgerEntry = require("../src/models/ledgerEntry.model");
+const { useMemoryModels, resetMemoryDb, getDocs, seedDocs } = require("./helpers/memoryDb");
+const { creditWallet, debitWallet, reverseJournal, openWalletLedger } = require("../src/config/ledgerHelper");
+
+useMemoryModels(User, LedgerEntry);
+
+const seedMerchant = (fields = {}) => {
+  const [user] = seedDocs(User, {
+    _id: new mongoose.Types.ObjectId(),
+    fullName: "Test Merchant",
+    email: `merchant${Date.now()}${Math.random()}@example.com`,
+    password: "x",
+    balance: 0,
+    reservedBalance: 0,
+    ledgerOpenedAt: new Date(),
+    ...fields,
+  });
+  return user;
+};
+
+const balanceOf = (merchantId) => getDocs(User).find((user) => String(user._id) === String(merchantId)).balance;
+
+// Every journal must balance, and the wallet lines must replay to User.balance
+const assertLedgerInvariants = (merchantId) => {
+  const entries = getDocs(LedgerEntry).filter((entry) => String(entry.merchantId) === String(merchantId));
+  const journals = new Map();
+  for (const entry of entries) {
+    const totals = journals.get(entry.journalId) || { credit: 0, debit: 0 };
+    totals[entry.direction] += entry.amount;
+    journals.set(entry.journalId, totals);
+  }
+  for (const [journalId, totals] of journals) {
+    assert.equal(totals.credit, totals.debit, `journal ${journalId} does not balance`);
+  }
+
+  const wallet = entries.filter((entry) => entry.account === "merchant_wallet");
+  const replayed = wallet.reduce((sum, entry) => sum + (entry.direction === "credit" ? entry.amount : -entry.amount), 0);
+  assert.equal(replayed, balanceOf(merchantId));
+  if (wallet.length) {
+    assert.equal(wallet[wallet.length - 1].balanceAfter, balanceOf(merchantId));
+  }
+};
+
+describe("wallet ledger", () => {
+  beforeEach(resetMemoryDb);
+
+  it("posts a balanced journal for a credit and moves the balance by its amount", async () => {
+    const merchant = seedMerchant();
+
+    const posted = await creditWallet(merchant._id, 50000, { referenceId: "pay_1", description: "Payment" });
+
+    assert.equal(posted.balance, 50000);
+    assert.equal(posted.entries.length, 2);
+    assert.equal(balanceOf(merchant._id), 50000);
+    assertLedgerInvariants(merchant._id);
+  });
+
+  it("debits the amount and the fee in one balanced journal", async () => {
+    const merchant = seedMerchant({ balance: 100000, ledgerOpenedAt: null });
+    await openWalletLedger(merchant._id);
+
+    const posted = await debitWallet(merchant._id, 30000, { fee: 500, referenceId: "wd_1", description: "Withdrawal" });
+
+    assert.equal(posted.balance, 69500);
+    assert.deepEqual(posted.entries.map((entry) => [entry.account, entry.direction]), [
+      ["merchant_wallet", "debit"],
+      ["payout_clearing", "credit"],
+      ["merchant_wallet", "debit"],
+      ["fee_revenue", "credit"],
+    ]);
+    assertLedgerInvariants(merchant._id);
+  });
+
+  it("refuses a debit the available balance does not cover and writes nothing", async () => {
+    const merchant = seedMerchant({ balance: 10000, reservedBalance: 4000 });
+
+    const posted = await debitWallet(merchant._id, 7000, { referenceId: "wd_2", description: "Too much" });
+
+    assert.equal(posted, null);
+    assert.equal(balanceOf(merchant._id), 10000);
+    assert.equal(getDocs(LedgerEntry).length, 0);
+  });
+
+  it("lets a hold capture spend the balance it reserved", async () => {
+    const merchant = seedMerchant({ balance: 10000, reservedBalance: 7000 });
+
+    const posted = await debitWallet(merchant._id, 7000, { fromHold: 7000, referenceId: "wd_3", description: "Held" });
+
+    assert.equal(posted.balance, 3000);
+    const user = getDocs(User)[0];
+    assert.equal(user.reservedBalance, 0);
+  });
+
+  it("rejects amounts that are not integer paise", () => {
+    const merchant = seedMerchant();
+    assert.throws(() => creditWallet(merchant._id, 10.5, { referenceId: "x", description: "Fraction" }), /Invalid ledger amount/);
+    assert.throws(() => debitWallet(merchant._id, -1, { referenceId: "x", description: "Negative" }), /Invalid ledger amount/);
+  });
+
+  it("reverses a journal once with its mirror image", async () => {
+    const merchant = seedMerchant();
+    const credit = await creditWallet(merchant._id, 25000, { referenceId: "pay_2", description: "Payment" });
+
+    const reversal = await reverseJournal(credit.journalId, { description: "Reversal" });
+    const again = await reverseJournal(credit.journalId, { description: "Reversal" });
+
+    assert.equal(reversal.balance, 0);
+    assert.equal(again, null);
+    assert.ok(reversal.entries.every((entry) => entry.reversalOf === credit.journalId));
+    assertLedgerInvariants(merchant._id);
+  });
+
+  it("keeps the invariants across concurrent postings", async () => {
+    const merchant = seedMerchant({ balance: 0 });
+
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) => creditWallet(merchant._id, 1000, { referenceId: `pay_c${i}`, description: "Credit" })),
+      ...Array.from({ length: 15 }, (_, i) => debitWallet(merchant._id, 1000, { referenceId: `wd_c${i}`, description: "Debit" })),
+    ]);
+
+    const balance = balanceOf(merchant._id);
+    assert.ok(balance >= 0, "the wallet was overdrawn");
+    assertLedgerInvariants(merchant._id);
+  });
+
+  it("opens the ledger of a merchant with an existing balance once", async () => {
+    const merchant = seedMerchant({ balance: 42000, ledgerOpenedAt: null });
+
+    const opened = await openWalletLedger(merchant._id);
+    const reopened = await openWalletLedger(merchant._id);
+
+    assert.ok(opened);
+    assert.equal(reopened, null);
+    assertLedgerInvariants(merchant._id);
+  });
+});
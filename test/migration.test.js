@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Migration = require("../src/models/migration.model");
+const { useMemoryModels, resetMemoryDb, getDocs, seedDocs } = require("./helpers/memoryDb");
+
+process.env.MIGRATION_POLL_MS = "20";
+
+useMemoryModels(Migration);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fresh copies, so the "ready" flag cached by a previous test does not leak
+const load = () => {
+  for (const path of ["../src/config/migrationHelper", "../src/middlewares/migration.middleware"]) {
+    delete require.cache[require.resolve(path)];
+  }
+  return {
+    ...require("../src/config/migrationHelper"),
+    migrationMiddleware: require("../src/middlewares/migration.middleware"),
+  };
+};
+
+describe("paise migration gate", () => {
+  let conversions;
+
+  beforeEach(() => {
+    resetMemoryDb();
+    load();
+    conversions = [];
+    // The conversion goes through the driver collections
+    for (const name of mongoose.modelNames()) {
+      const { collection } = mongoose.model(name);
+      collection.updateMany = async (filter) => {
+        if (filter._paiseMigrated?.$ne) conversions.push(collection.collectionName);
+        return { modifiedCount: 0 };
+      };
+    }
+  });
+
+  it("runs the migration once and records it completed", async () => {
+    const { waitForPaiseAmounts, arePaiseAmountsReady } = load();
+
+    await waitForPaiseAmounts();
+    const converted = conversions.length;
+    await waitForPaiseAmounts();
+
+    assert.ok(converted > 0);
+    assert.equal(conversions.length, converted);
+    assert.equal(getDocs(Migration)[0].status, "completed");
+    assert.equal(await arePaiseAmountsReady(), true);
+  });
+
+  it("keeps a worker that lost the claim waiting until the migration completes", async () => {
+    seedDocs(Migration, { name: "amounts_to_paise", status: "running", lockedUntil: new Date(Date.now() + 60000) });
+    const { waitForPaiseAmounts } = load();
+
+    let done = false;
+    const waiting = waitForPaiseAmounts().then(() => {
+      done = true;
+    });
+    await sleep(100);
+
+    assert.equal(done, false);
+    assert.equal(conversions.length, 0);
+
+    await Migration.updateOne({ name: "amounts_to_paise" }, { $set: { status: "completed", completedAt: new Date() } });
+    await waiting;
+
+    assert.equal(done, true);
+    assert.equal(conversions.length, 0);
+  });
+
+  it("takes over a migration whose worker stopped renewing its lock", async () => {
+    seedDocs(Migration, { name: "amounts_to_paise", status: "running", lockedUntil: new Date(Date.now() - 1000) });
+    const { waitForPaiseAmounts } = load();
+
+    await waitForPaiseAmounts();
+
+    assert.ok(conversions.length > 0);
+    assert.equal(getDocs(Migration)[0].status, "completed");
+  });
+
+  it("answers 503 on the API until the migration has completed", async () => {
+    seedDocs(Migration, { name: "amounts_to_paise", status: "running", lockedUntil: new Date(Date.now() + 60000) });
+    const { migrationMiddleware } = load();
+
+    const call = async () => {
+      const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+      };
+      let passed = false;
+      await migrationMiddleware({}, res, () => {
+        passed = true;
+      });
+      return { res, passed };
+    };
+
+    const blocked = await call();
+    await Migration.updateOne({ name: "amounts_to_paise" }, { $set: { status: "completed" } });
+    const open = await call();
+
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.res.statusCode, 503);
+    assert.equal(blocked.res.headers["Retry-After"], "10");
+    assert.equal(open.passed, true);
+  });
+});
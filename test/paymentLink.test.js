@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const LedgerEntry = require("../src/models/ledgerEntry.model");
+const PaymentLink = require("../src/models/paymentLink.model");
+const PaymentCapture = require("../src/models/paymentCapture.model");
+const Transaction = require("../src/models/transaction.model");
+const GatewaySettings = require("../src/models/gatewaySettings.model");
+const transporter = require("../src/config/mailer");
+const { useMemoryModels, resetMemoryDb, getDocs, seedDocs } = require("./helpers/memoryDb");
+const { markPaymentLinkPaid, sendPaymentLinkEmail, LINK_CAPTURE_FLOW } = require("../src/config/paymentLinkHelper");
+
+useMemoryModels(User, LedgerEntry, PaymentLink, PaymentCapture, Transaction, GatewaySettings);
+
+const merchantId = new mongoose.Types.ObjectId();
+const originalFetch = global.fetch;
+const originalSendMail = transporter.sendMail;
+
+const balance = () => getDocs(User)[0].balance;
+
+describe("payment links", () => {
+  let link;
+  let refundRequests;
+
+  beforeEach(() => {
+    resetMemoryDb();
+    seedDocs(User, {
+      _id: merchantId,
+      fullName: "Test Merchant",
+      email: "merchant@example.com",
+      password: "x",
+      balance: 0,
+      ledgerOpenedAt: new Date(),
+    });
+    seedDocs(GatewaySettings, {
+      gateway: "cashfree",
+      label: "Cashfree",
+      keyId: "cf_id",
+      keySecret: "cf_secret",
+      isEnabled: true,
+    });
+    [link] = seedDocs(PaymentLink, {
+      linkId: "PAY1",
+      userId: merchantId,
+      customerName: "Customer",
+      customerEmail: "customer@example.com",
+      amount: 50000,
+      status: "pending",
+    });
+
+    refundRequests = [];
+    global.fetch = async (url, options) => {
+      refundRequests.push({ url, body: JSON.parse(options.body) });
+      return { ok: true, status: 200, json: async () => ({ cf_refund_id: 91, refund_status: "PENDING" }) };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    transporter.sendMail = originalSendMail;
+  });
+
+  const pay = (paymentId, amount = 50000) =>
+    markPaymentLinkPaid(link, { paymentId, gateway: "cashfree", amount, description: "Link payment" });
+
+  it("marks the link paid and credits the merchant once", async () => {
+    const paid = await pay("CF_1");
+    const replay = await pay("CF_1");
+
+    assert.equal(paid.applied, true);
+    assert.equal(paid.paymentLink.status, "paid");
+    assert.equal(replay, null);
+    assert.equal(balance(), 50000);
+    assert.equal(getDocs(PaymentCapture)[0].flow, LINK_CAPTURE_FLOW);
+  });
+
+  it("does not mark the link paid for less than its amount", async () => {
+    assert.equal(await pay("CF_1", 49999), null);
+    assert.equal((await PaymentLink.findById(link._id)).status, "pending");
+    assert.equal(balance(), 0);
+  });
+
+  it("records a second payment on a paid link and refunds it", async () => {
+    await pay("CF_1");
+
+    const second = await pay("CF_2");
+
+    assert.equal(second.applied, false);
+    assert.equal((await PaymentLink.findById(link._id)).razorpayPaymentId, "CF_1");
+    assert.equal(refundRequests.length, 1);
+    assert.match(refundRequests[0].url, /\/orders\/CF_2\/refunds$/);
+    assert.equal(refundRequests[0].body.refund_amount, 500);
+    // Credited, then debited by the refund
+    assert.equal(balance(), 50000);
+    const refundDebit = getDocs(Transaction).find((txn) => txn.transactionId === "91");
+    assert.equal(refundDebit.type, "Debit");
+    assert.equal(refundDebit.amount, 50000);
+  });
+
+  it("escapes customer and merchant text in the email", async () => {
+    let html;
+    transporter.sendMail = async (message) => {
+      html = message.html;
+    };
+    link.customerName = "<img src=x onerror=alert(1)>";
+    link.description = "Invoice \"42\" & <b>more</b>";
+
+    assert.equal(await sendPaymentLinkEmail(link, { fullName: "A&B <Traders>", email: "a@example.com" }), true);
+
+    assert.ok(!html.includes("<img src=x"));
+    assert.ok(!html.includes("<b>more</b>"));
+    assert.ok(html.includes("&lt;img src=x onerror=alert(1)&gt;"));
+    assert.ok(html.includes("Invoice &quot;42&quot; &amp; &lt;b&gt;more&lt;/b&gt;"));
+    assert.ok(html.includes("A&amp;B &lt;Traders&gt;"));
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const LedgerEntry = require("../src/models/ledgerEntry.model");
+const Order = require("../src/models/order.model");
+const Payment = require("../src/models/payment.model");
+const Refund = require("../src/models/refund.model");
+const Transaction = require("../src/models/transaction.model");
+const GatewaySettings = require("../src/models/gatewaySettings.model");
+const WebhookEndpoint = require("../src/models/webhookEndpoint.model");
+const { useMemoryModels, resetMemoryDb, getDocs, seedDocs } = require("./helpers/memoryDb");
+const { createRefund, syncRefundStatus } = require("../src/config/refundHelper");
+
+useMemoryModels(User, LedgerEntry, Order, Payment, Refund, Transaction, GatewaySettings, WebhookEndpoint);
+
+const merchantId = new mongoose.Types.ObjectId();
+const originalFetch = global.fetch;
+
+// Cashfree answers: status and body per request, keyed by "METHOD path-suffix"
+let gatewayAnswers;
+const answer = (status, body) => async () => ({ ok: status < 400, status, json: async () => body });
+
+const balance = () => getDocs(User)[0].balance;
+const order = () => Order.findOne({ orderId: "order_1" });
+
+const seed = () => {
+  seedDocs(User, {
+    _id: merchantId,
+    fullName: "Test Merchant",
+    email: "merchant@example.com",
+    password: "x",
+    balance: 100000,
+    ledgerOpenedAt: null,
+  });
+  seedDocs(GatewaySettings, {
+    gateway: "cashfree",
+    label: "Cashfree",
+    keyId: "cf_id",
+    keySecret: "cf_secret",
+    isEnabled: true,
+    isTestMode: true,
+  });
+  seedDocs(Order, {
+    orderId: "order_1",
+    merchantId,
+    amount: 50000,
+    amountPaid: 50000,
+    status: "paid",
+    paymentStatus: "captured",
+    paymentId: "CF_PAY_1",
+    gateway: "cashfree",
+    mode: "live",
+  });
+  seedDocs(Payment, {
+    attemptId: "attempt_1",
+    paymentId: "CF_PAY_1",
+    orderId: "order_1",
+    merchantId,
+    amount: 50000,
+    status: "captured",
+    gateway: "cashfree",
+    gatewayOrderId: "CF_PAY_1",
+    mode: "live",
+  });
+};
+
+describe("refunds", () => {
+  beforeEach(() => {
+    resetMemoryDb();
+    seed();
+    gatewayAnswers = {};
+    global.fetch = async (url, options) => {
+      const key = Object.keys(gatewayAnswers).find((pattern) => `${options.method} ${url}`.endsWith(pattern));
+      if (!key) throw new Error(`Unexpected gateway call ${options.method} ${url}`);
+      return gatewayAnswers[key](url, options);
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it("debits the wallet and reserves the amount while the gateway processes the refund", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(200, { cf_refund_id: 77, refund_status: "PENDING" });
+
+    const refund = await createRefund(await order(), { amount: 20000 });
+
+    assert.equal(refund.status, "pending");
+    assert.equal(refund.gatewayRefundId, "77");
+    assert.equal(balance(), 80000);
+    assert.equal((await order()).amountRefunded, 20000);
+    assert.equal((await Payment.findOne({ paymentId: "CF_PAY_1" })).amountRefunded, 20000);
+  });
+
+  it("gives the money back when the gateway refuses the refund", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(400, { message: "refund amount exceeds" });
+
+    const refund = await createRefund(await order(), { amount: 20000 });
+
+    assert.equal(refund.status, "failed");
+    assert.equal(balance(), 100000);
+    assert.equal((await order()).amountRefunded, 0);
+    assert.equal((await Payment.findOne({ paymentId: "CF_PAY_1" })).amountRefunded, 0);
+    const reversal = getDocs(Transaction).find((txn) => txn.transactionId === `${refund.refundId}_rev`);
+    assert.equal(reversal.type, "Credit");
+    assert.equal(reversal.amount, 20000);
+  });
+
+  it("leaves the refund pending when the gateway outcome is unknown", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(503, { message: "unavailable" });
+
+    const refund = await createRefund(await order(), { amount: 20000 });
+
+    assert.equal(refund.status, "pending");
+    assert.equal(balance(), 80000);
+  });
+
+  it("marks the order refunded once the full amount is processed", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(200, { cf_refund_id: 78, refund_status: "SUCCESS" });
+
+    const refund = await createRefund(await order());
+    const refunded = await order();
+
+    assert.equal(refund.status, "processed");
+    assert.equal(refunded.status, "refunded");
+    assert.equal(balance(), 50000);
+  });
+
+  it("refuses to refund more than was captured", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(200, { cf_refund_id: 79, refund_status: "PENDING" });
+
+    await createRefund(await order(), { amount: 40000 });
+    await assert.rejects(createRefund(await order(), { amount: 20000 }), /exceeds the refundable amount/);
+
+    assert.equal(balance(), 60000);
+  });
+
+  it("reverses a failed refund once, however often the failure is reported", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(200, { cf_refund_id: 80, refund_status: "PENDING" });
+    const refund = await createRefund(await order(), { amount: 20000 });
+    gatewayAnswers[`GET https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds/${refund.refundId}`] = answer(200, { refund_status: "CANCELLED" });
+
+    const results = await Promise.all([syncRefundStatus(refund), syncRefundStatus(refund), syncRefundStatus(refund)]);
+
+    assert.ok(results.every((result) => result.status === "failed"));
+    assert.equal(balance(), 100000);
+    assert.equal((await order()).amountRefunded, 0);
+    assert.equal(getDocs(Transaction).filter((txn) => txn.transactionId === `${refund.refundId}_rev`).length, 1);
+  });
+
+  it("does not mark a reversed refund processed", async () => {
+    gatewayAnswers["POST https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds"] = answer(200, { cf_refund_id: 81, refund_status: "PENDING" });
+    const refund = await createRefund(await order(), { amount: 20000 });
+    gatewayAnswers[`GET https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds/${refund.refundId}`] = answer(200, { refund_status: "CANCELLED" });
+    await syncRefundStatus(refund);
+
+    // A late "processed" report for the stale pending copy
+    gatewayAnswers[`GET https://sandbox.cashfree.com/pg/orders/CF_PAY_1/refunds/${refund.refundId}`] = answer(200, { refund_status: "SUCCESS" });
+    const late = await syncRefundStatus(refund);
+
+    assert.equal(late.status, "failed");
+    assert.equal((await Refund.findById(refund._id)).status, "failed");
+    assert.equal((await order()).status, "paid");
+  });
+});